@@ -1,6 +1,19 @@
-const axios = require("axios");
-const math = require("mathjs");
 const natural = require('natural');
+const { formatTextReport } = require("./report-printer");
+const { checkEmbeddingBackend, EmbeddingError } = require("./embeddings");
+const { embedEvidence, alignWithEvidence } = require("./semantic-alignment");
+const { segmentResume, getSectionText, getSectionMap, isSectionHeading } = require("./section-segmenter");
+const { extractContactInfo } = require("./contact-extractor");
+const { redactResume } = require("./redaction");
+const { resolveScoringProfile, ScoringProfileError, DEFAULT_PROFILE } = require("./scoring-profiles");
+const BUILT_IN_PROFILES = require("./data/scoring-profiles.json");
+const { getSkillsTaxonomy, getImpliedSkills, SkillsTaxonomyError } = require("./skills-taxonomy");
+const { matchSkills } = require("./skill-matcher");
+const { classifyRequirements, getSkillRequirementLevels } = require("./requirement-classifier");
+const { computeSkillExperience, computeSkillRecency, extractSkillYearRequirements } = require("./skill-experience");
+const { extractEducationRecords, extractEducationRequirement, compareEducation, DEGREE_LEVELS, DEGREE_LABELS } = require("./education");
+const { analyzeImpact } = require("./impact-analyzer");
+const { parseDateRange, findDateRanges } = require("./date-parser");
 
 // Enable BERT-based analysis flag
 // When true, uses more contextual analysis similar to how BERT works in enterprise ATS systems
@@ -76,46 +89,33 @@ CERTIFICATIONS:
 - MongoDB Certified Developer, 2018
 `;
 
+// Describe what is wrong with an input text, or return null when it is usable
+function getInputError(text, type) {
+    if (typeof text !== "string" || text.trim() === "") {
+        return `${type} is empty. Please provide a valid ${type.toLowerCase()}.`;
+    }
+    return null;
+}
+
 // Function to validate input text
 function validateInput(text, type) {
-    if (!text || text.trim() === "") {
-        console.error(`Error: ${type} is empty. Please provide a valid ${type.toLowerCase()}.`);
+    const error = getInputError(text, type);
+    if (error) {
+        console.error(`Error: ${error}`);
         return false;
     }
     return true;
 }
 
-/**
- * Get embeddings from model - similar to how BERT works in enterprise ATS systems
- * 
- * Modern ATS systems use BERT or similar transformer models to generate contextual embeddings.
- * These embeddings capture the meaning of words based on their surrounding context, enabling
- * a much more nuanced understanding than simple keyword matching.
- */
-async function getEmbedding(text) {
-    try {
-        // In production ATS systems, this would call a BERT-based model API
-        // Here we're using Ollama as a substitute
-        const response = await axios.post("http://localhost:11434/api/embeddings", {
-            model: "nomic-embed-text", // In enterprise systems: "bert-base-uncased" or similar
-            prompt: text
-        });
-
-        return response.data.embedding;
-    } catch (error) {
-        console.error(`Error fetching embeddings: ${error.message}`);
-        return null;
+// Error raised when an analysis cannot be completed
+class AnalysisError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = "AnalysisError";
+        this.code = code;
     }
 }
 
-// Enhanced Cosine Similarity Calculation for semantic matching
-function cosineSimilarity(vec1, vec2) {
-    const dotProduct = math.dot(vec1, vec2);
-    const normVec1 = math.norm(vec1);
-    const normVec2 = math.norm(vec2);
-    return dotProduct / (normVec1 * normVec2);
-}
-
 /**
  * BERT-like contextual keyword extraction
  * 
@@ -146,17 +146,19 @@ function extractKeywords(text) {
  * 
  * In real BERT implementations, the model would understand that "proficient in Python"
  * and "Python expert" convey similar information despite using different words.
+ * 
+ * @returns {string[]} - Unique JD keywords that were found in the resume
  */
-function calculateKeywordMatch(jdKeywords, resumeKeywords) {
+function findMatchedKeywords(jdKeywords, resumeKeywords, bertLike = useBERTLikeAnalysis) {
     // Create a unique set of important keywords from the JD
     const uniqueJdKeywords = [...new Set(jdKeywords)];
     
-    if (useBERTLikeAnalysis) {
+    if (bertLike) {
         // More sophisticated matching that considers context and word relationships
         // This is a simplified version of what BERT would do
         
-        // Count how many JD keywords appear in the resume with contextual understanding
-        const matchedKeywords = uniqueJdKeywords.filter(keyword => {
+        // Keep the JD keywords that appear in the resume with contextual understanding
+        return uniqueJdKeywords.filter(keyword => {
             // Check for direct matches and semantic variations (simplified BERT-like behavior)
             return resumeKeywords.some(resumeWord => {
                 // Direct match
@@ -168,91 +170,45 @@ function calculateKeywordMatch(jdKeywords, resumeKeywords) {
                 return similarity > 0.85; // High threshold for similarity
             });
         });
-        
-        // Calculate score as percentage of JD keywords found in resume
-        return (matchedKeywords.length / uniqueJdKeywords.length) * 100;
     } else {
         // Simpler keyword matching for baseline comparison
-        const matchedKeywords = uniqueJdKeywords.filter(keyword => 
+        return uniqueJdKeywords.filter(keyword => 
             resumeKeywords.some(resumeWord => resumeWord.includes(keyword) || keyword.includes(resumeWord))
         );
-        
-        return (matchedKeywords.length / uniqueJdKeywords.length) * 100;
     }
 }
 
-// Extract technical skills with BERT-like contextual understanding
-function extractTechnicalSkills(text) {
-    // Comprehensive list of technical skills - expanded for more accuracy
-    const techSkills = [
-        // Programming Languages
-        "python", "java", "javascript", "typescript", "c++", "c#", "ruby", "php", "swift", "kotlin", "go", "rust", "scala",
-        "r", "matlab", "perl", "haskell", "lua", "groovy", "bash", "powershell", "dart", "objective-c", "assembly",
-        
-        // Web Development
-        "react", "angular", "vue", "jquery", "node", "express", "django", "flask", "spring", "rails", "asp.net", 
-        "html", "css", "sass", "less", "bootstrap", "tailwind", "materialui", "next.js", "gatsby", "nuxt", "svelte",
-        "redux", "graphql", "rest", "soap", "oauth", "jwt", "webpack", "babel", "eslint", "jest", "mocha", "cypress",
-        
-        // Cloud & DevOps
-        "aws", "azure", "gcp", "docker", "kubernetes", "jenkins", "travis", "circleci", "github actions", "terraform", 
-        "ansible", "puppet", "chef", "prometheus", "grafana", "elk", "serverless", "lambda", "s3", "ec2", "rds", 
-        "dynamodb", "cloudfront", "route53", "iam", "vpc", "cloudformation", "azuredevops", "netlify", "heroku", "vercel",
-        
-        // Databases
-        "sql", "postgresql", "mysql", "oracle", "mongodb", "cassandra", "redis", "elasticsearch", "neo4j", "sqlite",
-        "mariadb", "dynamodb", "cosmosdb", "firebase", "supabase", "couchdb", "hbase", "mssql", "sqlserver",
-        
-        // Data Science & ML
-        "tensorflow", "pytorch", "keras", "scikit-learn", "pandas", "numpy", "scipy", "matplotlib", "seaborn",
-        "hadoop", "spark", "kafka", "airflow", "luigi", "dask", "opencv", "nltk", "spacy", "transformers", "huggingface",
-        "machine learning", "deep learning", "neural network", "natural language processing", "computer vision",
-        
-        // Mobile
-        "android", "ios", "flutter", "react native", "xamarin", "cordova", "ionic", "swift", "kotlin", "objective-c",
-        "arkit", "arcore", "swiftui", "jetpack compose", "uikit", "cocoa", "material design",
-        
-        // DevOps & Tools
-        "git", "github", "gitlab", "bitbucket", "ci/cd", "devops", "agile", "scrum", "jira", "confluence", "trello",
-        "microservices", "soa", "rest", "graphql", "grpc", "api", "oop", "tdd", "bdd", "dry", "solid",
-        
-        // Specific Technologies
-        "blockchain", "ar/vr", "iot", "embedded", "quantum", "cybersecurity", "web3", "etl", "big data"
-    ];
-    
-    const lowerText = text.toLowerCase();
+// Calculate keyword match score as percentage of JD keywords found in resume
+function calculateKeywordMatch(jdKeywords, resumeKeywords, bertLike = useBERTLikeAnalysis) {
+    const uniqueJdKeywords = [...new Set(jdKeywords)];
+    if (uniqueJdKeywords.length === 0) return 0;
     
-    if (useBERTLikeAnalysis) {
-        // In a BERT-like implementation, the model would understand context better
-        // For example, it would know that "worked extensively with React" indicates React skills
-        // even if the exact term "React" appears in a different context
-        
-        // This is a simplified approximation of how BERT would process this
-        const skills = techSkills.filter(skill => {
-            // Check for direct mentions
-            if (lowerText.includes(skill)) return true;
-            
-            // Check for variations (simplified BERT-like contextual understanding)
-            const skillContextPatterns = [
-                `experienced with ${skill}`,
-                `proficient in ${skill}`,
-                `knowledge of ${skill}`,
-                `worked with ${skill}`,
-                `familiar with ${skill}`,
-                `expertise in ${skill}`,
-                `${skill} development`,
-                `${skill} experience`,
-                `${skill} skills`
-            ];
-            
-            return skillContextPatterns.some(pattern => lowerText.includes(pattern));
-        });
-        
-        return skills;
-    } else {
-        // Simple direct matching
-        return techSkills.filter(skill => lowerText.includes(skill));
-    }
+    const matchedKeywords = findMatchedKeywords(uniqueJdKeywords, resumeKeywords, bertLike);
+    return (matchedKeywords.length / uniqueJdKeywords.length) * 100;
+}
+
+/**
+ * Find technical skills with BERT-like contextual understanding
+ * 
+ * Skills come from the skills taxonomy (data/skills-taxonomy.json plus any custom file) and are
+ * keyed by canonical ID, so "k8s" and "Kubernetes" both yield "kubernetes". Only whole-token
+ * mentions count, see skill-matcher.js.
+ * 
+ * @param {string} text - Resume or job description text
+ * @param {boolean} [bertLike] - Also recognize aliases and display names, not only canonical IDs
+ * @param {Object} [taxonomy] - Loaded skills taxonomy; the built-in one by default
+ * @returns {Object} - Skill ID -> every mention `{ start, end, text }`, in taxonomy order
+ */
+function findTechnicalSkills(text, bertLike = useBERTLikeAnalysis, taxonomy = getSkillsTaxonomy()) {
+    // In a BERT-like implementation, the model would know that "k8s" and "Kubernetes" or
+    // "Postgres" and "PostgreSQL" are the same skill; the taxonomy aliases approximate that.
+    // Without it, only the canonical IDs are matched.
+    return matchSkills(text, taxonomy, { aliases: bertLike });
+}
+
+// IDs of the technical skills mentioned in a text, in taxonomy order
+function extractTechnicalSkills(text, bertLike = useBERTLikeAnalysis, taxonomy = getSkillsTaxonomy()) {
+    return Object.keys(findTechnicalSkills(text, bertLike, taxonomy));
 }
 
 /**
@@ -265,11 +221,13 @@ function extractTechnicalSkills(text) {
  * 
  * @param {string} text - The resume text to analyze
  * @param {string[]} skills - Array of skills to assess proficiency for
+ * @param {Object} [taxonomy] - Loaded skills taxonomy, used to find mentions under any alias
+ * @param {Object} [skillExperience] - Time spent with each skill in the employment history,
+ *   see skill-experience.js
  * @returns {Object} - Map of skills to their proficiency levels with supporting evidence
  */
-function detectSkillProficiencyLevels(text, skills) {
+function detectSkillProficiencyLevels(text, skills, taxonomy = getSkillsTaxonomy(), skillExperience = {}) {
     const skillLevels = {};
-    const lowerText = text.toLowerCase();
     
     // Define contextual markers for different proficiency levels
     const proficiencyMarkers = {
@@ -316,27 +274,29 @@ function detectSkillProficiencyLevels(text, skills) {
     // Analysis window size (characters before and after skill mention)
     const windowSize = 100;
     
+    // Every mention of every skill, under any of its spellings
+    const skillMentions = matchSkills(text, taxonomy);
+    
+    // Work history section, used to relate years of experience to skills
+    const workExperienceSection = getSectionText(segmentResume(text), "experience");
+    const workExpText = workExperienceSection.toLowerCase();
+    const workExpMentions = workExpText ? matchSkills(workExperienceSection, taxonomy) : {};
+    
     for (const skill of skills) {
         // Skip skills not mentioned in the text
-        if (!lowerText.includes(skill)) continue;
+        const mentions = skillMentions[skill] || [];
+        if (mentions.length === 0) continue;
         
         let level = 'intermediate'; // Default level
         let evidence = [];
         let contextualScore = 0; // -10 to +10 scale, negative = beginner, positive = expert
         
-        // Find all occurrences of the skill in the text
-        let lastIndex = 0;
-        let index;
-        const skillContexts = [];
-        
-        // Find all instances of the skill and its surrounding context
-        while ((index = lowerText.indexOf(skill, lastIndex)) !== -1) {
-            const contextStart = Math.max(0, index - windowSize);
-            const contextEnd = Math.min(lowerText.length, index + skill.length + windowSize);
-            const context = lowerText.substring(contextStart, contextEnd);
-            skillContexts.push(context);
-            lastIndex = index + skill.length;
-        }
+        // Collect the surrounding context of every mention of the skill
+        const skillContexts = mentions.map(mention => {
+            const contextStart = Math.max(0, mention.start - windowSize);
+            const contextEnd = Math.min(text.length, mention.end + windowSize);
+            return text.substring(contextStart, contextEnd).toLowerCase();
+        });
         
         // No contexts found (shouldn't happen since we already checked if skill is in text)
         if (skillContexts.length === 0) {
@@ -402,7 +362,7 @@ function detectSkillProficiencyLevels(text, skills) {
             }
             
             // Check if there's certification mention near the skill
-            if (context.includes('certif') && context.includes(skill)) {
+            if (context.includes('certif')) {
                 evidence.push(`Certification mentioned for ${skill}`);
                 contextualScore += 3;
             }
@@ -415,42 +375,49 @@ function detectSkillProficiencyLevels(text, skills) {
             }
             
             // Check for teaching or mentoring others
-            if ((context.includes('teach') || context.includes('mentor') || 
-                 context.includes('train') || context.includes('coach')) && 
-                context.includes(skill)) {
+            if (context.includes('teach') || context.includes('mentor') || 
+                context.includes('train') || context.includes('coach')) {
                 evidence.push(`Taught or mentored others in ${skill}`);
                 contextualScore += 3;
             }
         }
         
         // Consider employment duration with this skill from job history
-        const workExperienceSection = text.match(/(?:work\s+experience|employment|professional\s+experience|work\s+history)[:\s]+([\s\S]+?)(?=education|skills|certification|language|hobbies|\n\s*\n|$)/i);
-        
-        if (workExperienceSection && workExperienceSection[1]) {
-            const workExpText = workExperienceSection[1].toLowerCase();
-            if (workExpText.includes(skill)) {
-                // Check for years of experience with this skill
-                const yearsRegex = /(\d+)[\+]?\s*(?:years?|yrs?)/gi;
-                let yearsMatch;
+        if (workExpMentions[skill]) {
+            // Check for years of experience with this skill
+            const yearsRegex = /(\d+)[\+]?\s*(?:years?|yrs?)/gi;
+            let yearsMatch;
+            
+            while ((yearsMatch = yearsRegex.exec(workExpText)) !== null) {
+                // Only consider year mentions within reasonable proximity to the skill
+                const matchIndex = yearsMatch.index;
+                const skillIndexInExp = workExpMentions[skill][0].start;
                 
-                while ((yearsMatch = yearsRegex.exec(workExpText)) !== null) {
-                    // Only consider year mentions within reasonable proximity to the skill
-                    const matchIndex = yearsMatch.index;
-                    const skillIndexInExp = workExpText.indexOf(skill);
+                if (Math.abs(matchIndex - skillIndexInExp) < 150) {
+                    const years = parseInt(yearsMatch[1]);
+                    evidence.push(`Approximately ${years} years of experience with ${skill} based on work history`);
                     
-                    if (Math.abs(matchIndex - skillIndexInExp) < 150) {
-                        const years = parseInt(yearsMatch[1]);
-                        evidence.push(`Approximately ${years} years of experience with ${skill} based on work history`);
-                        
-                        // Adjust score based on years of experience
-                        if (years >= 5) contextualScore += 3;
-                        else if (years >= 3) contextualScore += 2;
-                        else if (years >= 1) contextualScore += 1;
-                    }
+                    // Adjust score based on years of experience
+                    if (years >= 5) contextualScore += 3;
+                    else if (years >= 3) contextualScore += 2;
+                    else if (years >= 1) contextualScore += 1;
                 }
             }
         }
         
+        // Consider how long the skill was used across the roles that mention it
+        const usage = skillExperience[skill];
+        if (usage && usage.months > 0) {
+            const firstYear = usage.firstUsed.getFullYear();
+            const lastYear = usage.lastUsed.getFullYear();
+            const span = firstYear === lastYear ? `${firstYear}` : `${firstYear}-${lastYear}`;
+            evidence.unshift(`Used for ${usage.years} years in ${usage.roles.length} role${usage.roles.length === 1 ? "" : "s"}, ${span}`);
+            
+            if (usage.years >= 5) contextualScore += 3;
+            else if (usage.years >= 3) contextualScore += 2;
+            else if (usage.years >= 1) contextualScore += 1;
+        }
+        
         // Determine final level based on contextual score
         if (contextualScore >= 4) {
             level = 'expert';
@@ -475,74 +442,39 @@ function detectSkillProficiencyLevels(text, skills) {
     return skillLevels;
 }
 
-// Extract education information with BERT-like understanding
-function extractEducation(text) {
-    const lowerText = text.toLowerCase();
-    const degrees = [
-        "bachelor", "master", "phd", "doctorate", "bs", "ba", "ms", "ma", "mba", "bsc", "btech", "mtech", 
-        "b.s.", "m.s.", "b.a.", "m.a.", "ph.d.", "b.tech", "m.tech", "b.e.", "m.e.", "associate", "diploma"
-    ];
+// Extract the degrees listed in a resume, highest level first
+function extractEducation(text, bertLike = useBERTLikeAnalysis) {
+    // BERT-like mode reads each degree's field from its own lines ("BS in CS from Stanford");
+    // basic mode counts every field named in the education section for every degree
+    const records = extractEducationRecords(text, { contextual: bertLike });
+    const levels = [...new Set(records.map(record => record.level))]
+        .sort((a, b) => DEGREE_LEVELS.indexOf(b) - DEGREE_LEVELS.indexOf(a));
+    const fields = [...new Set(records.flatMap(record => record.fields))];
     
-    const fields = [
-        "computer science", "software engineering", "information technology", "data science", 
-        "computer engineering", "electrical engineering", "mathematics", "statistics", 
-        "information systems", "cybersecurity", "artificial intelligence", "machine learning"
-    ];
+    return {
+        hasDegree: records.length > 0,
+        degreeLevel: levels,
+        highestLevel: levels[0] || null,
+        relevantField: fields.length > 0,
+        fieldOfStudy: fields,
+        records
+    };
+}
+
+// Extract the degree a job description asks for
+function extractRequiredEducation(text) {
+    const requirement = extractEducationRequirement(text);
     
-    if (useBERTLikeAnalysis) {
-        // A BERT-like approach would handle education differently
-        // It would understand that "BS in CS from Stanford" refers to a Bachelor of Science in Computer Science
-        // This is a simplified implementation
-        
-        let foundDegrees = [];
-        let foundFields = [];
-        
-        // More contextual degree detection
-        for (const degree of degrees) {
-            if (lowerText.includes(degree)) {
-                foundDegrees.push(degree);
-                
-                // Look for field near degree mention
-                const degreeIndex = lowerText.indexOf(degree);
-                const nearbyText = lowerText.substring(Math.max(0, degreeIndex - 30), 
-                                                      Math.min(lowerText.length, degreeIndex + 100));
-                
-                for (const field of fields) {
-                    if (nearbyText.includes(field)) {
-                        foundFields.push(field);
-                    }
-                }
-            }
-        }
-        
-        // Additional pass for fields not directly adjacent to degree mentions
-        if (foundDegrees.length > 0 && foundFields.length === 0) {
-            foundFields = fields.filter(field => lowerText.includes(field));
-        }
-        
-        return {
-            hasDegree: foundDegrees.length > 0,
-            degreeLevel: [...new Set(foundDegrees)],
-            relevantField: foundFields.length > 0,
-            fieldOfStudy: [...new Set(foundFields)]
-        };
-    } else {
-        // Original simpler implementation
-        const foundDegrees = degrees.filter(degree => lowerText.includes(degree));
-        const foundFields = fields.filter(field => lowerText.includes(field));
-        
-        return {
-            hasDegree: foundDegrees.length > 0,
-            degreeLevel: foundDegrees,
-            relevantField: foundFields.length > 0,
-            fieldOfStudy: foundFields
-        };
-    }
+    return {
+        ...requirement,
+        degreeLevel: requirement.levels,
+        relevantField: requirement.fieldOfStudy.length > 0
+    };
 }
 
 // Extract experience level with improved contextual understanding
-function extractExperienceYears(text) {
-    if (useBERTLikeAnalysis) {
+function extractExperienceYears(text, bertLike = useBERTLikeAnalysis) {
+    if (bertLike) {
         // More sophisticated regex patterns to understand various experience mentions
         const experiencePatterns = [
             /(\d+)[\+]?\s*(?:years?|yrs?)\s+(?:of)?\s*(?:experience|work)/i,
@@ -566,7 +498,7 @@ function extractExperienceYears(text) {
 }
 
 // Extract soft skills with contextual understanding
-function extractSoftSkills(text) {
+function extractSoftSkills(text, bertLike = useBERTLikeAnalysis) {
     const softSkills = [
         "communication", "teamwork", "leadership", "problem-solving", "critical thinking", 
         "time management", "adaptability", "creativity", "collaboration", "emotional intelligence",
@@ -577,7 +509,7 @@ function extractSoftSkills(text) {
     
     const lowerText = text.toLowerCase();
     
-    if (useBERTLikeAnalysis) {
+    if (bertLike) {
         // A BERT-like approach would infer soft skills from context
         // For example, "led a team of five engineers" indicates leadership skills
         // This is a simplified version of that capability
@@ -613,7 +545,7 @@ function extractSoftSkills(text) {
 }
 
 // Extract job titles/positions
-function extractJobTitles(text) {
+function extractJobTitles(text, bertLike = useBERTLikeAnalysis) {
     const titles = [
         "software engineer", "software developer", "frontend developer", "backend developer", 
         "full stack developer", "web developer", "data scientist", "data engineer", 
@@ -625,7 +557,7 @@ function extractJobTitles(text) {
     
     const lowerText = text.toLowerCase();
     
-    if (useBERTLikeAnalysis) {
+    if (bertLike) {
         // BERT would understand titles in context
         // For example, it would recognize "I worked as a Senior Software Engineer at Google"
         // This is a simplified implementation
@@ -671,134 +603,33 @@ function analyzeEmploymentHistory(text) {
     const lowerText = text.toLowerCase();
     
     // Check if the resume has a work experience section
-    let workSection = "";
-    const workSectionMatch = text.match(/(?:work\s+experience|employment|professional\s+experience|work\s+history)[:\s]+([\s\S]+?)(?=education|skills|certification|language|hobbies|\n\s*\n|$)/i);
-    
-    if (workSectionMatch) {
-        workSection = workSectionMatch[1];
-    }
-    
-    // Define month names and abbreviations for date parsing
-    const months = [
-        "january", "february", "march", "april", "may", "june", "july", 
-        "august", "september", "october", "november", "december",
-        "jan", "feb", "mar", "apr", "jun", "jul", "aug", "sep", "sept", "oct", "nov", "dec"
-    ];
-    
-    // Regular expressions for different date formats
-    const datePatterns = [
-        // MM/YYYY - MM/YYYY format
-        /(\d{1,2})\/(\d{4})\s*[-–—to]*\s*(?:(\d{1,2})\/(\d{4})|present|current)/gi,
-        
-        // Month YYYY - Month YYYY format
-        new RegExp(`(${months.join("|")})\\s+(\\d{4})\\s*[-–—to]*\\s*(?:(${months.join("|")})\\s+(\\d{4})|present|current)`, "gi"),
-        
-        // YYYY - YYYY format
-        /(\d{4})\s*[-–—to]*\s*(?:(\d{4})|present|current)/gi,
-        
-        // Month Year to Month Year in sentence format
-        new RegExp(`(?:from|between|since)\\s+(${months.join("|")})\\s+(\\d{4})\\s*(?:to|until|through|[-–—])\\s*(?:(${months.join("|")})\\s+(\\d{4})|present|current)`, "gi")
-    ];
+    const workSection = getSectionText(segmentResume(text), "experience");
     
     // Try direct extraction of employment entries first
     let employmentPeriods = extractStructuredEmploymentEntries(text);
     
-    // If no structured entries were found, use regex patterns
+    // If no structured entries were found, read every date range of the work history
     if (employmentPeriods.length === 0) {
-        // Find all employment periods
-        let match;
-        
         // Prioritize work section for work experience periods
         const textToSearch = workSection || text;
         
-        for (const pattern of datePatterns) {
-            // Reset regex lastIndex to avoid issues with global flag
-            pattern.lastIndex = 0;
+        for (const range of findDateRanges(textToSearch)) {
+            // Check if this might be an education date rather than employment
+            const contextStart = Math.max(0, range.index - 50);
+            const contextEnd = Math.min(textToSearch.length, range.index + range.text.length + 100);
+            const context = textToSearch.substring(contextStart, contextEnd);
             
-            while ((match = pattern.exec(textToSearch)) !== null) {
-                let startDate, endDate;
-                
-                // Handle different date format matches
-                if (match[0].match(/^\d{1,2}\/\d{4}/)) {
-                    // MM/YYYY format
-                    const startMonth = parseInt(match[1]) - 1; // 0-based month
-                    const startYear = parseInt(match[2]);
-                    startDate = new Date(startYear, startMonth);
-                    
-                    if (match[3] && match[4]) {
-                        const endMonth = parseInt(match[3]) - 1;
-                        const endYear = parseInt(match[4]);
-                        endDate = new Date(endYear, endMonth);
-                    } else {
-                        endDate = new Date(); // Present/current
-                    }
-                } else if (months.some(m => match[0].toLowerCase().startsWith(m))) {
-                    // Month YYYY format
-                    const startMonth = getMonthIndex(match[1]);
-                    const startYear = parseInt(match[2]);
-                    startDate = new Date(startYear, startMonth);
-                    
-                    if (match[3] && match[4]) {
-                        const endMonth = getMonthIndex(match[3]);
-                        const endYear = parseInt(match[4]);
-                        endDate = new Date(endYear, endMonth);
-                    } else {
-                        endDate = new Date(); // Present/current
-                    }
-                } else if (match[0].match(/^\d{4}/)) {
-                    // YYYY format (less precise)
-                    const startYear = parseInt(match[1]);
-                    startDate = new Date(startYear, 0); // January of start year
-                    
-                    if (match[2]) {
-                        const endYear = parseInt(match[2]);
-                        endDate = new Date(endYear, 11); // December of end year
-                    } else {
-                        endDate = new Date(); // Present/current
-                    }
-                } else {
-                    // Sentence format with from/to
-                    const startMonth = getMonthIndex(match[1]);
-                    const startYear = parseInt(match[2]);
-                    startDate = new Date(startYear, startMonth);
-                    
-                    if (match[3] && match[4]) {
-                        const endMonth = getMonthIndex(match[3]);
-                        const endYear = parseInt(match[4]);
-                        endDate = new Date(endYear, endMonth);
-                    } else {
-                        endDate = new Date(); // Present/current
-                    }
-                }
-                
-                // Validate dates before adding
-                if (!isNaN(startDate) && !isNaN(endDate) && startDate <= endDate) {
-                    // Check if this might be an education date rather than employment
-                    const contextStart = Math.max(0, match.index - 50);
-                    const contextEnd = Math.min(textToSearch.length, match.index + match[0].length + 100);
-                    const context = textToSearch.substring(contextStart, contextEnd);
-                    
-                    const isEducation = /education|university|college|school|degree|bachelors|masters|phd|graduate/i.test(context);
-                    
-                    // Only add if it's not an education date or we're looking at the work section specifically
-                    if (!isEducation || workSection) {
-                        // Try to extract job title from context
-                        const titleMatch = extractJobTitleFromContext(context);
-                        
-                        // Try to extract company name
-                        const companyMatch = extractCompanyFromContext(context);
-                        
-                        employmentPeriods.push({
-                            startDate,
-                            endDate,
-                            duration: calculateDuration(startDate, endDate),
-                            originalText: match[0],
-                            context,
-                            jobTitle: titleMatch,
-                            company: companyMatch
-                        });
-                    }
-                }
+            const isEducation = /education|university|college|school|degree|bachelors|masters|phd|graduate/i.test(context);
+            
+            // Only add if it's not an education date or we're looking at the work section specifically
+            if (!isEducation || workSection) {
+                employmentPeriods.push({
+                    ...getPeriodDates(range),
+                    originalText: range.text,
+                    context,
+                    jobTitle: extractJobTitleFromContext(context),
+                    company: extractCompanyFromContext(context)
+                });
             }
         }
     }
@@ -826,16 +657,43 @@ function analyzeEmploymentHistory(text) {
     };
 }
 
+// Employment entry header formats, in the order they are tried
+const EMPLOYMENT_LINE_FORMATS = [
+    { name: "pipe", pattern: /^(.+?)\s*\|\s*(.+?)\s*\|\s*(.+)$/ },     // "Position | Company | Dates"
+    { name: "at", pattern: /^(.+?)\s+at\s+(.+?)\s*\((.+?)\)$/i },      // "Position at Company (Dates)"
+    { name: "comma", pattern: /^(.+?),\s*(.+?),\s*(.+)$/ }              // "Position, Company, Dates"
+];
+
+/**
+ * Read one line of the work section as an employment entry header
+ * 
+ * @param {string} line - A line of the work section
+ * @returns {Object|null} - `{ format, entry }` with the name of the first format whose dates could
+ *   be parsed and the parsed entry; `entry` is null when the line has the shape of a format but
+ *   none of its dates could be parsed, and the result is null when no format matched at all
+ */
+function parseEmploymentLine(line) {
+    let matchedFormat = null;
+    for (const { name, pattern } of EMPLOYMENT_LINE_FORMATS) {
+        const match = line.match(pattern);
+        if (!match) continue;
+        
+        const [_, position, company, dateRange] = match;
+        const entry = parseEmploymentEntry(position.trim(), company.trim(), dateRange.trim());
+        if (entry) return { format: name, entry };
+        matchedFormat = matchedFormat || name;
+    }
+    return matchedFormat ? { format: matchedFormat, entry: null } : null;
+}
+
 // Directly extract employment entries from structured formats like "Position | Company | Dates"
 function extractStructuredEmploymentEntries(text) {
     const entries = [];
     
     // Look for work experience section
-    const workSection = text.match(/(?:work\s+experience|employment|professional\s+experience|work\s+history)[:\s]+([\s\S]+?)(?=education|skills|certification|language|hobbies|\n\s*\n|$)/i);
+    const workText = getSectionText(segmentResume(text), "experience");
     
-    if (workSection) {
-        const workText = workSection[1];
-        
+    if (workText) {
         // Split into potential job entries by newlines and group them
         const lines = workText.split('\n').filter(line => line.trim().length > 0);
         
@@ -848,39 +706,9 @@ function extractStructuredEmploymentEntries(text) {
                 continue;
             }
             
-            // Try to match common job entry formats
-            
-            // Format: "Position | Company | Dates"
-            const pipeFormat = line.match(/^(.+?)\s*\|\s*(.+?)\s*\|\s*(.+)$/);
-            if (pipeFormat) {
-                const [_, position, company, dateRange] = pipeFormat;
-                const entry = parseEmploymentEntry(position.trim(), company.trim(), dateRange.trim());
-                if (entry) {
-                    entries.push(entry);
-                    continue;
-                }
-            }
-            
-            // Format: "Position at Company (Dates)"
-            const atFormat = line.match(/^(.+?)\s+at\s+(.+?)\s*\((.+?)\)$/i);
-            if (atFormat) {
-                const [_, position, company, dateRange] = atFormat;
-                const entry = parseEmploymentEntry(position.trim(), company.trim(), dateRange.trim());
-                if (entry) {
-                    entries.push(entry);
-                    continue;
-                }
-            }
-            
-            // Format: "Position, Company, Dates"
-            const commaFormat = line.match(/^(.+?),\s*(.+?),\s*(.+)$/);
-            if (commaFormat) {
-                const [_, position, company, dateRange] = commaFormat;
-                const entry = parseEmploymentEntry(position.trim(), company.trim(), dateRange.trim());
-                if (entry) {
-                    entries.push(entry);
-                    continue;
-                }
+            const parsed = parseEmploymentLine(line);
+            if (parsed && parsed.entry) {
+                entries.push(parsed.entry);
             }
         }
     }
@@ -961,18 +789,6 @@ function deduplicateEmploymentPeriods(periods) {
     return deduplicated;
 }
 
-// Helper function to get month index from name or abbreviation
-function getMonthIndex(monthStr) {
-    const months = {
-        "january": 0, "february": 1, "march": 2, "april": 3, "may": 4, "june": 5,
-        "july": 6, "august": 7, "september": 8, "october": 9, "november": 10, "december": 11,
-        "jan": 0, "feb": 1, "mar": 2, "apr": 3, "jun": 5, "jul": 6, 
-        "aug": 7, "sep": 8, "sept": 8, "oct": 9, "nov": 10, "dec": 11
-    };
-    
-    return months[monthStr.toLowerCase()] || 0;
-}
-
 // Helper function to extract job title from context
 function extractJobTitleFromContext(context) {
     const lowerContext = context.toLowerCase();
@@ -1020,6 +836,18 @@ function calculateDuration(startDate, endDate) {
     return yearDiff * 12 + monthDiff;
 }
 
+// Dates, duration and date precision of an employment period from a parsed date range
+function getPeriodDates(range) {
+    return {
+        startDate: range.startDate,
+        endDate: range.endDate,
+        current: range.current,
+        duration: calculateDuration(range.startDate, range.endDate),
+        precision: range.precision,
+        uncertaintyMonths: range.uncertaintyMonths
+    };
+}
+
 // Helper function to calculate total experience considering overlaps
 function calculateTotalExperience(employmentPeriods) {
     if (employmentPeriods.length === 0) return 0;
@@ -1047,6 +875,8 @@ function calculateTotalExperience(employmentPeriods) {
 }
 
 // Helper function to identify gaps in career history
+// Year-only dates end a period in December and start one in January, so a gap is never
+// overstated; `maxDurationMonths` is how long it may really be
 function identifyCareerGaps(employmentPeriods) {
     if (employmentPeriods.length <= 1) return [];
     
@@ -1057,6 +887,7 @@ function identifyCareerGaps(employmentPeriods) {
     for (let i = 0; i < sortedPeriods.length - 1; i++) {
         const currentPeriodEnd = sortedPeriods[i].endDate;
         const nextPeriodStart = sortedPeriods[i + 1].startDate;
+        const uncertainty = sortedPeriods[i].uncertaintyMonths.end + sortedPeriods[i + 1].uncertaintyMonths.start;
         
         // Consider gaps of 3+ months significant
         const gapDuration = calculateDuration(currentPeriodEnd, nextPeriodStart);
@@ -1064,7 +895,9 @@ function identifyCareerGaps(employmentPeriods) {
             gaps.push({
                 startDate: currentPeriodEnd,
                 endDate: nextPeriodStart,
-                durationMonths: gapDuration
+                durationMonths: gapDuration,
+                maxDurationMonths: gapDuration + uncertainty,
+                approximate: uncertainty > 0
             });
         }
     }
@@ -1169,51 +1002,16 @@ function analyzeCareerProgression(employmentPeriods) {
 
 // Helper to parse employment entry components into a structured object
 function parseEmploymentEntry(position, company, dateRange) {
-    // Match various date formats in the date range string
-    const dateMatch = dateRange.match(/((?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+\d{4}|(?:\d{1,2}\/\d{4}))\s*(?:[-–—to]*)\s*((?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+\d{4}|(?:\d{1,2}\/\d{4})|present|current)/i);
-    
-    if (!dateMatch) return null;
+    const range = parseDateRange(dateRange);
+    if (!range) return null;
     
-    const startDateStr = dateMatch[1];
-    const endDateStr = dateMatch[2] || "present";
-    
-    let startDate, endDate;
-    
-    // Parse start date
-    if (startDateStr.match(/^\d{1,2}\/\d{4}$/)) {
-        const [month, year] = startDateStr.split('/');
-        startDate = new Date(parseInt(year), parseInt(month) - 1);
-    } else {
-        const parts = startDateStr.trim().split(/\s+/);
-        const month = getMonthIndex(parts[0]);
-        const year = parseInt(parts[1]);
-        startDate = new Date(year, month);
-    }
-    
-    // Parse end date
-    if (endDateStr.match(/present|current/i)) {
-        endDate = new Date(); // Current date
-    } else if (endDateStr && endDateStr.match(/^\d{1,2}\/\d{4}$/)) {
-        const [month, year] = endDateStr.split('/');
-        endDate = new Date(parseInt(year), parseInt(month) - 1);
-    } else if (endDateStr) {
-        const parts = endDateStr.trim().split(/\s+/);
-        const month = getMonthIndex(parts[0]);
-        const year = parseInt(parts[1]);
-        endDate = new Date(year, month);
-    } else {
-        endDate = new Date(); // Default to current date if end date is missing
-    }
-    
-    // Validate dates
-    if (isNaN(startDate) || isNaN(endDate) || startDate > endDate) {
+    // A role with a single date has nothing else in its dates, unlike "Mid 2016 - Late 2017"
+    if (range.single && dateRange.replace(range.text, "").replace(/[\s()[\],.;:]/g, "") !== "") {
         return null;
     }
     
     return {
-        startDate,
-        endDate,
-        duration: calculateDuration(startDate, endDate),
+        ...getPeriodDates(range),
         originalText: `${position} | ${company} | ${dateRange}`,
         context: `${position} at ${company} from ${dateRange}`,
         jobTitle: position,
@@ -1221,147 +1019,456 @@ function parseEmploymentEntry(position, company, dateRange) {
     };
 }
 
-// Let's run a test function specifically for our sample resume to ensure we extract all positions
-function testExtractionWithSampleResume() {
-    // Parse work experience section with a better regex that handles multiline content
-    const workRegex = /WORK EXPERIENCE:([\s\S]+?)EDUCATION:/i;
-    const workMatch = candidateResume.match(workRegex);
-    
-    if (!workMatch || !workMatch[1]) {
-        return [];
+// Attach to each employment period the lines written under its header, usually its bullets
+function attachPeriodDescriptions(resumeText, periods) {
+    const lines = resumeText.split("\n");
+    const headerLines = periods.map(period => lines.findIndex(line =>
+        line.includes(period.originalText) ||
+        (period.jobTitle && period.company && line.includes(period.jobTitle) && line.includes(period.company))
+    ));
+    
+    periods.forEach((period, index) => {
+        const description = [];
+        if (headerLines[index] !== -1) {
+            for (let lineIndex = headerLines[index] + 1; lineIndex < lines.length; lineIndex++) {
+                const line = lines[lineIndex].trim();
+                if (!line || headerLines.includes(lineIndex) || isSectionHeading(line)) break;
+                description.push(line);
+            }
+        }
+        period.description = description.join("\n");
+    });
+    
+    return periods;
+}
+
+// Run the career chronology analysis for a resume
+function extractEmploymentAnalysis(resumeText) {
+    const analysis = analyzeEmploymentHistory(resumeText);
+    attachPeriodDescriptions(resumeText, analysis.employmentPeriods);
+    return analysis;
+}
+
+// Claimed and computed experience differing by this many years or more is flagged
+const EXPERIENCE_DISCREPANCY_YEARS = 2;
+
+/**
+ * Reconcile the experience a resume claims with its employment history
+ * 
+ * Dated roles are the evidence: their total (overlaps counted once) is used whenever the
+ * history could be parsed, and the claimed figure ("5+ years of experience") only when no
+ * dated role was found. A claim that differs from the history by two years or more is flagged.
+ * 
+ * @param {number} claimedYears - Years stated in the resume, 0 when none
+ * @param {Object[]} employmentPeriods - Employment periods from the chronology analysis
+ * @param {Object[]} [relevantPeriods] - Only count these periods towards `years`
+ * @returns {Object} - `{ years, source, claimedYears, computedYears, relevantYears, discrepancyYears }`
+ *   where `source` is "chronology", "claimed" or "none" and `discrepancyYears` is claimed minus
+ *   computed when flagged, otherwise null
+ */
+function reconcileExperience(claimedYears, employmentPeriods, relevantPeriods = null) {
+    const computedYears = roundYears(calculateTotalExperience(employmentPeriods) / 12);
+    const relevantYears = relevantPeriods ? roundYears(calculateTotalExperience(relevantPeriods) / 12) : null;
+    const difference = claimedYears - computedYears;
+    
+    let years = 0;
+    let source = "none";
+    if (employmentPeriods.length > 0) {
+        years = relevantPeriods ? relevantYears : computedYears;
+        source = "chronology";
+    } else if (claimedYears > 0) {
+        years = claimedYears;
+        source = "claimed";
     }
     
-    const workSection = workMatch[1].trim();
+    return {
+        years,
+        source,
+        claimedYears,
+        computedYears,
+        relevantYears,
+        discrepancyYears: claimedYears > 0 && employmentPeriods.length > 0 && Math.abs(difference) >= EXPERIENCE_DISCREPANCY_YEARS
+            ? roundYears(difference)
+            : null
+    };
+}
+
+// Round a number of years to one decimal
+function roundYears(years) {
+    return parseFloat(years.toFixed(1));
+}
+
+// Shape employment analysis results for reports (earliest position first)
+// A role's `durationMonths` is the longest it can have lasted given the precision of its dates,
+// `minDurationMonths` the shortest
+function summarizeChronology(employmentAnalysis) {
+    const chronologicalPeriods = [...employmentAnalysis.employmentPeriods].sort((a, b) => a.startDate - b.startDate);
     
-    // Direct parsing of pipe-delimited job entries
-    const entries = [];
+    return {
+        totalExperienceYears: parseFloat(employmentAnalysis.totalExperienceYears),
+        employmentPeriods: chronologicalPeriods.map(period => ({
+            jobTitle: period.jobTitle || null,
+            company: period.company || null,
+            startDate: period.startDate,
+            endDate: period.endDate,
+            current: Boolean(period.current),
+            precision: period.precision,
+            durationMonths: period.duration,
+            minDurationMonths: Math.max(0, period.duration - period.uncertaintyMonths.start - period.uncertaintyMonths.end),
+            description: period.description || ""
+        })),
+        careerGaps: employmentAnalysis.careerGaps,
+        careerProgression: employmentAnalysis.careerProgression
+    };
+}
+
+// Skills taxonomy for an analysis, with taxonomy file problems reported as analysis errors
+function loadSkillsTaxonomy(options) {
+    try {
+        return getSkillsTaxonomy({ skillsFile: options.skillsFile });
+    } catch (error) {
+        if (!(error instanceof SkillsTaxonomyError)) throw error;
+        throw new AnalysisError(error.message, error.code);
+    }
+}
+
+/**
+ * Structured extraction of a resume without scoring it against a job description
+ * 
+ * @param {string} resumeText - The candidate's resume
+ * @param {Object} [options]
+ * @param {string} [options.mode] - "bert" for contextual analysis, "basic" for plain keyword matching
+ * @param {string} [options.skillsFile] - JSON/YAML file extending the skills taxonomy
+ * @param {Object} [options.extraction] - Document conversion details to echo in the result
+ * @returns {Object} - The resume's `sections` with their offsets, `contact` details, skills with
+ *   proficiencies and time used (`skillExperience`), education, experience (`experienceYears`
+ *   reconciled from the employment history, details in `experience`), chronology, soft skills
+ *   and titles
+ * @throws {AnalysisError} - When the resume is empty
+ */
+function parseResume(resumeText, options = {}) {
+    const bertLike = options.mode ? options.mode === "bert" : useBERTLikeAnalysis;
+    const inputError = getInputError(resumeText, "Resume");
+    if (inputError) {
+        throw new AnalysisError(inputError, "INVALID_INPUT");
+    }
     
-    // Split by newlines and find job entries (lines with two pipe characters)
-    const lines = workSection.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+    const taxonomy = loadSkillsTaxonomy(options);
+    const skillMentions = findTechnicalSkills(resumeText, bertLike, taxonomy);
+    const technicalSkills = Object.keys(skillMentions);
+    const employmentAnalysis = extractEmploymentAnalysis(resumeText);
+    const experience = reconcileExperience(extractExperienceYears(resumeText, bertLike), employmentAnalysis.employmentPeriods);
+    const skillExperience = computeSkillExperience(employmentAnalysis.employmentPeriods, taxonomy);
     
-    for (const line of lines) {
-        // Skip bullet points
-        if (line.startsWith('-') || line.startsWith('•') || line.startsWith('*')) {
-            continue;
-        }
-        
-        // Job entries have format: "Title | Company | Date Range"
-        const parts = line.split('|');
-        
-        if (parts.length === 3) {
-            const position = parts[0].trim();
-            const company = parts[1].trim();
-            const dateRange = parts[2].trim();
-            
-            // Extract dates
-            const dateRegex = /(January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+(\d{4})\s*[-–—to]*\s*(Present|Current|(January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+(\d{4}))/i;
-            
-            const dateMatch = dateRange.match(dateRegex);
-            
-            if (dateMatch) {
-                let startDate, endDate;
-                
-                // Parse start date
-                const startMonth = getMonthIndex(dateMatch[1]);
-                const startYear = parseInt(dateMatch[2]);
-                startDate = new Date(startYear, startMonth);
-                
-                // Parse end date
-                if (dateMatch[3].match(/present|current/i)) {
-                    endDate = new Date(); // Current date
-                } else {
-                    const endMonth = getMonthIndex(dateMatch[4]);
-                    const endYear = parseInt(dateMatch[5]);
-                    endDate = new Date(endYear, endMonth);
-                }
-                
-                // Add to entries if valid
-                if (!isNaN(startDate) && !isNaN(endDate) && startDate <= endDate) {
-                    entries.push({
-                        startDate,
-                        endDate,
-                        duration: calculateDuration(startDate, endDate),
-                        originalText: line,
-                        context: line,
-                        jobTitle: position,
-                        company: company
-                    });
-                }
-            }
-        }
+    return {
+        sections: getSectionMap(segmentResume(resumeText)),
+        contact: extractContactInfo(resumeText),
+        technicalSkills,
+        skillMentions,
+        skillExperience,
+        proficiencies: detectSkillProficiencyLevels(resumeText, technicalSkills, taxonomy, skillExperience),
+        education: extractEducation(resumeText, bertLike),
+        experienceYears: experience.years,
+        experience,
+        chronology: summarizeChronology(employmentAnalysis),
+        impact: analyzeImpact(employmentAnalysis.employmentPeriods),
+        softSkills: extractSoftSkills(resumeText, bertLike),
+        jobTitles: extractJobTitles(resumeText, bertLike),
+        extraction: options.extraction || null
+    };
+}
+
+/**
+ * Structured extraction of a job description's requirements
+ * 
+ * @param {string} jobDescriptionText - The job description
+ * @param {Object} [options]
+ * @param {string} [options.mode] - "bert" for contextual analysis, "basic" for plain keyword matching
+ * @param {string} [options.skillsFile] - JSON/YAML file extending the skills taxonomy
+ * @returns {Object} - Required skills with their requirement levels and minimum years, the
+ *   classified requirements, education, years of experience, soft skills, titles and keywords
+ * @throws {AnalysisError} - When the job description is empty
+ */
+function parseJobDescription(jobDescriptionText, options = {}) {
+    const bertLike = options.mode ? options.mode === "bert" : useBERTLikeAnalysis;
+    const inputError = getInputError(jobDescriptionText, "Job Description");
+    if (inputError) {
+        throw new AnalysisError(inputError, "INVALID_INPUT");
     }
     
-    // Sort by start date (most recent first)
-    entries.sort((a, b) => b.startDate - a.startDate);
+    const skillMentions = findTechnicalSkills(jobDescriptionText, bertLike, loadSkillsTaxonomy(options));
+    const requirements = classifyRequirements(jobDescriptionText);
     
-    return entries;
+    return {
+        technicalSkills: Object.keys(skillMentions),
+        skillMentions,
+        skillRequirementLevels: getSkillRequirementLevels(requirements, skillMentions),
+        skillYearRequirements: extractSkillYearRequirements(jobDescriptionText, skillMentions),
+        requirements,
+        education: extractRequiredEducation(jobDescriptionText),
+        experienceYears: extractExperienceYears(jobDescriptionText, bertLike),
+        softSkills: extractSoftSkills(jobDescriptionText, bertLike),
+        jobTitles: extractJobTitles(jobDescriptionText, bertLike),
+        keywords: [...new Set(extractKeywords(jobDescriptionText))]
+    };
 }
 
-// Advanced Function to compute ATS Score
-async function computeATSScore() {
+// Weight of each dimension in the overall ATS score under the built-in default profile; a profiles
+// file (ATS_PROFILES_FILE) is only read when an analysis resolves its profile, so a bad one is
+// reported as a ScoringProfileError instead of failing to load this module
+const SCORE_WEIGHTS = { ...BUILT_IN_PROFILES[DEFAULT_PROFILE].weights };
+
+// Round a score to two decimals for reporting
+function roundScore(value) {
+    return parseFloat(value.toFixed(2));
+}
+
+/**
+ * Analyze a resume against a job description and return a structured report
+ * 
+ * This is the programmatic entry point of the ATS checker. Nothing is printed; callers
+ * that want to follow the analysis can pass an `onProgress` callback which receives
+ * `{ stage, message }` events as each dimension is evaluated.
+ * 
+ * @param {string} resumeText - The candidate's resume
+ * @param {string} jobDescriptionText - The job description to match against
+ * @param {Object} [options]
+ * @param {string} [options.mode] - "bert" for contextual analysis, "basic" for plain keyword matching
+ * @param {Function} [options.onProgress] - Called with a progress event for each analysis stage
+ * @param {Object} [options.embedding] - Embedding provider configuration, see embeddings/index.js
+ * @param {string|Object} [options.profile] - Scoring profile name, or an inline profile; see scoring-profiles.js
+ * @param {string} [options.profilesFile] - JSON/YAML file with additional scoring profiles
+ * @param {string} [options.skillsFile] - JSON/YAML file extending the skills taxonomy
+ * @param {boolean} [options.relevantExperienceOnly] - Only count roles that mention a skill or title
+ *   from the job description towards the candidate's years of experience
+ * @param {boolean} [options.blind] - Blind screening: redact identifying and bias-prone details
+ *   before scoring, see redaction.js; the report then holds only the redacted resume
+ * @param {boolean} [options.redactSchools] - In blind screening, also redact school names
+ * @param {Function} [options.onRedaction] - In blind screening, called with the redaction map
+ *   `{ redactions, counts }`, which is kept out of the report
+ * @param {Object} [options.extraction] - `{ format, warnings, pageCount? }` from converting the resume
+ *   document to text, echoed in the report so extraction problems are visible alongside the scores
+ * @returns {Promise<Object>} - Every sub-score plus the extracted details and feedback items
+ * @throws {AnalysisError} - When an input is empty, the scoring profile or skills taxonomy is
+ *   invalid, or embeddings cannot be fetched and the offline fallback is disabled
+ */
+async function analyzeResume(resumeText, jobDescriptionText, options = {}) {
     // Validate inputs first
-    if (!validateInput(jobDescription, "Job Description") || !validateInput(candidateResume, "Resume")) {
-        return;
+    const inputError = getInputError(resumeText, "Resume") || getInputError(jobDescriptionText, "Job Description");
+    if (inputError) {
+        throw new AnalysisError(inputError, "INVALID_INPUT");
     }
+    
+    const resume = await prepareResume(resumeText, options);
+    return scoreResume(resume, jobDescriptionText, options);
+}
+
+// Progress reporter passing `{ stage, message }` events to the caller's onProgress, if any
+function createProgressEmitter(options) {
+    return (stage, message) => {
+        if (typeof options.onProgress === "function") {
+            options.onProgress({ stage, message });
+        }
+    };
+}
 
-    console.log("Starting ATS analysis...");
-    console.log("Using BERT-like contextual analysis similar to enterprise ATS systems");
+/**
+ * The resume side of the analysis: everything that does not depend on the job description
+ * 
+ * A prepared resume can be scored against any number of job descriptions with scoreResume, so
+ * matching one resume against many jobs extracts its skills, proficiencies and employment
+ * history and embeds its evidence only once (see job-matcher.js).
+ * 
+ * @param {string} resumeText - The candidate's resume
+ * @param {Object} [options] - `mode`, `profile`, `profilesFile`, `skillsFile`, `embedding`, `blind`,
+ *   `redactSchools`, `onRedaction` and `onProgress`, as for analyzeResume
+ * @returns {Promise<Object>} - The prepared resume, for scoreResume
+ * @throws {AnalysisError} - When the resume is empty, the scoring profile or skills taxonomy is
+ *   invalid, or embeddings cannot be fetched and the offline fallback is disabled
+ */
+async function prepareResume(resumeText, options = {}) {
+    const bertLike = options.mode ? options.mode === "bert" : useBERTLikeAnalysis;
+    const emitProgress = createProgressEmitter(options);
     
-    // 1. Semantic similarity using embeddings (35% of score)
-    console.log("Calculating semantic similarity...");
-    const resumeEmbedding = await getEmbedding(candidateResume);
-    const jdEmbedding = await getEmbedding(jobDescription);
+    const inputError = getInputError(resumeText, "Resume");
+    if (inputError) {
+        throw new AnalysisError(inputError, "INVALID_INPUT");
+    }
 
-    if (!resumeEmbedding || !jdEmbedding) {
-        console.error("Could not fetch embeddings. Exiting...");
-        return;
+    let profile;
+    try {
+        profile = resolveScoringProfile(options.profile, { profilesFile: options.profilesFile });
+    } catch (error) {
+        if (!(error instanceof ScoringProfileError)) throw error;
+        throw new AnalysisError(error.message, error.code);
+    }
+    const taxonomy = loadSkillsTaxonomy(options);
+    
+    // Blind screening: everything below only ever sees the redacted resume
+    let blindScreening = null;
+    if (options.blind) {
+        const redaction = redactResume(resumeText, { redactSchools: options.redactSchools });
+        resumeText = redaction.text;
+        blindScreening = { redactSchools: Boolean(options.redactSchools), counts: redaction.counts, resume: redaction.text };
+        if (typeof options.onRedaction === "function") {
+            options.onRedaction({ redactions: redaction.redactions, counts: redaction.counts });
+        }
+        emitProgress("redaction", `Blind screening: redacted ${redaction.redactions.length} identifying details before scoring...`);
     }
 
-    const semanticSimilarity = cosineSimilarity(resumeEmbedding, jdEmbedding) * 100;
+    emitProgress("start", bertLike
+        ? "Starting ATS analysis using BERT-like contextual analysis similar to enterprise ATS systems..."
+        : "Starting ATS analysis using basic keyword analysis...");
     
-    // 2. Keyword matching (20% of score)
-    console.log("Analyzing keyword matches...");
-    const jdKeywords = extractKeywords(jobDescription);
-    const resumeKeywords = extractKeywords(candidateResume);
-    const keywordMatchScore = calculateKeywordMatch(jdKeywords, resumeKeywords);
+    // Resume bullets are embedded here, once; each job description only embeds its requirements
+    emitProgress("evidence", "Embedding resume evidence...");
+    let evidence;
+    try {
+        evidence = await embedEvidence(resumeText, options.embedding);
+    } catch (error) {
+        if (!(error instanceof EmbeddingError)) throw error;
+        throw new AnalysisError(error.message, error.code);
+    }
     
-    // 3. Technical skills matching (20% of score)
-    console.log("Identifying technical skills match...");
-    const jdSkills = extractTechnicalSkills(jobDescription);
-    const resumeSkills = extractTechnicalSkills(candidateResume);
-    const skillsFound = jdSkills.filter(skill => resumeSkills.includes(skill));
+    emitProgress("resume", "Extracting skills, proficiencies and employment history from the resume...");
+    const skillMentions = findTechnicalSkills(resumeText, bertLike, taxonomy);
+    const skills = Object.keys(skillMentions);
     
-    // 3.1 Skill proficiency level detection
-    console.log("Analyzing skill proficiency levels...");
-    const skillProficiencies = detectSkillProficiencyLevels(candidateResume, resumeSkills);
+    // Skill proficiency level detection, informed by how long each skill was used
+    const employmentAnalysis = extractEmploymentAnalysis(resumeText);
+    const skillExperience = computeSkillExperience(employmentAnalysis.employmentPeriods, taxonomy);
+    // A narrower skill also covers its parents: Lambda or ECS experience is AWS experience
+    const impliedSkills = getImpliedSkills(taxonomy, skills);
     
-    // 3.2 Calculate weighted skill match score based on proficiency levels
+    return {
+        text: resumeText,
+        bertLike,
+        profile,
+        taxonomy,
+        blindScreening,
+        evidence,
+        keywords: extractKeywords(resumeText),
+        skillMentions,
+        skills,
+        impliedSkills,
+        employmentAnalysis,
+        skillExperience,
+        skillProficiencies: detectSkillProficiencyLevels(resumeText, skills, taxonomy, skillExperience),
+        skillRecency: computeSkillRecency(skillExperience, profile.recency, {
+            undatedSkills: [...skills, ...Object.keys(impliedSkills)]
+        }),
+        impact: analyzeImpact(employmentAnalysis.employmentPeriods),
+        // The skills of each role, implied ones included, to tell the roles relevant to a job
+        roles: employmentAnalysis.employmentPeriods.map(period => {
+            const roleText = `${period.jobTitle || ""}\n${period.description || ""}`;
+            const roleSkills = Object.keys(findTechnicalSkills(roleText, bertLike, taxonomy));
+            return { period, skills: [...roleSkills, ...Object.keys(getImpliedSkills(taxonomy, roleSkills))] };
+        }),
+        claimedExperienceYears: extractExperienceYears(resumeText, bertLike),
+        education: extractEducation(resumeText, bertLike),
+        softSkills: extractSoftSkills(resumeText, bertLike),
+        titles: extractJobTitles(resumeText, bertLike),
+        sections: getSectionMap(segmentResume(resumeText)),
+        // The candidate's contact details are exactly what blind screening hides
+        contact: blindScreening ? null : extractContactInfo(resumeText)
+    };
+}
+
+/**
+ * The job side of the analysis: score a prepared resume against one job description
+ * 
+ * The mode, scoring profile, skills taxonomy and embedding provider are those the resume was
+ * prepared with.
+ * 
+ * @param {Object} resume - Output of prepareResume
+ * @param {string} jobDescriptionText - The job description to match against
+ * @param {Object} [options] - `relevantExperienceOnly`, `extraction` and `onProgress`, as for analyzeResume
+ * @returns {Promise<Object>} - The report, as returned by analyzeResume
+ * @throws {AnalysisError} - When the job description is empty, or embeddings cannot be fetched
+ *   and the offline fallback is disabled
+ */
+async function scoreResume(resume, jobDescriptionText, options = {}) {
+    const emitProgress = createProgressEmitter(options);
+    
+    const inputError = getInputError(jobDescriptionText, "Job Description");
+    if (inputError) {
+        throw new AnalysisError(inputError, "INVALID_INPUT");
+    }
+    
+    const { bertLike, profile, taxonomy, blindScreening } = resume;
+    const { weights, proficiencyMultipliers, requirementWeights } = profile;
+    
+    // 1. Semantic similarity using embeddings (35% of score by default)
+    // Modern ATS systems use BERT or similar transformer models to generate contextual embeddings;
+    // here the configured embedding provider (Ollama by default) embeds each JD requirement and
+    // each resume bullet, and requirements are matched with their best supporting evidence
+    emitProgress("semantic", "Calculating semantic similarity...");
+    let semantic;
+    try {
+        semantic = await alignWithEvidence(jobDescriptionText, resume.evidence);
+    } catch (error) {
+        if (!(error instanceof EmbeddingError)) throw error;
+        throw new AnalysisError(error.message, error.code);
+    }
+    if (semantic.provider.fallbackReason) {
+        emitProgress("semantic", `Embedding model unavailable (${semantic.provider.fallbackReason}); using offline TF-IDF similarity instead`);
+    }
+
+    const semanticSimilarity = semantic.score;
+    
+    // 2. Keyword matching (20% of score by default)
+    emitProgress("keywords", "Analyzing keyword matches...");
+    const jdKeywords = extractKeywords(jobDescriptionText);
+    const resumeKeywords = resume.keywords;
+    const matchedKeywords = findMatchedKeywords(jdKeywords, resumeKeywords, bertLike);
+    const keywordMatchScore = calculateKeywordMatch(jdKeywords, resumeKeywords, bertLike);
+    
+    // 3. Technical skills matching (20% of score by default)
+    emitProgress("skills", "Identifying technical skills match...");
+    const jdSkillMentions = findTechnicalSkills(jobDescriptionText, bertLike, taxonomy);
+    const resumeSkillMentions = resume.skillMentions;
+    const jdSkills = Object.keys(jdSkillMentions);
+    const resumeSkills = resume.skills;
+    const impliedSkills = resume.impliedSkills;
+    const skillsFound = jdSkills.filter(skill => resumeSkills.includes(skill) || impliedSkills[skill]);
+    const missingSkills = jdSkills.filter(skill => !skillsFound.includes(skill));
+    
+    // Must-haves weigh more than nice-to-haves: "Must know Docker" vs "Kafka is a plus"
+    const jdRequirements = classifyRequirements(jobDescriptionText);
+    const skillRequirementLevels = getSkillRequirementLevels(jdRequirements, jdSkillMentions);
+    
+    // "3+ years of Python": minimum years per skill, checked against the employment history
+    const skillYearRequirements = extractSkillYearRequirements(jobDescriptionText, jdSkillMentions);
+    
+    // 3.1 Skill proficiency levels, usage and recency, from the prepared resume
+    emitProgress("proficiency", "Analyzing skill proficiency levels...");
+    const { employmentAnalysis, skillExperience, skillProficiencies, skillRecency } = resume;
+    
+    // 3.2 Calculate weighted skill match score based on requirement and proficiency levels
     let weightedSkillScore = 0;
-    let totalPossibleScore = jdSkills.length * 1.0; // Maximum possible score if all skills are at expert level
+    let totalPossibleScore = 0; // Maximum possible score if every skill is present at full proficiency
     
-    // For each required skill in the job description
+    // For each skill in the job description, weighted by how strongly it is required
     for (const skill of jdSkills) {
-        if (resumeSkills.includes(skill)) {
-            // Skill is present, apply weighting based on proficiency
-            if (skillProficiencies[skill]) {
-                const level = skillProficiencies[skill].level;
-                switch (level) {
-                    case 'expert':
-                        weightedSkillScore += 1.0; // Full score for expert level
-                        break;
-                    case 'intermediate':
-                        weightedSkillScore += 0.8; // 80% score for intermediate level
-                        break;
-                    case 'beginner':
-                        weightedSkillScore += 0.4; // 40% score for beginner level
-                        break;
-                    default:
-                        weightedSkillScore += 0.6; // Default if level couldn't be determined
-                }
-            } else {
-                // Skill is present but proficiency couldn't be determined
-                weightedSkillScore += 0.6;
-            }
+        const importance = requirementWeights[skillRequirementLevels[skill]];
+        totalPossibleScore += importance;
+        
+        if (skillsFound.includes(skill)) {
+            // Skill is present, apply the profile's multiplier for its proficiency level
+            const level = skillProficiencies[skill] ? skillProficiencies[skill].level : "unknown";
+            const proficiencyCredit = level in proficiencyMultipliers
+                ? proficiencyMultipliers[level]
+                : proficiencyMultipliers.unknown; // Level couldn't be determined
+            
+            // Fewer years than the JD asks for earn a share of the credit, but never below half
+            const yearsRequired = skillYearRequirements[skill];
+            const yearsUsed = skillExperience[skill] ? skillExperience[skill].months / 12 : 0;
+            const durationCredit = yearsRequired ? Math.max(0.5, Math.min(1, yearsUsed / yearsRequired)) : 1;
+            
+            // Skills last used long ago, or never in a dated role, count for less
+            const recencyCredit = skillRecency[skill] ? skillRecency[skill].weight : 1;
+            
+            weightedSkillScore += importance * proficiencyCredit * durationCredit * recencyCredit;
         }
         // Skill not present adds 0 to the score
     }
@@ -1371,24 +1478,40 @@ async function computeATSScore() {
         ? (weightedSkillScore / totalPossibleScore) * 100 
         : 0;
     
-    // 4. Education requirements (10% of score)
-    console.log("Evaluating education requirements...");
-    const jdEducation = extractEducation(jobDescription);
-    const resumeEducation = extractEducation(candidateResume);
-    
-    // Calculate education score based on degree and field relevance
-    let educationScore = 0;
-    if (resumeEducation.hasDegree) {
-        educationScore += 50; // Has a degree
-        if (resumeEducation.relevantField) {
-            educationScore += 50; // Has relevant field
-        }
+    // 3.3 Proficiency statistics for the required job skills
+    const requiredSkillsWithProficiency = skillsFound.filter(skill => skillProficiencies[skill]);
+    const proficiencyDistribution = { expert: 0, intermediate: 0, beginner: 0 };
+    for (const skill of requiredSkillsWithProficiency) {
+        proficiencyDistribution[skillProficiencies[skill].level]++;
     }
-    
-    // 5. Experience level matching (5% of score)
-    console.log("Comparing experience levels...");
-    const requiredExperience = extractExperienceYears(jobDescription);
-    const candidateExperience = extractExperienceYears(candidateResume);
+    const proficiencyMatch = requiredSkillsWithProficiency.length > 0
+        ? ((proficiencyDistribution.expert * proficiencyMultipliers.expert) +
+           (proficiencyDistribution.intermediate * proficiencyMultipliers.intermediate) +
+           (proficiencyDistribution.beginner * proficiencyMultipliers.beginner)) / requiredSkillsWithProficiency.length * 100
+        : null;
+    
+    // Key job skills (the first five matched) that are only at beginner level
+    const insufficientKeySkills = skillsFound.slice(0, Math.min(5, skillsFound.length)).filter(skill => 
+        skillProficiencies[skill] && skillProficiencies[skill].level === 'beginner'
+    );
+    
+    // 4. Experience level matching (5% of score by default)
+    // Years come from the dated employment history, reconciled with what the resume claims;
+    // with `relevantExperienceOnly`, only roles mentioning a JD skill or title count
+    emitProgress("experience", "Comparing experience levels...");
+    const requiredExperience = extractExperienceYears(jobDescriptionText, bertLike);
+    const jdTitles = extractJobTitles(jobDescriptionText, bertLike);
+    const rolesWithRelevance = resume.roles.map(({ period, skills }) => {
+        const matchedSkills = jdSkills.filter(skill => skills.includes(skill));
+        const titleMatch = Boolean(period.jobTitle) && jdTitles.some(title => period.jobTitle.toLowerCase().includes(title));
+        return { period, matchedSkills, relevant: matchedSkills.length > 0 || titleMatch };
+    });
+    const experience = reconcileExperience(
+        resume.claimedExperienceYears,
+        employmentAnalysis.employmentPeriods,
+        options.relevantExperienceOnly ? rolesWithRelevance.filter(role => role.relevant).map(role => role.period) : null
+    );
+    const candidateExperience = experience.years;
     
     // Calculate experience score
     let experienceScore = 0;
@@ -1403,309 +1526,317 @@ async function computeATSScore() {
         experienceScore = 100; // No specific requirement, so full score
     }
     
-    // 5.5 Career chronology analysis (not included in score but provided as insights)
-    console.log("Analyzing employment history and career progression...");
-    
-    // Use our test function to extract positions from sample resume
-    let employmentAnalysis;
-    if (candidateResume.includes("WORK EXPERIENCE:")) {
-        const extractedEntries = testExtractionWithSampleResume();
-        if (extractedEntries.length > 0) {
-            const chronologicalEntries = [...extractedEntries].sort((a, b) => a.startDate - b.startDate);
-            const gaps = identifyCareerGaps(chronologicalEntries);
-            const progression = analyzeCareerProgression(chronologicalEntries);
-            const totalExperience = calculateTotalExperience(chronologicalEntries);
-            
-            employmentAnalysis = {
-                employmentPeriods: extractedEntries,
-                totalExperienceYears: (totalExperience / 12).toFixed(1),
-                careerGaps: gaps,
-                careerProgression: progression
-            };
-        } else {
-            employmentAnalysis = analyzeEmploymentHistory(candidateResume);
-        }
-    } else {
-        employmentAnalysis = analyzeEmploymentHistory(candidateResume);
-    }
+    // 5. Education requirements (10% of score by default)
+    // Degree level and field against the JD's requirement; years of experience count when the
+    // JD accepts equivalent experience in place of a degree
+    emitProgress("education", "Evaluating education requirements...");
+    const jdEducation = extractRequiredEducation(jobDescriptionText);
+    const resumeEducation = resume.education;
+    const educationComparison = compareEducation(jdEducation, resumeEducation.records, {
+        candidateYears: candidateExperience,
+        requirementWeights
+    });
+    const educationScore = educationComparison.score;
     
-    // 6. Soft skills assessment (5% of score)
-    console.log("Assessing soft skills match...");
-    const jdSoftSkills = extractSoftSkills(jobDescription);
-    const resumeSoftSkills = extractSoftSkills(candidateResume);
+    // 5.5 Career chronology analysis (gaps and progression are not scored but provided as insights)
+    emitProgress("chronology", "Analyzing employment history and career progression...");
+    
+    // 6. Soft skills assessment (5% of score by default)
+    emitProgress("soft-skills", "Assessing soft skills match...");
+    const jdSoftSkills = extractSoftSkills(jobDescriptionText, bertLike);
+    const resumeSoftSkills = resume.softSkills;
     const softSkillsFound = jdSoftSkills.filter(skill => resumeSoftSkills.includes(skill));
     const softSkillsScore = jdSoftSkills.length > 0 ? (softSkillsFound.length / jdSoftSkills.length) * 100 : 100;
     
-    // 7. Job title/position relevance (5% of score)
-    console.log("Evaluating position relevance...");
-    const jdTitles = extractJobTitles(jobDescription);
-    const resumeTitles = extractJobTitles(candidateResume);
+    // 7. Job title/position relevance (5% of score by default)
+    emitProgress("titles", "Evaluating position relevance...");
+    const resumeTitles = resume.titles;
     const titlesMatch = jdTitles.some(title => 
         resumeTitles.some(resumeTitle => 
             resumeTitle.includes(title) || title.includes(resumeTitle)
     ));
     const titleScore = titlesMatch ? 100 : 50; // 50% if no direct match but still has relevant titles
     
+    const scores = {
+        semanticSimilarity: roundScore(semanticSimilarity),
+        keywordMatch: roundScore(keywordMatchScore),
+        technicalSkills: roundScore(skillsMatchScore),
+        education: roundScore(educationScore),
+        experience: roundScore(experienceScore),
+        softSkills: roundScore(softSkillsScore),
+        positionRelevance: roundScore(titleScore)
+    };
+    
     // Calculate weighted final score
-    const finalScore = (
-        (semanticSimilarity * 0.35) + 
-        (keywordMatchScore * 0.20) + 
-        (skillsMatchScore * 0.20) +
-        (educationScore * 0.10) +
-        (experienceScore * 0.05) +
-        (softSkillsScore * 0.05) +
-        (titleScore * 0.05)
-    ).toFixed(2);
-    
-    // Display detailed results
-    console.log("\nATS ANALYSIS RESULTS (FAANG/BERT-LEVEL)");
-    console.log("==============================");
-    console.log(`Semantic Similarity (35%): ${semanticSimilarity.toFixed(2)}%`);
-    console.log(`Keyword Match (20%): ${keywordMatchScore.toFixed(2)}%`);
-    console.log(`Technical Skills Match (20%): ${skillsMatchScore.toFixed(2)}%`);
-    console.log(`Education Requirements (10%): ${educationScore.toFixed(2)}%`);
-    console.log(`Experience Level (5%): ${experienceScore.toFixed(2)}%`);
-    console.log(`Soft Skills (5%): ${softSkillsScore.toFixed(2)}%`);
-    console.log(`Position Relevance (5%): ${titleScore.toFixed(2)}%`);
-    console.log("==============================");
-    console.log(`OVERALL ATS SCORE: ${finalScore}%`);
-    
-    // Display technical skills analysis
-    if (jdSkills.length > 0) {
-        console.log("\nTechnical Skills in Job Description:");
-        console.log(jdSkills.join(", "));
-        
-        console.log("\nMatched Technical Skills in Resume:");
-        console.log(skillsFound.length > 0 ? skillsFound.join(", ") : "None found");
-        
-        if (jdSkills.length > skillsFound.length) {
-            const missingSkills = jdSkills.filter(skill => !resumeSkills.includes(skill));
-            console.log("\nMissing Technical Skills (consider adding these):");
-            console.log(missingSkills.join(", "));
+    const overallScore = roundScore(
+        (semanticSimilarity * weights.semanticSimilarity) + 
+        (keywordMatchScore * weights.keywordMatch) + 
+        (skillsMatchScore * weights.technicalSkills) +
+        (educationScore * weights.education) +
+        (experienceScore * weights.experience) +
+        (softSkillsScore * weights.softSkills) +
+        (titleScore * weights.positionRelevance)
+    );
+    
+    const report = {
+        overallScore,
+        analysisMode: bertLike ? "bert" : "basic",
+        embedding: semantic.provider,
+        extraction: options.extraction || null,
+        scoringProfile: profile,
+        weights: { ...weights },
+        scores,
+        blindScreening,
+        sections: resume.sections,
+        contact: resume.contact,
+        semanticAlignment: semantic.alignment,
+        requirements: jdRequirements,
+        keywords: {
+            jobDescription: [...new Set(jdKeywords)],
+            matched: matchedKeywords,
+            missing: [...new Set(jdKeywords)].filter(keyword => !matchedKeywords.includes(keyword))
+        },
+        technicalSkills: {
+            required: jdSkills,
+            resume: resumeSkills,
+            matched: skillsFound,
+            missing: missingSkills,
+            requirementLevels: skillRequirementLevels,
+            missingRequired: missingSkills.filter(skill => skillRequirementLevels[skill] === "required"),
+            missingNiceToHave: missingSkills.filter(skill => skillRequirementLevels[skill] !== "required"),
+            impliedBy: Object.fromEntries(skillsFound.filter(skill => !resumeSkills.includes(skill)).map(skill => [skill, impliedSkills[skill]])),
+            mentions: { jobDescription: jdSkillMentions, resume: resumeSkillMentions },
+            experience: skillExperience,
+            yearRequirements: Object.fromEntries(Object.entries(skillYearRequirements).map(([skill, requiredYears]) => {
+                const candidateYears = skillExperience[skill] ? skillExperience[skill].years : 0;
+                return [skill, { requiredYears, candidateYears, met: candidateYears >= requiredYears }];
+            })),
+            recency: skillRecency,
+            staleSkills: skillsFound.filter(skill => skillRecency[skill] && skillRecency[skill].stale),
+            proficiencies: skillProficiencies,
+            proficiencyDistribution: {
+                ...proficiencyDistribution,
+                overallMatch: proficiencyMatch === null ? null : roundScore(proficiencyMatch)
+            },
+            insufficientKeySkills
+        },
+        education: {
+            required: jdEducation,
+            candidate: resumeEducation,
+            comparison: educationComparison
+        },
+        experience: {
+            requiredYears: requiredExperience,
+            candidateYears: candidateExperience,
+            source: experience.source,
+            claimedYears: experience.claimedYears,
+            computedYears: experience.computedYears,
+            relevantOnly: Boolean(options.relevantExperienceOnly),
+            relevantYears: experience.relevantYears,
+            discrepancyYears: experience.discrepancyYears,
+            roles: rolesWithRelevance.map(({ period, matchedSkills, relevant }) => ({
+                jobTitle: period.jobTitle || null,
+                company: period.company || null,
+                durationMonths: period.duration,
+                relevant,
+                matchedSkills
+            }))
+        },
+        chronology: summarizeChronology(employmentAnalysis),
+        impact: resume.impact,
+        softSkills: {
+            required: jdSoftSkills,
+            resume: resumeSoftSkills,
+            matched: softSkillsFound,
+            missing: jdSoftSkills.filter(skill => !resumeSoftSkills.includes(skill))
+        },
+        positionRelevance: {
+            jobDescriptionTitles: jdTitles,
+            resumeTitles,
+            matched: titlesMatch
         }
+    };
+    
+    report.feedback = generateFeedback(report);
+    
+    emitProgress("complete", "Analysis complete");
+    
+    return report;
+}
+
+// Bullets to strengthen that are named in the feedback; the report lists them all
+const MAX_IMPACT_FEEDBACK = 5;
+
+/**
+ * Generate customized feedback based on scores
+ * 
+ * Each item carries a category so consumers can group or filter them:
+ * "skills", "education", "experience", "soft-skills", "keywords", "proficiency",
+ * "fit", "evidence", "career-history", "contact", "proficiency-enhancement" and "impact".
+ */
+function generateFeedback(report) {
+    const { overallScore, scores, technicalSkills, chronology, scoringProfile, contact } = report;
+    const thresholds = scoringProfile.ratingThresholds;
+    const { matched: skillsFound, missingRequired, missingNiceToHave, proficiencies: skillProficiencies } = technicalSkills;
+    const items = [];
+    let rating, summary;
+    
+    // Get key skills that are at beginner level
+    const beginnerKeySkills = skillsFound.filter(skill => 
+        skillProficiencies[skill] && skillProficiencies[skill].level === 'beginner'
+    );
+    
+    // Missing must-haves come first whatever the rating: ATS knockout filters screen on them
+    if (missingRequired.length > 0) {
+        items.push({
+            category: "skills",
+            message: `Add these must-have skills if you have them: ${missingRequired.join(', ')}`,
+            detail: "The job description lists them as required, unlike its nice-to-have skills"
+        });
+    }
+    
+    if (overallScore >= thresholds.strong) {
+        rating = "strong";
+        summary = "Strong match! Your resume is well-aligned with the job requirements.";
         
-        // Display skill proficiency analysis
-        console.log("\nSkill Proficiency Analysis:");
-        
-        // Group skills by proficiency level for better presentation
-        const skillsByLevel = {
-            expert: [],
-            intermediate: [],
-            beginner: []
-        };
-        
-        for (const skill of resumeSkills) {
-            if (skillProficiencies[skill]) {
-                const level = skillProficiencies[skill].level;
-                skillsByLevel[level].push(skill);
+        // Create specific feedback for technical skills based on proficiency analysis
+        if (technicalSkills.required.length > 0 && skillsFound.length > 0) {
+            if (missingNiceToHave.length > 0) {
+                items.push({ category: "skills", message: `Consider adding these nice-to-have skills: ${missingNiceToHave.join(', ')}` });
             }
-        }
-        
-        if (skillsByLevel.expert.length > 0) {
-            console.log(`\nExpert-level Skills:`);
-            skillsByLevel.expert.forEach(skill => {
-                console.log(`  - ${skill} (${skillProficiencies[skill].evidence[0]})`);
-            });
-        }
-        
-        if (skillsByLevel.intermediate.length > 0) {
-            console.log(`\nIntermediate-level Skills:`);
-            skillsByLevel.intermediate.forEach(skill => {
-                console.log(`  - ${skill} (${skillProficiencies[skill].evidence[0]})`);
-            });
-        }
-        
-        if (skillsByLevel.beginner.length > 0) {
-            console.log(`\nBeginner-level Skills:`);
-            skillsByLevel.beginner.forEach(skill => {
-                console.log(`  - ${skill} (${skillProficiencies[skill].evidence[0]})`);
-            });
-        }
-        
-        // Calculate proficiency statistics for required job skills
-        const requiredSkillsWithProficiency = skillsFound.filter(skill => skillProficiencies[skill]);
-        const expertCount = requiredSkillsWithProficiency.filter(skill => 
-            skillProficiencies[skill].level === 'expert'
-        ).length;
-        const intermediateCount = requiredSkillsWithProficiency.filter(skill => 
-            skillProficiencies[skill].level === 'intermediate'
-        ).length;
-        const beginnerCount = requiredSkillsWithProficiency.filter(skill => 
-            skillProficiencies[skill].level === 'beginner'
-        ).length;
-        
-        const totalSkillsWithProficiency = requiredSkillsWithProficiency.length;
-        
-        if (totalSkillsWithProficiency > 0) {
-            console.log("\nProficiency Distribution for Required Skills:");
-            console.log(`  Expert: ${expertCount} (${Math.round(expertCount / totalSkillsWithProficiency * 100)}%)`);
-            console.log(`  Intermediate: ${intermediateCount} (${Math.round(intermediateCount / totalSkillsWithProficiency * 100)}%)`);
-            console.log(`  Beginner: ${beginnerCount} (${Math.round(beginnerCount / totalSkillsWithProficiency * 100)}%)`);
             
-            // Skill proficiency match score (as a percentage)
-            const proficiencyMatchScore = ((expertCount * 1.0) + (intermediateCount * 0.8) + (beginnerCount * 0.4)) / totalSkillsWithProficiency;
-            console.log(`  Overall Proficiency Match: ${(proficiencyMatchScore * 100).toFixed(2)}%`);
+            if (beginnerKeySkills.length > 0) {
+                items.push({
+                    category: "proficiency",
+                    message: `Consider improving proficiency in: ${beginnerKeySkills.join(', ')}`,
+                    detail: "Highlight projects or training that demonstrate higher expertise with these technologies"
+                });
+            }
         }
+    } else if (overallScore >= thresholds.good) {
+        rating = "good";
+        summary = "Good match. With a few targeted improvements, your resume would be well-positioned:";
+        if (scores.technicalSkills < 70) items.push({ category: "skills", message: "Focus on adding the missing technical skills" });
+        if (scores.education < 70) items.push({ category: "education", message: "Emphasize your educational background if applicable" });
+        if (scores.experience < 70) items.push({ category: "experience", message: "Highlight experiences that demonstrate required years of expertise" });
+        if (scores.softSkills < 70) items.push({ category: "soft-skills", message: "Include more of the soft skills mentioned in the job description" });
         
-        // Analyze if key job skills are at sufficient level
-        const keyJobSkills = skillsFound.slice(0, Math.min(5, skillsFound.length));
-        const insufficientSkills = keyJobSkills.filter(skill => 
-            skillProficiencies[skill] && skillProficiencies[skill].level === 'beginner'
-        );
-        
-        if (insufficientSkills.length > 0) {
-            console.log("\nConsider strengthening these key skills required by the job:");
-            insufficientSkills.forEach(skill => {
-                console.log(`  - ${skill} (currently at beginner level)`);
-            });
+        // Add proficiency-based recommendations
+        if (beginnerKeySkills.length > 0) {
+            items.push({ category: "proficiency", message: `Improve your proficiency level in: ${beginnerKeySkills.join(', ')}` });
         }
-    }
-    
-    // Display education analysis
-    console.log("\nEducation Analysis:");
-    if (jdEducation.hasDegree) {
-        console.log(`Required Degree(s): ${jdEducation.degreeLevel.join(", ")}`);
-        console.log(`Required Field(s): ${jdEducation.fieldOfStudy.join(", ") || "Not specified"}`);
+    } else if (overallScore >= thresholds.moderate) {
+        rating = "moderate";
+        summary = "Moderate match. Your resume needs significant tailoring for this position:";
+        items.push({ category: "skills", message: "Add missing technical skills and highlight relevant experience" });
+        items.push({ category: "education", message: "Ensure your education section clearly shows your qualifications" });
+        items.push({ category: "keywords", message: "Use more keywords from the job description throughout your resume" });
+        items.push({ category: "proficiency", message: "Focus on demonstrating higher proficiency in key skills through specific accomplishments" });
     } else {
-        console.log("No specific degree requirements mentioned.");
+        rating = "low";
+        summary = "Low match. Consider if this role is aligned with your skills and experience:";
+        items.push({ category: "fit", message: "This position may require skills you haven't developed yet" });
+        items.push({ category: "fit", message: "If pursuing this type of role, focus on acquiring the missing technical skills" });
+        items.push({ category: "fit", message: "Consider roles that better match your current profile while you develop these skills" });
     }
     
-    console.log(`Candidate Education:`);
-    if (resumeEducation.hasDegree) {
-        console.log(`Degree(s): ${resumeEducation.degreeLevel.join(", ")}`);
-        console.log(`Field(s): ${resumeEducation.fieldOfStudy.join(", ") || "Not specified"}`);
-    } else {
-        console.log("No degree information found in resume.");
+    // Point out requirements that no part of the resume speaks to
+    const { unsupported } = report.semanticAlignment;
+    if (unsupported.length > 0) {
+        const listed = unsupported.slice(0, 3).map(requirement => `"${requirement}"`).join(", ");
+        const more = unsupported.length > 3 ? ` and ${unsupported.length - 3} more` : "";
+        items.push({
+            category: "evidence",
+            message: `No resume bullet clearly supports these requirements: ${listed}${more}`,
+            detail: "Add bullets describing work that demonstrates them, using the job description's wording where it is accurate"
+        });
     }
     
-    // Display experience analysis
-    console.log("\nExperience Analysis:");
-    console.log(`Required Years: ${requiredExperience > 0 ? `${requiredExperience}+ years` : "Not specified"}`);
-    console.log(`Candidate Years: ${candidateExperience > 0 ? `${candidateExperience} years` : "Not specified"}`);
-    
-    // Display career chronology analysis
-    console.log("\nCareer Chronology Analysis:");
-    console.log(`Total Calculated Experience: ${employmentAnalysis.totalExperienceYears} years`);
-    
-    if (employmentAnalysis.careerGaps.length > 0) {
-        console.log(`Career Gaps: ${employmentAnalysis.careerGaps.length} gaps identified`);
-        employmentAnalysis.careerGaps.forEach((gap, index) => {
-            const gapStart = gap.startDate.toLocaleDateString('en-US', {year: 'numeric', month: 'short'});
-            const gapEnd = gap.endDate.toLocaleDateString('en-US', {year: 'numeric', month: 'short'});
-            console.log(`  Gap ${index + 1}: ${gapStart} to ${gapEnd} (${gap.durationMonths} months)`);
+    // Skills used for fewer years than the job description asks for
+    const shortSkills = Object.entries(technicalSkills.yearRequirements).filter(([, requirement]) => !requirement.met);
+    if (shortSkills.length > 0) {
+        items.push({
+            category: "skills",
+            message: `The job description asks for more years of: ${shortSkills.map(([skill, { candidateYears, requiredYears }]) => `${skill} (${candidateYears} of ${requiredYears}+ years)`).join(", ")}`,
+            detail: "Name each skill in the bullets of every role where you used it, so the time you spent with it is visible"
         });
-    } else {
-        console.log("Career Gaps: None identified");
     }
     
-    console.log(`Career Progression: ${employmentAnalysis.careerProgression.pattern}`);
-    console.log(`Average Job Duration: ${(employmentAnalysis.careerProgression.averageJobDuration / 12).toFixed(1)} years`);
-    
-    if (employmentAnalysis.employmentPeriods.length > 0) {
-        console.log("\nEmployment History (chronological):");
-        // Sort by start date (earliest first) for chronological display
-        const chronologicalPeriods = [...employmentAnalysis.employmentPeriods].sort((a, b) => a.startDate - b.startDate);
-        
-        chronologicalPeriods.forEach((period, index) => {
-            const startDate = period.startDate.toLocaleDateString('en-US', {year: 'numeric', month: 'short'});
-            const endDate = period.endDate.toLocaleDateString('en-US', {year: 'numeric', month: 'short'});
-            const duration = (period.duration / 12).toFixed(1);
-            console.log(`  Position ${index + 1}: ${period.jobTitle || "Unknown position"}${period.company ? ` at ${period.company}` : ''}`);
-            console.log(`    Duration: ${startDate} to ${endDate} (${duration} years)`);
+    // Matched skills not used in any recent role
+    const { staleSkills, recency } = technicalSkills;
+    if (staleSkills.length > 0) {
+        items.push({
+            category: "skills",
+            message: `These skills were last used years ago: ${staleSkills.map(skill => `${skill} (${new Date(recency[skill].lastUsed).getFullYear()})`).join(", ")}`,
+            detail: "If you still use them, mention them in your current role or a recent project so they don't read as out of date"
         });
     }
     
-    // Display soft skills analysis
-    if (jdSoftSkills.length > 0) {
-        console.log("\nSoft Skills in Job Description:");
-        console.log(jdSoftSkills.join(", "));
-        
-        console.log("\nMatched Soft Skills in Resume:");
-        console.log(softSkillsFound.length > 0 ? softSkillsFound.join(", ") : "None found");
-        
-        if (jdSoftSkills.length > softSkillsFound.length) {
-            const missingSoftSkills = jdSoftSkills.filter(skill => !resumeSoftSkills.includes(skill));
-            console.log("\nMissing Soft Skills (consider highlighting these):");
-            console.log(missingSoftSkills.join(", "));
-        }
+    // Claimed experience that the dated employment history does not back up, or undersells
+    const { discrepancyYears, claimedYears, computedYears } = report.experience;
+    if (discrepancyYears !== null) {
+        items.push(discrepancyYears > 0
+            ? {
+                category: "experience",
+                message: `Your resume claims ${claimedYears} years of experience, but your dated roles add up to ${computedYears}`,
+                detail: "Add dates for any roles that are missing them, or correct the figure: screeners check claims against the timeline"
+            }
+            : {
+                category: "experience",
+                message: `Your resume states ${claimedYears} years of experience, but your dated roles add up to ${computedYears}`,
+                detail: "Update the figure so it matches your employment history"
+            });
     }
     
-    // Generate customized feedback based on scores
-    console.log("\nFEEDBACK:");
-    if (finalScore >= 80) {
-        console.log("Strong match! Your resume is well-aligned with the job requirements.");
-        
-        // Create specific feedback for technical skills based on proficiency analysis
-        if (jdSkills.length > 0 && skillsFound.length > 0) {
-            const missingSkills = jdSkills.filter(skill => !resumeSkills.includes(skill));
-            
-            // Get key skills that are at beginner level
-            const beginnerKeySkills = skillsFound.filter(skill => 
-                skillProficiencies[skill] && skillProficiencies[skill].level === 'beginner'
-            );
-            
-            if (missingSkills.length > 0 || beginnerKeySkills.length > 0) {
-                console.log("Technical Skills Recommendations:");
-                
-                if (missingSkills.length > 0) {
-                    console.log(`- Add these missing skills to your resume: ${missingSkills.join(', ')}`);
-                }
-                
-                if (beginnerKeySkills.length > 0) {
-                    console.log(`- Consider improving proficiency in: ${beginnerKeySkills.join(', ')}`);
-                    console.log("  Highlight projects or training that demonstrate higher expertise with these technologies");
-                }
-            }
-        }
-    } else if (finalScore >= 65) {
-        console.log("Good match. With a few targeted improvements, your resume would be well-positioned:");
-        if (skillsMatchScore < 70) console.log("- Focus on adding the missing technical skills");
-        if (educationScore < 70) console.log("- Emphasize your educational background if applicable");
-        if (experienceScore < 70) console.log("- Highlight experiences that demonstrate required years of expertise");
-        if (softSkillsScore < 70) console.log("- Include more of the soft skills mentioned in the job description");
-        
-        // Add proficiency-based recommendations
-        const beginnerKeySkills = skillsFound.filter(skill => 
-            skillProficiencies[skill] && skillProficiencies[skill].level === 'beginner'
-        );
-        if (beginnerKeySkills.length > 0) {
-            console.log(`- Improve your proficiency level in: ${beginnerKeySkills.join(', ')}`);
+    // Degree below the required level, or not finished yet
+    const { required: requiredEducation, comparison: educationComparison } = report.education;
+    if (educationComparison.requiredLevel && !educationComparison.meetsLevel) {
+        const requiredDegree = DEGREE_LABELS[educationComparison.requiredLevel];
+        if (educationComparison.inProgress) {
+            const expected = educationComparison.expectedGraduation;
+            items.push({
+                category: "education",
+                message: `Your ${DEGREE_LABELS[educationComparison.candidateLevel]} is still in progress${expected ? ` (expected ${expected})` : ""}`,
+                detail: expected
+                    ? `The job description asks for a completed ${requiredDegree}; highlight experience that makes up for it`
+                    : `State your expected graduation date: the job description asks for a completed ${requiredDegree}`
+            });
+        } else {
+            items.push({
+                category: "education",
+                message: `The job description asks for a ${requiredDegree}${requiredEducation.requirementLevel === "required" ? "" : ` (${requiredEducation.requirementLevel})`}`,
+                detail: requiredEducation.equivalentExperience
+                    ? "It accepts equivalent experience instead, so make your years of relevant experience easy to find"
+                    : "List any degree you hold, including its level and field, in a clearly labelled Education section"
+            });
         }
-    } else if (finalScore >= 50) {
-        console.log("Moderate match. Your resume needs significant tailoring for this position:");
-        console.log("- Add missing technical skills and highlight relevant experience");
-        console.log("- Ensure your education section clearly shows your qualifications");
-        console.log("- Use more keywords from the job description throughout your resume");
-        
-        // Add proficiency-based recommendations
-        const skills = skillsFound.length > 0 ? skillsFound : resumeSkills.slice(0, 5);
-        console.log("- Focus on demonstrating higher proficiency in key skills through specific accomplishments");
-    } else {
-        console.log("Low match. Consider if this role is aligned with your skills and experience:");
-        console.log("- This position may require skills you haven't developed yet");
-        console.log("- If pursuing this type of role, focus on acquiring the missing technical skills");
-        console.log("- Consider roles that better match your current profile while you develop these skills");
     }
     
     // Add career progression feedback
-    if (employmentAnalysis.careerGaps.length > 0 || 
-        employmentAnalysis.careerProgression.pattern.includes("Frequent changes")) {
-        console.log("\nCareer History Suggestions:");
-        
-        if (employmentAnalysis.careerGaps.length > 0) {
-            console.log("- Consider addressing employment gaps in your resume or cover letter");
-            console.log("  Explain what you did during these periods (education, freelancing, personal projects)");
+    const frequentChanges = chronology.careerProgression.pattern.includes("Frequent changes");
+    if (chronology.careerGaps.length > 0 || frequentChanges) {
+        if (chronology.careerGaps.length > 0) {
+            items.push({
+                category: "career-history",
+                message: "Consider addressing employment gaps in your resume or cover letter",
+                detail: "Explain what you did during these periods (education, freelancing, personal projects)"
+            });
         }
         
-        if (employmentAnalysis.careerProgression.pattern.includes("Frequent changes")) {
-            console.log("- Your resume shows frequent job changes which some employers may view cautiously");
-            console.log("  Focus on accomplishments and growth in each role to justify transitions");
+        if (frequentChanges) {
+            items.push({
+                category: "career-history",
+                message: "Your resume shows frequent job changes which some employers may view cautiously",
+                detail: "Focus on accomplishments and growth in each role to justify transitions"
+            });
         }
         
-        if (!employmentAnalysis.careerProgression.hasProgression && 
-            employmentAnalysis.employmentPeriods.length > 2) {
-            console.log("- Your career path doesn't show clear progression in job titles/responsibilities");
-            console.log("  Highlight increasing responsibilities and achievements even if titles didn't change");
+        if (!chronology.careerProgression.hasProgression && chronology.employmentPeriods.length > 2) {
+            items.push({
+                category: "career-history",
+                message: "Your career path doesn't show clear progression in job titles/responsibilities",
+                detail: "Highlight increasing responsibilities and achievements even if titles didn't change"
+            });
         }
     }
     
@@ -1719,13 +1850,89 @@ async function computeATSScore() {
         const proficiencyMatchPercentage = (proficiencyMatchCount / requiredSkillsWithProficiency.length) * 100;
         
         if (proficiencyMatchPercentage < 70) {
-            console.log("\nProficiency Enhancement Suggestions:");
-            console.log("- Your resume indicates skills match, but proficiency levels could be improved");
-            console.log("- For each key skill, add accomplishments that demonstrate your expertise");
-            console.log("- Consider including metrics, projects scope, and technical complexity");
+            items.push({ category: "proficiency-enhancement", message: "Your resume indicates skills match, but proficiency levels could be improved" });
+            items.push({ category: "proficiency-enhancement", message: "For each key skill, add accomplishments that demonstrate your expertise" });
         }
     }
+    
+    // Bullets with weak phrasing, no quantified outcome or no scope, weakest first
+    report.impact.bulletsToStrengthen.slice(0, MAX_IMPACT_FEEDBACK).forEach(bullet => {
+        const role = [bullet.jobTitle, bullet.company].filter(Boolean).join(" at ");
+        items.push({
+            category: "impact",
+            message: `"${bullet.text}"${role ? ` (${role})` : ""}`,
+            detail: bullet.suggestions.join("; ")
+        });
+    });
+    
+    // Missing, malformed or conflicting contact details (not reported in blind screening)
+    const contactWarnings = contact ? contact.warnings : [];
+    const missingContact = contactWarnings.filter(warning => /^MISSING_/.test(warning.code));
+    if (missingContact.length > 0) {
+        const missingLabels = { MISSING_NAME: "name", MISSING_EMAIL: "email address", MISSING_PHONE: "phone number", MISSING_LOCATION: "city and region" };
+        items.push({
+            category: "contact",
+            message: `Add your ${missingContact.map(warning => missingLabels[warning.code]).join(", ")} to the top of your resume`,
+            detail: "Write contact details as plain text in the body of the document: many ATS parsers skip page headers, text boxes and images"
+        });
+    }
+    contactWarnings.filter(warning => !/^MISSING_/.test(warning.code)).forEach(warning => {
+        items.push({ category: "contact", message: warning.message });
+    });
+    
+    return { rating, summary, items };
 }
 
-// Run the ATS Checker
-computeATSScore();
\ No newline at end of file
+// Advanced Function to compute ATS Score
+//
+// Runs analyzeResume and prints the console report - one consumer of the structured result.
+//
+// Options (in addition to those accepted by analyzeResume):
+// - format: "text" (default) prints progress and the full console report, "json" prints
+//   nothing so the caller can serialize the returned report instead
+//
+// Returns the structured report, or null when the analysis could not be completed.
+async function computeATSScore(resumeText = candidateResume, jobDescriptionText = jobDescription, options = {}) {
+    const printText = options.format !== "json";
+    
+    let report;
+    try {
+        report = await analyzeResume(resumeText, jobDescriptionText, {
+            ...options,
+            onProgress: event => {
+                if (printText) console.log(event.message);
+                if (typeof options.onProgress === "function") options.onProgress(event);
+            }
+        });
+    } catch (error) {
+        if (!(error instanceof AnalysisError)) throw error;
+        console.error(`Error: ${error.message}`);
+        return null;
+    }
+    
+    if (printText) {
+        console.log(formatTextReport(report));
+    }
+    
+    return report;
+}
+
+module.exports = {
+    analyzeResume,
+    prepareResume,
+    scoreResume,
+    parseResume,
+    parseJobDescription,
+    computeATSScore,
+    parseEmploymentLine,
+    checkEmbeddingBackend,
+    validateInput,
+    getInputError,
+    AnalysisError,
+    SCORE_WEIGHTS
+};
+
+// Run the ATS Checker on the sample texts when executed directly
+if (require.main === module) {
+    computeATSScore();
+}
@@ -0,0 +1,265 @@
+const fs = require("fs");
+const path = require("path");
+const AdmZip = require("adm-zip");
+const { analyzeResume, getInputError, AnalysisError } = require("./ats-checker");
+const { convertDocument, EXTENSION_FORMATS } = require("./converters");
+const { readArchiveEntry } = require("./converters/archive");
+
+/**
+ * BATCH RANKING
+ *
+ * Scores every resume in a directory or .zip archive against one job description and ranks the
+ * candidates into a leaderboard: overall score, each sub-score, how many of the must-have skills
+ * the candidate covers, and the skills they are missing most.
+ *
+ * Resumes are analyzed a few at a time (four by default) so that an embedding server is not
+ * flooded with requests. A resume that cannot be read or analyzed is listed among the failures
+ * with the reason; the rest of the batch carries on.
+ */
+
+const DEFAULT_CONCURRENCY = 4;
+
+// Missing skills listed per candidate, must-haves first
+const TOP_MISSING_SKILLS = 5;
+
+const CSV_SCORE_COLUMNS = {
+    semanticSimilarity: "semantic_similarity",
+    keywordMatch: "keyword_match",
+    technicalSkills: "technical_skills",
+    education: "education",
+    experience: "experience",
+    softSkills: "soft_skills",
+    positionRelevance: "position_relevance"
+};
+
+// Error raised when the batch itself cannot start, as opposed to one resume failing
+class BatchError extends Error {
+    constructor(message, code = "INVALID_BATCH") {
+        super(message);
+        this.name = "BatchError";
+        this.code = code;
+    }
+}
+
+// Documents only: hidden files, macOS archive metadata and unknown extensions are skipped
+function isDocumentFile(name) {
+    const parts = name.split(/[\\/]/);
+    if (parts.some(part => part.startsWith(".") || part === "__MACOSX")) return false;
+    return Boolean(EXTENSION_FORMATS[path.extname(name).toLowerCase()]);
+}
+
+function listDirectory(directory, prefix = "") {
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(entry => {
+            const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+            const fullPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) return entry.name.startsWith(".") ? [] : listDirectory(fullPath, name);
+            return isDocumentFile(name) ? [{ name, read: () => fs.promises.readFile(fullPath) }] : [];
+        });
+}
+
+function listArchive(archivePath) {
+    let zip;
+    try {
+        zip = new AdmZip(archivePath);
+    } catch (error) {
+        throw new BatchError(`Could not open archive ${archivePath}: ${error.message}`, "INVALID_ARCHIVE");
+    }
+    return zip.getEntries()
+        .filter(entry => !entry.isDirectory && isDocumentFile(entry.entryName))
+        .sort((a, b) => a.entryName.localeCompare(b.entryName))
+        .map(entry => ({ name: entry.entryName, read: async () => readArchiveEntry(entry) }));
+}
+
+/**
+ * List the documents of a batch
+ *
+ * @param {string} source - Directory, searched recursively, or .zip archive
+ * @param {string} [label] - What the documents are, for error messages
+ * @returns {Object[]} - `{ name, read }` in name order, where `name` is the path inside the
+ *   source and `read()` resolves to the file contents
+ * @throws {BatchError} - When the source cannot be read or holds no documents
+ */
+function listDocuments(source, label = "resume") {
+    let stats;
+    try {
+        stats = fs.statSync(source);
+    } catch (error) {
+        throw new BatchError(`Could not read ${source}: ${error.message}`, "UNREADABLE_SOURCE");
+    }
+
+    let documents;
+    if (stats.isDirectory()) {
+        documents = listDirectory(source);
+    } else if (path.extname(source).toLowerCase() === ".zip") {
+        documents = listArchive(source);
+    } else {
+        throw new BatchError(`${source} is neither a directory nor a .zip archive`, "UNSUPPORTED_SOURCE");
+    }
+
+    if (documents.length === 0) {
+        throw new BatchError(`No ${label} documents found in ${source}. Expected ${Object.keys(EXTENSION_FORMATS).join(", ")} files`, "NO_DOCUMENTS");
+    }
+    return documents;
+}
+
+// Run `worker` over every item with at most `limit` in flight, keeping results in input order
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+    await Promise.all(runners);
+
+    return results;
+}
+
+// How many of the job's must-have skills a report found in the resume
+function getMustHaveCoverage(report) {
+    const { required, requirementLevels, missingRequired } = report.technicalSkills;
+    const total = required.filter(skill => requirementLevels[skill] === "required").length;
+    const matched = total - missingRequired.length;
+    return { matched, total, percentage: total > 0 ? parseFloat((matched / total * 100).toFixed(2)) : null };
+}
+
+// The leaderboard row of one analyzed resume
+function summarizeCandidate(file, report) {
+    const { missingRequired, missingNiceToHave } = report.technicalSkills;
+
+    return {
+        file,
+        name: report.contact ? report.contact.name : null,
+        overallScore: report.overallScore,
+        rating: report.feedback.rating,
+        scores: { ...report.scores },
+        mustHaveCoverage: getMustHaveCoverage(report),
+        topMissingSkills: [...missingRequired, ...missingNiceToHave].slice(0, TOP_MISSING_SKILLS)
+    };
+}
+
+/**
+ * Analyze every resume of a batch against one job description and rank the candidates
+ *
+ * @param {string|Object[]} source - Directory or .zip archive, or the output of listDocuments
+ * @param {string} jobDescriptionText - Job description text
+ * @param {Object} [options] - Any option of analyzeResume, plus:
+ * @param {number} [options.concurrency] - Resumes analyzed at the same time (default 4)
+ * @param {Function} [options.onResult] - Called as each resume finishes with
+ *   `{ index, total, file, candidate }` or `{ index, total, file, failure }`
+ * @param {Function} [options.onRedaction] - In blind screening, called with each resume's
+ *   redaction map as `{ file, redactions, counts }`
+ * @returns {Promise<Object>} - `{ total, ranked, failed }`: `ranked` holds the candidates by
+ *   descending overall score, each `{ rank, file, name, overallScore, rating, scores,
+ *   mustHaveCoverage: { matched, total, percentage }, topMissingSkills }`, and `failed` holds
+ *   `{ file, code, message }` for every resume that could not be analyzed
+ * @throws {BatchError|AnalysisError} - When the source cannot be listed or the job description is empty
+ */
+async function rankResumes(source, jobDescriptionText, options = {}) {
+    const { concurrency = DEFAULT_CONCURRENCY, onResult, onRedaction, ...analysisOptions } = options;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new BatchError(`Concurrency must be a positive integer, got ${concurrency}`, "INVALID_CONCURRENCY");
+    }
+
+    // A bad job description would fail every resume the same way
+    const inputError = getInputError(jobDescriptionText, "Job Description");
+    if (inputError) throw new AnalysisError(inputError, "INVALID_INPUT");
+
+    const resumes = Array.isArray(source) ? source : listDocuments(source, "resume");
+    const results = await mapWithConcurrency(resumes, concurrency, async (resume, index) => {
+        let result;
+        try {
+            const document = await convertDocument(await resume.read(), { filename: resume.name });
+            const report = await analyzeResume(document.text, jobDescriptionText, {
+                ...analysisOptions,
+                onRedaction: typeof onRedaction === "function" ? map => onRedaction({ file: resume.name, ...map }) : undefined,
+                extraction: { format: document.format, pageCount: document.pageCount, warnings: document.warnings }
+            });
+            result = { candidate: summarizeCandidate(resume.name, report) };
+        } catch (error) {
+            // Whatever went wrong with this resume, the rest of the batch still gets ranked
+            result = { failure: { file: resume.name, code: error.code || "ANALYSIS_FAILED", message: error.message } };
+        }
+
+        if (typeof onResult === "function") {
+            onResult({ index, total: resumes.length, file: resume.name, ...result });
+        }
+        return result;
+    });
+
+    const ranked = results
+        .filter(result => result.candidate)
+        .map(result => result.candidate)
+        .sort((a, b) => b.overallScore - a.overallScore ||
+            (b.mustHaveCoverage.percentage || 0) - (a.mustHaveCoverage.percentage || 0) ||
+            a.file.localeCompare(b.file))
+        .map((candidate, index) => ({ rank: index + 1, ...candidate }));
+
+    return {
+        total: resumes.length,
+        ranked,
+        failed: results.filter(result => result.failure).map(result => result.failure)
+    };
+}
+
+// Text cells starting like a formula ("=HYPERLINK(...)" as a file or candidate name) are
+// prefixed with a quote so spreadsheets show them as text instead of evaluating them
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (typeof value === "string" && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a leaderboard as CSV, one row per candidate in rank order
+ *
+ * Resumes that failed follow the ranked candidates with an empty rank and the reason in the
+ * `error` column, so that nobody silently drops out of the list.
+ *
+ * @param {Object} leaderboard - Output of rankResumes
+ * @returns {string} - CSV text with a header row
+ */
+function formatLeaderboardCsv(leaderboard) {
+    const header = [
+        "rank", "file", "name", "overall_score", "rating", ...Object.values(CSV_SCORE_COLUMNS),
+        "must_have_matched", "must_have_total", "must_have_coverage", "top_missing_skills", "error"
+    ];
+
+    const rows = leaderboard.ranked.map(candidate => [
+        candidate.rank,
+        candidate.file,
+        candidate.name,
+        candidate.overallScore,
+        candidate.rating,
+        ...Object.keys(CSV_SCORE_COLUMNS).map(key => candidate.scores[key]),
+        candidate.mustHaveCoverage.matched,
+        candidate.mustHaveCoverage.total,
+        candidate.mustHaveCoverage.percentage,
+        candidate.topMissingSkills.join("; "),
+        ""
+    ]);
+    leaderboard.failed.forEach(failure => {
+        rows.push(["", failure.file, ...new Array(header.length - 3).fill(""), failure.message]);
+    });
+
+    return [header, ...rows].map(row => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+module.exports = {
+    rankResumes,
+    listDocuments,
+    mapWithConcurrency,
+    getMustHaveCoverage,
+    formatLeaderboardCsv,
+    csvField,
+    BatchError,
+    CSV_SCORE_COLUMNS,
+    DEFAULT_CONCURRENCY
+};
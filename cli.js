@@ -0,0 +1,762 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const { computeATSScore, validateInput, AnalysisError } = require("./ats-checker");
+const { convertDocument, DocumentError } = require("./converters");
+const { EMBEDDING_PROVIDERS, FALLBACK_MODES, getCacheStats, clearCache } = require("./embeddings");
+const { resolveScoringProfile, ScoringProfileError } = require("./scoring-profiles");
+const { getSkillsTaxonomy, SkillsTaxonomyError } = require("./skills-taxonomy");
+const { rankResumes, listDocuments, formatLeaderboardCsv, BatchError, DEFAULT_CONCURRENCY } = require("./batch-ranker");
+const { matchJobs, formatMatchesCsv } = require("./job-matcher");
+const { lintResume } = require("./resume-linter");
+const { suggestRewrites } = require("./rewrite-assistant");
+const { GenerationError, GENERATION_PROVIDERS } = require("./generation");
+const { formatLintReport, formatRewriteReport } = require("./report-printer");
+
+/**
+ * COMMAND-LINE INTERFACE
+ *
+ * Runs the ATS analysis against a resume and job description supplied as files
+ * (or piped through stdin) instead of the sample texts embedded in ats-checker.js.
+ * Plain text, PDF, DOCX, ODT, RTF and HTML documents are accepted; the format is detected
+ * automatically.
+ *
+ * Usage:
+ *   ats-check --resume cv.txt --jd job.txt [--format text|json] [--mode bert|basic] [--profile name] [--config ats.json]
+ *   ats-check batch --resumes <dir|zip> --jd job.txt [--csv ranking.csv] [--json ranking.json] [--concurrency n]
+ *   ats-check match --resume cv.txt --jds <dir|zip> [--csv matches.csv] [--json matches.json] [--concurrency n]
+ *   ats-check lint --resume cv.txt [--format text|json]
+ *   ats-check rewrite --resume cv.txt --jd job.txt [--generation-model name] [--max-suggestions n]
+ *   ats-check cache stats|clear [--cache-dir <dir>]
+ *
+ * Exit codes:
+ *   0 - analysis completed
+ *   1 - invalid input or the analysis could not be completed (batch: no resume could be analyzed;
+ *       lint: the resume has parseability errors)
+ *   2 - invalid command-line usage
+ */
+
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const OUTPUT_FORMATS = ["text", "json"];
+const ANALYSIS_MODES = ["bert", "basic"];
+
+// Flags that take a value, keyed by every spelling accepted on the command line
+const VALUE_FLAGS = {
+    "--resume": "resume",
+    "-r": "resume",
+    "--jd": "jd",
+    "--job-description": "jd",
+    "-j": "jd",
+    "--format": "format",
+    "-f": "format",
+    "--mode": "mode",
+    "-m": "mode",
+    "--config": "config",
+    "-c": "config",
+    "--profile": "profile",
+    "-p": "profile",
+    "--profiles-file": "profilesFile",
+    "--skills-file": "skillsFile",
+    "--embedding-provider": "embeddingProvider",
+    "--embedding-endpoint": "embeddingEndpoint",
+    "--embedding-model": "embeddingModel",
+    "--embedding-fallback": "embeddingFallback",
+    "--cache-dir": "cacheDir",
+    "--redaction-map": "redactionMap",
+    "--resumes": "resumes",
+    "--jds": "jds",
+    "--csv": "csv",
+    "--json": "json",
+    "--concurrency": "concurrency",
+    "--generation-provider": "generationProvider",
+    "--generation-endpoint": "generationEndpoint",
+    "--generation-model": "generationModel",
+    "--max-suggestions": "maxSuggestions"
+};
+
+// Flags that take no value
+const BOOLEAN_FLAGS = {
+    "--no-cache": "noCache",
+    "--relevant-experience": "relevantExperienceOnly",
+    "--blind": "blind",
+    "--redact-schools": "redactSchools"
+};
+
+const HELP_TEXT = `Usage: ats-check --resume <file> --jd <file> [options]
+
+Evaluate a resume against a job description.
+
+Options:
+  -r, --resume <file>           Resume file: text, PDF, DOCX, ODT, RTF or HTML ("-" reads from stdin)
+  -j, --jd <file>               Job description file, in the same formats ("-" reads from stdin)
+  -f, --format <text|json>      Output format (default: text)
+  -m, --mode <bert|basic>       Analysis mode (default: bert)
+  -p, --profile <name>          Scoring profile: default, new-grad, senior or one from --profiles-file
+      --profiles-file <file>    JSON or YAML file with additional scoring profiles
+      --skills-file <file>      JSON or YAML file adding skills and aliases to the skills taxonomy
+      --relevant-experience     Only count roles mentioning a skill or title from the job
+                                description towards years of experience
+      --blind                   Blind screening: redact the name, contact details, photo, personal
+                                details, graduation years, pronouns and honorifics before scoring
+      --redact-schools          With --blind, also redact school and university names
+      --redaction-map <file>    With --blind, write the redaction map (every original value) to a
+                                JSON file; it is never included in the report
+  -c, --config <file>           JSON config file providing defaults for any option
+  -h, --help                    Show this help message
+
+Embedding options:
+  --embedding-provider <name>   ollama (default), openai (any OpenAI-compatible server) or local
+  --embedding-endpoint <url>    Embedding server URL (default depends on the provider)
+  --embedding-model <name>      Embedding model (default: nomic-embed-text)
+  --embedding-fallback <mode>   local (default) uses offline TF-IDF vectors when the server is
+                                unavailable, none fails the analysis instead
+
+  --cache-dir <dir>             Embedding cache directory (default: ~/.cache/ats-checker/embeddings)
+  --no-cache                    Do not read or write the embedding cache
+
+The ATS_EMBEDDING_PROVIDER, ATS_EMBEDDING_ENDPOINT, ATS_EMBEDDING_MODEL, ATS_EMBEDDING_FALLBACK
+and ATS_EMBEDDING_API_KEY environment variables provide defaults for the embedding options.
+
+Commands:
+  ats-check batch --resumes <dir|zip> --jd <file> [options]
+                                Rank every resume in a directory or .zip archive against the job
+                                description. Takes the analysis options above, plus:
+      --csv <file>              Write the leaderboard as CSV
+      --json <file>             Write the leaderboard as JSON
+      --concurrency <n>         Resumes analyzed at the same time (default: ${DEFAULT_CONCURRENCY})
+      --redaction-map <file>    With --blind, write every resume's redaction map to one JSON file
+  ats-check match --resume <file> --jds <dir|zip> [options]
+                                Rank every job description in a directory or .zip archive by how
+                                well the resume fits it, with the gaps for each. Takes the analysis
+                                options above, plus --csv, --json and --concurrency as for batch
+  ats-check lint --resume <file> [--format text|json]
+                                Check how well an ATS can parse the resume: section headings,
+                                employment entries, dates, bullets, tables and columns. Exits with
+                                1 when it finds errors
+  ats-check rewrite --resume <file> --jd <file> [options]
+                                Suggest rewrites of the weakest bullets that work in the job's skills
+                                the resume already shows, using a local generation model, and
+                                re-score the resume with them. Takes the analysis options above
+                                (except --blind), plus:
+      --generation-provider <name>
+                                ollama (default) or openai (any OpenAI-compatible server)
+      --generation-endpoint <url>
+                                Generation server URL (default depends on the provider)
+      --generation-model <name> Generation model (default: llama3.2)
+      --max-suggestions <n>     Bullets to rewrite, weakest first (default: 5)
+  ats-check cache stats [--cache-dir <dir>] [--format text|json]
+                                Show the cached embeddings per provider and model
+  ats-check cache clear [--cache-dir <dir>] [--embedding-provider <name> [--embedding-model <name>]]
+                                Remove all cached embeddings, or those of one provider/model
+`;
+
+// Error raised for problems the user can fix by changing the command line
+class UsageError extends Error {}
+
+// Parse process arguments into an options object
+function parseArgs(argv) {
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === "--help" || arg === "-h") {
+            options.help = true;
+            continue;
+        }
+        if (BOOLEAN_FLAGS[arg]) {
+            options[BOOLEAN_FLAGS[arg]] = true;
+            continue;
+        }
+
+        // Support both "--flag value" and "--flag=value"
+        const [flag, inlineValue] = arg.startsWith("--") && arg.includes("=")
+            ? [arg.slice(0, arg.indexOf("=")), arg.slice(arg.indexOf("=") + 1)]
+            : [arg, undefined];
+
+        const key = VALUE_FLAGS[flag];
+        if (!key) {
+            throw new UsageError(`Unknown option: ${arg}`);
+        }
+
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (value === undefined || value === "") {
+            throw new UsageError(`Option ${flag} requires a value`);
+        }
+
+        options[key] = value;
+    }
+
+    return options;
+}
+
+// Load a JSON config file whose keys mirror the long option names
+function loadConfig(configPath) {
+    let raw;
+    try {
+        raw = fs.readFileSync(configPath, "utf8");
+    } catch (error) {
+        throw new UsageError(`Could not read config file ${configPath}: ${error.message}`);
+    }
+
+    let config;
+    try {
+        config = JSON.parse(raw);
+    } catch (error) {
+        throw new UsageError(`Config file ${configPath} is not valid JSON: ${error.message}`);
+    }
+
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+        throw new UsageError(`Config file ${configPath} must contain a JSON object`);
+    }
+
+    // Keys are long option names, e.g. "embedding-model" sets the same option as --embedding-model
+    config = Object.fromEntries(Object.entries(config).map(([key, value]) => [VALUE_FLAGS[`--${key}`] || BOOLEAN_FLAGS[`--${key}`] || key, value]));
+
+    // Paths inside the config are relative to the config file itself
+    const configDir = path.dirname(path.resolve(configPath));
+    for (const key of ["resume", "jd", "resumes", "jds"]) {
+        if (typeof config[key] === "string" && config[key] !== "-") {
+            config[key] = path.resolve(configDir, config[key]);
+        }
+    }
+
+    return config;
+}
+
+// Combine command-line flags with config file values and defaults
+function withConfig(cliOptions) {
+    const config = cliOptions.config ? loadConfig(cliOptions.config) : {};
+    return {
+        format: "text",
+        mode: "bert",
+        ...config,
+        ...cliOptions
+    };
+}
+
+// Combine command-line flags with config file values and defaults, then validate
+function resolveOptions(cliOptions) {
+    const options = withConfig(cliOptions);
+
+    if (!options.resume) throw new UsageError("Missing required option --resume");
+    if (!options.jd) throw new UsageError("Missing required option --jd");
+    if (options.resume === "-" && options.jd === "-") {
+        throw new UsageError("Only one of --resume and --jd can be read from stdin");
+    }
+    validateAnalysisOptions(options);
+
+    return options;
+}
+
+// Options of "ats-check batch": a set of resumes instead of one
+function resolveBatchOptions(cliOptions) {
+    const options = withConfig(cliOptions);
+
+    if (!options.resumes) throw new UsageError("Missing required option --resumes");
+    if (!options.jd) throw new UsageError("Missing required option --jd");
+    if (options.resumes === "-") throw new UsageError("--resumes must be a directory or a .zip archive");
+    options.concurrency = resolveConcurrency(options.concurrency);
+    validateAnalysisOptions(options);
+
+    return options;
+}
+
+// Options of "ats-check match": a set of job descriptions instead of one
+function resolveMatchOptions(cliOptions) {
+    const options = withConfig(cliOptions);
+
+    if (!options.resume) throw new UsageError("Missing required option --resume");
+    if (!options.jds) throw new UsageError("Missing required option --jds");
+    if (options.jds === "-") throw new UsageError("--jds must be a directory or a .zip archive");
+    options.concurrency = resolveConcurrency(options.concurrency);
+    validateAnalysisOptions(options);
+
+    return options;
+}
+
+function resolveConcurrency(value) {
+    const concurrency = value === undefined ? DEFAULT_CONCURRENCY : Number(value);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new UsageError(`Invalid --concurrency "${value}". Expected a positive whole number`);
+    }
+    return concurrency;
+}
+
+// Checks shared by every command that runs the analysis
+function validateAnalysisOptions(options) {
+    if (!OUTPUT_FORMATS.includes(options.format)) {
+        throw new UsageError(`Invalid --format "${options.format}". Expected one of: ${OUTPUT_FORMATS.join(", ")}`);
+    }
+    if (!ANALYSIS_MODES.includes(options.mode)) {
+        throw new UsageError(`Invalid --mode "${options.mode}". Expected one of: ${ANALYSIS_MODES.join(", ")}`);
+    }
+    if (options.embeddingProvider && !EMBEDDING_PROVIDERS.includes(options.embeddingProvider)) {
+        throw new UsageError(`Invalid --embedding-provider "${options.embeddingProvider}". Expected one of: ${EMBEDDING_PROVIDERS.join(", ")}`);
+    }
+    if (options.embeddingFallback && !FALLBACK_MODES.includes(options.embeddingFallback)) {
+        throw new UsageError(`Invalid --embedding-fallback "${options.embeddingFallback}". Expected one of: ${FALLBACK_MODES.join(", ")}`);
+    }
+    if (!options.blind && (options.redactSchools || options.redactionMap)) {
+        throw new UsageError(`${options.redactSchools ? "--redact-schools" : "--redaction-map"} requires --blind`);
+    }
+    try {
+        resolveScoringProfile(options.profile, { profilesFile: options.profilesFile });
+        getSkillsTaxonomy({ skillsFile: options.skillsFile });
+    } catch (error) {
+        if (!(error instanceof ScoringProfileError) && !(error instanceof SkillsTaxonomyError)) throw error;
+        throw new UsageError(error.message);
+    }
+}
+
+// Analysis options taken from the command line, for analyzeResume and computeATSScore
+function buildAnalysisOptions(options) {
+    return {
+        format: options.format,
+        mode: options.mode,
+        profile: options.profile,
+        profilesFile: options.profilesFile,
+        skillsFile: options.skillsFile,
+        relevantExperienceOnly: Boolean(options.relevantExperienceOnly),
+        blind: Boolean(options.blind),
+        redactSchools: Boolean(options.redactSchools),
+        embedding: {
+            provider: options.embeddingProvider,
+            endpoint: options.embeddingEndpoint,
+            model: options.embeddingModel,
+            fallback: options.embeddingFallback,
+            cache: options.noCache ? false : options.cache,
+            cacheDir: options.cacheDir
+        }
+    };
+}
+
+// Read an input document (or stdin when the path is "-") and convert it to text
+async function readDocument(source, label) {
+    const sourceName = source === "-" ? "stdin" : source;
+
+    let buffer;
+    try {
+        buffer = fs.readFileSync(source === "-" ? 0 : source);
+    } catch (error) {
+        console.error(`Error: Could not read ${label} from ${sourceName}: ${error.message}`);
+        return null;
+    }
+
+    try {
+        return await convertDocument(buffer, { filename: source === "-" ? "" : source });
+    } catch (error) {
+        if (!(error instanceof DocumentError)) throw error;
+        console.error(`Error: Could not extract text from ${label} ${sourceName}: ${error.message}`);
+        return null;
+    }
+}
+
+// Print extraction warnings for a document whose text turned out to be unusable
+function printExtractionWarnings(document) {
+    document.warnings.forEach(warning => {
+        console.error(`Warning: ${warning.message}`);
+    });
+}
+
+// Human-readable byte count, e.g. 1536 -> "1.5 KB"
+function formatBytes(bytes) {
+    const units = ["B", "KB", "MB", "GB"];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+// "ats-check cache stats|clear": inspect or empty the on-disk embedding cache
+async function runCacheCommand(argv) {
+    const [action, ...rest] = argv;
+    const options = { format: "text", ...parseArgs(rest) };
+
+    if (options.help) {
+        process.stdout.write(HELP_TEXT);
+        return 0;
+    }
+    if (!OUTPUT_FORMATS.includes(options.format)) {
+        throw new UsageError(`Invalid --format "${options.format}". Expected one of: ${OUTPUT_FORMATS.join(", ")}`);
+    }
+
+    if (action === "stats") {
+        const stats = await getCacheStats({ cacheDir: options.cacheDir });
+        if (options.format === "json") {
+            process.stdout.write(JSON.stringify(stats, null, 2) + "\n");
+            return 0;
+        }
+
+        console.log(`Cache directory: ${stats.directory}`);
+        console.log(`Size: ${formatBytes(stats.totalBytes)} of ${formatBytes(stats.maxBytes)} (${stats.totalEntries} embeddings)`);
+        stats.namespaces.forEach(namespace => {
+            const label = namespace.provider ? `${namespace.provider} / ${namespace.model}` : namespace.namespace;
+            console.log(`  ${label}: ${namespace.entries} embeddings, ${formatBytes(namespace.bytes)}, last used ${namespace.newest}`);
+        });
+        return 0;
+    }
+
+    if (action === "clear") {
+        if (options.embeddingModel && !options.embeddingProvider) {
+            throw new UsageError("--embedding-model requires --embedding-provider");
+        }
+        const result = await clearCache({
+            cacheDir: options.cacheDir,
+            provider: options.embeddingProvider,
+            model: options.embeddingModel
+        });
+        console.log(`Removed ${result.removedEntries} cached embeddings (${formatBytes(result.freedBytes)})`);
+        return 0;
+    }
+
+    throw new UsageError(action ? `Unknown cache command: ${action}. Expected "stats" or "clear"` : 'Missing cache command. Expected "stats" or "clear"');
+}
+
+// "ats-check lint": parseability findings for one resume, no job description needed
+async function runLintCommand(argv) {
+    const options = { format: "text", ...parseArgs(argv) };
+    if (options.help) {
+        process.stdout.write(HELP_TEXT);
+        return 0;
+    }
+    if (!options.resume) throw new UsageError("Missing required option --resume");
+    if (!OUTPUT_FORMATS.includes(options.format)) {
+        throw new UsageError(`Invalid --format "${options.format}". Expected one of: ${OUTPUT_FORMATS.join(", ")}`);
+    }
+
+    const resume = await readDocument(options.resume, "resume");
+    if (resume === null) {
+        return EXIT_FAILURE;
+    }
+    if (!validateInput(resume.text, "Resume")) {
+        printExtractionWarnings(resume);
+        return EXIT_FAILURE;
+    }
+
+    const lint = lintResume(resume.text, { extraction: { format: resume.format, warnings: resume.warnings } });
+    if (options.format === "json") {
+        process.stdout.write(JSON.stringify(lint, null, 2) + "\n");
+    } else {
+        console.log(formatLintReport(lint));
+    }
+
+    return lint.passed ? 0 : EXIT_FAILURE;
+}
+
+// "ats-check rewrite": suggested rewrites of the weakest bullets, with the score they would bring
+async function runRewriteCommand(argv) {
+    const cliOptions = parseArgs(argv);
+    if (cliOptions.help) {
+        process.stdout.write(HELP_TEXT);
+        return 0;
+    }
+    const options = resolveOptions(cliOptions);
+    if (options.blind) throw new UsageError("--blind cannot be used with rewrite");
+    if (options.generationProvider && !GENERATION_PROVIDERS.includes(options.generationProvider)) {
+        throw new UsageError(`Invalid --generation-provider "${options.generationProvider}". Expected one of: ${GENERATION_PROVIDERS.join(", ")}`);
+    }
+    const maxSuggestions = options.maxSuggestions === undefined ? undefined : Number(options.maxSuggestions);
+    if (maxSuggestions !== undefined && (!Number.isInteger(maxSuggestions) || maxSuggestions < 1)) {
+        throw new UsageError(`Invalid --max-suggestions "${options.maxSuggestions}". Expected a positive whole number`);
+    }
+    const printText = options.format !== "json";
+
+    const resume = await readDocument(options.resume, "resume");
+    const jobDescription = await readDocument(options.jd, "job description");
+    if (resume === null || jobDescription === null) {
+        return EXIT_FAILURE;
+    }
+    if (!validateInput(resume.text, "Resume")) {
+        printExtractionWarnings(resume);
+        return EXIT_FAILURE;
+    }
+    if (!validateInput(jobDescription.text, "Job Description")) {
+        printExtractionWarnings(jobDescription);
+        return EXIT_FAILURE;
+    }
+
+    if (printText) console.log("Generating rewrite suggestions...");
+    let result;
+    try {
+        result = await suggestRewrites(resume.text, jobDescription.text, {
+            ...buildAnalysisOptions(options),
+            generation: {
+                provider: options.generationProvider,
+                endpoint: options.generationEndpoint,
+                model: options.generationModel
+            },
+            maxSuggestions,
+            onSuggestion: ({ index, total, suggestion }) => {
+                if (printText) console.log(`[${index + 1}/${total}] ${suggestion ? "suggested" : "rejected"}`);
+            }
+        });
+    } catch (error) {
+        if (!(error instanceof AnalysisError) && !(error instanceof GenerationError)) throw error;
+        console.error(`Error: ${error.message}`);
+        return EXIT_FAILURE;
+    }
+
+    if (printText) {
+        console.log(formatRewriteReport(result));
+    } else {
+        process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+    }
+
+    return 0;
+}
+
+// Console leaderboard: one line per candidate, then the resumes that failed
+function printLeaderboard(leaderboard) {
+    console.log(`\nRANKED CANDIDATES (${leaderboard.ranked.length} of ${leaderboard.total})`);
+    console.log("==============================");
+    leaderboard.ranked.forEach(candidate => {
+        const { matched, total } = candidate.mustHaveCoverage;
+        const mustHaves = total > 0 ? `must-haves ${matched}/${total}` : "no must-haves";
+        const missing = candidate.topMissingSkills.length > 0 ? `, missing: ${candidate.topMissingSkills.join(", ")}` : "";
+        console.log(`${String(candidate.rank).padStart(3)}. ${candidate.overallScore.toFixed(2).padStart(6)}%  ${candidate.file}${candidate.name ? ` (${candidate.name})` : ""} - ${mustHaves}${missing}`);
+    });
+
+    if (leaderboard.failed.length > 0) {
+        console.log(`\nCould not analyze ${leaderboard.failed.length} resumes:`);
+        leaderboard.failed.forEach(failure => {
+            console.log(`  - ${failure.file}: ${failure.message}`);
+        });
+    }
+}
+
+// "ats-check batch": rank a directory or archive of resumes against one job description
+async function runBatchCommand(argv) {
+    const cliOptions = parseArgs(argv);
+    if (cliOptions.help) {
+        process.stdout.write(HELP_TEXT);
+        return 0;
+    }
+    const options = resolveBatchOptions(cliOptions);
+    const printText = options.format !== "json";
+
+    const jobDescription = await readDocument(options.jd, "job description");
+    if (jobDescription === null) {
+        return EXIT_FAILURE;
+    }
+    if (!validateInput(jobDescription.text, "Job Description")) {
+        printExtractionWarnings(jobDescription);
+        return EXIT_FAILURE;
+    }
+
+    let resumes;
+    try {
+        resumes = listDocuments(options.resumes, "resume");
+    } catch (error) {
+        if (!(error instanceof BatchError)) throw error;
+        console.error(`Error: ${error.message}`);
+        return EXIT_FAILURE;
+    }
+
+    if (printText) console.log(`Ranking ${resumes.length} resumes against ${options.jd}...`);
+    const redactionMaps = [];
+    let finished = 0;
+    const leaderboard = await rankResumes(resumes, jobDescription.text, {
+        ...buildAnalysisOptions(options),
+        concurrency: options.concurrency,
+        onRedaction: options.redactionMap ? redactionMap => redactionMaps.push(redactionMap) : undefined,
+        onResult: ({ total, file, candidate, failure }) => {
+            finished++;
+            if (printText) console.log(`[${finished}/${total}] ${file}: ${candidate ? `${candidate.overallScore.toFixed(2)}%` : `failed - ${failure.message}`}`);
+        }
+    });
+
+    const output = { jobDescription: options.jd, profile: options.profile || "default", ...leaderboard };
+    if (options.csv) fs.writeFileSync(options.csv, formatLeaderboardCsv(leaderboard));
+    if (options.json) fs.writeFileSync(options.json, JSON.stringify(output, null, 2) + "\n");
+    if (options.redactionMap) {
+        redactionMaps.sort((a, b) => a.file.localeCompare(b.file));
+        fs.writeFileSync(options.redactionMap, JSON.stringify(redactionMaps, null, 2) + "\n");
+    }
+
+    if (printText) {
+        printLeaderboard(leaderboard);
+        const written = [options.csv, options.json].filter(Boolean);
+        if (written.length > 0) console.log(`\nLeaderboard written to ${written.join(" and ")}`);
+    } else {
+        process.stdout.write(JSON.stringify(output, null, 2) + "\n");
+    }
+
+    return leaderboard.ranked.length > 0 ? 0 : EXIT_FAILURE;
+}
+
+// Console list of the best-matching jobs with their gaps, then the job descriptions that failed
+function printMatches(matches) {
+    console.log(`\nBEST-MATCHING JOBS (${matches.ranked.length} of ${matches.total})`);
+    console.log("==============================");
+    matches.ranked.forEach(match => {
+        const { matched, total } = match.mustHaveCoverage;
+        const mustHaves = total > 0 ? `must-haves ${matched}/${total}` : "no must-haves";
+        console.log(`${String(match.rank).padStart(3)}. ${match.overallScore.toFixed(2).padStart(6)}%  ${match.file}${match.title ? ` - ${match.title}` : ""} (${mustHaves})`);
+        console.log(`       Gaps: ${match.summary}`);
+    });
+
+    if (matches.failed.length > 0) {
+        console.log(`\nCould not score ${matches.failed.length} job descriptions:`);
+        matches.failed.forEach(failure => {
+            console.log(`  - ${failure.file}: ${failure.message}`);
+        });
+    }
+}
+
+// "ats-check match": rank a directory or archive of job descriptions for one resume
+async function runMatchCommand(argv) {
+    const cliOptions = parseArgs(argv);
+    if (cliOptions.help) {
+        process.stdout.write(HELP_TEXT);
+        return 0;
+    }
+    const options = resolveMatchOptions(cliOptions);
+    const printText = options.format !== "json";
+
+    const resume = await readDocument(options.resume, "resume");
+    if (resume === null) {
+        return EXIT_FAILURE;
+    }
+    if (!validateInput(resume.text, "Resume")) {
+        printExtractionWarnings(resume);
+        return EXIT_FAILURE;
+    }
+
+    let jobs;
+    try {
+        jobs = listDocuments(options.jds, "job description");
+    } catch (error) {
+        if (!(error instanceof BatchError)) throw error;
+        console.error(`Error: ${error.message}`);
+        return EXIT_FAILURE;
+    }
+
+    if (printText) console.log(`Matching ${options.resume === "-" ? "the resume" : options.resume} against ${jobs.length} job descriptions...`);
+    let finished = 0;
+    let matches;
+    try {
+        matches = await matchJobs(resume.text, jobs, {
+            ...buildAnalysisOptions(options),
+            concurrency: options.concurrency,
+            onRedaction: options.redactionMap ? redactionMap => {
+                fs.writeFileSync(options.redactionMap, JSON.stringify(redactionMap, null, 2) + "\n");
+            } : undefined,
+            onResult: ({ total, file, match, failure }) => {
+                finished++;
+                if (printText) console.log(`[${finished}/${total}] ${file}: ${match ? `${match.overallScore.toFixed(2)}%` : `failed - ${failure.message}`}`);
+            }
+        });
+    } catch (error) {
+        if (!(error instanceof AnalysisError)) throw error;
+        console.error(`Error: ${error.message}`);
+        return EXIT_FAILURE;
+    }
+
+    const output = { resume: options.resume, profile: options.profile || "default", ...matches };
+    if (options.csv) fs.writeFileSync(options.csv, formatMatchesCsv(matches));
+    if (options.json) fs.writeFileSync(options.json, JSON.stringify(output, null, 2) + "\n");
+
+    if (printText) {
+        printMatches(matches);
+        const written = [options.csv, options.json].filter(Boolean);
+        if (written.length > 0) console.log(`\nMatches written to ${written.join(" and ")}`);
+    } else {
+        process.stdout.write(JSON.stringify(output, null, 2) + "\n");
+    }
+
+    return matches.ranked.length > 0 ? 0 : EXIT_FAILURE;
+}
+
+// Subcommands, dispatched on the first argument
+const COMMANDS = {
+    batch: runBatchCommand,
+    match: runMatchCommand,
+    lint: runLintCommand,
+    rewrite: runRewriteCommand,
+    cache: runCacheCommand
+};
+
+async function main(argv) {
+    if (COMMANDS[argv[0]]) {
+        try {
+            return await COMMANDS[argv[0]](argv.slice(1));
+        } catch (error) {
+            if (!(error instanceof UsageError)) throw error;
+            console.error(`Error: ${error.message}`);
+            console.error("Run 'ats-check --help' for usage.");
+            return EXIT_USAGE;
+        }
+    }
+
+    let options;
+    try {
+        const cliOptions = parseArgs(argv);
+        if (cliOptions.help) {
+            process.stdout.write(HELP_TEXT);
+            return 0;
+        }
+        options = resolveOptions(cliOptions);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        console.error(`Error: ${error.message}`);
+        console.error("Run 'ats-check --help' for usage.");
+        return EXIT_USAGE;
+    }
+
+    const resume = await readDocument(options.resume, "resume");
+    const jobDescription = await readDocument(options.jd, "job description");
+    if (resume === null || jobDescription === null) {
+        return EXIT_FAILURE;
+    }
+
+    if (!validateInput(resume.text, "Resume")) {
+        printExtractionWarnings(resume);
+        return EXIT_FAILURE;
+    }
+    if (!validateInput(jobDescription.text, "Job Description")) {
+        printExtractionWarnings(jobDescription);
+        return EXIT_FAILURE;
+    }
+
+    const result = await computeATSScore(resume.text, jobDescription.text, {
+        ...buildAnalysisOptions(options),
+        // The map re-identifies the candidate, so it goes to its own file and never to stdout
+        onRedaction: options.redactionMap ? redactionMap => {
+            fs.writeFileSync(options.redactionMap, JSON.stringify(redactionMap, null, 2) + "\n");
+        } : undefined,
+        extraction: {
+            format: resume.format,
+            pageCount: resume.pageCount,
+            warnings: resume.warnings
+        }
+    });
+
+    if (!result) {
+        return EXIT_FAILURE;
+    }
+
+    if (options.format === "json") {
+        process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+    }
+
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            console.error(`Error: ${error.message}`);
+            process.exitCode = EXIT_FAILURE;
+        });
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,287 @@
+const { segmentResume } = require("./section-segmenter");
+const LOCATIONS = require("./data/locations.json");
+
+/**
+ * CONTACT INFORMATION
+ *
+ * Reads the candidate's name, email addresses, phone numbers, location and profile links
+ * (LinkedIn, GitHub, GitLab, Stack Overflow, personal site) from a resume. The name and location
+ * are taken from the header above the first section (or a "Contact" section); emails, phone
+ * numbers and links are found anywhere, since some resumes repeat them in a footer.
+ *
+ * Every value is validated: an email must be well formed, a phone number must have a plausible
+ * number of digits, and a profile link must name a profile. Problems, and missing or
+ * conflicting details, are returned as warnings `{ code, message }`.
+ */
+
+// Email-like tokens, validated separately so that malformed addresses can be reported
+const EMAIL_CANDIDATE = /[^\s<>()[\]{},;:|"'`]+@[^\s<>()[\]{},;:|"'`]+/g;
+const VALID_EMAIL = /^[A-Za-z0-9._%+-]+@(?:[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?\.)+[A-Za-z]{2,}$/;
+
+// Digit runs with the separators phone numbers are written with: "+44 20 7946 0958", "(555) 123-4567"
+const PHONE_CANDIDATE = /(?<![\w+/.])(?:\+|00)?\(?\d[\d\s().-]{5,}\d(?![\w/])/g;
+const PHONE_LABEL = /\b(?:phone|tel|telephone|mobile|cell)\b/i;
+// "2016 - 2020" is a date range, not a phone number
+const YEAR_RANGE = /^(?:19|20)\d{2}\s*[-–]\s*(?:19|20)\d{2}$/;
+// E.164 numbers have at most 15 digits, country code included
+const MIN_INTERNATIONAL_DIGITS = 8;
+const MAX_INTERNATIONAL_DIGITS = 15;
+
+const URL_CANDIDATE = /(?<![@\w.-])(?:https?:\/\/)?(?:www\.)?(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}(?:\/[^\s|,;()<>"']*)?/gi;
+// Top-level domains accepted for a bare personal site ("janedoe.dev"); others need http(s) or www
+const PERSONAL_SITE_DOMAINS = ["com", "io", "dev", "me", "net", "org", "co", "ai", "app", "tech", "site", "page", "xyz", "blog"];
+
+// Profile sites and how to read the username from a link's path
+const PROFILE_SITES = {
+    linkedin: { label: "LinkedIn", host: /(?:^|\.)linkedin\.com$/, username: /^\/(?:in|pub)\/([^/?#]+)/ },
+    github: { label: "GitHub", host: /^github\.com$/, username: /^\/([A-Za-z0-9-]+)/ },
+    gitlab: { label: "GitLab", host: /^gitlab\.com$/, username: /^\/([\w.-]+)/ },
+    stackoverflow: { label: "Stack Overflow", host: /^stackoverflow\.com$/, username: /^\/users\/(\d+(?:\/[^/?#]+)?)/ }
+};
+
+const POSTAL_CODES = [
+    /\b\d{5}(?:-\d{4})?\b/,                     // US ZIP
+    /\b[A-Z]\d[A-Z]\s?\d[A-Z]\d\b/,             // Canada
+    /\b[A-Z]{1,2}\d[A-Z\d]?\s?\d[A-Z]{2}\b/,    // United Kingdom
+    /\b\d{4,6}\b/                               // Most other countries
+];
+
+// Country names and abbreviations, lowercased -> country
+const COUNTRIES = new Map(Object.entries(LOCATIONS.countries).flatMap(([country, aliases]) =>
+    [country, ...aliases].map(alias => [alias.toLowerCase(), country])));
+
+// Region abbreviations and names, lowercased -> `{ region, country }`
+const REGIONS = new Map(Object.entries(LOCATIONS.regions).flatMap(([country, regions]) =>
+    Object.entries(regions).flatMap(([abbreviation, name]) => [
+        [abbreviation.toLowerCase(), { region: abbreviation, country }],
+        [name.toLowerCase(), { region: name, country }]
+    ])));
+
+// A place name: up to four capitalized words, e.g. "San Francisco", "St. John's"
+const PLACE_NAME = /^[\p{Lu}][\p{L}.'’-]*(?:\s+[\p{Lu}][\p{L}.'’-]*){0,3}$/u;
+const NAME_WORD = /^(?:[\p{Lu}][\p{L}'’-]*\.?|[\p{Lu}]\.)$/u;
+
+// "Jane", "Mary-Kate", "O'Neil", "J." ... written in title case or all caps
+function isNameLine(line) {
+    const words = line.split(/\s+/);
+    if (words.length < 2 || words.length > 4 || /[\d@/:|]/.test(line)) return false;
+    return words.every(word => NAME_WORD.test(word));
+}
+
+// "JANE ROE" -> "Jane Roe"
+function titleCase(text) {
+    if (text !== text.toUpperCase()) return text;
+    return text.toLowerCase().replace(/(^|[\s'’-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+// Lines of the header and any Contact section
+function contactLines(text) {
+    const sections = segmentResume(text).filter(section => section.type === "header" || section.type === "contact");
+    const source = sections.length > 0 ? sections.map(section => section.text).join("\n") : text.split("\n").slice(0, 5).join("\n");
+    return source.split("\n").map(line => line.trim()).filter(Boolean);
+}
+
+function extractName(lines) {
+    for (const line of lines) {
+        const labelled = line.match(/^name\s*:\s*(.+)$/i);
+        if (labelled && isNameLine(labelled[1].trim())) return titleCase(labelled[1].trim());
+    }
+    const nameLine = lines.find(isNameLine);
+    return nameLine ? titleCase(nameLine) : null;
+}
+
+function extractEmails(text, warnings) {
+    const emails = [];
+    for (const [token] of text.matchAll(EMAIL_CANDIDATE)) {
+        // "medium.com/@jane" is a link, not an address
+        if (token.includes("/")) continue;
+        const email = token.replace(/\.+$/, "");
+        const [local] = email.split("@");
+        if (!VALID_EMAIL.test(email) || local.startsWith(".") || local.endsWith(".") || email.includes("..")) {
+            warnings.push({ code: "INVALID_EMAIL", message: `"${email}" is not a well-formed email address` });
+            continue;
+        }
+        if (!emails.includes(email.toLowerCase())) emails.push(email.toLowerCase());
+    }
+    return emails;
+}
+
+/**
+ * Check and normalize a phone number as written
+ *
+ * Numbers written with a country code ("+44 ...", "0044 ...") need 8 to 15 digits. Without one,
+ * a number needs 10 digits, read as North American when it is shaped like one, or 10 to 11
+ * digits starting with a trunk 0 ("020 7946 0958").
+ *
+ * @param {string} raw - The number as written
+ * @returns {Object|null} - `{ raw, normalized, international }`, or null when implausible
+ */
+function normalizePhone(raw) {
+    const international = /^(?:\+|00)/.test(raw);
+    const digits = raw.replace(/\D/g, "").slice(raw.startsWith("00") ? 2 : 0);
+    if (/^(\d)\1+$/.test(digits)) return null;
+    if ((raw.match(/\(/g) || []).length !== (raw.match(/\)/g) || []).length) return null;
+
+    if (international) {
+        if (digits.length < MIN_INTERNATIONAL_DIGITS || digits.length > MAX_INTERNATIONAL_DIGITS) return null;
+        return { raw, normalized: `+${digits}`, international: true };
+    }
+    // North American numbers: the area code never starts with 0 or 1
+    if (/^1?[2-9]\d{9}$/.test(digits)) {
+        return { raw, normalized: `+${digits.length === 10 ? "1" : ""}${digits}`, international: false };
+    }
+    if (/^0\d{9,10}$/.test(digits)) return { raw, normalized: digits, international: false };
+    return null;
+}
+
+function extractPhones(text, headerText, warnings) {
+    const phones = [];
+    for (const line of text.split("\n")) {
+        const labelled = PHONE_LABEL.test(line);
+        for (const [match] of line.matchAll(PHONE_CANDIDATE)) {
+            const raw = match.trim().replace(/^\((?=[^)]*$)/, "");
+            if (YEAR_RANGE.test(raw)) continue;
+            const phone = normalizePhone(raw);
+            if (phone) {
+                if (!phones.some(existing => existing.normalized === phone.normalized)) phones.push(phone);
+            } else if (labelled || headerText.includes(line.trim())) {
+                // Only numbers that are clearly meant as phone numbers are worth a warning
+                const digitCount = raw.replace(/\D/g, "").length;
+                if (digitCount >= 7) warnings.push({ code: "INVALID_PHONE", message: `"${raw}" does not look like a valid phone number` });
+            }
+        }
+    }
+    return phones;
+}
+
+// Parse a link into `{ url, host, path }`, adding https:// when it was written without a scheme
+function parseLink(raw) {
+    const url = (/^https?:\/\//i.test(raw) ? raw : `https://${raw}`).replace(/[.,)]+$/, "").replace(/\/$/, "");
+    const match = url.match(/^https?:\/\/([^/?#]+)(.*)$/i);
+    return { url, host: match[1].toLowerCase().replace(/^www\./, ""), path: match[2] };
+}
+
+function extractLinks(text, headerText, warnings) {
+    const links = [];
+    const profiles = { linkedin: null, github: null, gitlab: null, stackoverflow: null, website: null };
+    const extraProfiles = {};
+
+    for (const [raw] of text.matchAll(URL_CANDIDATE)) {
+        const link = parseLink(raw);
+        const site = Object.keys(PROFILE_SITES).find(key => PROFILE_SITES[key].host.test(link.host));
+        const explicit = /^(?:https?:\/\/|www\.)/i.test(raw);
+        const tld = link.host.split(".").pop();
+        // Bare domains elsewhere in the resume are usually technologies ("Next.js") or employers
+        if (!site && !explicit && !(headerText.includes(raw) && PERSONAL_SITE_DOMAINS.includes(tld))) continue;
+        if (links.includes(link.url)) continue;
+        links.push(link.url);
+
+        const type = site || "website";
+        const usernameMatch = site ? link.path.match(PROFILE_SITES[site].username) : null;
+        if (site && !usernameMatch) {
+            warnings.push({ code: "INCOMPLETE_PROFILE_URL", message: `The ${PROFILE_SITES[site].label} link ${link.url} does not point to a profile` });
+            continue;
+        }
+        const profile = { url: link.url, username: usernameMatch ? decodeURIComponent(usernameMatch[1]) : null };
+        if (!profiles[type]) {
+            profiles[type] = profile;
+        } else if (type !== "website") {
+            extraProfiles[type] = (extraProfiles[type] || 0) + 1;
+        }
+    }
+
+    for (const [type, count] of Object.entries(extraProfiles)) {
+        warnings.push({ code: "DUPLICATE_PROFILE", message: `The resume links ${count + 1} different ${PROFILE_SITES[type].label} profiles; only ${profiles[type].url} is kept` });
+    }
+    return { links, profiles };
+}
+
+// City, region, country and postal code from one comma-separated segment of a contact line
+function parseLocation(segment) {
+    const parts = segment.split(",").map(part => part.trim()).filter(Boolean);
+
+    for (let index = 1; index < parts.length; index++) {
+        const postalCode = POSTAL_CODES.map(pattern => parts[index].match(pattern)).find(Boolean);
+        const place = parts[index].replace(postalCode ? postalCode[0] : "", "").trim().toLowerCase();
+        const region = REGIONS.get(place);
+        const country = COUNTRIES.get(place);
+        if (!region && !country) continue;
+
+        // The city is written before the region or country, possibly after its postal code
+        const cityPart = parts[index - 1].replace(/^\d{4,6}\s+/, "");
+        if (!PLACE_NAME.test(cityPart) || REGIONS.has(cityPart.toLowerCase())) continue;
+        const cityPostal = parts[index - 1].match(/^(\d{4,6})\s+/);
+        const nextCountry = parts[index + 1] ? COUNTRIES.get(parts[index + 1].replace(/\b\d{4,6}\b/, "").trim().toLowerCase()) : null;
+
+        return {
+            city: cityPart,
+            region: region ? region.region : null,
+            country: nextCountry || (region ? region.country : country),
+            postalCode: postalCode ? postalCode[0] : cityPostal ? cityPostal[1] : null
+        };
+    }
+    return null;
+}
+
+function extractLocation(lines) {
+    for (const line of lines) {
+        const labelled = line.match(/^(?:location|address)\s*:\s*(.+)$/i);
+        const segments = (labelled ? labelled[1] : line).split(/\s+[|•·]\s+|\s{3,}/);
+        for (const segment of segments) {
+            if (segment.includes("@") || /https?:|www\./i.test(segment)) continue;
+            const location = parseLocation(segment);
+            if (location) return location;
+        }
+    }
+    return null;
+}
+
+/**
+ * Extract a resume's contact information
+ *
+ * @param {string} resumeText - Resume text
+ * @returns {Object} - `{ name, email, emails, phone, phones, location, profiles, links, warnings }`
+ *   where `email` and `phone` are the first of `emails` and `phones`, each phone is
+ *   `{ raw, normalized, international }`, `location` is `{ city, region, country, postalCode }`
+ *   or null, and `profiles` has the `linkedin`, `github`, `gitlab`, `stackoverflow` and
+ *   `website` links as `{ url, username }` or null
+ */
+function extractContactInfo(resumeText) {
+    const warnings = [];
+    const lines = contactLines(resumeText);
+    const headerText = lines.join("\n");
+
+    const name = extractName(lines);
+    const emails = extractEmails(resumeText, warnings);
+    const phones = extractPhones(resumeText, headerText, warnings);
+    const { links, profiles } = extractLinks(resumeText, headerText, warnings);
+    const location = extractLocation(lines);
+
+    if (!name) warnings.push({ code: "MISSING_NAME", message: "No name found at the top of the resume" });
+    if (emails.length === 0) warnings.push({ code: "MISSING_EMAIL", message: "No valid email address found" });
+    if (phones.length === 0) warnings.push({ code: "MISSING_PHONE", message: "No valid phone number found" });
+    if (!location) warnings.push({ code: "MISSING_LOCATION", message: "No city or region found in the resume header" });
+    if (emails.length > 1) {
+        warnings.push({ code: "MULTIPLE_EMAILS", message: `The resume lists ${emails.length} different email addresses (${emails.join(", ")}); an ATS usually keeps only the first` });
+    }
+    if (phones.length > 1) {
+        warnings.push({ code: "MULTIPLE_PHONES", message: `The resume lists ${phones.length} different phone numbers (${phones.map(phone => phone.raw).join(", ")}); an ATS usually keeps only the first` });
+    }
+
+    return {
+        name,
+        email: emails[0] || null,
+        emails,
+        phone: phones[0] || null,
+        phones,
+        location,
+        profiles,
+        links,
+        warnings
+    };
+}
+
+module.exports = {
+    extractContactInfo,
+    normalizePhone
+};
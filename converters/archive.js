@@ -0,0 +1,53 @@
+const zlib = require("zlib");
+const { DocumentError } = require("./errors");
+
+/**
+ * ZIP ARCHIVE ENTRIES
+ *
+ * DOCX and ODT files, and batches of resumes, are zip archives. An entry is only inflated when
+ * its declared uncompressed size is within the limit, and deflated entries are inflated here with
+ * the limit as zlib's output cap rather than trusting the declared size, which a zip bomb can
+ * understate, so a small archive cannot expand into gigabytes of memory on any Node version.
+ */
+
+// zip compression method of deflated entries; stored entries are no larger than the archive
+const DEFLATED = 8;
+
+// Largest uncompressed entry read: far above a resume's XML parts or a resume file
+const MAX_ENTRY_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Inflate one archive entry
+ *
+ * @param {Object} entry - adm-zip entry
+ * @param {number} [maxBytes] - Largest uncompressed size accepted
+ * @returns {Buffer} - The entry's contents
+ * @throws {DocumentError} - DOCUMENT_TOO_LARGE when the entry expands beyond `maxBytes`
+ */
+function readArchiveEntry(entry, maxBytes = MAX_ENTRY_BYTES) {
+    if (entry.header.size > maxBytes) {
+        throw new DocumentError(`${entry.entryName} expands to ${entry.header.size} bytes, more than the ${maxBytes} allowed`, "DOCUMENT_TOO_LARGE");
+    }
+    if (entry.header.method !== DEFLATED) return entry.getData();
+
+    try {
+        return zlib.inflateRawSync(entry.getCompressedData(), { maxOutputLength: maxBytes });
+    } catch (error) {
+        if (error.code === "ERR_BUFFER_TOO_LARGE") {
+            throw new DocumentError(`${entry.entryName} expands to more than the ${maxBytes} bytes allowed, although it declares ${entry.header.size}`, "DOCUMENT_TOO_LARGE");
+        }
+        throw new DocumentError(`${entry.entryName} could not be decompressed: ${error.message}`);
+    }
+}
+
+// Text of the named entry, or null when the archive does not have it
+function readArchiveText(zip, name) {
+    const entry = zip.getEntry(name);
+    return entry ? readArchiveEntry(entry).toString("utf8") : null;
+}
+
+module.exports = {
+    readArchiveEntry,
+    readArchiveText,
+    MAX_ENTRY_BYTES
+};
@@ -0,0 +1,178 @@
+/**
+ * NORMALIZED DOCUMENT BLOCKS
+ *
+ * The DOCX, ODT, RTF and HTML converters all parse their format into the same list of
+ * blocks, which is then rendered to text in the shape the extractors expect:
+ *
+ *   { type: "heading", text }                      -> own line, preceded by a blank line
+ *   { type: "paragraph", text }                    -> own line ("" renders a blank line)
+ *   { type: "list-item", text, level }             -> "• text", so bullet lines are recognized
+ *   { type: "table-row", cells: [[block, ...]] }   -> "cell | cell | cell" when every cell is a
+ *                                                     single line (e.g. "Title | Company | Dates"),
+ *                                                     otherwise each cell's blocks in turn
+ *
+ * Every block also carries an `origin` ("body", "header", "footer" or "text-box"). Content
+ * in tables, headers/footers and text boxes is rendered but flagged with a warning, since
+ * real ATS parsers often drop it.
+ */
+
+// Leading characters that are bullets typed by hand rather than list formatting
+const MANUAL_BULLET = /^[•·▪▫◦●○■□►▸➢➤✓✔*-]$/;
+
+// Normalize inline text: tabs become field separators, whitespace is collapsed per line
+function cleanInlineText(text) {
+    return text
+        .split("\n")
+        .map(line => {
+            const fields = line.split(/\t+/).map(field => field.replace(/[ \u00a0]+/g, " ").trim()).filter(Boolean);
+            let result = "";
+            fields.forEach((field, index) => {
+                if (index > 0) {
+                    // "•<tab>text" is a hand-made bullet; other tab stops separate fields
+                    result += MANUAL_BULLET.test(fields[index - 1]) ? " " : " | ";
+                }
+                result += field;
+            });
+            return result;
+        })
+        .join("\n")
+        .trim();
+}
+
+// Text of a block on a single line, used for table cells and warning samples
+function blockToLine(block) {
+    if (block.type === "table-row") {
+        return block.cells.map(cell => cell.map(blockToLine).filter(Boolean).join(" ")).filter(Boolean).join(" | ");
+    }
+    return cleanInlineText(block.text || "").replace(/\n+/g, " ");
+}
+
+function renderBlock(block, output) {
+    switch (block.type) {
+        case "heading": {
+            const text = cleanInlineText(block.text);
+            if (!text) return;
+            if (output.length > 0 && output[output.length - 1] !== "") output.push("");
+            output.push(text);
+            return;
+        }
+        case "list-item": {
+            const text = cleanInlineText(block.text);
+            if (!text) return;
+            output.push(`${"  ".repeat(block.level || 0)}• ${text.replace(/^[•·▪◦●■*-]\s*/, "")}`);
+            return;
+        }
+        case "table-row": {
+            const cells = block.cells.filter(cell => cell.some(cellBlock => blockToLine(cellBlock)));
+            if (cells.length === 0) return;
+
+            const singleLine = cells.every(cell => cell.filter(cellBlock => blockToLine(cellBlock)).length === 1 &&
+                cell.every(cellBlock => cellBlock.type !== "table-row"));
+            if (singleLine) {
+                output.push(cells.map(cell => cell.map(blockToLine).filter(Boolean).join(" ")).join(" | "));
+                return;
+            }
+
+            // Layout tables hold whole sections per cell; read them one cell after another
+            cells.forEach((cell, index) => {
+                if (index > 0 && output[output.length - 1] !== "") output.push("");
+                cell.forEach(cellBlock => renderBlock(cellBlock, output));
+            });
+            return;
+        }
+        default: {
+            const text = cleanInlineText(block.text || "");
+            output.push(...(text ? text.split("\n") : [""]));
+        }
+    }
+}
+
+/**
+ * Render blocks to normalized text
+ *
+ * @param {Object[]} blocks - Blocks in reading order
+ * @returns {string} - Text with one line per paragraph, list item or table row
+ */
+function renderBlocks(blocks) {
+    const output = [];
+    blocks.forEach(block => renderBlock(block, output));
+
+    return output.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// Shorten a sample of flagged text for warning messages
+function sample(text) {
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Warnings for content that ATS parsers commonly drop
+ *
+ * @param {Object[]} blocks - Blocks in reading order
+ * @returns {Object[]} - `{ code, message }` warnings for tables, headers/footers and text boxes
+ */
+function flagAtRiskContent(blocks) {
+    const tableRows = [];
+    const headerFooterLines = [];
+    const textBoxLines = [];
+
+    const visit = (block, inTable) => {
+        const line = blockToLine(block);
+        if (!line) return;
+
+        if (block.type === "table-row" && !inTable) tableRows.push(line);
+        if (block.origin === "header" || block.origin === "footer") headerFooterLines.push(line);
+        if (block.origin === "text-box") textBoxLines.push(line);
+
+        if (block.type === "table-row") {
+            block.cells.forEach(cell => cell.forEach(cellBlock => visit({ origin: block.origin, ...cellBlock }, true)));
+        }
+    };
+    blocks.forEach(block => visit(block, false));
+
+    const warnings = [];
+    if (tableRows.length > 0) {
+        warnings.push({
+            code: "TABLE_CONTENT",
+            message: `${tableRows.length} table row(s) found (e.g. "${sample(tableRows[0])}"); many ATS parsers skip or scramble text inside tables`
+        });
+    }
+    if (headerFooterLines.length > 0) {
+        warnings.push({
+            code: "HEADER_FOOTER_CONTENT",
+            message: `Text found in the page header/footer (e.g. "${sample(headerFooterLines[0])}"); many ATS parsers ignore headers and footers, so keep contact details in the body`
+        });
+    }
+    if (textBoxLines.length > 0) {
+        warnings.push({
+            code: "TEXT_BOX_CONTENT",
+            message: `${textBoxLines.length} line(s) of text found in text boxes (e.g. "${sample(textBoxLines[0])}"); text boxes are often dropped by ATS parsers`
+        });
+    }
+
+    return warnings;
+}
+
+/**
+ * Render blocks and collect their warnings - the common tail of every block-based converter
+ *
+ * @returns {Object} - `{ text, warnings }`
+ */
+function blocksToDocument(blocks) {
+    const text = renderBlocks(blocks);
+    const warnings = flagAtRiskContent(blocks);
+    if (text.length === 0) {
+        warnings.push({
+            code: "NO_TEXT",
+            message: "The document contains no extractable text"
+        });
+    }
+
+    return { text, warnings };
+}
+
+module.exports = {
+    blocksToDocument,
+    renderBlocks,
+    flagAtRiskContent
+};
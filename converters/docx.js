@@ -0,0 +1,195 @@
+const AdmZip = require("adm-zip");
+const { DomUtils } = require("htmlparser2");
+const { DocumentError } = require("./errors");
+const { readArchiveText } = require("./archive");
+const { parseXml, childElements, findElement } = require("./dom");
+const { blocksToDocument, renderBlocks } = require("./blocks");
+
+/**
+ * DOCX TEXT EXTRACTION
+ *
+ * A .docx file is a zip archive of WordprocessingML parts. The main document body is walked
+ * in order and turned into normalized blocks:
+ * - paragraphs styled "Heading N"/"Title" (or with an outline level) become headings
+ * - numbered and bulleted paragraphs become list items
+ * - tables become rows of cells
+ * - text boxes are emitted after the paragraph they are anchored to
+ * Page headers and footers are read from their own parts and placed before/after the body.
+ */
+
+// Elements whose text is never part of the visible document
+const SKIPPED_ELEMENTS = new Set([
+    "w:pPr", "w:rPr", "w:del", "w:delText", "w:instrText", "w:fldData",
+    "w:commentReference", "w:footnoteReference", "w:endnoteReference", "mc:Fallback"
+]);
+
+const HEADING_STYLE = /^(heading \d|title|subtitle)$/i;
+const LIST_STYLE = /list/i;
+
+function attribute(node, name) {
+    return node && node.attribs ? node.attribs[name] : undefined;
+}
+
+// Read a part of the archive as XML, or null when it does not exist
+function readPart(zip, name) {
+    const text = readArchiveText(zip, name);
+    return text === null ? null : parseXml(text);
+}
+
+// Map style ids to their display name and outline level
+function loadStyles(zip) {
+    const styles = {};
+    const document = readPart(zip, "word/styles.xml");
+    if (!document) return styles;
+
+    const root = findElement(document, "w:styles");
+    childElements(root || document).filter(node => node.name === "w:style").forEach(style => {
+        const outlineLevel = findElement(style, "w:outlineLvl");
+        styles[attribute(style, "w:styleId")] = {
+            name: attribute(findElement(style, "w:name"), "w:val") || "",
+            outlineLevel: outlineLevel ? Number(attribute(outlineLevel, "w:val")) : null
+        };
+    });
+
+    return styles;
+}
+
+// Collect the inline text of a paragraph; text boxes found along the way are collected separately
+function collectInlineText(node, textBoxes) {
+    let text = "";
+
+    for (const child of node.children || []) {
+        if (child.type !== "tag" || SKIPPED_ELEMENTS.has(child.name)) continue;
+
+        switch (child.name) {
+            case "w:t":
+                text += DomUtils.textContent(child);
+                break;
+            case "w:tab":
+                text += "\t";
+                break;
+            case "w:br":
+            case "w:cr":
+                text += "\n";
+                break;
+            case "w:noBreakHyphen":
+                text += "-";
+                break;
+            case "w:txbxContent":
+                textBoxes.push(child);
+                break;
+            default:
+                text += collectInlineText(child, textBoxes);
+        }
+    }
+
+    return text;
+}
+
+function paragraphBlock(paragraph, styles, origin, textBoxes) {
+    const properties = findElement(paragraph, "w:pPr");
+    const styleId = attribute(properties && findElement(properties, "w:pStyle"), "w:val");
+    const style = styles[styleId] || { name: styleId || "", outlineLevel: null };
+    const text = collectInlineText(paragraph, textBoxes);
+
+    const outlineElement = properties && findElement(properties, "w:outlineLvl");
+    const outlineLevel = outlineElement ? Number(attribute(outlineElement, "w:val")) : style.outlineLevel;
+    if (HEADING_STYLE.test(style.name) || (outlineLevel !== null && outlineLevel < 9)) {
+        return { type: "heading", text, origin };
+    }
+
+    // numId 0 explicitly removes numbering inherited from the style
+    const numbering = properties && findElement(properties, "w:numPr");
+    const numberingId = attribute(numbering && findElement(numbering, "w:numId"), "w:val");
+    if ((numbering && numberingId !== "0") || LIST_STYLE.test(style.name)) {
+        const level = Number(attribute(numbering && findElement(numbering, "w:ilvl"), "w:val")) || 0;
+        return { type: "list-item", text, level, origin };
+    }
+
+    return { type: "paragraph", text, origin };
+}
+
+// Walk a container of block-level content (body, table cell, header, text box)
+function walkBlocks(node, styles, origin, blocks) {
+    for (const child of childElements(node)) {
+        switch (child.name) {
+            case "w:p": {
+                const textBoxes = [];
+                blocks.push(paragraphBlock(child, styles, origin, textBoxes));
+                textBoxes.forEach(textBox => walkBlocks(textBox, styles, "text-box", blocks));
+                break;
+            }
+            case "w:tbl":
+                childElements(child).filter(row => row.name === "w:tr").forEach(row => {
+                    const cells = childElements(row)
+                        .filter(cell => cell.name === "w:tc")
+                        .map(cell => walkBlocks(cell, styles, origin, []));
+                    blocks.push({ type: "table-row", cells, origin });
+                });
+                break;
+            case "w:sectPr":
+            case "w:tblPr":
+            case "w:tcPr":
+                break;
+            default:
+                // Content controls, custom XML and similar wrappers
+                walkBlocks(child, styles, origin, blocks);
+        }
+    }
+
+    return blocks;
+}
+
+// Blocks of every header or footer part, skipping repeats (first-page/even-page variants)
+function headerFooterBlocks(zip, styles, kind) {
+    const blocks = [];
+    const seen = new Set();
+
+    zip.getEntries()
+        .map(entry => entry.entryName)
+        .filter(name => new RegExp(`^word/${kind}\\d*\\.xml$`).test(name))
+        .sort()
+        .forEach(name => {
+            const partBlocks = walkBlocks(readPart(zip, name), styles, kind, []);
+            const key = renderBlocks(partBlocks);
+            if (!key || seen.has(key)) return;
+            seen.add(key);
+            blocks.push(...partBlocks);
+        });
+
+    return blocks;
+}
+
+/**
+ * Convert a DOCX document to text
+ *
+ * @param {Buffer} buffer - Raw .docx bytes
+ * @returns {Object} - `{ text, warnings }`
+ * @throws {DocumentError} - When the archive is not a readable Word document
+ */
+function convertDocx(buffer) {
+    let zip;
+    let document;
+    try {
+        zip = new AdmZip(buffer);
+        document = readPart(zip, "word/document.xml");
+    } catch (error) {
+        if (error instanceof DocumentError) throw error;
+        throw new DocumentError(`Could not read DOCX: ${error.message}`);
+    }
+    if (!document) {
+        throw new DocumentError("Could not read DOCX: word/document.xml is missing");
+    }
+
+    const styles = loadStyles(zip);
+    const body = findElement(document, "w:body");
+    const blocks = [
+        ...headerFooterBlocks(zip, styles, "header"),
+        ...walkBlocks(body || document, styles, "body", []),
+        ...headerFooterBlocks(zip, styles, "footer")
+    ];
+
+    return blocksToDocument(blocks);
+}
+
+module.exports = { convertDocx };
@@ -0,0 +1,42 @@
+const { parseDocument } = require("htmlparser2");
+
+/**
+ * Small helpers for walking documents parsed with htmlparser2, shared by the XML-based
+ * converters (DOCX, ODT) and the HTML converter.
+ */
+
+// Parse an XML part of an office document, keeping namespace prefixes in element names
+function parseXml(xml) {
+    return parseDocument(xml, { xmlMode: true, decodeEntities: true });
+}
+
+// Element children of a node, skipping text, comments and processing instructions
+function childElements(node) {
+    return (node.children || []).filter(child => child.type === "tag");
+}
+
+// First descendant element with the given name (depth-first)
+function findElement(node, name) {
+    for (const child of childElements(node)) {
+        if (child.name === name) return child;
+        const found = findElement(child, name);
+        if (found) return found;
+    }
+    return null;
+}
+
+// All descendant elements with the given name, in document order
+function findElements(node, name, results = []) {
+    for (const child of childElements(node)) {
+        if (child.name === name) results.push(child);
+        findElements(child, name, results);
+    }
+    return results;
+}
+
+module.exports = {
+    parseXml,
+    childElements,
+    findElement,
+    findElements
+};
@@ -0,0 +1,10 @@
+// Error raised when a document cannot be converted to text
+class DocumentError extends Error {
+    constructor(message, code = "UNREADABLE_DOCUMENT") {
+        super(message);
+        this.name = "DocumentError";
+        this.code = code;
+    }
+}
+
+module.exports = { DocumentError };
@@ -0,0 +1,118 @@
+const { parseDocument } = require("htmlparser2");
+const { childElements } = require("./dom");
+const { blocksToDocument } = require("./blocks");
+
+/**
+ * HTML TEXT EXTRACTION
+ *
+ * Resumes exported as web pages are walked element by element: h1-h6 become headings,
+ * li elements list items (nested lists indent), table rows keep their cells, and other
+ * block elements start a new line. Scripts, styles and the document head are ignored.
+ */
+
+const SKIPPED_ELEMENTS = new Set(["head", "script", "style", "noscript", "template", "svg", "iframe", "object", "select", "button"]);
+
+const BLOCK_ELEMENTS = new Set([
+    "p", "div", "section", "article", "header", "footer", "main", "aside", "nav", "blockquote",
+    "address", "pre", "dl", "dt", "dd", "figure", "figcaption", "form", "fieldset", "hr", "body", "html"
+]);
+
+const HEADING_ELEMENTS = /^h[1-6]$/;
+
+function newContext(listLevel) {
+    return { blocks: [], current: null, listLevel, preformatted: false };
+}
+
+// Finish the block being collected, if it has any text
+function flush(context) {
+    if (context.current && context.current.text.trim()) {
+        context.blocks.push(context.current);
+    }
+    context.current = null;
+}
+
+function appendText(context, text) {
+    if (!context.current) context.current = { type: "paragraph", text: "", origin: "body" };
+    context.current.text += text;
+}
+
+function tableRows(table) {
+    // Rows may be wrapped in thead/tbody/tfoot
+    return childElements(table).flatMap(child => {
+        if (child.name === "tr") return [child];
+        if (["thead", "tbody", "tfoot"].includes(child.name)) return tableRows(child);
+        return [];
+    });
+}
+
+function walk(node, context) {
+    for (const child of node.children || []) {
+        if (child.type === "text") {
+            // Source whitespace collapses to a space outside <pre>; non-breaking spaces are kept
+            appendText(context, context.preformatted ? child.data : child.data.replace(/[ \t\r\n\f]+/g, " "));
+            continue;
+        }
+        if (child.type !== "tag" || SKIPPED_ELEMENTS.has(child.name)) continue;
+
+        const name = child.name;
+        if (name === "br") {
+            appendText(context, "\n");
+        } else if (HEADING_ELEMENTS.test(name)) {
+            flush(context);
+            context.current = { type: "heading", text: "", origin: "body" };
+            walk(child, context);
+            flush(context);
+        } else if (name === "ul" || name === "ol") {
+            flush(context);
+            const listLevel = context.listLevel;
+            context.listLevel = listLevel + 1;
+            walk(child, context);
+            context.listLevel = listLevel;
+            flush(context);
+        } else if (name === "li") {
+            flush(context);
+            context.current = { type: "list-item", text: "", level: Math.max(context.listLevel, 0), origin: "body" };
+            walk(child, context);
+            flush(context);
+        } else if (name === "table") {
+            flush(context);
+            tableRows(child).forEach(row => {
+                const cells = childElements(row)
+                    .filter(cell => cell.name === "td" || cell.name === "th")
+                    .map(cell => {
+                        const cellContext = newContext(context.listLevel);
+                        walk(cell, cellContext);
+                        flush(cellContext);
+                        return cellContext.blocks;
+                    });
+                context.blocks.push({ type: "table-row", cells, origin: "body" });
+            });
+        } else if (BLOCK_ELEMENTS.has(name)) {
+            flush(context);
+            const preformatted = context.preformatted;
+            context.preformatted = preformatted || name === "pre";
+            walk(child, context);
+            context.preformatted = preformatted;
+            flush(context);
+        } else {
+            walk(child, context);
+        }
+    }
+}
+
+/**
+ * Convert an HTML document to text
+ *
+ * @param {Buffer} buffer - Raw HTML bytes (UTF-8)
+ * @returns {Object} - `{ text, warnings }`
+ */
+function convertHtml(buffer) {
+    const document = parseDocument(buffer.toString("utf8").replace(/^\uFEFF/, ""));
+    const context = newContext(-1);
+    walk(document, context);
+    flush(context);
+
+    return blocksToDocument(context.blocks);
+}
+
+module.exports = { convertHtml };
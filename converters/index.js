@@ -0,0 +1,134 @@
+const fs = require("fs");
+const path = require("path");
+const AdmZip = require("adm-zip");
+const { convertPdf } = require("./pdf");
+const { convertDocx } = require("./docx");
+const { convertOdt } = require("./odt");
+const { convertRtf } = require("./rtf");
+const { convertHtml } = require("./html");
+const { DocumentError } = require("./errors");
+const { readArchiveText } = require("./archive");
+
+/**
+ * DOCUMENT INGESTION
+ *
+ * Turns resume and job description files into the plain text the analysis works on.
+ * Every converter returns `{ format, text, warnings }`; warnings describe content that was
+ * lost or is at risk of being misread by real ATS parsers.
+ */
+
+const SUPPORTED_FORMATS = ["text", "pdf", "docx", "odt", "rtf", "html"];
+
+const EXTENSION_FORMATS = {
+    ".pdf": "pdf",
+    ".docx": "docx",
+    ".odt": "odt",
+    ".rtf": "rtf",
+    ".html": "html",
+    ".htm": "html",
+    ".txt": "text"
+};
+
+// Magic bytes of OLE compound files: legacy Word .doc files, and also password-protected
+// .docx files, which Office wraps in the same container
+const OLE_SIGNATURE = "d0cf11e0a1b11ae1";
+
+// Tell DOCX and ODT archives apart by the parts they contain
+function detectZipFormat(buffer, extension) {
+    try {
+        const zip = new AdmZip(buffer);
+        if (zip.getEntry("word/document.xml")) return "docx";
+        if (zip.getEntry("content.xml") || /opendocument\.text/.test(readArchiveText(zip, "mimetype") || "")) return "odt";
+    } catch (error) {
+        // Corrupt archives fall through to the extension so the converter reports the error
+    }
+    return EXTENSION_FORMATS[extension] || "zip";
+}
+
+// Detect a document format from its magic bytes, falling back to the file extension
+function detectFormat(buffer, filename = "") {
+    const extension = path.extname(filename).toLowerCase();
+    const head = buffer.slice(0, 512).toString("latin1");
+
+    if (head.startsWith("%PDF-")) return "pdf";
+    if (head.startsWith("PK\x03\x04")) return detectZipFormat(buffer, extension);
+    if (head.startsWith("{\\rtf")) return "rtf";
+    if (buffer.slice(0, 8).toString("hex") === OLE_SIGNATURE) return "doc";
+    if (EXTENSION_FORMATS[extension]) return EXTENSION_FORMATS[extension];
+    if (/^(\uFEFF|\xEF\xBB\xBF)?\s*(<!doctype html|<html[\s>])/i.test(head)) return "html";
+
+    return "text";
+}
+
+// Decode a plain-text document, rejecting binary content
+function convertText(buffer) {
+    // NUL bytes never occur in text files but are common in binary formats
+    if (buffer.includes(0)) {
+        throw new DocumentError("File appears to be binary and is not a supported document format", "UNSUPPORTED_FORMAT");
+    }
+
+    const text = buffer.toString("utf8").replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+    return { text, warnings: [] };
+}
+
+/**
+ * Convert a document to text
+ *
+ * @param {Buffer} buffer - Raw file contents
+ * @param {Object} [options]
+ * @param {string} [options.filename] - Original file name, used for format detection
+ * @param {string} [options.format] - Force a format instead of detecting it
+ * @returns {Promise<Object>} - `{ format, text, warnings, pageCount? }`
+ * @throws {DocumentError} - When the format is unsupported or the document cannot be read
+ */
+async function convertDocument(buffer, options = {}) {
+    const format = options.format || detectFormat(buffer, options.filename);
+
+    let result;
+    switch (format) {
+        case "pdf":
+            result = await convertPdf(buffer);
+            break;
+        case "docx":
+            result = convertDocx(buffer);
+            break;
+        case "odt":
+            result = convertOdt(buffer);
+            break;
+        case "rtf":
+            result = convertRtf(buffer);
+            break;
+        case "html":
+            result = convertHtml(buffer);
+            break;
+        case "doc": {
+            const extension = path.extname(options.filename || "").toLowerCase();
+            if (extension === ".docx" || extension === ".odt") {
+                throw new DocumentError("Document is password protected", "ENCRYPTED_DOCUMENT");
+            }
+            throw new DocumentError("Legacy Word (.doc) files are not supported; save the document as .docx, .rtf or .pdf", "UNSUPPORTED_FORMAT");
+        }
+        case "text":
+            result = convertText(buffer);
+            break;
+        default:
+            throw new DocumentError(`Unsupported document format "${format}". Expected one of: ${SUPPORTED_FORMATS.join(", ")}`, "UNSUPPORTED_FORMAT");
+    }
+
+    return { format, ...result };
+}
+
+// Read a document from disk and convert it to text
+async function loadDocument(filePath, options = {}) {
+    const buffer = await fs.promises.readFile(filePath);
+    return convertDocument(buffer, { filename: filePath, ...options });
+}
+
+module.exports = {
+    convertDocument,
+    loadDocument,
+    detectFormat,
+    DocumentError,
+    SUPPORTED_FORMATS,
+    EXTENSION_FORMATS
+};
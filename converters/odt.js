@@ -0,0 +1,170 @@
+const AdmZip = require("adm-zip");
+const { DocumentError } = require("./errors");
+const { readArchiveText } = require("./archive");
+const { parseXml, childElements, findElement, findElements } = require("./dom");
+const { blocksToDocument } = require("./blocks");
+
+/**
+ * ODT TEXT EXTRACTION
+ *
+ * An OpenDocument text file is a zip archive whose content.xml holds the body. Headings
+ * (text:h), paragraphs, nested lists, tables and sections are turned into normalized blocks;
+ * frames with text boxes are emitted after the paragraph that anchors them. Page headers and
+ * footers live in the master pages of styles.xml.
+ */
+
+// Elements whose text is never part of the visible document
+const SKIPPED_ELEMENTS = new Set([
+    "text:note", "office:annotation", "office:annotation-end", "text:tracked-changes",
+    "text:bookmark", "text:bookmark-start", "text:bookmark-end", "draw:image", "svg:desc", "svg:title"
+]);
+
+function readPart(zip, name) {
+    const text = readArchiveText(zip, name);
+    return text === null ? null : parseXml(text);
+}
+
+// Collect the inline text of a paragraph; text boxes found along the way are collected separately
+function collectInlineText(node, textBoxes) {
+    let text = "";
+
+    for (const child of node.children || []) {
+        if (child.type === "text") {
+            // Raw whitespace collapses to a space; tabs and breaks are explicit elements
+            text += child.data.replace(/[ \t\r\n]+/g, " ");
+            continue;
+        }
+        if (child.type !== "tag" || SKIPPED_ELEMENTS.has(child.name)) continue;
+
+        switch (child.name) {
+            case "text:s":
+                text += " ".repeat(Number(child.attribs["text:c"]) || 1);
+                break;
+            case "text:tab":
+                text += "\t";
+                break;
+            case "text:line-break":
+                text += "\n";
+                break;
+            case "draw:text-box":
+                textBoxes.push(child);
+                break;
+            default:
+                text += collectInlineText(child, textBoxes);
+        }
+    }
+
+    return text;
+}
+
+function walkList(list, origin, level, blocks) {
+    for (const item of childElements(list)) {
+        if (item.name !== "text:list-item" && item.name !== "text:list-header") continue;
+
+        for (const child of childElements(item)) {
+            if (child.name === "text:list") {
+                walkList(child, origin, level + 1, blocks);
+            } else if (child.name === "text:p" || child.name === "text:h") {
+                const textBoxes = [];
+                blocks.push({ type: "list-item", text: collectInlineText(child, textBoxes), level, origin });
+                textBoxes.forEach(textBox => walkBlocks(textBox, "text-box", blocks));
+            } else {
+                walkBlocks({ children: [child] }, origin, blocks);
+            }
+        }
+    }
+}
+
+function tableRows(table) {
+    // Rows may be wrapped in header-rows or row-groups
+    return childElements(table).flatMap(child => {
+        if (child.name === "table:table-row") return [child];
+        if (/^table:table-(header-rows|rows|row-group)$/.test(child.name)) return tableRows(child);
+        return [];
+    });
+}
+
+// Walk a container of block-level content (body, table cell, header, text box)
+function walkBlocks(node, origin, blocks) {
+    for (const child of childElements(node)) {
+        if (SKIPPED_ELEMENTS.has(child.name)) continue;
+
+        switch (child.name) {
+            case "text:h":
+            case "text:p": {
+                const textBoxes = [];
+                const text = collectInlineText(child, textBoxes);
+                blocks.push({ type: child.name === "text:h" ? "heading" : "paragraph", text, origin });
+                textBoxes.forEach(textBox => walkBlocks(textBox, "text-box", blocks));
+                break;
+            }
+            case "text:list":
+                walkList(child, origin, 0, blocks);
+                break;
+            case "table:table":
+                tableRows(child).forEach(row => {
+                    // Covered cells (the hidden parts of merged cells) are skipped
+                    const cells = childElements(row)
+                        .filter(cell => cell.name === "table:table-cell")
+                        .map(cell => walkBlocks(cell, origin, []));
+                    blocks.push({ type: "table-row", cells, origin });
+                });
+                break;
+            case "draw:text-box":
+                walkBlocks(child, "text-box", blocks);
+                break;
+            default:
+                // Sections, frames and other wrappers
+                walkBlocks(child, origin, blocks);
+        }
+    }
+
+    return blocks;
+}
+
+// Header and footer blocks of the master pages in styles.xml
+function headerFooterBlocks(zip, kind) {
+    const styles = readPart(zip, "styles.xml");
+    if (!styles) return [];
+
+    const masterStyles = findElement(styles, "office:master-styles");
+    if (!masterStyles) return [];
+
+    return findElements(masterStyles, `style:${kind}`).flatMap(part => walkBlocks(part, kind, []));
+}
+
+/**
+ * Convert an ODT document to text
+ *
+ * @param {Buffer} buffer - Raw .odt bytes
+ * @returns {Object} - `{ text, warnings }`
+ * @throws {DocumentError} - When the archive is not a readable OpenDocument text file
+ */
+function convertOdt(buffer) {
+    let zip;
+    let content;
+    try {
+        zip = new AdmZip(buffer);
+        if (/manifest:encryption-data/.test(readArchiveText(zip, "META-INF/manifest.xml") || "")) {
+            throw new DocumentError("ODT is password protected", "ENCRYPTED_DOCUMENT");
+        }
+        content = readPart(zip, "content.xml");
+    } catch (error) {
+        if (error instanceof DocumentError) throw error;
+        throw new DocumentError(`Could not read ODT: ${error.message}`);
+    }
+    if (!content) {
+        throw new DocumentError("Could not read ODT: content.xml is missing");
+    }
+
+    const body = findElement(content, "office:text");
+    const blocks = [
+        ...headerFooterBlocks(zip, "header"),
+        ...walkBlocks(body || content, "body", []),
+        ...headerFooterBlocks(zip, "footer")
+    ];
+
+    return blocksToDocument(blocks);
+}
+
+module.exports = { convertOdt };
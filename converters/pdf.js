@@ -0,0 +1,342 @@
+const pdfjs = require("pdfjs-dist/legacy/build/pdf.js");
+const { DocumentError } = require("./errors");
+
+/**
+ * LAYOUT-AWARE PDF TEXT EXTRACTION
+ *
+ * PDF files store positioned text fragments rather than lines, so reading order has to be
+ * reconstructed. This converter:
+ * - groups fragments into lines by baseline and keeps one output line per visual line,
+ *   so "Title | Company | Dates" entries stay on a single line for the employment parser
+ * - detects a vertical gutter between two columns and emits the left column before the
+ *   right one, with full-width lines (name, contact header) kept in place
+ * - turns large vertical gaps into blank lines, as in a plain-text resume
+ * - keeps bullet glyphs, mapping symbol-font bullets to "•" so bullet lines are recognized
+ *
+ * Problems that typically make real ATS parsers lose content are reported as warnings.
+ */
+
+// Fonts every PDF viewer provides, so they are never embedded
+const STANDARD_FONTS = [
+    "Courier", "Courier-Bold", "Courier-BoldOblique", "Courier-Oblique",
+    "Helvetica", "Helvetica-Bold", "Helvetica-BoldOblique", "Helvetica-Oblique",
+    "Times-Roman", "Times-Bold", "Times-BoldItalic", "Times-Italic",
+    "Symbol", "ZapfDingbats"
+];
+
+// Private-use codepoints that Symbol/Wingdings fonts use for bullets
+const SYMBOL_FONT_BULLETS = /[\uf0a7\uf0b7\uf0a8\uf06c\uf06e\uf076\uf0d8\uf0fc]/g;
+
+// Characters that indicate a font without a usable character map
+const UNMAPPED_CHARACTERS = /[\ue000-\uf8ff\ufffd\u0000-\u0008\u000b\u000c\u000e-\u001f]/g;
+
+const IMAGE_OPERATORS = [
+    pdfjs.OPS.paintImageXObject,
+    pdfjs.OPS.paintInlineImageXObject,
+    pdfjs.OPS.paintImageMaskXObject,
+    pdfjs.OPS.paintJpegXObject
+];
+
+// Pages with fewer characters than this are considered to have no text layer
+const MIN_PAGE_TEXT_LENGTH = 20;
+
+// Normalize a text fragment: compatibility forms (ligatures, full-width letters) and symbol bullets
+function normalizeFragment(text) {
+    return text.replace(SYMBOL_FONT_BULLETS, "•").normalize("NFKC");
+}
+
+// A segment made only of a bullet glyph, e.g. when the bullet is drawn separately from its text
+function isBulletOnly(text) {
+    return /^[•·▪▫◦●○■□►▸➢➤✓✔\-*]$/.test(text.trim());
+}
+
+// Group positioned fragments into visual lines, top of the page first
+function groupIntoLines(fragments) {
+    const sorted = [...fragments].sort((a, b) => b.y - a.y || a.x - b.x);
+    const lines = [];
+
+    for (const fragment of sorted) {
+        const line = lines[lines.length - 1];
+        if (line && Math.abs(line.y - fragment.y) <= Math.min(line.fontSize, fragment.fontSize) * 0.5) {
+            line.fragments.push(fragment);
+            line.fontSize = Math.max(line.fontSize, fragment.fontSize);
+        } else {
+            lines.push({ y: fragment.y, fontSize: fragment.fontSize, fragments: [fragment] });
+        }
+    }
+
+    // Split each line into segments wherever there is a wide horizontal gap (tab stops, columns)
+    for (const line of lines) {
+        line.fragments.sort((a, b) => a.x - b.x);
+        line.segments = [];
+
+        for (const fragment of line.fragments) {
+            const segment = line.segments[line.segments.length - 1];
+            const gap = segment ? fragment.x - segment.x1 : Infinity;
+
+            if (segment && gap <= fragment.fontSize * 1.5) {
+                // Add a space when fragments are visibly apart and neither side carries one
+                const needsSpace = gap > fragment.fontSize * 0.15 &&
+                    !/\s$/.test(segment.text) && !/^\s/.test(fragment.text);
+                segment.text += (needsSpace ? " " : "") + fragment.text;
+                segment.x1 = Math.max(segment.x1, fragment.x + fragment.width);
+            } else {
+                line.segments.push({ text: fragment.text, x0: fragment.x, x1: fragment.x + fragment.width });
+            }
+        }
+    }
+
+    return lines;
+}
+
+/**
+ * Find the gutter between two text columns
+ *
+ * Builds a horizontal coverage profile (how many lines have text at each x position) and
+ * looks for the widest band in the middle of the page that almost no line crosses, with
+ * enough text on both sides to be a real column layout.
+ *
+ * @returns {Object|null} - `{ start, end }` of the gutter, or null for single-column pages
+ */
+function findColumnGutter(lines) {
+    if (lines.length < 6) return null;
+
+    const left = Math.floor(Math.min(...lines.map(line => line.segments[0].x0)));
+    const right = Math.ceil(Math.max(...lines.map(line => line.segments[line.segments.length - 1].x1)));
+    const width = right - left;
+    if (width <= 0) return null;
+
+    const coverage = new Array(width + 1).fill(0);
+    for (const line of lines) {
+        const covered = new Set();
+        for (const segment of line.segments) {
+            for (let x = Math.max(left, Math.floor(segment.x0)); x <= Math.min(right, Math.ceil(segment.x1)); x++) {
+                covered.add(x - left);
+            }
+        }
+        covered.forEach(x => coverage[x]++);
+    }
+
+    const maxCrossingLines = Math.max(1, Math.floor(lines.length * 0.15));
+    const medianFontSize = lines.map(line => line.fontSize).sort((a, b) => a - b)[Math.floor(lines.length / 2)];
+    let best = null;
+
+    // Only the middle of the page can hold a gutter between two columns
+    for (let x = Math.floor(width * 0.2); x <= Math.ceil(width * 0.8); x++) {
+        if (coverage[x] > maxCrossingLines) continue;
+
+        let end = x;
+        while (end + 1 <= width * 0.8 && coverage[end + 1] <= maxCrossingLines) end++;
+
+        if (end - x >= medianFontSize && (!best || end - x > best.end - best.start)) {
+            best = { start: x + left, end: end + left };
+        }
+        x = end;
+    }
+
+    if (!best) return null;
+
+    // Require a real column of text on each side of the gutter
+    const leftLines = lines.filter(line => line.segments.some(segment => segment.x1 <= best.start)).length;
+    const rightLines = lines.filter(line => line.segments.some(segment => segment.x0 >= best.end)).length;
+
+    return leftLines >= 3 && rightLines >= 3 ? best : null;
+}
+
+// Join the segments of a (partial) line, marking tab-stop separated fields with a pipe
+function segmentsToText(segments) {
+    let text = "";
+    segments.forEach((segment, index) => {
+        if (index > 0) {
+            text += isBulletOnly(segments[index - 1].text) ? " " : " | ";
+        }
+        text += segment.text.trim();
+    });
+    return text;
+}
+
+// Render a run of lines, turning unusually large vertical gaps into blank lines
+function renderBlock(blockLines) {
+    const output = [];
+    const pitches = [];
+    for (let i = 1; i < blockLines.length; i++) {
+        pitches.push(blockLines[i - 1].y - blockLines[i].y);
+    }
+    const typicalPitch = pitches.length > 0
+        ? [...pitches].sort((a, b) => a - b)[Math.floor(pitches.length / 2)]
+        : 0;
+
+    blockLines.forEach((line, index) => {
+        if (index > 0 && typicalPitch > 0 && pitches[index - 1] > typicalPitch * 1.5) {
+            output.push("");
+        }
+        output.push(line.text);
+    });
+
+    return output;
+}
+
+// Reconstruct the reading order of a page's lines into text
+function layoutPage(lines, gutter) {
+    if (!gutter) {
+        return renderBlock(lines.map(line => ({ y: line.y, text: segmentsToText(line.segments) }))).join("\n");
+    }
+
+    const output = [];
+    let leftColumn = [];
+    let rightColumn = [];
+
+    const flushColumns = () => {
+        for (const column of [leftColumn, rightColumn]) {
+            if (column.length === 0) continue;
+            if (output.length > 0) output.push("");
+            output.push(...renderBlock(column));
+        }
+        leftColumn = [];
+        rightColumn = [];
+    };
+
+    for (const line of lines) {
+        const crossesGutter = line.segments.some(segment => segment.x0 < gutter.end && segment.x1 > gutter.start);
+
+        if (crossesGutter) {
+            // Full-width content ends the current pair of columns
+            flushColumns();
+            output.push(segmentsToText(line.segments));
+            continue;
+        }
+
+        const leftSegments = line.segments.filter(segment => segment.x1 <= gutter.start);
+        const rightSegments = line.segments.filter(segment => segment.x0 >= gutter.end);
+        if (leftSegments.length > 0) leftColumn.push({ y: line.y, text: segmentsToText(leftSegments) });
+        if (rightSegments.length > 0) rightColumn.push({ y: line.y, text: segmentsToText(rightSegments) });
+    }
+
+    flushColumns();
+    return output.join("\n");
+}
+
+// Collect font problems on a page from the fonts its operator list selects
+function inspectPageFonts(page, operatorList, pageNumber, seenFonts, warnings) {
+    operatorList.fnArray.forEach((fn, index) => {
+        if (fn !== pdfjs.OPS.setFont) return;
+
+        const fontId = operatorList.argsArray[index][0];
+        if (seenFonts.has(fontId) || !page.commonObjs.has(fontId)) return;
+        seenFonts.add(fontId);
+
+        const font = page.commonObjs.get(fontId);
+        // Strip the subset prefix, e.g. "ABCDEF+Calibri" -> "Calibri"
+        const fontName = (font.name || "unknown").replace(/^[A-Z]{6}\+/, "");
+
+        if (font.isType3Font) {
+            warnings.push({
+                code: "TYPE3_FONT",
+                page: pageNumber,
+                message: `Font "${fontName}" is a Type 3 font drawn from custom glyph procedures; ATS parsers often cannot read its text`
+            });
+        } else if (font.missingFile && !STANDARD_FONTS.includes(fontName)) {
+            warnings.push({
+                code: "UNEMBEDDED_FONT",
+                page: pageNumber,
+                message: `Font "${fontName}" is not embedded; text may be substituted or misread on other systems`
+            });
+        }
+    });
+}
+
+/**
+ * Convert a PDF document to text
+ *
+ * @param {Buffer} buffer - Raw PDF bytes
+ * @returns {Promise<Object>} - `{ text, pageCount, warnings }` where each warning is `{ code, message, page? }`
+ * @throws {DocumentError} - When the PDF is encrypted or cannot be parsed
+ */
+async function convertPdf(buffer) {
+    let pdf;
+    try {
+        pdf = await pdfjs.getDocument({
+            data: new Uint8Array(buffer),
+            verbosity: 0,
+            isEvalSupported: false,
+            disableFontFace: true,
+            useSystemFonts: false
+        }).promise;
+    } catch (error) {
+        if (error.name === "PasswordException") {
+            throw new DocumentError("PDF is password protected", "ENCRYPTED_DOCUMENT");
+        }
+        throw new DocumentError(`Could not read PDF: ${error.message}`);
+    }
+
+    const warnings = [];
+    const pageTexts = [];
+    const seenFonts = new Set();
+    let multiColumnPages = 0;
+
+    try {
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const [textContent, operatorList] = await Promise.all([page.getTextContent(), page.getOperatorList()]);
+
+            const fragments = textContent.items
+                .filter(item => item.str && item.str.trim().length > 0)
+                .map(item => ({
+                    text: normalizeFragment(item.str),
+                    x: item.transform[4],
+                    y: item.transform[5],
+                    width: item.width,
+                    fontSize: Math.hypot(item.transform[2], item.transform[3]) || item.height || 10
+                }));
+
+            const lines = groupIntoLines(fragments);
+            const gutter = findColumnGutter(lines);
+            if (gutter) multiColumnPages++;
+
+            const pageText = layoutPage(lines, gutter);
+            pageTexts.push(pageText);
+
+            const imageCount = operatorList.fnArray.filter(fn => IMAGE_OPERATORS.includes(fn)).length;
+            if (pageText.replace(/\s/g, "").length < MIN_PAGE_TEXT_LENGTH && imageCount > 0) {
+                warnings.push({
+                    code: "TEXT_AS_IMAGE",
+                    page: pageNumber,
+                    message: `Page ${pageNumber} has no extractable text but contains images; it is likely scanned or rendered as an image, which ATS parsers cannot read`
+                });
+            }
+
+            const unmapped = (pageText.match(UNMAPPED_CHARACTERS) || []).length;
+            if (unmapped > 0) {
+                warnings.push({
+                    code: "UNMAPPED_CHARACTERS",
+                    page: pageNumber,
+                    message: `Page ${pageNumber} contains ${unmapped} character(s) that could not be mapped to text (icon or custom-encoded fonts)`
+                });
+            }
+
+            inspectPageFonts(page, operatorList, pageNumber, seenFonts, warnings);
+            page.cleanup();
+        }
+    } finally {
+        pdf.destroy();
+    }
+
+    if (multiColumnPages > 0) {
+        warnings.push({
+            code: "MULTI_COLUMN_LAYOUT",
+            message: `Multi-column layout detected on ${multiColumnPages} page(s); reading order was reconstructed, but many ATS parsers read columns line by line and mix their content`
+        });
+    }
+
+    const text = pageTexts.join("\n\n").replace(/\n{3,}/g, "\n\n").trim();
+    if (text.length === 0) {
+        warnings.push({
+            code: "NO_TEXT",
+            message: "The PDF contains no extractable text"
+        });
+    }
+
+    return { text, pageCount: pdf.numPages, warnings };
+}
+
+module.exports = { convertPdf };
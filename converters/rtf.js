@@ -0,0 +1,326 @@
+const { DocumentError } = require("./errors");
+const { blocksToDocument } = require("./blocks");
+
+/**
+ * RTF TEXT EXTRACTION
+ *
+ * A small RTF reader that walks the control words and groups of the document and builds the
+ * same normalized blocks as the other converters. It understands the parts resumes use:
+ * - paragraph styles from the stylesheet ("heading 1", outline levels) for headings
+ * - list paragraphs (\ls, or the \listtext/\pntext bullet prefix) for list items
+ * - table cells and rows (\intbl, \cell, \row)
+ * - header/footer destinations and shape text boxes (\shptxt)
+ * Everything else (fonts, colors, pictures, fields' instructions, metadata) is skipped.
+ */
+
+// Destinations whose content is not document text
+const SKIPPED_DESTINATIONS = new Set([
+    "fonttbl", "colortbl", "info", "pict", "object", "themedata", "colorschememapping",
+    "latentstyles", "datastore", "xmlnstbl", "listtable", "listoverridetable", "rsidtbl",
+    "generator", "fldinst", "bkmkstart", "bkmkend", "footnote", "annotation", "atnid",
+    "atnauthor", "xe", "tc", "revtbl", "filetbl", "pgdsctbl", "mmathPr", "wgrffmtfilter",
+    "listtext", "pntext", "pn", "sp", "shprslt", "nonshppict", "protusertbl", "template"
+]);
+
+const HEADER_FOOTER_DESTINATIONS = {
+    header: "header", headerl: "header", headerr: "header", headerf: "header",
+    footer: "footer", footerl: "footer", footerr: "footer", footerf: "footer"
+};
+
+// Control words that stand for a single character
+const SYMBOLS = {
+    line: "\n", tab: "\t", emdash: "—", endash: "–", bullet: "•",
+    lquote: "‘", rquote: "’", ldblquote: "“", rdblquote: "”",
+    emspace: " ", enspace: " ", qmspace: " "
+};
+
+// Windows-1252 characters that differ from Latin-1 in the 0x80-0x9F range
+const CP1252 = {
+    0x80: "€", 0x82: "‚", 0x83: "ƒ", 0x84: "„", 0x85: "…", 0x86: "†",
+    0x87: "‡", 0x88: "ˆ", 0x89: "‰", 0x8a: "Š", 0x8b: "‹", 0x8c: "Œ",
+    0x8e: "Ž", 0x91: "‘", 0x92: "’", 0x93: "“", 0x94: "”", 0x95: "•",
+    0x96: "–", 0x97: "—", 0x98: "˜", 0x99: "™", 0x9a: "š", 0x9b: "›",
+    0x9c: "œ", 0x9e: "ž", 0x9f: "Ÿ"
+};
+
+const HEADING_STYLE = /^(heading \d|title|subtitle)$/i;
+
+// Split RTF source into group delimiters, control words/symbols and text runs
+function tokenize(source) {
+    const tokens = [];
+    const pattern = /\\([a-zA-Z]+)(-?\d+)? ?|\\'([0-9a-fA-F]{2})|\\([^a-zA-Z])|([{}])|([^\\{}\r\n]+)|[\r\n]+/g;
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+        if (match[1]) {
+            const token = { type: "word", word: match[1], param: match[2] !== undefined ? Number(match[2]) : null };
+            tokens.push(token);
+            // \binN is followed by N bytes of raw binary data
+            if (token.word === "bin" && token.param > 0) pattern.lastIndex += token.param;
+        } else if (match[3]) {
+            tokens.push({ type: "hex", code: parseInt(match[3], 16) });
+        } else if (match[4]) {
+            tokens.push({ type: "symbol", symbol: match[4] });
+        } else if (match[5]) {
+            tokens.push({ type: match[5] });
+        } else if (match[6]) {
+            tokens.push({ type: "text", text: match[6] });
+        }
+    }
+
+    return tokens;
+}
+
+function newParagraph() {
+    return { text: "", style: 0, outlineLevel: null, inTable: false, numbered: false, bulletPrefix: false, level: 0 };
+}
+
+function parseRtf(source) {
+    const tokens = tokenize(source);
+    const styles = {};
+    const blocks = { header: [], body: [], footer: [] };
+
+    // Paragraph and table state per text stream; headers and text boxes get their own
+    const newStream = origin => ({ origin, paragraph: newParagraph(), cell: [], cells: [], textBoxBlocks: [] });
+    const streams = [newStream("body")];
+    const stream = () => streams[streams.length - 1];
+
+    let group = { skip: false, uc: 1, styleEntry: null, inStylesheet: false, isStylesheet: false, ownsStream: false };
+    const groups = [];
+    let pendingSkip = 0;
+    let firstInGroup = false;
+    let ignorable = false;
+
+    const target = () => blocks[stream().origin === "footer" ? "footer" : stream().origin === "header" ? "header" : "body"];
+
+    const appendText = text => {
+        if (group.skip || !text) return;
+        if (pendingSkip > 0) {
+            const skipped = Math.min(pendingSkip, text.length);
+            pendingSkip -= skipped;
+            text = text.slice(skipped);
+        }
+        if (group.styleEntry) {
+            group.styleEntry.name += text;
+        } else if (!group.inStylesheet) {
+            stream().paragraph.text += text;
+        }
+    };
+
+    const endParagraph = () => {
+        const current = stream();
+        const { paragraph } = current;
+        const style = styles[paragraph.style] || { name: "", outlineLevel: null };
+        const outlineLevel = paragraph.outlineLevel !== null ? paragraph.outlineLevel : style.outlineLevel;
+
+        let block;
+        if (HEADING_STYLE.test(style.name) || (outlineLevel !== null && outlineLevel < 9)) {
+            block = { type: "heading", text: paragraph.text, origin: current.origin };
+        } else if (paragraph.numbered || paragraph.bulletPrefix) {
+            block = { type: "list-item", text: paragraph.text, level: paragraph.level, origin: current.origin };
+        } else {
+            block = { type: "paragraph", text: paragraph.text, origin: current.origin };
+        }
+
+        if (paragraph.inTable) {
+            current.cell.push(block);
+        } else {
+            target().push(block);
+        }
+        target().push(...current.textBoxBlocks);
+        current.textBoxBlocks = [];
+
+        // Text after \par keeps the paragraph formatting until the next \pard
+        paragraph.text = "";
+        paragraph.bulletPrefix = false;
+    };
+
+    const endCell = () => {
+        const current = stream();
+        if (current.paragraph.text.trim()) endParagraph();
+        current.cells.push(current.cell);
+        current.cell = [];
+    };
+
+    const endRow = () => {
+        const current = stream();
+        if (current.cell.length > 0) endCell();
+        target().push({ type: "table-row", cells: current.cells, origin: current.origin });
+        current.cells = [];
+    };
+
+    const closeStream = () => {
+        const current = stream();
+        if (current.paragraph.text.trim()) endParagraph();
+        if (current.cells.length > 0) endRow();
+        const closed = streams.pop();
+        // Text boxes are emitted after the paragraph that anchors them
+        if (closed.origin === "text-box") {
+            stream().textBoxBlocks.push(...blocks.body.splice(closed.start));
+        }
+    };
+
+    for (const token of tokens) {
+        const isFirst = firstInGroup;
+        firstInGroup = false;
+
+        if (token.type === "{") {
+            const parent = group;
+            groups.push(parent);
+            group = { ...parent, ownsStream: false, styleEntry: null, isStylesheet: false };
+            // Each direct subgroup of the stylesheet defines one style
+            if (parent.isStylesheet && !parent.skip) {
+                group.styleEntry = { id: 0, name: "", outlineLevel: null };
+            }
+            firstInGroup = true;
+            ignorable = false;
+            continue;
+        }
+
+        if (token.type === "}") {
+            if (group.styleEntry && !group.skip) {
+                const { id, name, outlineLevel } = group.styleEntry;
+                styles[id] = { name: name.replace(/;\s*$/, "").trim(), outlineLevel };
+            }
+            if (group.ownsStream) closeStream();
+            group = groups.pop() || group;
+            continue;
+        }
+
+        if (token.type === "symbol" && token.symbol === "*") {
+            ignorable = isFirst || ignorable;
+            firstInGroup = isFirst;
+            continue;
+        }
+
+        if (token.type === "word") {
+            const { word, param } = token;
+            const starred = ignorable;
+            const startsGroup = isFirst || starred;
+            ignorable = false;
+
+            if (group.skip) continue;
+
+            if (startsGroup && SKIPPED_DESTINATIONS.has(word)) {
+                group.skip = true;
+                // The bullet prefix of a list paragraph marks it as a list item
+                if (word === "listtext" || word === "pntext") stream().paragraph.bulletPrefix = true;
+                continue;
+            }
+            if (startsGroup && word === "stylesheet") {
+                group.inStylesheet = true;
+                group.isStylesheet = true;
+                continue;
+            }
+            if (startsGroup && HEADER_FOOTER_DESTINATIONS[word]) {
+                streams.push(newStream(HEADER_FOOTER_DESTINATIONS[word]));
+                group.ownsStream = true;
+                continue;
+            }
+            if (startsGroup && word === "shptxt") {
+                streams.push({ ...newStream("text-box"), start: blocks.body.length });
+                group.ownsStream = true;
+                continue;
+            }
+            // Unknown "{\*\destination ...}" groups are optional and safe to drop; shape
+            // instructions are kept because they contain the text box contents
+            if (starred && word !== "shpinst") {
+                group.skip = true;
+                continue;
+            }
+
+            if (group.styleEntry) {
+                if (word === "s") group.styleEntry.id = param;
+                // Character, section and table styles live in their own numbering
+                if (word === "cs" || word === "ds" || word === "ts") group.styleEntry.id = `${word}${param}`;
+                if (word === "outlinelevel") group.styleEntry.outlineLevel = param;
+                continue;
+            }
+
+            const paragraph = stream().paragraph;
+            switch (word) {
+                case "par":
+                    endParagraph();
+                    break;
+                case "pard":
+                    // The bullet prefix group is written just before the \pard of its paragraph
+                    Object.assign(paragraph, newParagraph(), { text: paragraph.text, bulletPrefix: paragraph.bulletPrefix });
+                    break;
+                case "s":
+                    paragraph.style = param;
+                    break;
+                case "outlinelevel":
+                    paragraph.outlineLevel = param;
+                    break;
+                case "intbl":
+                    paragraph.inTable = true;
+                    break;
+                case "itap":
+                    paragraph.inTable = param > 0;
+                    break;
+                case "ls":
+                    paragraph.numbered = true;
+                    break;
+                case "ilvl":
+                    paragraph.level = param;
+                    break;
+                case "cell":
+                case "nestcell":
+                    endCell();
+                    break;
+                case "row":
+                    endRow();
+                    break;
+                case "uc":
+                    group.uc = param;
+                    break;
+                case "u":
+                    appendText(String.fromCharCode(param < 0 ? param + 65536 : param));
+                    pendingSkip = group.uc;
+                    break;
+                default:
+                    if (SYMBOLS[word]) appendText(SYMBOLS[word]);
+            }
+            continue;
+        }
+
+        ignorable = false;
+        if (group.skip) continue;
+
+        if (token.type === "hex") {
+            if (pendingSkip > 0) {
+                pendingSkip--;
+                continue;
+            }
+            appendText(CP1252[token.code] || String.fromCharCode(token.code));
+        } else if (token.type === "symbol") {
+            const literal = { "\\": "\\", "{": "{", "}": "}", "~": " ", "_": "-" }[token.symbol];
+            if (literal) appendText(literal);
+        } else if (token.type === "text") {
+            appendText(token.text);
+        }
+    }
+
+    while (streams.length > 1) closeStream();
+    closeStream();
+
+    return [...blocks.header, ...blocks.body, ...blocks.footer];
+}
+
+/**
+ * Convert an RTF document to text
+ *
+ * @param {Buffer} buffer - Raw .rtf bytes
+ * @returns {Object} - `{ text, warnings }`
+ * @throws {DocumentError} - When the file is not RTF
+ */
+function convertRtf(buffer) {
+    const source = buffer.toString("latin1");
+    if (!source.startsWith("{\\rtf")) {
+        throw new DocumentError("Could not read RTF: missing {\\rtf header");
+    }
+
+    return blocksToDocument(parseRtf(source));
+}
+
+module.exports = { convertRtf };
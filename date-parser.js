@@ -0,0 +1,269 @@
+/**
+ * EMPLOYMENT DATE PARSER
+ *
+ * Reads the dates of a role the way resumes actually write them: "Jan 2020", "January, 2020",
+ * "Jan '20", "03/2020", "03.2020", ISO "2020-03", "Summer 2021", "Q3 2020" and bare years, joined
+ * into ranges by a dash, "to", "until" or "through" ("2019–Present", "Mar - Jun 2021"), opened
+ * with "since" or a dash with nothing after it ("Mar 2020 -"), written as a year and the last two
+ * digits of a later one that cannot be a month ("2019-20"), or standing alone for a role that
+ * fits in one period ("Summer 2019").
+ *
+ * Every date keeps its precision, the span it stands for: a month, a season or quarter (three
+ * months) or a year (twelve). A range runs from the earliest month its start can mean to the
+ * latest month its end can mean, so "2019 - 2021" is January 2019 to December 2021, and
+ * `uncertaintyMonths` says how far each end may be off. Durations computed from a range are
+ * therefore the longest the role can have lasted, and gaps between ranges the shortest.
+ *
+ * Years are only read from 1900 to 2099, and never out of a longer number or from after
+ * another number and a separator, so zip codes ("94107") and phone numbers ("555-2019") are
+ * not taken for dates.
+ */
+
+const MONTH_INDEXES = {
+    january: 0, february: 1, march: 2, april: 3, may: 4, june: 5, july: 6, august: 7,
+    september: 8, october: 9, november: 10, december: 11,
+    jan: 0, feb: 1, mar: 2, apr: 3, jun: 5, jul: 6, aug: 7, sep: 8, sept: 8, oct: 9, nov: 10, dec: 11
+};
+
+// First and last month of each season; winter is the first quarter of its year, as in academic terms
+const SEASON_MONTHS = {
+    spring: [2, 4],
+    summer: [5, 7],
+    fall: [8, 10],
+    autumn: [8, 10],
+    winter: [0, 2]
+};
+
+const MONTH = "(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)(?![a-z])\\.?";
+const YEAR = "(?:19|20)\\d{2}";
+const SHORT_YEAR = "['’‘]\\d{2}";
+const ANY_YEAR = `(?:${YEAR}|${SHORT_YEAR})`;
+
+// Single dates, most specific first; `parse` reads the year and first and last month of a match
+const DATE_FORMATS = [
+    {
+        precision: "month",
+        source: `${MONTH}\\s*,?\\s*${ANY_YEAR}`,      // "Jan 2020", "January, 2020", "Jan '20"
+        parse: (text, now) => monthSpan(getMonthIndex(text.match(/^[a-z]+/i)[0]), readYear(text, now))
+    },
+    {
+        precision: "season",
+        source: `(?:spring|summer|fall|autumn|winter)\\s*,?\\s*${ANY_YEAR}`,     // "Summer 2021"
+        parse: (text, now) => {
+            const [first, last] = SEASON_MONTHS[text.match(/^[a-z]+/i)[0].toLowerCase()];
+            return { year: readYear(text, now), first, last };
+        }
+    },
+    {
+        precision: "quarter",
+        source: `q[1-4]\\s*,?\\s*${ANY_YEAR}`,     // "Q3 2020"
+        parse: (text, now) => {
+            const first = (parseInt(text[1], 10) - 1) * 3;
+            return { year: readYear(text, now), first, last: first + 2 };
+        }
+    },
+    {
+        precision: "month",
+        source: `${YEAR}-(?:0[1-9]|1[0-2])(?:-(?:0[1-9]|[12]\\d|3[01]))?`,     // "2020-03", "2020-03-15"
+        parse: text => monthSpan(parseInt(text.slice(5, 7), 10) - 1, parseInt(text.slice(0, 4), 10))
+    },
+    {
+        precision: "month",
+        source: `(?:0?[1-9]|1[0-2])[/.-]${YEAR}`,      // "03/2020", "03.2020", "3-2020"
+        parse: text => {
+            const [month, year] = text.split(/[/.-]/);
+            return monthSpan(parseInt(month, 10) - 1, parseInt(year, 10));
+        }
+    },
+    {
+        precision: "year",
+        source: YEAR,
+        parse: text => ({ year: parseInt(text, 10), first: 0, last: 11 })
+    }
+].map(format => ({ ...format, pattern: new RegExp(`^(?:${format.source})$`, "i") }));
+
+// The end of a range that is still running
+const OPEN_END = "(?:present|current(?:ly)?|now|today|ongoing|(?:to\\s+)?date)";
+const OPEN_END_PATTERN = new RegExp(`^${OPEN_END}$`, "i");
+
+const RANGE_SEPARATOR = "\\s*(?:[-–—~]+|\\b(?:to|until|till|through|thru)\\b)\\s*";
+
+// Not inside a word or number, and not after a number and a separator as in "555-2019" or "12/2019"
+const DATE_START = "(?<![\\w'’‘])(?<!\\d[-./])";
+const DATE_END = "(?![\\w])";
+
+const DATE = `(?:${DATE_FORMATS.map(format => format.source).join("|")})(?!\\d)`;
+
+// "Jan 2020 - Present", "2019–2021", "Mar - Jun 2021" (the start month takes the end's year)
+const RANGE_PATTERN = new RegExp(`${DATE_START}(${DATE}|${MONTH})${RANGE_SEPARATOR}(${DATE}|${OPEN_END})${DATE_END}`, "gi");
+
+// "since March 2020"
+const SINCE_PATTERN = new RegExp(`\\bsince\\s+(${DATE})${DATE_END}`, "gi");
+
+// "Mar 2020 -" with nothing after the dash but the end of the line or a closing bracket or pipe
+const OPEN_RANGE_PATTERN = new RegExp(`${DATE_START}(${DATE})\\s*[-–—~]+(?=[ \\t]*(?:$|[)\\]|]))`, "gim");
+
+// "2019-20", "2015–16": a year and the last two digits of a later one, see readYearRange
+const YEAR_RANGE_PATTERN = new RegExp(`${DATE_START}(${YEAR})\\s*[-–—/]\\s*(\\d{2})(?![\\w%+-]|[.,]\\d)`, "gi");
+
+const SINGLE_DATE_PATTERN = new RegExp(`${DATE_START}(${DATE})${DATE_END}`, "i");
+
+/**
+ * Month index of a month name or abbreviation ("March", "mar", "Sept.")
+ *
+ * @param {string} name - Month name, in any case
+ * @returns {number|null} - 0 for January to 11 for December, null when it is not a month
+ */
+function getMonthIndex(name) {
+    const index = MONTH_INDEXES[String(name).toLowerCase().replace(/\.$/, "")];
+    return index === undefined ? null : index;
+}
+
+function monthSpan(month, year) {
+    return { year, first: month, last: month };
+}
+
+// The year of a date: four digits, or two after an apostrophe ('20 is 2020, '98 is 1998)
+function readYear(text, now) {
+    const full = text.match(/(?:19|20)\d{2}/);
+    if (full) return parseInt(full[0], 10);
+
+    const short = parseInt(text.match(/\d{2}$/)[0], 10);
+    return short <= (now.getFullYear() % 100) + 1 ? 2000 + short : 1900 + short;
+}
+
+function readDate(text, now) {
+    const trimmed = text.trim();
+    if (OPEN_END_PATTERN.test(trimmed)) {
+        return { startDate: new Date(now.getFullYear(), now.getMonth()), endDate: new Date(now.getFullYear(), now.getMonth()), precision: "month", current: true };
+    }
+
+    const format = DATE_FORMATS.find(candidate => candidate.pattern.test(trimmed));
+    if (!format) return null;
+
+    const { year, first, last } = format.parse(trimmed, now);
+    if (first === null) return null;
+    return { startDate: new Date(year, first), endDate: new Date(year, last), precision: format.precision, current: false };
+}
+
+// Months the real date may lie after the start (or before the end) of a date's span
+function spanMonths(date) {
+    return (date.endDate.getFullYear() - date.startDate.getFullYear()) * 12 + date.endDate.getMonth() - date.startDate.getMonth();
+}
+
+function buildRange(start, end, match) {
+    if (!start || !end || start.startDate > end.endDate) return null;
+    return {
+        startDate: start.startDate,
+        endDate: end.endDate,
+        current: end.current,
+        precision: { start: start.precision, end: end.precision },
+        uncertaintyMonths: { start: spanMonths(start), end: spanMonths(end) },
+        single: false,
+        text: match[0],
+        index: match.index
+    };
+}
+
+// Two digits after a year that cannot be a month are a later year in the same century ("2019-20" is
+// 2019 to 2020); up to 12 they are the month of an ISO date ("2008-09" is September 2008)
+function readYearRange(match, now) {
+    const first = parseInt(match[1], 10);
+    const second = parseInt(match[2], 10);
+    if (second <= 12 || second <= first % 100) return null;
+    return buildRange(readDate(match[1], now), readDate(String(first - (first % 100) + second), now), match);
+}
+
+function overlapsAny(ranges, match) {
+    return ranges.some(other => match.index < other.index + other.text.length && other.index < match.index + match[0].length);
+}
+
+function readRange(match, now) {
+    const end = readDate(match[2], now);
+    let start = readDate(match[1], now);
+
+    // A bare start month belongs to the end's year, or the year before when it comes later in the year
+    if (!start && end && !end.current) {
+        const month = getMonthIndex(match[1].trim());
+        if (month === null) return null;
+        const year = end.startDate.getFullYear() - (month > end.startDate.getMonth() ? 1 : 0);
+        start = { startDate: new Date(year, month), endDate: new Date(year, month), precision: "month", current: false };
+    }
+    return buildRange(start, end, match);
+}
+
+/**
+ * Parse a single date ("Jan '20", "Q3 2020", "2019", "Present")
+ *
+ * @param {string} text - The date and nothing else
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Date "Present" stands for (default: today)
+ * @returns {Object|null} - `{ startDate, endDate, precision, current }`: the first and last month
+ *   the date can mean, `precision` being "month", "season", "quarter" or "year"; null when the
+ *   text is not a date
+ */
+function parseDate(text, options = {}) {
+    return readDate(text, options.now || new Date());
+}
+
+/**
+ * Find every date range in a text
+ *
+ * @param {string} text - Any text, such as the experience section of a resume
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Date "Present" stands for (default: today)
+ * @returns {Object[]} - Ranges in the order they appear, see parseDateRange; single dates are
+ *   not ranges and are left out
+ */
+function findDateRanges(text, options = {}) {
+    const now = options.now || new Date();
+    const ranges = [];
+
+    for (const match of text.matchAll(RANGE_PATTERN)) {
+        const range = readRange(match, now);
+        if (range) ranges.push(range);
+    }
+    for (const match of text.matchAll(YEAR_RANGE_PATTERN)) {
+        const range = readYearRange(match, now);
+        if (range && !overlapsAny(ranges, match)) ranges.push(range);
+    }
+    for (const pattern of [SINCE_PATTERN, OPEN_RANGE_PATTERN]) {
+        for (const match of text.matchAll(pattern)) {
+            const range = buildRange(readDate(match[1], now), readDate("present", now), match);
+            if (range && !overlapsAny(ranges, match)) ranges.push(range);
+        }
+    }
+
+    return ranges.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Parse the dates of one role: the first range in the text, or a single date when there is none
+ *
+ * @param {string} text - The dates of a role, e.g. "Jan '20 – Present" or "Summer 2019"
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Date "Present" stands for (default: today)
+ * @returns {Object|null} - `{ startDate, endDate, current, precision, uncertaintyMonths, single,
+ *   text, index }`: `startDate` is the earliest month the start can mean and `endDate` the latest
+ *   month the end can mean, `precision` holds the precision of the `start` and `end` dates,
+ *   `uncertaintyMonths` how many months each may be off (11 for a year, 2 for a season or
+ *   quarter, 0 for a month), `single` whether the role had a single date, and `text` and `index`
+ *   where the dates were found; null when no date was found
+ */
+function parseDateRange(text, options = {}) {
+    const now = options.now || new Date();
+    const [range] = findDateRanges(text, { now });
+    if (range) return range;
+
+    const match = text.match(SINGLE_DATE_PATTERN);
+    const date = match && readDate(match[1], now);
+    if (!date) return null;
+    return { ...buildRange(date, date, match), single: true };
+}
+
+module.exports = {
+    parseDate,
+    parseDateRange,
+    findDateRanges,
+    getMonthIndex
+};
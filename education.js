@@ -0,0 +1,399 @@
+const { segmentResume, getSectionText, isSectionHeading } = require("./section-segmenter");
+const { classifyRequirements } = require("./requirement-classifier");
+
+/**
+ * EDUCATION MATCHING
+ *
+ * Degrees are ordered by level, so a job asking for a Master's can tell an associate degree
+ * from a PhD:
+ *
+ *   diploma < associate < bachelor < master < doctorate
+ *
+ * From a resume, every degree becomes a record with its level, field, institution, graduation
+ * year, GPA and honors; degrees still being studied for ("expected May 2026") are marked
+ * `inProgress`. From a job description, the minimum level, the accepted fields, whether a
+ * related field will do and whether equivalent experience may replace the degree are read
+ * from the sentences that mention a degree. compareEducation() scores one against the other.
+ */
+
+const DEGREE_LEVELS = ["diploma", "associate", "bachelor", "master", "doctorate"];
+
+// Readable name of each level, for reports and feedback
+const DEGREE_LABELS = {
+    diploma: "diploma",
+    associate: "associate degree",
+    bachelor: "bachelor's degree",
+    master: "master's degree",
+    doctorate: "doctorate"
+};
+
+// Straight or typographic apostrophe, as in "Bachelor's"
+const APOSTROPHE = "['’]";
+
+// Field names that follow a bare two-letter abbreviation such as "BS" or "MS"
+const FIELD_START = "(?:Computer|Data|Software|Electrical|Electronics|Information|Mathematics|Math|Applied|Statistics|Physics|Engineering|Economics|Business|Finance|Chemistry|Biology|Mechanical|Civil|CS|EE|ECE|CSE)\\b";
+// A bare abbreviation only counts as a degree when followed by "in", "of", "/", a comma or a field
+const ABBREVIATION_CONTEXT = `(?=\\s*(?:in|of)\\b|\\s*[/,]|\\s+${FIELD_START})`;
+
+// Degree spellings by level: words in any case, abbreviations only as written
+const DEGREE_PATTERNS = [
+    {
+        level: "doctorate",
+        words: /\b(?:doctorate|doctoral\s+degree|doctor\s+of\s+(?:philosophy|science|engineering|education))\b/gi,
+        abbreviations: /\b(?:Ph\.?\s?D\.?|D\.Phil\.?|DPhil|Ed\.?D\.?)(?![A-Za-z])/g
+    },
+    {
+        level: "master",
+        words: new RegExp(`\\b(?:master${APOSTROPHE}?s?(?=\\s+(?:degree|of|in)\\b)|master${APOSTROPHE}s|masters|(?:advanced|graduate)\\s+degree)\\b`, "gi"),
+        abbreviations: new RegExp(`\\b(?:M\\.S\\.|M\\.Sc\\.?|MSc|M\\.A\\.|M\\.?B\\.?A\\.?|M\\.Tech\\.?|MTech|M\\.?Eng\\.?|M\\.E\\.|M\\.?Phil\\.?|(?:MS|MA|ME)${ABBREVIATION_CONTEXT})(?![A-Za-z])`, "g")
+    },
+    {
+        level: "bachelor",
+        words: new RegExp(`\\b(?:bachelor${APOSTROPHE}?s?|baccalaureate|undergraduate\\s+degree|(?:four|4)[\\s-]year\\s+degree|(?:college|university)\\s+degree)\\b`, "gi"),
+        abbreviations: new RegExp(`\\b(?:B\\.S\\.|B\\.Sc\\.?|BSc|B\\.A\\.|BBA|B\\.B\\.A\\.|B\\.Tech\\.?|BTech|B\\.?Eng\\.?|B\\.E\\.|(?:BS|BA|BE)${ABBREVIATION_CONTEXT})(?![A-Za-z])`, "g")
+    },
+    {
+        level: "associate",
+        words: new RegExp(`\\b(?:associate${APOSTROPHE}?s?\\s+(?:degree|of\\s+(?:arts|science|applied\\s+science))|associate${APOSTROPHE}s)\\b`, "gi"),
+        abbreviations: /\b(?:A\.A\.S\.|A\.A\.|A\.S\.|AAS)(?![A-Za-z])/g
+    },
+    {
+        level: "diploma",
+        words: /\b(?:(?:high\s+school\s+)?diploma|secondary\s+school\s+(?:certificate|diploma))\b/gi,
+        abbreviations: /\bGED\b/g
+    }
+];
+
+// Technical fields of study; any of them counts as "a related field"
+const FIELDS = [
+    "computer science", "software engineering", "information technology", "data science",
+    "computer engineering", "electrical engineering", "electronics", "mathematics", "statistics",
+    "information systems", "cybersecurity", "artificial intelligence", "machine learning",
+    "physics", "applied mathematics", "operations research"
+];
+
+// Field abbreviations, matched as written and only on a degree's own lines
+const FIELD_ABBREVIATIONS = {
+    CS: "computer science",
+    CSE: "computer science",
+    EE: "electrical engineering",
+    ECE: "electrical engineering",
+    IT: "information technology",
+    IS: "information systems",
+    AI: "artificial intelligence",
+    ML: "machine learning"
+};
+
+// "or a related field", "technical discipline", "STEM"
+const RELATED_FIELD_PATTERN = /\b(?:related|relevant|similar|equivalent|technical|quantitative|scientific|engineering)\s+(?:field|discipline|area|subject|degree)s?\b|\bSTEM\b/i;
+// "or equivalent experience", "or equivalent", "in lieu of a degree"
+const EQUIVALENT_EXPERIENCE_PATTERN = /\bor\s+(?:an?\s+)?equivalent\b|\bequivalent\s+(?:practical\s+|professional\s+|work\s+|industry\s+)?(?:experience|combination)\b|\bin\s+lieu\s+of\s+(?:a\s+)?degree\b/i;
+
+// Years of work experience accepted in place of each level when equivalent experience is allowed
+const EQUIVALENT_EXPERIENCE_YEARS = { diploma: 0, associate: 2, bachelor: 4, master: 6, doctorate: 10 };
+
+// Share of the level score kept by a degree that has not been completed yet
+const IN_PROGRESS_CREDIT = 0.8;
+// Score lost per level below the required one
+const LEVEL_GAP_PENALTY = 0.35;
+// Level and field parts of the education score
+const LEVEL_SHARE = 0.7;
+const FIELD_SHARE = 0.3;
+const FIELD_SCORES = { exact: 1, related: 0.8, unrelated: 0.3, unspecified: 0.6 };
+
+// Institution names stay on one line: "Stanford University", "Institute of Technology Delhi"
+const INSTITUTION_PATTERN = /\b(?:[A-Z][A-Za-z&.'’-]*[ \t]+){0,4}(?:University|College|Institute|School|Academy|Polytechnic|Conservatory)(?:[ \t]+of(?:[ \t]+the)?(?:[ \t]+(?:[A-Z][A-Za-z&.'’-]*|and))+)?/;
+const YEAR_PATTERN = /\b(19[5-9]\d|20\d{2})\b/g;
+const GPA_PATTERNS = [
+    /\b(?:C?GPA|grade\s+point\s+average)\s*(?:of\s*)?[:-]?\s*(\d{1,2}(?:\.\d{1,2})?)(?:\s*(?:\/|out\s+of)\s*(\d{1,2}(?:\.\d{1,2})?))?/i,
+    /\b(\d{1,2}(?:\.\d{1,2})?)\s*\/\s*(\d{1,2}(?:\.\d{1,2})?)\s*C?GPA\b/i
+];
+const HONORS_PATTERN = /\b(?:summa\s+cum\s+laude|magna\s+cum\s+laude|cum\s+laude|(?:with\s+)?first[\s-]class\s+honou?rs|with\s+(?:high(?:est)?\s+)?honou?rs|with\s+distinction|first[\s-]class|dean[’']?s\s+list|valedictorian|salutatorian|honou?rs\s+(?:program|college|degree))\b/gi;
+const IN_PROGRESS_PATTERN = /\b(?:expected|anticipated|in\s+progress|ongoing|pursuing|currently\s+(?:enrolled|studying|pursuing)|candidate|present|current)\b/i;
+const EXPECTED_DATE_PATTERN = /\b(?:expected|anticipated)(?:\s+graduation)?[:\s]+((?:[A-Z][a-z]{2,8}\.?\s+)?(?:19|20)\d{2})/i;
+
+function levelRank(level) {
+    return DEGREE_LEVELS.indexOf(level);
+}
+
+// Degree mentions in a piece of text, without overlaps, in text order
+function findDegreeMentions(text) {
+    const mentions = [];
+    for (const { level, words, abbreviations } of DEGREE_PATTERNS) {
+        for (const pattern of [words, abbreviations]) {
+            for (const match of text.matchAll(pattern)) {
+                mentions.push({ level, text: match[0], start: match.index, end: match.index + match[0].length });
+            }
+        }
+    }
+
+    mentions.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+    const kept = [];
+    for (const mention of mentions) {
+        if (kept.length === 0 || mention.start >= kept[kept.length - 1].end) kept.push(mention);
+    }
+    return kept;
+}
+
+// Known fields in a piece of text, with abbreviations only when `abbreviations` is set
+function findFields(text, abbreviations = false) {
+    const lowerText = text.toLowerCase();
+    const found = FIELDS.filter(field => new RegExp(`\\b${field}\\b`).test(lowerText));
+    if (abbreviations) {
+        for (const [abbreviation, field] of Object.entries(FIELD_ABBREVIATIONS)) {
+            if (new RegExp(`\\b${abbreviation}\\b`).test(text)) found.push(field);
+        }
+    }
+    // "applied mathematics" is not also plain "mathematics"
+    return [...new Set(found)].filter(field => !found.some(other => other !== field && other.includes(field)));
+}
+
+// Section headings never contain digits, unlike "GPA: 3.8/4.0"
+function isHeading(line) {
+    return isSectionHeading(line) && !/\d/.test(line);
+}
+
+// Lines of the education section, or of the whole text when there is no such section
+function educationLines(text) {
+    const section = getSectionText(segmentResume(text), "education");
+    return (section.trim() ? section : text).split("\n");
+}
+
+// Field of study written after a degree on the same line: "B.S. in Computer Science, 2016";
+// the institution in "Associate of Science, Foothill College" is not a field
+function fieldAfterDegree(line, mention) {
+    const rest = line.slice(mention.end);
+    const match = rest.match(/^\s*(?:(?:of\s+(?:Arts|Science|Engineering|Technology|Business\s+Administration|Applied\s+Science))\s*)?(?:in\s+|,\s*|-\s+|\(\s*)?([A-Z][A-Za-z&/]*(?:\s+(?:[A-Z][A-Za-z&/]*|and|of))*)/);
+    if (!match || INSTITUTION_PATTERN.test(match[1])) return null;
+    return match[1].replace(/\s+(?:and|of)$/, "");
+}
+
+function extractGpa(text) {
+    for (const pattern of GPA_PATTERNS) {
+        const match = text.match(pattern);
+        if (!match) continue;
+        const value = parseFloat(match[1]);
+        const scale = match[2] ? parseFloat(match[2]) : null;
+        if (scale !== null && value > scale) continue;
+        return { value, scale };
+    }
+    return null;
+}
+
+/**
+ * Degrees listed in a resume
+ *
+ * Each degree's record is read from its own line plus the line before it (often the
+ * institution) and the two lines after it, stopping at blank lines and other degrees. A degree
+ * without an institution of its own shares that of the degree listed just above it.
+ *
+ * @param {string} text - Resume text
+ * @param {Object} [options]
+ * @param {boolean} [options.contextual=true] - Read each degree's field from its own lines; when
+ *   false, every field named anywhere in the education section counts for every degree
+ * @param {Date} [options.now] - Reference date for deciding whether a degree is still in progress
+ * @returns {Object[]} - `{ degree, level, field, fields, institution, graduationYear, gpa, honors,
+ *   inProgress, expectedGraduation }` in document order; `gpa` is `{ value, scale }` or null
+ */
+function extractEducationRecords(text, options = {}) {
+    const contextual = options.contextual !== false;
+    const currentYear = (options.now || new Date()).getFullYear();
+    const lines = educationLines(text);
+    const degreeLines = lines.map(line => findDegreeMentions(line));
+    const sectionFields = contextual ? [] : findFields(lines.join("\n"));
+    const records = [];
+
+    const isBoundary = index => index < 0 || index >= lines.length || !lines[index].trim() ||
+        isHeading(lines[index]) || degreeLines[index].length > 0;
+
+    lines.forEach((line, index) => {
+        degreeLines[index].forEach(mention => {
+            let first = index;
+            let last = index;
+            if (!isBoundary(index - 1)) first = index - 1;
+            while (last < index + 2 && !isBoundary(last + 1)) last++;
+            const block = lines.slice(first, last + 1).join("\n");
+            const following = lines.slice(index, last + 1).join("\n");
+
+            const years = [...following.matchAll(YEAR_PATTERN)].map(match => parseInt(match[1], 10));
+            const graduationYear = years.length > 0 ? Math.max(...years) : null;
+            const expected = following.match(EXPECTED_DATE_PATTERN);
+            const institutionMatch = block.match(INSTITUTION_PATTERN);
+            let institution = institutionMatch && !/^high\s+school$/i.test(institutionMatch[0].trim()) ? institutionMatch[0].trim() : null;
+
+            // Several degrees listed under one institution
+            const previous = records[records.length - 1];
+            if (!institution && previous && previous.lineIndex >= index - 2) institution = previous.institution;
+
+            const field = fieldAfterDegree(line, mention);
+            const fields = contextual ? findFields(`${field || ""}\n${following}`, true) : sectionFields;
+
+            records.push({
+                degree: mention.text,
+                level: mention.level,
+                field: field || (fields.length > 0 ? fields[0] : null),
+                fields,
+                institution,
+                graduationYear,
+                gpa: extractGpa(following),
+                honors: [...new Set([...block.matchAll(HONORS_PATTERN)].map(match => match[0].toLowerCase().replace(/\s+/g, " ")))],
+                inProgress: IN_PROGRESS_PATTERN.test(following) || (graduationYear !== null && graduationYear > currentYear),
+                expectedGraduation: expected ? expected[1] : null,
+                lineIndex: index
+            });
+        });
+    });
+
+    return records.map(({ lineIndex, ...record }) => record);
+}
+
+/**
+ * Education required by a job description
+ *
+ * @param {string} jobDescriptionText - Job description text
+ * @returns {Object} - `{ hasDegree, minimumLevel, preferredLevel, levels, fieldOfStudy,
+ *   relatedFieldAccepted, equivalentExperience, requirementLevel, statements }`. Each degree is
+ *   classified by its own clause, so in "Master's required, PhD preferred" the master's is a
+ *   must-have. The minimum is the lowest level named in a must-have clause (or in any clause
+ *   when none is a must-have), `preferredLevel` a higher level that is only preferred,
+ *   `requirementLevel` how strongly the degree is asked for ("required", "preferred" or
+ *   "bonus") and `statements` the clauses read
+ */
+function extractEducationRequirement(jobDescriptionText) {
+    const statements = classifyRequirements(jobDescriptionText)
+        .map(requirement => ({ ...requirement, degrees: findDegreeMentions(requirement.text) }))
+        .filter(requirement => requirement.degrees.length > 0);
+
+    if (statements.length === 0) {
+        return {
+            hasDegree: false,
+            minimumLevel: null,
+            preferredLevel: null,
+            levels: [],
+            fieldOfStudy: [],
+            relatedFieldAccepted: false,
+            equivalentExperience: false,
+            requirementLevel: null,
+            statements: []
+        };
+    }
+
+    const lowestLevel = entries => entries
+        .flatMap(entry => entry.degrees.map(degree => degree.level))
+        .sort((a, b) => levelRank(a) - levelRank(b))[0];
+    const mustHave = statements.filter(statement => statement.level === "required");
+    const minimumLevel = lowestLevel(mustHave.length > 0 ? mustHave : statements);
+    const levels = [...new Set(statements.flatMap(statement => statement.degrees.map(degree => degree.level)))]
+        .sort((a, b) => levelRank(a) - levelRank(b));
+    const highestLevel = levels[levels.length - 1];
+
+    return {
+        hasDegree: true,
+        minimumLevel,
+        preferredLevel: levelRank(highestLevel) > levelRank(minimumLevel) ? highestLevel : null,
+        levels,
+        fieldOfStudy: [...new Set(statements.flatMap(statement => findFields(statement.text, true)))],
+        relatedFieldAccepted: statements.some(statement => RELATED_FIELD_PATTERN.test(statement.text)),
+        equivalentExperience: statements.some(statement => EQUIVALENT_EXPERIENCE_PATTERN.test(statement.text)),
+        requirementLevel: mustHave.length > 0 ? "required" : statements.find(statement => statement.level === "preferred") ? "preferred" : "bonus",
+        statements: statements.map(statement => statement.text)
+    };
+}
+
+// Highest level reached through work experience alone
+function equivalentLevel(years) {
+    return [...DEGREE_LEVELS].reverse().find(level => years >= EQUIVALENT_EXPERIENCE_YEARS[level] && level !== "diploma") || null;
+}
+
+/**
+ * Score a candidate's education against a job description's requirement
+ *
+ * The score is 70% degree level and 30% field. A degree below the required level loses 35% of
+ * the level part per level, and a degree still in progress keeps 80% of it. When the job
+ * description accepts equivalent experience, years of experience stand in for a degree
+ * (2 for an associate, 4 for a bachelor's, 6 for a master's, 10 for a doctorate). A degree that
+ * is only preferred costs less when missing, by the requirement weight of its level.
+ *
+ * @param {Object} requirement - Output of extractEducationRequirement
+ * @param {Object[]} records - Output of extractEducationRecords
+ * @param {Object} [options]
+ * @param {number} [options.candidateYears=0] - The candidate's years of experience
+ * @param {Object} [options.requirementWeights] - `{ required, preferred, bonus }` from the scoring profile
+ * @returns {Object} - `{ score, requiredLevel, candidateLevel, meetsLevel, inProgress,
+ *   expectedGraduation, viaEquivalentExperience, fieldMatch }` where `fieldMatch` is "exact",
+ *   "related", "unrelated", "unspecified" (the degree names no field), or null when no field is
+ *   asked for or the candidate has no degree
+ */
+function compareEducation(requirement, records, options = {}) {
+    const candidateYears = options.candidateYears || 0;
+    const requirementWeights = options.requirementWeights || { required: 1, preferred: 1, bonus: 1 };
+
+    // Completed degrees outrank in-progress ones of the same level
+    const best = [...records].sort((a, b) => levelRank(b.level) - levelRank(a.level) || Number(a.inProgress) - Number(b.inProgress))[0] || null;
+    const candidateLevel = best ? best.level : null;
+
+    if (!requirement.hasDegree) {
+        return {
+            score: 100,
+            requiredLevel: null,
+            candidateLevel,
+            meetsLevel: true,
+            inProgress: Boolean(best && best.inProgress),
+            expectedGraduation: best ? best.expectedGraduation : null,
+            viaEquivalentExperience: false,
+            fieldMatch: null
+        };
+    }
+
+    const requiredRank = levelRank(requirement.minimumLevel);
+    const levelCredit = record => {
+        const gap = Math.max(0, requiredRank - levelRank(record.level));
+        return Math.max(0, 1 - gap * LEVEL_GAP_PENALTY) * (record.inProgress ? IN_PROGRESS_CREDIT : 1);
+    };
+    const credited = [...records].sort((a, b) => levelCredit(b) - levelCredit(a))[0] || null;
+    let levelScore = credited ? levelCredit(credited) : 0;
+
+    let viaEquivalentExperience = false;
+    const experienceLevel = requirement.equivalentExperience ? equivalentLevel(candidateYears) : null;
+    if (experienceLevel && levelRank(experienceLevel) >= requiredRank && levelScore < 1) {
+        levelScore = 1;
+        viaEquivalentExperience = true;
+    }
+
+    // Field of the degree that earned the level credit, against the fields asked for
+    let fieldMatch = null;
+    if (credited && requirement.fieldOfStudy.length > 0) {
+        if (credited.fields.some(field => requirement.fieldOfStudy.includes(field))) fieldMatch = "exact";
+        else if (requirement.relatedFieldAccepted && credited.fields.length > 0) fieldMatch = "related";
+        else if (credited.field) fieldMatch = "unrelated";
+        else fieldMatch = "unspecified";
+    }
+    let fieldScore = 0;
+    if (viaEquivalentExperience) fieldScore = 1; // Experience stands in for the whole degree
+    else if (credited) fieldScore = fieldMatch ? FIELD_SCORES[fieldMatch] : 1;
+
+    const rawScore = (levelScore * LEVEL_SHARE + fieldScore * FIELD_SHARE) * 100;
+    // A degree that is only preferred or a bonus costs less when it is missing
+    const weight = requirementWeights[requirement.requirementLevel] !== undefined ? requirementWeights[requirement.requirementLevel] : 1;
+    const score = 100 - (100 - rawScore) * weight;
+
+    return {
+        score,
+        requiredLevel: requirement.minimumLevel,
+        candidateLevel,
+        meetsLevel: levelScore === 1,
+        inProgress: Boolean(credited && credited.inProgress),
+        expectedGraduation: credited ? credited.expectedGraduation : null,
+        viaEquivalentExperience,
+        fieldMatch
+    };
+}
+
+module.exports = {
+    extractEducationRecords,
+    extractEducationRequirement,
+    compareEducation,
+    findFields,
+    DEGREE_LEVELS,
+    DEGREE_LABELS
+};
@@ -0,0 +1,280 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * PERSISTENT EMBEDDING CACHE
+ *
+ * Embeddings are stored on disk keyed by the SHA-256 of the embedded text, so a job description
+ * analyzed against hundreds of resumes is only embedded once, and repeated runs get exactly the
+ * same vectors. Entries are namespaced by provider and model, since vectors from different
+ * models are not comparable:
+ *
+ *   <cache dir>/<provider>__<model>/namespace.json    { provider, model }
+ *   <cache dir>/<provider>__<model>/ab/ab12...ef.bin   the vector as raw float64 values
+ *
+ * The cache directory is ATS_CACHE_DIR, or ats-checker/embeddings under XDG_CACHE_HOME
+ * (~/.cache by default). When the cache grows beyond its size limit (ATS_CACHE_MAX_MB,
+ * 200 MB by default) the least recently used entries are evicted. The cache is only listed to
+ * find its size once per process; after that the bytes this process writes are added up, and it
+ * is listed again only when that total passes the limit. Cache failures never fail an analysis;
+ * the affected texts are simply embedded again.
+ *
+ * Only directories with the namespace.json this cache writes are namespaces, and only files
+ * named after a SHA-256 in them are entries, so pointing the cache at a directory that holds
+ * other files never lists, evicts or clears them.
+ */
+
+const DEFAULT_MAX_BYTES = 200 * 1024 * 1024;
+// Eviction trims the cache below the limit so it does not run on every write
+const EVICTION_TARGET_RATIO = 0.9;
+const NAMESPACE_FILE = "namespace.json";
+const SHARD_NAME = /^[0-9a-f]{2}$/;
+const ENTRY_NAME = /^[0-9a-f]{64}\.bin$/;
+
+// Bytes of each cache directory at its last listing plus those written since by this process
+const trackedBytes = new Map();
+
+function getCacheDir(options = {}) {
+    if (options.cacheDir) return path.resolve(options.cacheDir);
+    if (process.env.ATS_CACHE_DIR) return path.resolve(process.env.ATS_CACHE_DIR);
+
+    const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache");
+    return path.join(cacheHome, "ats-checker", "embeddings");
+}
+
+function getCacheMaxBytes(options = {}) {
+    if (options.cacheMaxBytes) return options.cacheMaxBytes;
+    const megabytes = parseFloat(process.env.ATS_CACHE_MAX_MB);
+    return megabytes > 0 ? megabytes * 1024 * 1024 : DEFAULT_MAX_BYTES;
+}
+
+function namespaceDirName(provider, model) {
+    return `${provider}__${model}`.replace(/[^A-Za-z0-9._-]/g, "_");
+}
+
+function hashText(text) {
+    return crypto.createHash("sha256").update(text, "utf8").digest("hex");
+}
+
+// The `{ provider, model }` of a namespace directory, or null when this cache did not create it
+async function readNamespace(cacheDir, name) {
+    try {
+        const info = JSON.parse(await fs.promises.readFile(path.join(cacheDir, name, NAMESPACE_FILE), "utf8"));
+        if (typeof info.provider !== "string" || typeof info.model !== "string") return null;
+        return namespaceDirName(info.provider, info.model) === name ? { provider: info.provider, model: info.model } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function readDirectories(directory) {
+    try {
+        return (await fs.promises.readdir(directory, { withFileTypes: true })).filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch (error) {
+        if (error.code === "ENOENT" || error.code === "ENOTDIR") return [];
+        throw error;
+    }
+}
+
+// Every entry file of the cache, with its namespace, size and last use time
+async function listEntries(cacheDir) {
+    const entries = [];
+
+    for (const namespace of await readDirectories(cacheDir)) {
+        const info = await readNamespace(cacheDir, namespace);
+        if (!info) continue;
+        const namespaceDir = path.join(cacheDir, namespace);
+
+        for (const shard of (await readDirectories(namespaceDir)).filter(name => SHARD_NAME.test(name))) {
+            const shardDir = path.join(namespaceDir, shard);
+            for (const file of await fs.promises.readdir(shardDir)) {
+                if (!ENTRY_NAME.test(file) || !file.startsWith(shard)) continue;
+                const filePath = path.join(shardDir, file);
+                try {
+                    const stats = await fs.promises.stat(filePath);
+                    if (!stats.isFile()) continue;
+                    entries.push({ namespace, ...info, path: filePath, bytes: stats.size, lastUsed: stats.mtimeMs });
+                } catch (error) {
+                    // Removed concurrently by another process
+                }
+            }
+        }
+    }
+
+    return entries;
+}
+
+// Remove a directory of the cache if nothing but `ownFiles` is left in it
+async function removeIfEmpty(directory, ownFiles = []) {
+    try {
+        const remaining = await fs.promises.readdir(directory);
+        if (remaining.some(name => !ownFiles.includes(name))) return;
+        for (const name of remaining) await fs.promises.rm(path.join(directory, name), { force: true });
+        await fs.promises.rmdir(directory);
+    } catch (error) {
+        // Written to concurrently; the empty directory costs nothing
+    }
+}
+
+/**
+ * Open the cache namespace of a provider and model
+ *
+ * @param {Object} provider - `{ name, model }` of the embedding provider
+ * @param {Object} [options] - `{ cacheDir, cacheMaxBytes }`
+ * @returns {Object} - `{ get(text), set(text, vector), evict() }`; get resolves to null on a miss
+ */
+function openEmbeddingCache(provider, options = {}) {
+    const cacheDir = getCacheDir(options);
+    const maxBytes = getCacheMaxBytes(options);
+    const namespaceDir = path.join(cacheDir, namespaceDirName(provider.name, provider.model));
+    let namespaceFileWritten = false;
+
+    const entryPath = text => {
+        const hash = hashText(text);
+        return path.join(namespaceDir, hash.slice(0, 2), `${hash}.bin`);
+    };
+
+    return {
+        async get(text) {
+            const filePath = entryPath(text);
+            try {
+                const data = await fs.promises.readFile(filePath);
+                if (data.length === 0 || data.length % 8 !== 0) return null;
+                // Mark the entry as recently used for eviction
+                const now = new Date();
+                await fs.promises.utimes(filePath, now, now).catch(() => {});
+                // Copy into an aligned buffer; Float64Array views need 8-byte aligned offsets
+                return Array.from(new Float64Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.length)));
+            } catch (error) {
+                return null;
+            }
+        },
+
+        async set(text, vector) {
+            const filePath = entryPath(text);
+            try {
+                await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+                if (!namespaceFileWritten) {
+                    await fs.promises.writeFile(
+                        path.join(namespaceDir, NAMESPACE_FILE),
+                        JSON.stringify({ provider: provider.name, model: provider.model })
+                    );
+                    namespaceFileWritten = true;
+                }
+                // Write to a temporary file first so readers never see a partial entry
+                const tempPath = `${filePath}.${process.pid}.tmp`;
+                const data = Buffer.from(Float64Array.from(vector).buffer);
+                await fs.promises.writeFile(tempPath, data);
+                await fs.promises.rename(tempPath, filePath);
+                if (trackedBytes.has(cacheDir)) trackedBytes.set(cacheDir, trackedBytes.get(cacheDir) + data.length);
+            } catch (error) {
+                // A read-only or full disk only costs the cache
+            }
+        },
+
+        async evict() {
+            if (trackedBytes.has(cacheDir) && trackedBytes.get(cacheDir) <= maxBytes) return 0;
+            try {
+                const entries = await listEntries(cacheDir);
+                let totalBytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+
+                let removed = 0;
+                if (totalBytes > maxBytes) {
+                    for (const entry of entries.sort((a, b) => a.lastUsed - b.lastUsed)) {
+                        if (totalBytes <= maxBytes * EVICTION_TARGET_RATIO) break;
+                        await fs.promises.rm(entry.path, { force: true });
+                        totalBytes -= entry.bytes;
+                        removed++;
+                    }
+                }
+                trackedBytes.set(cacheDir, totalBytes);
+                return removed;
+            } catch (error) {
+                return 0;
+            }
+        }
+    };
+}
+
+/**
+ * Summarize the cache contents per namespace
+ *
+ * @param {Object} [options] - `{ cacheDir, cacheMaxBytes }`
+ * @returns {Promise<Object>} - `{ directory, maxBytes, totalEntries, totalBytes, namespaces }` where each
+ *   namespace is `{ namespace, provider, model, entries, bytes, oldest, newest }`
+ */
+async function getCacheStats(options = {}) {
+    const directory = getCacheDir(options);
+    const entries = await listEntries(directory);
+    const namespaces = {};
+
+    for (const entry of entries) {
+        if (!namespaces[entry.namespace]) {
+            namespaces[entry.namespace] = { namespace: entry.namespace, provider: entry.provider, model: entry.model, entries: 0, bytes: 0, oldest: null, newest: null };
+        }
+        const summary = namespaces[entry.namespace];
+        summary.entries++;
+        summary.bytes += entry.bytes;
+        summary.oldest = summary.oldest === null ? entry.lastUsed : Math.min(summary.oldest, entry.lastUsed);
+        summary.newest = summary.newest === null ? entry.lastUsed : Math.max(summary.newest, entry.lastUsed);
+    }
+
+    for (const summary of Object.values(namespaces)) {
+        summary.oldest = new Date(summary.oldest).toISOString();
+        summary.newest = new Date(summary.newest).toISOString();
+    }
+
+    return {
+        directory,
+        maxBytes: getCacheMaxBytes(options),
+        totalEntries: entries.length,
+        totalBytes: entries.reduce((sum, entry) => sum + entry.bytes, 0),
+        namespaces: Object.values(namespaces)
+    };
+}
+
+/**
+ * Remove cached embeddings
+ *
+ * Only entry files are deleted; a shard or namespace directory is removed once nothing else is
+ * left in it.
+ *
+ * @param {Object} [options] - `{ cacheDir }`, plus `provider` (and optionally `model`) to clear
+ *   only the matching namespaces
+ * @returns {Promise<Object>} - `{ removedEntries, freedBytes }`
+ */
+async function clearCache(options = {}) {
+    const directory = getCacheDir(options);
+    const matches = namespace => {
+        if (!options.provider) return true;
+        if (options.model) return namespace === namespaceDirName(options.provider, options.model);
+        return namespace.startsWith(namespaceDirName(options.provider, ""));
+    };
+    const entries = (await listEntries(directory)).filter(entry => matches(entry.namespace));
+
+    for (const entry of entries) {
+        await fs.promises.rm(entry.path, { force: true });
+    }
+    trackedBytes.delete(directory);
+    for (const namespace of new Set(entries.map(entry => entry.namespace))) {
+        const namespaceDir = path.join(directory, namespace);
+        for (const shard of new Set(entries.filter(entry => entry.namespace === namespace).map(entry => path.dirname(entry.path)))) {
+            await removeIfEmpty(shard);
+        }
+        await removeIfEmpty(namespaceDir, [NAMESPACE_FILE]);
+    }
+
+    return {
+        removedEntries: entries.length,
+        freedBytes: entries.reduce((sum, entry) => sum + entry.bytes, 0)
+    };
+}
+
+module.exports = {
+    openEmbeddingCache,
+    getCacheStats,
+    clearCache,
+    getCacheDir
+};
@@ -0,0 +1,193 @@
+const math = require("mathjs");
+const { createOllamaProvider } = require("./ollama");
+const { createOpenAIProvider } = require("./openai");
+const { createLocalProvider } = require("./local");
+const { openEmbeddingCache, getCacheStats, clearCache } = require("./cache");
+
+/**
+ * EMBEDDING PROVIDERS
+ *
+ * Semantic similarity is computed from text embeddings. Every provider has the same shape:
+ *
+ *   { name, model, endpoint, degraded, embed(texts) -> Promise<number[][]>, checkHealth(timeoutMs) -> Promise<boolean> }
+ *
+ * Available providers:
+ * - "ollama": a model served by Ollama (default, http://localhost:11434, nomic-embed-text)
+ * - "openai": any server implementing the OpenAI embeddings API
+ * - "local":  offline TF-IDF vectors, always available but marked as degraded
+ *
+ * Configuration comes from the `embedding` option (`{ provider, endpoint, model, apiKey, fallback,
+ * cache, cacheDir }`) with ATS_EMBEDDING_PROVIDER, ATS_EMBEDDING_ENDPOINT, ATS_EMBEDDING_MODEL,
+ * ATS_EMBEDDING_API_KEY, ATS_EMBEDDING_FALLBACK and ATS_EMBEDDING_CACHE as defaults. When the
+ * configured server cannot be reached the local provider is used instead, unless `fallback` is "none".
+ *
+ * Model embeddings are cached on disk (see cache.js) unless `cache` is false or
+ * ATS_EMBEDDING_CACHE is "off". Offline vectors are never cached: they are cheap to compute and
+ * depend on the other texts embedded with them.
+ */
+
+const PROVIDERS = {
+    ollama: createOllamaProvider,
+    openai: createOpenAIProvider,
+    local: createLocalProvider
+};
+
+const EMBEDDING_PROVIDERS = Object.keys(PROVIDERS);
+const FALLBACK_MODES = ["local", "none"];
+
+// Error raised when embeddings cannot be produced with the given configuration
+class EmbeddingError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = "EmbeddingError";
+        this.code = code;
+    }
+}
+
+// Fill in configuration defaults from the environment
+function resolveEmbeddingConfig(config = {}) {
+    const env = process.env;
+    const resolved = {
+        provider: config.provider || env.ATS_EMBEDDING_PROVIDER || "ollama",
+        endpoint: config.endpoint || env.ATS_EMBEDDING_ENDPOINT,
+        model: config.model || env.ATS_EMBEDDING_MODEL,
+        apiKey: config.apiKey || env.ATS_EMBEDDING_API_KEY,
+        fallback: config.fallback || env.ATS_EMBEDDING_FALLBACK || "local",
+        cache: config.cache !== undefined ? config.cache !== false : env.ATS_EMBEDDING_CACHE !== "off",
+        cacheDir: config.cacheDir,
+        cacheMaxBytes: config.cacheMaxBytes,
+        timeoutMs: config.timeoutMs
+    };
+
+    if (!PROVIDERS[resolved.provider]) {
+        throw new EmbeddingError(`Unknown embedding provider "${resolved.provider}". Expected one of: ${EMBEDDING_PROVIDERS.join(", ")}`, "INVALID_CONFIG");
+    }
+    if (!FALLBACK_MODES.includes(resolved.fallback)) {
+        throw new EmbeddingError(`Invalid embedding fallback "${resolved.fallback}". Expected one of: ${FALLBACK_MODES.join(", ")}`, "INVALID_CONFIG");
+    }
+
+    return resolved;
+}
+
+function createEmbeddingProvider(config = {}) {
+    const resolved = resolveEmbeddingConfig(config);
+    return PROVIDERS[resolved.provider](resolved);
+}
+
+// Provider details echoed in reports
+function describeProvider(provider) {
+    return {
+        provider: provider.name,
+        model: provider.model,
+        endpoint: provider.endpoint,
+        degraded: provider.degraded
+    };
+}
+
+// Embed texts, reading and filling the on-disk cache; only cache misses reach the provider
+async function embedWithCache(provider, texts, resolved) {
+    if (!resolved.cache || provider.degraded) {
+        return { vectors: await provider.embed(texts), hits: 0 };
+    }
+
+    const cache = openEmbeddingCache(provider, resolved);
+    const vectors = await Promise.all(texts.map(text => cache.get(text)));
+    const missing = [...new Set(texts.filter((text, index) => vectors[index] === null))];
+
+    if (missing.length > 0) {
+        const embedded = await provider.embed(missing);
+        if (!Array.isArray(embedded) || embedded.length !== missing.length) return { vectors: embedded, hits: 0 };
+
+        const byText = new Map(missing.map((text, index) => [text, embedded[index]]));
+        texts.forEach((text, index) => {
+            if (vectors[index] === null) vectors[index] = byText.get(text);
+        });
+        if (embedded.every(Array.isArray)) {
+            await Promise.all(missing.map(text => cache.set(text, byText.get(text))));
+            await cache.evict();
+        }
+    }
+
+    return { vectors, hits: texts.length - texts.filter(text => missing.includes(text)).length };
+}
+
+/**
+ * Embed a batch of texts with the configured provider, falling back to offline vectors
+ *
+ * @param {string[]} texts - Texts to embed
+ * @param {Object} [config] - Embedding configuration, see the module comment
+ * @returns {Promise<Object>} - `{ vectors, provider }` where `provider` is
+ *   `{ provider, model, endpoint, degraded, cacheHits, fallbackReason? }`
+ * @throws {EmbeddingError} - When the provider fails and fallback is disabled
+ */
+async function embedTexts(texts, config = {}) {
+    const resolved = resolveEmbeddingConfig(config);
+    const provider = PROVIDERS[resolved.provider](resolved);
+
+    let reason;
+    try {
+        const { vectors, hits } = await embedWithCache(provider, texts, resolved);
+        if (Array.isArray(vectors) && vectors.length === texts.length && vectors.every(Array.isArray)) {
+            return { vectors, provider: { ...describeProvider(provider), cacheHits: hits } };
+        }
+        reason = `${provider.name} returned an unexpected embeddings response`;
+    } catch (error) {
+        reason = `${provider.name} embeddings unavailable${provider.endpoint ? ` at ${provider.endpoint}` : ""}: ${error.message}`;
+    }
+
+    if (provider.degraded || resolved.fallback === "none") {
+        throw new EmbeddingError(`Could not fetch embeddings (${reason})`, "EMBEDDINGS_UNAVAILABLE");
+    }
+
+    const fallback = createLocalProvider();
+    return {
+        vectors: await fallback.embed(texts),
+        provider: { ...describeProvider(fallback), cacheHits: 0, fallbackReason: reason }
+    };
+}
+
+/**
+ * Check whether the configured embedding backend is reachable and has its model available
+ *
+ * @returns {Promise<Object>} - `{ provider, reachable, modelAvailable, degraded, endpoint, model, fallback, error? }`
+ */
+async function checkEmbeddingBackend(timeoutMs = 2000, config = {}) {
+    const resolved = resolveEmbeddingConfig(config);
+    const provider = PROVIDERS[resolved.provider](resolved);
+    const status = {
+        ...describeProvider(provider),
+        reachable: false,
+        modelAvailable: false,
+        fallback: resolved.fallback
+    };
+
+    try {
+        status.modelAvailable = await provider.checkHealth(timeoutMs);
+        status.reachable = true;
+    } catch (error) {
+        status.error = error.message;
+    }
+
+    return status;
+}
+
+// Cosine similarity of two vectors; 0 when either has no magnitude (e.g. a text with no terms)
+function cosineSimilarity(vec1, vec2) {
+    const normVec1 = math.norm(vec1);
+    const normVec2 = math.norm(vec2);
+    if (normVec1 === 0 || normVec2 === 0) return 0;
+    return math.dot(vec1, vec2) / (normVec1 * normVec2);
+}
+
+module.exports = {
+    embedTexts,
+    checkEmbeddingBackend,
+    createEmbeddingProvider,
+    resolveEmbeddingConfig,
+    cosineSimilarity,
+    getCacheStats,
+    clearCache,
+    EmbeddingError,
+    EMBEDDING_PROVIDERS,
+    FALLBACK_MODES
+};
@@ -0,0 +1,67 @@
+const natural = require("natural");
+
+/**
+ * OFFLINE TF-IDF EMBEDDINGS
+ *
+ * Pure-JavaScript fallback used when no embedding server is available. Each text becomes a
+ * TF-IDF vector over stemmed words, with IDF computed across the texts embedded together,
+ * hashed into a fixed number of dimensions so vectors from different calls can still be compared.
+ *
+ * These vectors only capture vocabulary overlap, not meaning: "led a team" and "managed
+ * engineers" share nothing. Scores built on them are marked as degraded and typically run
+ * lower than scores from a real embedding model.
+ */
+
+const DIMENSIONS = 4096;
+const MODEL = "tfidf-hashed";
+
+const tokenizer = new natural.WordTokenizer();
+const stopWords = new Set(natural.stopwords);
+
+// IDF needs a corpus: with fewer texts it would only down-weight the terms they share
+const MIN_IDF_DOCUMENTS = 3;
+
+function extractTerms(text) {
+    return tokenizer.tokenize(text.toLowerCase())
+        .filter(token => token.length > 1 && !stopWords.has(token))
+        .map(token => natural.PorterStemmer.stem(token));
+}
+
+// FNV-1a hash of a term, used as its vector dimension
+function hashTerm(term) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < term.length; i++) {
+        hash ^= term.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) % DIMENSIONS;
+}
+
+function createLocalProvider() {
+    return {
+        name: "local",
+        model: MODEL,
+        endpoint: null,
+        degraded: true,
+
+        async embed(texts) {
+            const tfidf = new natural.TfIdf();
+            texts.forEach(text => tfidf.addDocument(extractTerms(text)));
+
+            return texts.map((text, index) => {
+                const vector = new Array(DIMENSIONS).fill(0);
+                tfidf.listTerms(index).forEach(({ term, tf, idf }) => {
+                    // Sublinear term frequency keeps repeated words from dominating
+                    vector[hashTerm(term)] += (1 + Math.log(tf)) * (texts.length >= MIN_IDF_DOCUMENTS ? idf : 1);
+                });
+                return vector;
+            });
+        },
+
+        async checkHealth() {
+            return true;
+        }
+    };
+}
+
+module.exports = { createLocalProvider };
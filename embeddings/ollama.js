@@ -0,0 +1,56 @@
+const axios = require("axios");
+
+/**
+ * OLLAMA EMBEDDING PROVIDER
+ *
+ * Embeds texts with a model served by Ollama. Newer Ollama versions embed a whole batch through
+ * /api/embed; older ones only offer /api/embeddings with one prompt per request, which is used
+ * when the batch endpoint does not exist.
+ */
+
+const DEFAULT_ENDPOINT = "http://localhost:11434";
+const DEFAULT_MODEL = "nomic-embed-text";
+
+function createOllamaProvider(config = {}) {
+    const endpoint = (config.endpoint || DEFAULT_ENDPOINT).replace(/\/+$/, "");
+    const model = config.model || DEFAULT_MODEL;
+    const timeout = config.timeoutMs || 0;
+
+    async function embedOneByOne(texts) {
+        const vectors = [];
+        for (const text of texts) {
+            const response = await axios.post(`${endpoint}/api/embeddings`, { model, prompt: text }, { timeout });
+            vectors.push(response.data.embedding);
+        }
+        return vectors;
+    }
+
+    return {
+        name: "ollama",
+        model,
+        endpoint,
+        degraded: false,
+
+        async embed(texts) {
+            try {
+                const response = await axios.post(`${endpoint}/api/embed`, { model, input: texts }, { timeout });
+                return response.data.embeddings;
+            } catch (error) {
+                // Ollama answers 404 both for unknown models and, before 0.3, for the batch endpoint itself
+                if (error.response && error.response.status === 404 && !/model/i.test(JSON.stringify(error.response.data || ""))) {
+                    return embedOneByOne(texts);
+                }
+                throw error;
+            }
+        },
+
+        async checkHealth(timeoutMs) {
+            const response = await axios.get(`${endpoint}/api/tags`, { timeout: timeoutMs });
+            const models = (response.data && response.data.models) || [];
+            // Ollama reports pulled models with their tag, e.g. "nomic-embed-text:latest"
+            return models.some(entry => (entry.name || "").split(":")[0] === model.split(":")[0]);
+        }
+    };
+}
+
+module.exports = { createOllamaProvider };
@@ -0,0 +1,43 @@
+const axios = require("axios");
+
+/**
+ * OPENAI-COMPATIBLE EMBEDDING PROVIDER
+ *
+ * Works with any server implementing the OpenAI embeddings API (`POST {endpoint}/embeddings`),
+ * such as llama.cpp, LM Studio, vLLM or LocalAI. The endpoint is the API base URL including
+ * the version prefix, e.g. http://localhost:8080/v1.
+ */
+
+const DEFAULT_ENDPOINT = "http://localhost:8080/v1";
+const DEFAULT_MODEL = "nomic-embed-text";
+
+function createOpenAIProvider(config = {}) {
+    const endpoint = (config.endpoint || DEFAULT_ENDPOINT).replace(/\/+$/, "");
+    const model = config.model || DEFAULT_MODEL;
+    const headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+    const timeout = config.timeoutMs || 0;
+
+    return {
+        name: "openai",
+        model,
+        endpoint,
+        degraded: false,
+
+        async embed(texts) {
+            const response = await axios.post(`${endpoint}/embeddings`, { model, input: texts }, { headers, timeout });
+            // Entries carry their input index and are not guaranteed to be in order
+            return [...response.data.data]
+                .sort((a, b) => a.index - b.index)
+                .map(entry => entry.embedding);
+        },
+
+        async checkHealth(timeoutMs) {
+            const response = await axios.get(`${endpoint}/models`, { headers, timeout: timeoutMs });
+            const models = (response.data && response.data.data) || [];
+            // Single-model servers often ignore the requested name, so an empty list is not an error
+            return models.length === 0 || models.some(entry => entry.id === model);
+        }
+    };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,93 @@
+const { createOllamaGenerator } = require("./ollama");
+const { createOpenAIGenerator } = require("./openai");
+
+/**
+ * GENERATION PROVIDERS
+ *
+ * Text generation for the optional rewrite assistant (see rewrite-assistant.js). Every provider
+ * has the same shape:
+ *
+ *   { name, model, endpoint, generate(prompt, { system, temperature }) -> Promise<string> }
+ *
+ * Available providers:
+ * - "ollama": a model served by Ollama (default, http://localhost:11434, llama3.2)
+ * - "openai": any server implementing the OpenAI chat completions API
+ *
+ * Configuration comes from the `generation` option (`{ provider, endpoint, model, apiKey,
+ * timeoutMs }`) with ATS_GENERATION_PROVIDER, ATS_GENERATION_ENDPOINT, ATS_GENERATION_MODEL and
+ * ATS_GENERATION_API_KEY as defaults. Unlike embeddings there is no offline fallback: without a
+ * generation model there are no rewrites to suggest. stub.js serves both APIs with canned
+ * answers, for trying the rewrite assistant and testing it without a model.
+ */
+
+const PROVIDERS = {
+    ollama: createOllamaGenerator,
+    openai: createOpenAIGenerator
+};
+
+const GENERATION_PROVIDERS = Object.keys(PROVIDERS);
+
+// Generation models can take a while on a laptop, but a server that never answers is an error
+const DEFAULT_TIMEOUT_MS = 120000;
+
+// Error raised when text cannot be generated with the given configuration
+class GenerationError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = "GenerationError";
+        this.code = code;
+    }
+}
+
+// Fill in configuration defaults from the environment
+function resolveGenerationConfig(config = {}) {
+    const env = process.env;
+    const resolved = {
+        provider: config.provider || env.ATS_GENERATION_PROVIDER || "ollama",
+        endpoint: config.endpoint || env.ATS_GENERATION_ENDPOINT,
+        model: config.model || env.ATS_GENERATION_MODEL,
+        apiKey: config.apiKey || env.ATS_GENERATION_API_KEY,
+        timeoutMs: config.timeoutMs || DEFAULT_TIMEOUT_MS
+    };
+
+    if (!PROVIDERS[resolved.provider]) {
+        throw new GenerationError(`Unknown generation provider "${resolved.provider}". Expected one of: ${GENERATION_PROVIDERS.join(", ")}`, "INVALID_CONFIG");
+    }
+
+    return resolved;
+}
+
+function createGenerationProvider(config = {}) {
+    const resolved = resolveGenerationConfig(config);
+    return PROVIDERS[resolved.provider](resolved);
+}
+
+/**
+ * Generate text with a provider, turning transport and response problems into GenerationErrors
+ *
+ * @param {Object} provider - From createGenerationProvider
+ * @param {string} prompt - The user prompt
+ * @param {Object} [options] - `system` prompt and sampling `temperature`
+ * @returns {Promise<string>} - The generated text
+ * @throws {GenerationError} - When the server cannot be reached or answers with something other than text
+ */
+async function generateText(provider, prompt, options = {}) {
+    let text;
+    try {
+        text = await provider.generate(prompt, options);
+    } catch (error) {
+        throw new GenerationError(`${provider.name} generation unavailable at ${provider.endpoint}: ${error.message}`, "GENERATION_UNAVAILABLE");
+    }
+    if (typeof text !== "string") {
+        throw new GenerationError(`${provider.name} returned an unexpected generation response`, "GENERATION_UNAVAILABLE");
+    }
+    return text;
+}
+
+module.exports = {
+    createGenerationProvider,
+    resolveGenerationConfig,
+    generateText,
+    GenerationError,
+    GENERATION_PROVIDERS
+};
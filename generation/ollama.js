@@ -0,0 +1,36 @@
+const axios = require("axios");
+
+/**
+ * OLLAMA GENERATION PROVIDER
+ *
+ * Generates text with a model served by Ollama through /api/generate, with streaming off so the
+ * whole answer arrives in one response.
+ */
+
+const DEFAULT_ENDPOINT = "http://localhost:11434";
+const DEFAULT_MODEL = "llama3.2";
+
+function createOllamaGenerator(config = {}) {
+    const endpoint = (config.endpoint || DEFAULT_ENDPOINT).replace(/\/+$/, "");
+    const model = config.model || DEFAULT_MODEL;
+    const timeout = config.timeoutMs || 0;
+
+    return {
+        name: "ollama",
+        model,
+        endpoint,
+
+        async generate(prompt, { system, temperature } = {}) {
+            const response = await axios.post(`${endpoint}/api/generate`, {
+                model,
+                prompt,
+                system,
+                stream: false,
+                options: { temperature }
+            }, { timeout });
+            return response.data.response;
+        }
+    };
+}
+
+module.exports = { createOllamaGenerator };
@@ -0,0 +1,34 @@
+const axios = require("axios");
+
+/**
+ * OPENAI-COMPATIBLE GENERATION PROVIDER
+ *
+ * Works with any server implementing the OpenAI chat completions API
+ * (`POST {endpoint}/chat/completions`), such as llama.cpp, LM Studio, vLLM or LocalAI. The
+ * endpoint is the API base URL including the version prefix, e.g. http://localhost:8080/v1.
+ */
+
+const DEFAULT_ENDPOINT = "http://localhost:8080/v1";
+const DEFAULT_MODEL = "llama3.2";
+
+function createOpenAIGenerator(config = {}) {
+    const endpoint = (config.endpoint || DEFAULT_ENDPOINT).replace(/\/+$/, "");
+    const model = config.model || DEFAULT_MODEL;
+    const headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+    const timeout = config.timeoutMs || 0;
+
+    return {
+        name: "openai",
+        model,
+        endpoint,
+
+        async generate(prompt, { system, temperature } = {}) {
+            const messages = system ? [{ role: "system", content: system }] : [];
+            messages.push({ role: "user", content: prompt });
+            const response = await axios.post(`${endpoint}/chat/completions`, { model, messages, temperature }, { headers, timeout });
+            return response.data.choices[0].message.content;
+        }
+    };
+}
+
+module.exports = { createOpenAIGenerator };
@@ -0,0 +1,86 @@
+const http = require("http");
+
+/**
+ * GENERATION STUB SERVER
+ *
+ * A local stand-in for a generation model, to try the rewrite assistant without Ollama and to
+ * test it. It answers Ollama's /api/generate and the OpenAI /chat/completions API with whatever
+ * `answer(original, prompt)` returns for the bullet named in the prompt; by default the bullet
+ * itself with a metric placeholder, so its suggestions show the flow rather than real rewrites.
+ *
+ * Run on its own it listens on port 3932 (or the port given as the first argument):
+ *
+ *   node generation/stub.js
+ *   ats-check rewrite --resume resume.txt --jd job.txt --generation-endpoint http://localhost:3932
+ */
+
+const DEFAULT_PORT = 3932;
+
+// Keeps the bullet and asks for a metric, as a well-behaved model would
+function defaultAnswer(original) {
+    return `${original}, cutting turnaround time by [X]%`;
+}
+
+function reply(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Start a stub generation server
+ *
+ * @param {Function|string} [answer] - The text to answer with, or a function of the original
+ *   bullet and the whole prompt returning it
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on (default: any free port)
+ * @returns {Promise<Object>} - `{ endpoint, prompts, close }`: the base URL, the prompts received
+ *   so far and a function stopping the server
+ */
+function startGenerationStub(answer = defaultAnswer, options = {}) {
+    const prompts = [];
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => { body += chunk; });
+        req.on("end", () => {
+            let request;
+            try {
+                request = JSON.parse(body);
+            } catch (error) {
+                return reply(res, 400, { error: "Invalid JSON" });
+            }
+
+            const chat = req.url.endsWith("/chat/completions");
+            if (!chat && req.url !== "/api/generate") return reply(res, 404, { error: "Not found" });
+
+            const prompt = chat ? request.messages[request.messages.length - 1].content : request.prompt;
+            const original = (prompt.match(/^Original bullet: (.*)$/m) || [])[1] || "";
+            prompts.push(prompt);
+
+            const text = typeof answer === "function" ? answer(original, prompt) : answer;
+            reply(res, 200, chat ? { choices: [{ message: { role: "assistant", content: text } }] } : { response: text, done: true });
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(options.port || 0, "127.0.0.1", () => {
+            resolve({
+                endpoint: `http://127.0.0.1:${server.address().port}`,
+                prompts,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2], 10) || DEFAULT_PORT;
+    startGenerationStub(defaultAnswer, { port }).then(({ endpoint }) => {
+        console.log(`Generation stub listening on ${endpoint}`);
+    }, error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { startGenerationStub };
@@ -0,0 +1,189 @@
+const natural = require("natural");
+
+/**
+ * ACHIEVEMENT AND IMPACT ANALYSIS
+ *
+ * Reads the bullets under each role the way a recruiter skims them: does the bullet open with a
+ * strong action verb or with weak phrasing ("responsible for", "helped with"), does it give a
+ * quantified outcome (a percentage, an amount of money, a count, a latency, a scale), and does it
+ * show the scope of the work (team size, reach across the organization, production systems)?
+ *
+ * Each bullet scores up to 100 points: 40 for the verb, 40 for a quantified outcome and 20 for
+ * scope. A role scores the average of its bullets, and bullets below 60 points or opening with
+ * weak phrasing are listed with what to change. The impact score is an insight into the resume and does not count towards the
+ * match score.
+ */
+
+const POINTS = { strongVerb: 40, neutralVerb: 20, quantified: 40, scope: 20 };
+
+// Bullets scoring below this are listed to be strengthened
+const STRENGTHEN_BELOW = 60;
+
+// Bullets with fewer words than this are labels rather than achievements
+const MIN_BULLET_WORDS = 3;
+
+const BULLET_PREFIX = /^\s*(?:[-•*·▪◦●■□►▸▹➢➤➔→✓✔★♦◆❖‣○]|\d{1,2}[.)])\s*/u;
+
+// Action verbs that state ownership of a result, matched on their stem ("led", "leads", "leading")
+const STRONG_VERBS = [
+    "accelerate", "achieve", "architect", "automate", "boost", "build", "built", "championed", "consolidate",
+    "create", "cut", "debug", "decrease", "deliver", "deploy", "design", "develop", "direct", "double",
+    "drive", "drove", "eliminate", "engineer", "establish", "expand", "founded", "generate", "grew", "grow",
+    "halve", "head", "hire", "implement", "improve", "increase", "introduce", "invent", "launch", "lead",
+    "led", "manage", "mentor", "migrate", "modernize", "negotiate", "optimize", "orchestrate", "overhaul",
+    "own", "pioneer", "rebuilt", "redesign", "reduce", "refactor", "replace", "resolve", "restructure",
+    "revamp", "save", "scale", "secure", "ship", "shipped", "simplify", "slash", "spearhead", "standardize",
+    "streamline", "supervise", "tripled", "transform", "triple", "unify", "win", "won", "wrote", "write", "author"
+].map(verb => natural.PorterStemmer.stem(verb));
+
+// Phrasing that describes duties or a supporting part instead of results, with stronger openings
+const WEAK_PHRASES = [
+    { pattern: /^(?:(?:i|was|were|am)\s+)?responsible\s+for\b/i, phrase: "responsible for", replacements: ["Owned", "Led", "Ran"] },
+    { pattern: /^(?:(?:i|was|were|am)\s+)?in\s+charge\s+of\b/i, phrase: "in charge of", replacements: ["Owned", "Led", "Ran"] },
+    { pattern: /^(?:(?:i|was|were|am)\s+)?tasked\s+with\b/i, phrase: "tasked with", replacements: ["Delivered", "Built", "Completed"] },
+    { pattern: /^duties\s+included\b/i, phrase: "duties included", replacements: ["Delivered", "Built", "Ran"] },
+    { pattern: /^help(?:ed|ing|s)?\b(?:\s+(?:with|to|in))?/i, phrase: "helped", replacements: ["Built", "Implemented", "Co-developed"] },
+    { pattern: /^assist(?:ed|ing|s)?\b(?:\s+(?:with|in))?/i, phrase: "assisted", replacements: ["Built", "Implemented", "Co-developed"] },
+    { pattern: /^support(?:ed|ing|s)?\b/i, phrase: "supported", replacements: ["Maintained", "Ran", "Resolved"] },
+    { pattern: /^work(?:ed|ing|s)?\s+on\b/i, phrase: "worked on", replacements: ["Built", "Developed", "Shipped"] },
+    { pattern: /^(?:(?:was|were)\s+)?(?:participat(?:ed|ing|es?)|involved)\s+in\b/i, phrase: "participated in", replacements: ["Drove", "Delivered", "Led"] },
+    { pattern: /^contribut(?:ed|ing|es?)\s+to\b/i, phrase: "contributed to", replacements: ["Built", "Delivered", "Implemented"] },
+    { pattern: /^(?:was|were)\s+(?:a\s+)?part\s+of\b/i, phrase: "was part of", replacements: ["Delivered", "Built", "Drove"] },
+    { pattern: /^(?:exposure\s+to|familiar(?:ity)?\s+with)\b/i, phrase: "exposure to", replacements: ["Used", "Built", "Applied"] }
+];
+
+// Quantified outcomes, by kind; years are never counted
+const METRIC_PATTERNS = [
+    { type: "percentage", pattern: /\b\d+(?:\.\d+)?\s?(?:%|percent\b)/i },
+    { type: "currency", pattern: /[$€£¥]\s?\d[\d,.]*(?:\s?(?:k|m|mm|bn?|million|billion|thousand)\b)?|\b\d[\d,.]*\s?(?:k|m|million|billion)?\s?(?:usd|eur|gbp|dollars|euros)\b/i },
+    { type: "multiplier", pattern: /\b\d+(?:\.\d+)?x\b/i },
+    { type: "latency", pattern: /\b\d[\d,.]*\s?(?:ms|milliseconds?|seconds?|secs?|minutes?|mins?|hours?|hrs?|days?|weeks?)\b/i },
+    { type: "scale", pattern: /\b\d[\d,.]*\s?(?:k|m|b|million|billion|thousand)?\+?\s+(?:\w+\s+)?(?:users?|customers?|clients?|requests?|transactions?|records?|rows?|events?|messages?|queries|downloads?|visitors?|subscribers?|servers?|nodes?|instances?|services?|microservices?|endpoints?|pipelines?)\b|\b\d[\d,.]*\s?(?:tb|gb|pb|rps|qps|tps|req\/s)\b/i },
+    { type: "count", pattern: /\b(?!(?:19|20)\d{2}\b)\d[\d,]*\+?\s+(?!(?:years?|yrs?|months?)\b)[a-z][a-z-]*s\b/i }
+];
+
+// Signals of how far the work reached
+const SCOPE_PATTERNS = [
+    { type: "team", pattern: /\bteam\s+of\s+\d+|\b\d+[- ](?:person|member|engineer|developer)\s+team\b|\b(?:led|managed|mentored|supervised|coached|hired)\b/i },
+    { type: "organization", pattern: /\b(?:company|organi[sz]ation|department|enterprise|org)[- ]wide\b|\bcross[- ]functional\b|\bacross\s+(?:\d+|multiple|several|all)\s+\w+/i },
+    { type: "reach", pattern: /\b(?:global|worldwide|international|multi[- ]region|nationwide)\b/i },
+    { type: "ownership", pattern: /\bend[- ]to[- ]end\b|\bfrom\s+scratch\b|\bfrom\s+the\s+ground\s+up\b/i },
+    { type: "production", pattern: /\bin\s+production\b|\bproduction\s+(?:systems?|services?|traffic|workloads?)\b|\bmission[- ]critical\b/i },
+    { type: "budget", pattern: /\bbudget\b/i }
+];
+
+function stripBullet(line) {
+    return line.replace(BULLET_PREFIX, "").trim();
+}
+
+function classifyVerb(text) {
+    const weak = WEAK_PHRASES.find(({ pattern }) => pattern.test(text));
+    if (weak) return { strength: "weak", verb: weak.phrase, replacements: weak.replacements };
+
+    const firstWord = (text.match(/^[A-Za-z-]+/) || [""])[0].toLowerCase();
+    const strong = firstWord && STRONG_VERBS.includes(natural.PorterStemmer.stem(firstWord));
+    return { strength: strong ? "strong" : "neutral", verb: firstWord || null, replacements: [] };
+}
+
+// What to change in a bullet, one suggestion per missing element
+function getSuggestions(bullet, verb) {
+    const suggestions = [];
+    if (verb.strength === "weak") {
+        suggestions.push(`Replace "${verb.verb}" with an action verb that claims the result, e.g. ${verb.replacements.map(replacement => `"${replacement}"`).join(", ")}`);
+    } else if (verb.strength === "neutral") {
+        suggestions.push("Open with an action verb such as \"Built\", \"Led\" or \"Reduced\"");
+    }
+    if (bullet.metrics.length === 0) {
+        suggestions.push("Add a measurable outcome: a percentage, time or money saved, or the users or requests served");
+    }
+    if (bullet.scope.length === 0) {
+        suggestions.push("Show the scope: team size, the users or systems it reached, or what you owned end to end");
+    }
+    return suggestions;
+}
+
+/**
+ * Classify one bullet for its opening verb, quantified outcomes and scope
+ *
+ * @param {string} line - The bullet, with or without its bullet character
+ * @returns {Object} - `{ text, verb: { strength, verb }, metrics, scope, score, suggestions }`
+ *   where `strength` is "strong", "neutral" or "weak", `metrics` lists `{ type, value }` for each
+ *   kind of quantified outcome found, `scope` the kinds of scope signal, `score` is 0-100, and
+ *   `suggestions` says what to change when the bullet should be strengthened (empty otherwise)
+ */
+function analyzeBullet(line) {
+    const text = stripBullet(line);
+    const verb = classifyVerb(text);
+
+    const metrics = [];
+    for (const { type, pattern } of METRIC_PATTERNS) {
+        const match = text.match(pattern);
+        // A number is only counted once, under its most specific kind
+        if (match && !metrics.some(metric => metric.value.includes(match[0].trim()) || match[0].includes(metric.value))) {
+            metrics.push({ type, value: match[0].trim() });
+        }
+    }
+    const scope = SCOPE_PATTERNS.filter(({ pattern }) => pattern.test(text)).map(({ type }) => type);
+
+    const score = (verb.strength === "strong" ? POINTS.strongVerb : verb.strength === "neutral" ? POINTS.neutralVerb : 0) +
+        (metrics.length > 0 ? POINTS.quantified : 0) +
+        (scope.length > 0 ? POINTS.scope : 0);
+
+    const bullet = { text, verb: { strength: verb.strength, verb: verb.verb }, metrics, scope, score };
+    bullet.suggestions = score < STRENGTHEN_BELOW || verb.strength === "weak" ? getSuggestions(bullet, verb) : [];
+    return bullet;
+}
+
+function average(values) {
+    return values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+}
+
+/**
+ * Score the achievements of every role in an employment history
+ *
+ * @param {Object[]} employmentPeriods - Roles with `jobTitle`, `company` and `description`, the
+ *   lines written under each role's header
+ * @returns {Object} - `{ score, roles, bulletsToStrengthen, counts }`: `roles` holds `{ jobTitle,
+ *   company, score, bullets }` per role (see analyzeBullet; `score` is null for a role without
+ *   bullets), `score` averages every bullet of the resume, `bulletsToStrengthen` lists the bullets
+ *   to strengthen as `{ jobTitle, company, text, score, suggestions }`, lowest first, and
+ *   `counts` gives the number of bullets, those opening with a strong or weak verb, and those
+ *   with a quantified outcome
+ */
+function analyzeImpact(employmentPeriods) {
+    const roles = employmentPeriods.map(period => {
+        const bullets = (period.description || "").split("\n")
+            .filter(line => stripBullet(line).split(/\s+/).length >= MIN_BULLET_WORDS)
+            .map(analyzeBullet);
+        return {
+            jobTitle: period.jobTitle || null,
+            company: period.company || null,
+            score: average(bullets.map(bullet => bullet.score)),
+            bullets
+        };
+    });
+
+    const bullets = roles.flatMap(role => role.bullets);
+    const bulletsToStrengthen = roles
+        .flatMap(role => role.bullets
+            .filter(bullet => bullet.suggestions.length > 0)
+            .map(bullet => ({ jobTitle: role.jobTitle, company: role.company, text: bullet.text, score: bullet.score, suggestions: bullet.suggestions })))
+        .sort((a, b) => a.score - b.score);
+
+    return {
+        score: average(bullets.map(bullet => bullet.score)),
+        roles,
+        bulletsToStrengthen,
+        counts: {
+            bullets: bullets.length,
+            strongVerbs: bullets.filter(bullet => bullet.verb.strength === "strong").length,
+            weakPhrasing: bullets.filter(bullet => bullet.verb.strength === "weak").length,
+            quantified: bullets.filter(bullet => bullet.metrics.length > 0).length
+        }
+    };
+}
+
+module.exports = {
+    analyzeImpact,
+    analyzeBullet
+};
@@ -0,0 +1,199 @@
+const { prepareResume, scoreResume } = require("./ats-checker");
+const { convertDocument } = require("./converters");
+const { DEGREE_LABELS } = require("./education");
+const {
+    listDocuments,
+    mapWithConcurrency,
+    getMustHaveCoverage,
+    csvField,
+    BatchError,
+    CSV_SCORE_COLUMNS,
+    DEFAULT_CONCURRENCY
+} = require("./batch-ranker");
+
+/**
+ * JOB MATCHING
+ *
+ * The reverse of batch ranking: one resume against every job description in a directory or .zip
+ * archive, to find the openings it fits best. The resume side of the analysis (skills,
+ * proficiencies, employment history and the embeddings of its evidence) is prepared once with
+ * prepareResume; each job then only costs its own extraction, the embedding of its requirements
+ * and the scoring, with the same dimensions and weights as a single analysis.
+ *
+ * Every match comes with a gap summary: the must-have and nice-to-have skills the resume lacks,
+ * skills used for fewer years than the job asks, and any shortfall in years of experience or
+ * degree level.
+ */
+
+// A first line with more words than this is a sentence, not the job's title
+const MAX_TITLE_WORDS = 8;
+
+// The job's title: the first line of the description when it reads like one
+function getJobTitle(jobDescriptionText, report) {
+    const firstLine = jobDescriptionText.split("\n").map(line => line.trim()).find(Boolean) || "";
+    const title = firstLine.replace(/^#{1,6}\s*/, "").replace(/:$/, "");
+    if (title && title.split(/\s+/).length <= MAX_TITLE_WORDS && !/[.!?]$/.test(title)) return title;
+    return report.positionRelevance.jobDescriptionTitles[0] || null;
+}
+
+/**
+ * What keeps a resume from matching a job fully
+ *
+ * @param {Object} report - Report of the resume against the job, from scoreResume
+ * @returns {Object} - `{ missingMustHaves, missingNiceToHaves, skillYears, experience, education,
+ *   unsupportedRequirements }`, where `skillYears` lists `{ skill, requiredYears, candidateYears }`
+ *   for skills used for fewer years than asked, `experience` is `{ requiredYears, candidateYears }`
+ *   and `education` is `{ requiredLevel, candidateLevel }` when short, or null, and
+ *   `unsupportedRequirements` counts the job's requirements with no evidence in the resume
+ */
+function summarizeGaps(report) {
+    const { missingRequired, missingNiceToHave, yearRequirements } = report.technicalSkills;
+    const { requiredYears, candidateYears } = report.experience;
+    const { comparison } = report.education;
+    const educationShort = comparison.requiredLevel && !comparison.meetsLevel && !comparison.viaEquivalentExperience;
+
+    return {
+        missingMustHaves: missingRequired,
+        missingNiceToHaves: missingNiceToHave,
+        // Skills missing outright are already listed above
+        skillYears: Object.entries(yearRequirements)
+            .filter(([skill, requirement]) => !requirement.met && !missingRequired.includes(skill) && !missingNiceToHave.includes(skill))
+            .map(([skill, requirement]) => ({ skill, requiredYears: requirement.requiredYears, candidateYears: requirement.candidateYears })),
+        experience: requiredYears > candidateYears ? { requiredYears, candidateYears } : null,
+        education: educationShort ? { requiredLevel: comparison.requiredLevel, candidateLevel: comparison.candidateLevel } : null,
+        unsupportedRequirements: report.semanticAlignment.unsupported.length
+    };
+}
+
+/**
+ * One line describing the gaps of a match
+ *
+ * @param {Object} gaps - Output of summarizeGaps
+ * @returns {string} - e.g. "missing must-haves: rust, go; python 2 of 5 years; 3 of 5 years of
+ *   experience", or "no gaps"
+ */
+function formatGapSummary(gaps) {
+    const parts = [];
+    if (gaps.missingMustHaves.length > 0) parts.push(`missing must-haves: ${gaps.missingMustHaves.join(", ")}`);
+    gaps.skillYears.forEach(({ skill, requiredYears, candidateYears }) => {
+        parts.push(`${skill} ${candidateYears} of ${requiredYears} years`);
+    });
+    if (gaps.experience) parts.push(`${gaps.experience.candidateYears} of ${gaps.experience.requiredYears} years of experience`);
+    if (gaps.education) parts.push(`needs a ${DEGREE_LABELS[gaps.education.requiredLevel] || gaps.education.requiredLevel}`);
+    if (gaps.missingNiceToHaves.length > 0) parts.push(`missing nice-to-haves: ${gaps.missingNiceToHaves.join(", ")}`);
+    return parts.length > 0 ? parts.join("; ") : "no gaps";
+}
+
+// The ranked entry of one job
+function summarizeMatch(file, jobDescriptionText, report) {
+    const gaps = summarizeGaps(report);
+    return {
+        file,
+        title: getJobTitle(jobDescriptionText, report),
+        overallScore: report.overallScore,
+        rating: report.feedback.rating,
+        scores: { ...report.scores },
+        mustHaveCoverage: getMustHaveCoverage(report),
+        gaps,
+        summary: formatGapSummary(gaps)
+    };
+}
+
+/**
+ * Score one resume against every job description of a batch and rank the jobs
+ *
+ * @param {string} resumeText - Resume text
+ * @param {string|Object[]} source - Directory or .zip archive of job descriptions, or the output
+ *   of listDocuments
+ * @param {Object} [options] - Any option of analyzeResume, plus:
+ * @param {number} [options.concurrency] - Job descriptions scored at the same time (default 4)
+ * @param {Function} [options.onResult] - Called as each job finishes with
+ *   `{ index, total, file, match }` or `{ index, total, file, failure }`
+ * @returns {Promise<Object>} - `{ total, candidate, ranked, failed }`: `candidate` is the name on
+ *   the resume (null in blind screening), `ranked` holds the jobs by descending overall score,
+ *   each `{ rank, file, title, overallScore, rating, scores, mustHaveCoverage, gaps, summary }`
+ *   (see summarizeGaps and formatGapSummary), and `failed` holds `{ file, code, message }` for
+ *   every job description that could not be read or scored
+ * @throws {BatchError|AnalysisError} - When the source cannot be listed, or the resume is empty or
+ *   cannot be analyzed
+ */
+async function matchJobs(resumeText, source, options = {}) {
+    const { concurrency = DEFAULT_CONCURRENCY, onResult, relevantExperienceOnly, ...resumeOptions } = options;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new BatchError(`Concurrency must be a positive integer, got ${concurrency}`, "INVALID_CONCURRENCY");
+    }
+
+    const jobs = Array.isArray(source) ? source : listDocuments(source, "job description");
+    const resume = await prepareResume(resumeText, resumeOptions);
+
+    const results = await mapWithConcurrency(jobs, concurrency, async (job, index) => {
+        let result;
+        try {
+            const document = await convertDocument(await job.read(), { filename: job.name });
+            const report = await scoreResume(resume, document.text, { relevantExperienceOnly });
+            result = { match: summarizeMatch(job.name, document.text, report) };
+        } catch (error) {
+            // One unreadable or empty job description does not stop the others
+            result = { failure: { file: job.name, code: error.code || "ANALYSIS_FAILED", message: error.message } };
+        }
+
+        if (typeof onResult === "function") {
+            onResult({ index, total: jobs.length, file: job.name, ...result });
+        }
+        return result;
+    });
+
+    const ranked = results
+        .filter(result => result.match)
+        .map(result => result.match)
+        .sort((a, b) => b.overallScore - a.overallScore ||
+            (b.mustHaveCoverage.percentage || 0) - (a.mustHaveCoverage.percentage || 0) ||
+            a.file.localeCompare(b.file))
+        .map((match, index) => ({ rank: index + 1, ...match }));
+
+    return {
+        total: jobs.length,
+        candidate: resume.contact ? resume.contact.name : null,
+        ranked,
+        failed: results.filter(result => result.failure).map(result => result.failure)
+    };
+}
+
+/**
+ * Format job matches as CSV, one row per job in rank order, failed job descriptions last
+ *
+ * @param {Object} matches - Output of matchJobs
+ * @returns {string} - CSV text with a header row
+ */
+function formatMatchesCsv(matches) {
+    const header = [
+        "rank", "file", "title", "overall_score", "rating", ...Object.values(CSV_SCORE_COLUMNS),
+        "must_have_matched", "must_have_total", "must_have_coverage", "gaps", "error"
+    ];
+
+    const rows = matches.ranked.map(match => [
+        match.rank,
+        match.file,
+        match.title,
+        match.overallScore,
+        match.rating,
+        ...Object.keys(CSV_SCORE_COLUMNS).map(key => match.scores[key]),
+        match.mustHaveCoverage.matched,
+        match.mustHaveCoverage.total,
+        match.mustHaveCoverage.percentage,
+        match.summary,
+        ""
+    ]);
+    matches.failed.forEach(failure => {
+        rows.push(["", failure.file, ...new Array(header.length - 3).fill(""), failure.message]);
+    });
+
+    return [header, ...rows].map(row => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+module.exports = {
+    matchJobs,
+    summarizeGaps,
+    formatGapSummary,
+    formatMatchesCsv
+};
@@ -0,0 +1,220 @@
+const { segmentResume } = require("./section-segmenter");
+const { extractContactInfo } = require("./contact-extractor");
+const { extractEducationRecords } = require("./education");
+
+/**
+ * BLIND SCREENING
+ *
+ * Masks the parts of a resume that identify the candidate or invite bias before it is scored:
+ * name, email addresses, phone numbers, street address and location, profile links, photo
+ * references, personal details (date of birth, age, gender, marital status, nationality,
+ * religion), graduation years that reveal age, gendered pronouns and honorifics, and optionally
+ * school names. Each value is replaced by a placeholder such as "[NAME]" or, for pronouns, by
+ * the neutral form ("she" -> "they").
+ *
+ * The analysis then runs on the redacted text only. The redaction map, with every original value
+ * and its position in both texts, is returned separately from the report so that authorized
+ * users can re-identify a candidate without the reviewers seeing who it is.
+ */
+
+// Redaction types, in order of precedence when two matches overlap
+const REDACTION_TYPES = ["email", "link", "phone", "personal", "photo", "address", "name", "school", "graduationYear", "honorific", "pronoun"];
+
+const PLACEHOLDERS = {
+    email: "[EMAIL]",
+    link: "[LINK]",
+    phone: "[PHONE]",
+    personal: "[REDACTED]",
+    photo: "[PHOTO]",
+    address: "[ADDRESS]",
+    name: "[NAME]",
+    school: "[SCHOOL]",
+    graduationYear: "[YEAR]",
+    honorific: "[TITLE]"
+};
+
+const EMAIL_TOKEN = /[^\s<>()[\]{},;:|"'`]+@[^\s<>()[\]{},;:|"'`]+\.[A-Za-z]{2,}/g;
+
+// "Date of Birth: 01/02/1985", "Age: 34", "Gender: Female" - the value after the label is masked
+const PERSONAL_DETAIL = /^[ \t]*(?:date\s+of\s+birth|d\.?o\.?b\.?|birth\s*date|born|age|gender|sex|marital\s+status|nationality|religion|place\s+of\s+birth)\b[ \t]*[:\-][ \t]*(.+)$/gim;
+
+// Birth dates and ages written in prose, masked whole: "born in 1985", "39 years old", "aged 39"
+const PERSONAL_PHRASES = [
+    /\bborn[ \t]+(?:in|on)[ \t]+(?:[A-Za-z]+\.?[ \t]+)?(?:\d{1,2}(?:st|nd|rd|th)?,?[ \t]+)?(?:[A-Za-z]+\.?,?[ \t]+)?(?:19|20)\d{2}\b/gi,
+    /\b\d{1,2}[ \t-]+(?:years?|yrs?)[ \t-]+old\b/gi,
+    /\b(?:aged|age)[ \t]+\d{1,2}\b(?![ \t]*(?:\+|years?[ \t]+(?:of|in)))/gi
+];
+
+const PHOTO_REFERENCES = [
+    /!\[[^\]]*\]\([^)]*\)/g,                                          // Markdown image
+    /<img\b[^>]*>/gi,                                                 // HTML image
+    /\b[\w-]+\.(?:jpe?g|png|gif|bmp|heic|webp)\b/gi,                  // Image file name
+    /^[ \t]*(?:photo|photograph|headshot|picture|portrait)\b.*$/gim   // "Photo: attached"
+];
+
+// "123 Tech Lane", "42 Baker St."
+const STREET_ADDRESS = /\b\d{1,5}[ \t]+(?:[A-Z][\w.'-]*[ \t]+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Lane|Ln|Boulevard|Blvd|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Square|Sq)\b\.?(?:,?[ \t]*(?:Apt|Suite|Unit|#)\.?[ \t]*\w+)?/g;
+
+// "University of Manchester", "Imperial College London", "Georgia Institute of Technology"
+const SCHOOL_NAME = /\b(?:(?:University|College|Institute|Academy|School)[ \t]+of[ \t]+[A-Z][\w&'.-]*(?:[ \t]+(?:of|and|the|[A-Z][\w&'.-]*))*|(?:[A-Z][\w&'.-]*[ \t]+){1,4}(?:University|College|Institute(?:[ \t]+of[ \t]+Technology)?|Academy|Polytechnic|High[ \t]+School)(?:[ \t]+[A-Z][\w&'.-]*)?)\b/g;
+
+const YEAR = /\b(?:19|20)\d{2}\b/g;
+
+const HONORIFIC = /\b(?:Mr|Mrs|Ms|Miss)\b\.?/g;
+
+// Gendered pronouns and their neutral replacements; "her" is read as possessive, the more common use
+const PRONOUNS = {
+    he: "they", she: "they", him: "them", his: "their", her: "their",
+    hers: "theirs", himself: "themselves", herself: "themselves"
+};
+const PRONOUN = new RegExp(`\\b(?:${Object.keys(PRONOUNS).join("|")})\\b`, "gi");
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Keep the capitalization of the original: "She" -> "They"
+function matchCase(original, replacement) {
+    return original[0] === original[0].toUpperCase() ? replacement[0].toUpperCase() + replacement.slice(1) : replacement;
+}
+
+// Every match of a pattern as `{ start, end }`, optionally of one capture group
+function findAll(text, pattern, group = 0, offset = 0) {
+    const flags = pattern.flags.includes("g") ? pattern.flags : `${pattern.flags}g`;
+    return [...text.matchAll(new RegExp(pattern.source, flags))]
+        .filter(match => match[group])
+        .map(match => {
+            const start = offset + match.index + match[0].indexOf(match[group]);
+            return { start, end: start + match[group].length };
+        });
+}
+
+// The name as a whole, then each part of it on its own ("Doe" in "Contact Mr. Doe")
+function findName(text, name) {
+    if (!name) return [];
+    const parts = name.split(/\s+/).filter(part => part.replace(/\W/g, "").length >= 3);
+    const fullName = new RegExp(`(?<![\\p{L}])${name.split(/\s+/).map(escapeRegExp).join("\\s+")}(?![\\p{L}])`, "giu");
+    const partPatterns = parts.map(part => new RegExp(`(?<![\\p{L}])(?:${escapeRegExp(part)}|${escapeRegExp(part.toUpperCase())})(?![\\p{L}])`, "gu"));
+    return [fullName, ...partPatterns].flatMap(pattern => findAll(text, pattern));
+}
+
+// Profile links as written, with or without their scheme and "www."
+function findLinks(text, links) {
+    return links.flatMap(link => {
+        const bare = link.replace(/^https?:\/\//i, "").replace(/^www\./i, "");
+        return findAll(text, new RegExp(`(?:https?:\\/\\/)?(?:www\\.)?${escapeRegExp(bare)}\\/?`, "gi"));
+    });
+}
+
+// The location in the header, from the city to the next separator: "San Francisco, CA 94107"
+function findLocation(text, location) {
+    if (!location) return [];
+    const pattern = new RegExp(`\\b${escapeRegExp(location.city)}\\b[^|•·\\n]*[^|•·\\s]`, "g");
+    return segmentResume(text)
+        .filter(section => section.type === "header" || section.type === "contact")
+        .flatMap(section => findAll(section.text, pattern, 0, section.contentStart));
+}
+
+// Join address parts separated only by commas and spaces: "[ADDRESS], [ADDRESS]" -> "[ADDRESS]"
+function mergeAdjacent(text, redactions, type) {
+    return redactions.reduce((merged, redaction) => {
+        const previous = merged[merged.length - 1];
+        if (previous && previous.type === type && redaction.type === type && /^[\s,]*$/.test(text.slice(previous.end, redaction.start)) &&
+            !text.slice(previous.end, redaction.start).includes("\n")) {
+            previous.end = redaction.end;
+            previous.original = text.slice(previous.start, previous.end);
+            return merged;
+        }
+        merged.push(redaction);
+        return merged;
+    }, []);
+}
+
+// Past years in the education section; expected graduation years stay, since they show a degree in progress
+function findGraduationYears(text, currentYear) {
+    return segmentResume(text)
+        .filter(section => section.type === "education")
+        .flatMap(section => findAll(section.text, YEAR, 0, section.contentStart))
+        .filter(({ start, end }) => parseInt(text.slice(start, end), 10) <= currentYear);
+}
+
+function findSchools(text, now) {
+    const institutions = extractEducationRecords(text, { now })
+        .map(record => record.institution)
+        .filter(Boolean);
+    return [
+        ...findAll(text, SCHOOL_NAME),
+        ...institutions.flatMap(institution => findAll(text, new RegExp(`\\b${escapeRegExp(institution)}\\b`, "g")))
+    ];
+}
+
+/**
+ * Redact identifying and bias-prone details from a resume
+ *
+ * @param {string} resumeText - Resume text
+ * @param {Object} [options]
+ * @param {boolean} [options.redactSchools] - Also mask school and university names
+ * @param {Date} [options.now] - Reference date for telling past graduation years from expected ones
+ * @returns {Object} - `{ text, redactions, counts }` where `text` is the redacted resume,
+ *   `redactions` is the redaction map `[{ type, original, replacement, start, end, redactedStart,
+ *   redactedEnd }]` in document order (`start`/`end` in the original text, `redactedStart`/
+ *   `redactedEnd` in the redacted one), and `counts` is the number of redactions per type
+ */
+function redactResume(resumeText, options = {}) {
+    const now = options.now || new Date();
+    const contact = extractContactInfo(resumeText);
+
+    const found = {
+        email: findAll(resumeText, EMAIL_TOKEN),
+        link: findLinks(resumeText, contact.links),
+        phone: contact.phones.flatMap(phone => findAll(resumeText, new RegExp(escapeRegExp(phone.raw), "g"))),
+        personal: [...findAll(resumeText, PERSONAL_DETAIL, 1), ...PERSONAL_PHRASES.flatMap(pattern => findAll(resumeText, pattern))],
+        photo: PHOTO_REFERENCES.flatMap(pattern => findAll(resumeText, pattern)),
+        address: [...findAll(resumeText, STREET_ADDRESS), ...findLocation(resumeText, contact.location)],
+        name: findName(resumeText, contact.name),
+        school: options.redactSchools ? findSchools(resumeText, now) : [],
+        graduationYear: findGraduationYears(resumeText, now.getFullYear()),
+        honorific: findAll(resumeText, HONORIFIC),
+        pronoun: findAll(resumeText, PRONOUN)
+    };
+
+    // Higher-precedence types claim their span first; overlapping matches of later types are dropped
+    const accepted = [];
+    for (const type of REDACTION_TYPES) {
+        for (const span of found[type].sort((a, b) => a.start - b.start || b.end - a.end)) {
+            if (accepted.some(other => span.start < other.end && other.start < span.end)) continue;
+            const original = resumeText.slice(span.start, span.end);
+            accepted.push({
+                type,
+                original,
+                replacement: type === "pronoun" ? matchCase(original, PRONOUNS[original.toLowerCase()]) : PLACEHOLDERS[type],
+                start: span.start,
+                end: span.end
+            });
+        }
+    }
+    accepted.sort((a, b) => a.start - b.start);
+
+    let text = "";
+    let position = 0;
+    const redactions = mergeAdjacent(resumeText, accepted, "address").map(redaction => {
+        text += resumeText.slice(position, redaction.start);
+        const redactedStart = text.length;
+        text += redaction.replacement;
+        position = redaction.end;
+        return { ...redaction, redactedStart, redactedEnd: text.length };
+    });
+    text += resumeText.slice(position);
+
+    const counts = {};
+    redactions.forEach(redaction => {
+        counts[redaction.type] = (counts[redaction.type] || 0) + 1;
+    });
+
+    return { text, redactions, counts };
+}
+
+module.exports = {
+    redactResume,
+    REDACTION_TYPES
+};
@@ -0,0 +1,461 @@
+/**
+ * CONSOLE REPORT
+ *
+ * Renders the structured report returned by analyzeResume() as the human-readable
+ * text report printed by the CLI and by `node ats-checker.js`.
+ */
+
+// Headings for feedback categories that are printed as their own block
+const FEEDBACK_SECTION_TITLES = {
+    "career-history": "Career History Suggestions:",
+    "contact": "Contact Information Suggestions:",
+    "proficiency-enhancement": "Proficiency Enhancement Suggestions:",
+    "impact": "Bullets to Strengthen:"
+};
+
+// Percentage label for a score weight, e.g. 0.35 -> "35%"
+function formatWeight(weight) {
+    return `${Math.round(weight * 100)}%`;
+}
+
+// Short month/year label used throughout the chronology section
+function formatMonth(date) {
+    return new Date(date).toLocaleDateString('en-US', {year: 'numeric', month: 'short'});
+}
+
+// How precisely a role is dated, e.g. "year-only" or "season and month"
+function formatPrecision({ start, end }) {
+    return start === end ? `${start}-only` : `${start} and ${end}`;
+}
+
+function formatExtractionSection(report, lines) {
+    const { extraction } = report;
+    if (!extraction || extraction.warnings.length === 0) return;
+
+    lines.push(`\nDocument Extraction Warnings (${extraction.format.toUpperCase()}):`);
+    extraction.warnings.forEach(warning => {
+        lines.push(`  - ${warning.page ? `[Page ${warning.page}] ` : ""}${warning.message}`);
+    });
+}
+
+function formatScoreSection(report, lines) {
+    const { scores, weights } = report;
+
+    lines.push("\nATS ANALYSIS RESULTS (FAANG/BERT-LEVEL)");
+    lines.push("==============================");
+    if (report.scoringProfile) lines.push(`Scoring Profile: ${report.scoringProfile.name}`);
+    const degraded = report.embedding && report.embedding.degraded ? " (degraded)" : "";
+    lines.push(`Semantic Similarity (${formatWeight(weights.semanticSimilarity)}): ${scores.semanticSimilarity.toFixed(2)}%${degraded}`);
+    lines.push(`Keyword Match (${formatWeight(weights.keywordMatch)}): ${scores.keywordMatch.toFixed(2)}%`);
+    lines.push(`Technical Skills Match (${formatWeight(weights.technicalSkills)}): ${scores.technicalSkills.toFixed(2)}%`);
+    lines.push(`Education Requirements (${formatWeight(weights.education)}): ${scores.education.toFixed(2)}%`);
+    lines.push(`Experience Level (${formatWeight(weights.experience)}): ${scores.experience.toFixed(2)}%`);
+    lines.push(`Soft Skills (${formatWeight(weights.softSkills)}): ${scores.softSkills.toFixed(2)}%`);
+    lines.push(`Position Relevance (${formatWeight(weights.positionRelevance)}): ${scores.positionRelevance.toFixed(2)}%`);
+    lines.push("==============================");
+    lines.push(`OVERALL ATS SCORE: ${report.overallScore.toFixed(2)}%`);
+
+    if (report.embedding && report.embedding.degraded) {
+        lines.push("\nNote: semantic similarity is DEGRADED - it was computed from offline TF-IDF vectors, which only");
+        lines.push("measure vocabulary overlap, instead of an embedding model. Scores are approximate.");
+        if (report.embedding.fallbackReason) lines.push(`Reason: ${report.embedding.fallbackReason}`);
+    }
+}
+
+function formatBlindScreeningSection(report, lines) {
+    const { blindScreening } = report;
+    if (!blindScreening) return;
+
+    const typeLabels = {
+        name: "name", email: "email", phone: "phone", address: "address", link: "link", photo: "photo",
+        personal: "personal detail", graduationYear: "graduation year", school: "school", honorific: "honorific", pronoun: "pronoun"
+    };
+    const counts = Object.entries(blindScreening.counts).map(([type, count]) => `${count} ${typeLabels[type] || type}`);
+    lines.push("\nBlind Screening: scores were computed on the redacted resume only.");
+    lines.push(`Redacted: ${counts.length > 0 ? counts.join(", ") : "nothing"}${blindScreening.redactSchools ? "" : " (school names kept)"}`);
+}
+
+function formatContactSection(report, lines) {
+    const { contact } = report;
+    if (!contact) return;
+
+    lines.push("\nContact Information:");
+    lines.push(`Name: ${contact.name || "Not found"}`);
+    lines.push(`Email: ${contact.email || "Not found"}`);
+    lines.push(`Phone: ${contact.phone ? `${contact.phone.raw}${contact.phone.normalized !== contact.phone.raw ? ` (${contact.phone.normalized})` : ""}` : "Not found"}`);
+    if (contact.location) {
+        const { city, region, country, postalCode } = contact.location;
+        lines.push(`Location: ${[city, region, country].filter(Boolean).join(", ")}${postalCode ? ` ${postalCode}` : ""}`);
+    } else {
+        lines.push("Location: Not found");
+    }
+    const profileLabels = { linkedin: "LinkedIn", github: "GitHub", gitlab: "GitLab", stackoverflow: "Stack Overflow", website: "Website" };
+    for (const [type, label] of Object.entries(profileLabels)) {
+        if (contact.profiles[type]) lines.push(`${label}: ${contact.profiles[type].url}`);
+    }
+}
+
+function formatAlignmentSection(report, lines) {
+    const { requirements, unsupported } = report.semanticAlignment;
+
+    lines.push("\nRequirement Evidence Alignment:");
+    requirements.forEach(entry => {
+        lines.push(`  [${entry.supported ? "+" : "-"}] ${entry.requirement} (similarity ${entry.similarity.toFixed(2)})`);
+        if (entry.supported) {
+            const section = entry.bestEvidence.section ? ` (${entry.bestEvidence.section})` : "";
+            lines.push(`      Best evidence${section}: ${entry.bestEvidence.text}`);
+        }
+    });
+
+    if (unsupported.length > 0) {
+        lines.push(`${unsupported.length} of ${requirements.length} requirements have no supporting evidence in the resume.`);
+    }
+}
+
+function formatTechnicalSkillsSection(report, lines) {
+    const { required, resume, matched, missingRequired, missingNiceToHave, requirementLevels, impliedBy, proficiencies, proficiencyDistribution, insufficientKeySkills } = report.technicalSkills;
+    if (required.length === 0) return;
+
+    lines.push("\nTechnical Skills in Job Description:");
+    const levelLabels = { required: "Must-have", preferred: "Preferred", bonus: "Bonus" };
+    for (const [level, label] of Object.entries(levelLabels)) {
+        const skills = required.filter(skill => requirementLevels[skill] === level);
+        if (skills.length > 0) lines.push(`  ${label}: ${skills.join(", ")}`);
+    }
+
+    // Skills matched only through a narrower skill show which one, e.g. "aws (via lambda)"
+    const matchedLabels = matched.map(skill => impliedBy[skill] ? `${skill} (via ${impliedBy[skill].join(", ")})` : skill);
+    lines.push("\nMatched Technical Skills in Resume:");
+    lines.push(matched.length > 0 ? matchedLabels.join(", ") : "None found");
+
+    if (missingRequired.length > 0) {
+        lines.push("\nMissing Must-Have Skills (add these if you have them):");
+        lines.push(missingRequired.join(", "));
+    }
+    if (missingNiceToHave.length > 0) {
+        lines.push("\nMissing Nice-to-Have Skills:");
+        lines.push(missingNiceToHave.join(", "));
+    }
+
+    // Group skills by proficiency level for better presentation
+    lines.push("\nSkill Proficiency Analysis:");
+    const levelHeadings = {
+        expert: "Expert-level Skills:",
+        intermediate: "Intermediate-level Skills:",
+        beginner: "Beginner-level Skills:"
+    };
+
+    for (const [level, heading] of Object.entries(levelHeadings)) {
+        const skills = resume.filter(skill => proficiencies[skill] && proficiencies[skill].level === level);
+        if (skills.length === 0) continue;
+
+        lines.push(`\n${heading}`);
+        skills.forEach(skill => {
+            lines.push(`  - ${skill} (${proficiencies[skill].evidence[0]})`);
+        });
+    }
+
+    // Proficiency statistics for required job skills
+    const { expert, intermediate, beginner, overallMatch } = proficiencyDistribution;
+    const total = expert + intermediate + beginner;
+    if (total > 0) {
+        lines.push("\nProficiency Distribution for Required Skills:");
+        lines.push(`  Expert: ${expert} (${Math.round(expert / total * 100)}%)`);
+        lines.push(`  Intermediate: ${intermediate} (${Math.round(intermediate / total * 100)}%)`);
+        lines.push(`  Beginner: ${beginner} (${Math.round(beginner / total * 100)}%)`);
+        lines.push(`  Overall Proficiency Match: ${overallMatch.toFixed(2)}%`);
+    }
+
+    if (insufficientKeySkills.length > 0) {
+        lines.push("\nConsider strengthening these key skills required by the job:");
+        insufficientKeySkills.forEach(skill => {
+            lines.push(`  - ${skill} (currently at beginner level)`);
+        });
+    }
+
+    formatSkillExperienceTable(report, lines);
+}
+
+// Years each skill was used according to the employment history, against the years required,
+// with the weight its recency gives it
+function formatSkillExperienceTable(report, lines) {
+    const { required, experience, yearRequirements, recency } = report.technicalSkills;
+    // Job description skills first, then the remaining skills from the employment history
+    const skills = [...new Set([...required.filter(skill => experience[skill] || yearRequirements[skill]), ...Object.keys(experience)])];
+    if (skills.length === 0) return;
+
+    const rows = skills.map(skill => {
+        const usage = experience[skill];
+        const requirement = yearRequirements[skill];
+        const usedRecently = recency[skill];
+        return [
+            skill,
+            usage ? usage.years.toFixed(1) : "0.0",
+            usage ? formatMonth(usage.firstUsed) : "-",
+            usage ? (usage.currentlyUsing ? "Present" : formatMonth(usage.lastUsed)) : "-",
+            requirement ? `${requirement.requiredYears}+${requirement.met ? "" : " (short)"}` : "-",
+            usedRecently ? `${usedRecently.weight.toFixed(2)}${usedRecently.stale ? " (stale)" : ""}` : "-"
+        ];
+    });
+    const header = ["Skill", "Years", "First Used", "Last Used", "Required", "Recency"];
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    const formatRow = row => `  ${row.map((cell, column) => cell.padEnd(widths[column])).join("  ").trimEnd()}`;
+
+    lines.push("\nSkill Experience (from employment history):");
+    lines.push(formatRow(header));
+    lines.push(formatRow(widths.map(width => "-".repeat(width))));
+    rows.forEach(row => lines.push(formatRow(row)));
+}
+
+function formatEducationSection(report, lines) {
+    const { required, candidate, comparison } = report.education;
+
+    lines.push("\nEducation Analysis:");
+    if (required.hasDegree) {
+        const preferred = required.preferredLevel ? `, ${required.preferredLevel} preferred` : "";
+        const strength = required.requirementLevel === "required" ? "" : ` (${required.requirementLevel}, not required)`;
+        lines.push(`Required Degree: ${required.minimumLevel} or higher${preferred}${strength}`);
+        const related = required.relatedFieldAccepted ? " or a related field" : "";
+        lines.push(`Required Field(s): ${required.fieldOfStudy.length > 0 ? `${required.fieldOfStudy.join(", ")}${related}` : "Not specified"}`);
+        if (required.equivalentExperience) lines.push("Equivalent experience accepted instead of a degree");
+    } else {
+        lines.push("No specific degree requirements mentioned.");
+    }
+
+    lines.push(`Candidate Education:`);
+    if (candidate.hasDegree) {
+        candidate.records.forEach(record => {
+            const field = record.field ? ` in ${record.field}` : "";
+            const status = record.inProgress ? ` (in progress${record.expectedGraduation ? `, expected ${record.expectedGraduation}` : ""})` : "";
+            lines.push(`  - ${record.degree} [${record.level}]${field}${status}`);
+
+            const details = [
+                record.institution,
+                !record.inProgress && record.graduationYear ? `graduated ${record.graduationYear}` : null,
+                record.gpa ? `GPA ${record.gpa.value}${record.gpa.scale ? `/${record.gpa.scale}` : ""}` : null,
+                ...record.honors
+            ].filter(Boolean);
+            if (details.length > 0) lines.push(`    ${details.join(" | ")}`);
+        });
+    } else {
+        lines.push("No degree information found in resume.");
+    }
+
+    if (comparison.requiredLevel) {
+        let verdict = comparison.meetsLevel ? "Meets the required level" : "Below the required level";
+        if (comparison.viaEquivalentExperience) verdict = "Meets the required level through equivalent experience";
+        else if (comparison.inProgress && !comparison.meetsLevel) verdict = "Required level not yet completed";
+        lines.push(`${verdict}${comparison.fieldMatch ? `; field match: ${comparison.fieldMatch}` : ""}`);
+    }
+}
+
+function formatExperienceSection(report, lines) {
+    const { requiredYears, candidateYears, source, claimedYears, computedYears, relevantOnly, discrepancyYears, roles } = report.experience;
+    const sourceLabels = {
+        chronology: relevantOnly ? "relevant roles in the employment history" : "employment history",
+        claimed: "stated in the resume; no dated roles found"
+    };
+
+    lines.push("\nExperience Analysis:");
+    lines.push(`Required Years: ${requiredYears > 0 ? `${requiredYears}+ years` : "Not specified"}`);
+    lines.push(`Candidate Years: ${candidateYears > 0 ? `${candidateYears} years (${sourceLabels[source]})` : "Not specified"}`);
+    if (claimedYears > 0 && source === "chronology") {
+        lines.push(`Claimed in Resume: ${claimedYears} years (employment history: ${computedYears} years)`);
+    }
+    if (relevantOnly) {
+        const skipped = roles.filter(role => !role.relevant).map(role => role.jobTitle || "Unknown position");
+        if (skipped.length > 0) lines.push(`Not counted as relevant: ${skipped.join(", ")}`);
+    }
+    if (discrepancyYears !== null) {
+        lines.push(`Warning: the claimed experience differs from the employment history by ${Math.abs(discrepancyYears)} years`);
+    }
+}
+
+function formatChronologySection(report, lines) {
+    const { totalExperienceYears, careerGaps, careerProgression, employmentPeriods } = report.chronology;
+
+    lines.push("\nCareer Chronology Analysis:");
+    lines.push(`Total Calculated Experience: ${totalExperienceYears.toFixed(1)} years`);
+
+    if (careerGaps.length > 0) {
+        lines.push(`Career Gaps: ${careerGaps.length} gaps identified`);
+        careerGaps.forEach((gap, index) => {
+            const duration = gap.approximate ? `${gap.durationMonths} to ${gap.maxDurationMonths} months` : `${gap.durationMonths} months`;
+            lines.push(`  Gap ${index + 1}: ${formatMonth(gap.startDate)} to ${formatMonth(gap.endDate)} (${duration})`);
+        });
+    } else {
+        lines.push("Career Gaps: None identified");
+    }
+
+    lines.push(`Career Progression: ${careerProgression.pattern}`);
+    lines.push(`Average Job Duration: ${(careerProgression.averageJobDuration / 12).toFixed(1)} years`);
+
+    if (employmentPeriods.length > 0) {
+        lines.push("\nEmployment History (chronological):");
+        employmentPeriods.forEach((period, index) => {
+            const duration = period.minDurationMonths < period.durationMonths
+                ? `${(period.minDurationMonths / 12).toFixed(1)} to ${(period.durationMonths / 12).toFixed(1)} years, ${formatPrecision(period.precision)} dates`
+                : `${(period.durationMonths / 12).toFixed(1)} years`;
+            lines.push(`  Position ${index + 1}: ${period.jobTitle || "Unknown position"}${period.company ? ` at ${period.company}` : ''}`);
+            lines.push(`    Duration: ${formatMonth(period.startDate)} to ${formatMonth(period.endDate)} (${duration})`);
+        });
+    }
+}
+
+function formatImpactSection(report, lines) {
+    const { score, roles, counts } = report.impact;
+    if (counts.bullets === 0) return;
+
+    lines.push("\nAchievement Impact:");
+    lines.push(`Impact Score: ${score}/100 (${counts.bullets} bullets: ${counts.strongVerbs} open with a strong action verb, ${counts.weakPhrasing} with weak phrasing, ${counts.quantified} quantified)`);
+    roles.filter(role => role.score !== null).forEach(role => {
+        lines.push(`  ${role.jobTitle || "Unknown position"}${role.company ? ` at ${role.company}` : ""}: ${role.score}/100`);
+    });
+}
+
+function formatSoftSkillsSection(report, lines) {
+    const { required, matched, missing } = report.softSkills;
+    if (required.length === 0) return;
+
+    lines.push("\nSoft Skills in Job Description:");
+    lines.push(required.join(", "));
+
+    lines.push("\nMatched Soft Skills in Resume:");
+    lines.push(matched.length > 0 ? matched.join(", ") : "None found");
+
+    if (missing.length > 0) {
+        lines.push("\nMissing Soft Skills (consider highlighting these):");
+        lines.push(missing.join(", "));
+    }
+}
+
+function formatFeedbackSection(report, lines) {
+    const { summary, items } = report.feedback;
+
+    lines.push("\nFEEDBACK:");
+    lines.push(summary);
+
+    const pushItem = item => {
+        lines.push(`- ${item.message}`);
+        if (item.detail) lines.push(`  ${item.detail}`);
+    };
+
+    // Match-level recommendations follow the summary directly
+    items.filter(item => !FEEDBACK_SECTION_TITLES[item.category]).forEach(pushItem);
+
+    for (const [category, title] of Object.entries(FEEDBACK_SECTION_TITLES)) {
+        const sectionItems = items.filter(item => item.category === category);
+        if (sectionItems.length === 0) continue;
+
+        lines.push(`\n${title}`);
+        sectionItems.forEach(pushItem);
+    }
+}
+
+/**
+ * Format an analysis report as console text
+ *
+ * @param {Object} report - Result of analyzeResume()
+ * @returns {string} - The multi-line text report
+ */
+function formatTextReport(report) {
+    const lines = [];
+
+    formatExtractionSection(report, lines);
+    formatScoreSection(report, lines);
+    formatBlindScreeningSection(report, lines);
+    formatContactSection(report, lines);
+    formatAlignmentSection(report, lines);
+    formatTechnicalSkillsSection(report, lines);
+    formatEducationSection(report, lines);
+    formatExperienceSection(report, lines);
+    formatChronologySection(report, lines);
+    formatImpactSection(report, lines);
+    formatSoftSkillsSection(report, lines);
+    formatFeedbackSection(report, lines);
+
+    return lines.join("\n");
+}
+
+// "line 12 (experience)", "page 2", or nothing for findings about the resume as a whole
+function formatLintLocation(location) {
+    if (!location) return "";
+    if (location.page) return ` page ${location.page}`;
+    return ` line ${location.line}${location.section ? ` (${location.section})` : ""}`;
+}
+
+/**
+ * Format the findings of the parseability linter as console text
+ *
+ * @param {Object} lint - Result of lintResume()
+ * @returns {string} - The multi-line text report
+ */
+function formatLintReport(lint) {
+    const { counts, findings } = lint;
+    const lines = [];
+
+    lines.push("\nATS PARSEABILITY CHECK");
+    lines.push("==============================");
+    lines.push(`${counts.error} error(s), ${counts.warning} warning(s), ${counts.info} suggestion(s)`);
+    if (findings.length === 0) {
+        lines.push("No problems found: an ATS should be able to parse this resume.");
+        return lines.join("\n");
+    }
+
+    lines.push("");
+    findings.forEach(finding => {
+        lines.push(`[${finding.severity}]${formatLintLocation(finding.location)}: ${finding.message}`);
+        lines.push(`        Fix: ${finding.fix}`);
+    });
+
+    return lines.join("\n");
+}
+
+// "+0.28", "-0.04"
+function formatDelta(delta) {
+    return `${delta >= 0 ? "+" : ""}${delta.toFixed(2)}`;
+}
+
+/**
+ * Format the suggestions of the rewrite assistant as console text
+ *
+ * @param {Object} result - Result of suggestRewrites()
+ * @returns {string} - The multi-line text report
+ */
+function formatRewriteReport(result) {
+    const { generation, baseline, projected, suggestions, rejected } = result;
+    const lines = [];
+
+    lines.push(`\nREWRITE SUGGESTIONS (${generation.model} via ${generation.provider})`);
+    lines.push("==============================");
+    lines.push(`Current Score: ${baseline.overallScore.toFixed(2)}%`);
+    if (projected) {
+        lines.push(`With All Suggestions: ${projected.overallScore.toFixed(2)}% (${formatDelta(projected.delta)})`);
+    }
+    if (suggestions.length === 0 && rejected.length === 0) {
+        lines.push("No bullets need strengthening.");
+    }
+
+    suggestions.forEach((suggestion, index) => {
+        const role = [suggestion.jobTitle, suggestion.company].filter(Boolean).join(" at ");
+        lines.push(`\n${index + 1}. ${role || "Unknown position"}`);
+        lines.push(`   Before: ${suggestion.original}`);
+        lines.push(`   After:  ${suggestion.rewrite}`);
+        const details = [];
+        if (suggestion.addedSkills.length > 0) details.push(`Adds: ${suggestion.addedSkills.join(", ")}`);
+        details.push(`Bullet impact: ${suggestion.impactScore.before} -> ${suggestion.impactScore.after}`);
+        details.push(`Score: ${suggestion.projected.overallScore.toFixed(2)}% (${formatDelta(suggestion.projected.delta)})`);
+        lines.push(`   ${details.join(" | ")}`);
+    });
+
+    if (rejected.length > 0) {
+        lines.push(`\nRejected Rewrites (${rejected.length}):`);
+        rejected.forEach(rejection => {
+            lines.push(`  - "${rejection.original}": ${rejection.reason}`);
+        });
+    }
+
+    return lines.join("\n");
+}
+
+module.exports = { formatTextReport, formatLintReport, formatRewriteReport };
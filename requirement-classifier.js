@@ -0,0 +1,189 @@
+const { isSectionHeading, BULLET_PREFIX } = require("./section-segmenter");
+
+/**
+ * MUST-HAVE VERSUS NICE-TO-HAVE REQUIREMENTS
+ *
+ * Job descriptions mix hard requirements with wishes: "Must know PostgreSQL" and "Kafka
+ * experience is a plus" should not weigh the same. Every sentence or bullet of a job
+ * description is classified into one of three levels:
+ *
+ * - "required":  must-haves ("must", "required", "minimum", "at least", ...)
+ * - "preferred": wanted but not essential ("preferred", "desired", "ideally", ...)
+ * - "bonus":     nice-to-haves ("a plus", "bonus", "nice to have", ...)
+ *
+ * A cue phrase in the sentence itself decides first. Otherwise the section heading the
+ * sentence appears under does ("Requirements", "Preferred Qualifications", "Bonus Points");
+ * anything else counts as required.
+ *
+ * A sentence whose clauses carry cues of different levels is split at the clause boundaries
+ * (",", ";", "and", "but", "while"), so "Python is required, Go is a plus" is two requirements.
+ * A clause without a cue belongs with the next clause that has one ("Python, Go and Rust are a
+ * plus"), or with the previous one at the end of the sentence.
+ */
+
+const REQUIREMENT_LEVELS = ["required", "preferred", "bonus"];
+
+// Cue phrases within a clause, checked from the weakest level to the strongest so that
+// "Go is not required" is not a must-have
+const SENTENCE_CUES = [
+    { level: "bonus", pattern: /\b(?:(?:is|are|would be)\s+(?:a\s+)?(?:big\s+|huge\s+|definite\s+)?plus|a plus|bonus(?:\s+points?)?|nice[\s-]to[\s-]haves?|good[\s-]to[\s-]have|(?:an?\s+)?(?:added\s+)?advantage(?:ous)?|not required)\b/i },
+    { level: "preferred", pattern: /\b(?:preferred|preferably|preference|desired|desirable|ideally|ideal candidate|would be great|is helpful|are helpful|helpful)\b/i },
+    { level: "required", pattern: /\b(?:must|required|requires?|requirements?|mandatory|essential|minimum|at least|need to|needs to|you have|you will have|proven)\b/i }
+];
+
+// Section headings and the level of the requirements under them
+const HEADING_CUES = [
+    { level: "bonus", pattern: /\b(?:bonus|nice[\s-]to[\s-]haves?|good[\s-]to[\s-]have|plus(?:es)?|extra credit|stand out)\b/i },
+    { level: "preferred", pattern: /\b(?:preferred|desired|desirable|additional (?:qualifications|skills)|ideal)\b/i },
+    { level: "required", pattern: /\b(?:requirements?|required|qualifications|must[\s-]haves?|minimum|basic|what you(?:'ll)? need|what we(?:'re)? looking for|you have|skills)\b/i }
+];
+
+// Headings of known sections that are not all caps and lack a colon, e.g. "Preferred Qualifications"
+function isRequirementHeading(line) {
+    const words = line.replace(/:$/, "").trim().split(/\s+/);
+    return words.length <= 4 && !/[.!?;,]/.test(line) && HEADING_CUES.some(cue => cue.pattern.test(line));
+}
+
+function headingLevel(heading) {
+    const cue = HEADING_CUES.find(entry => entry.pattern.test(heading));
+    return cue ? cue.level : null;
+}
+
+// Where one clause of a sentence ends and the next begins
+const CLAUSE_BOUNDARY = /\s*[,;]\s*(?:(?:and|but|or|while|whereas)\s+)?|\s+(?:and|but|while|whereas)\s+/gi;
+
+function sentenceCue(sentence) {
+    for (const { level, pattern } of SENTENCE_CUES) {
+        const match = sentence.match(pattern);
+        if (match) return { level, cue: match[0].toLowerCase() };
+    }
+    return null;
+}
+
+/**
+ * Split a sentence into the parts that carry their own cue
+ *
+ * @param {string} sentence - One sentence or bullet
+ * @returns {Object[]} - `{ start, end, cue }` with offsets into `sentence`; the whole sentence
+ *   when its cues do not disagree
+ */
+function splitClauses(sentence) {
+    const clauses = [];
+    let start = 0;
+    for (const match of sentence.matchAll(CLAUSE_BOUNDARY)) {
+        clauses.push({ start, end: match.index });
+        start = match.index + match[0].length;
+    }
+    clauses.push({ start, end: sentence.length });
+
+    // Attach every clause without a cue to the next one with a cue, or to the last group
+    const groups = [];
+    let pendingStart = null;
+    for (const clause of clauses) {
+        const cue = sentenceCue(sentence.slice(clause.start, clause.end));
+        if (!cue) {
+            if (pendingStart === null) pendingStart = clause.start;
+            continue;
+        }
+        groups.push({ start: pendingStart === null ? clause.start : pendingStart, end: clause.end, cue });
+        pendingStart = null;
+    }
+    if (groups.length > 0) groups[groups.length - 1].end = sentence.length;
+
+    const levels = new Set(groups.map(group => group.cue.level));
+    if (levels.size <= 1) return [{ start: 0, end: sentence.length, cue: sentenceCue(sentence) }];
+
+    groups[0].start = 0;
+    return groups;
+}
+
+/**
+ * Split a job description into requirements and classify each one
+ *
+ * @param {string} jobDescriptionText - Job description text
+ * @returns {Object[]} - `{ text, level, cue, section, start, end }` in document order, where
+ *   `cue` is the phrase that decided the level (null when it came from the section or the
+ *   default) and `start`/`end` are character offsets into the job description
+ */
+function classifyRequirements(jobDescriptionText) {
+    const requirements = [];
+    let section = null;
+    let sectionLevel = null;
+    let lineStart = 0;
+
+    for (const rawLine of jobDescriptionText.split("\n")) {
+        const lineOffset = lineStart;
+        lineStart += rawLine.length + 1;
+
+        const line = rawLine.trim();
+        if (!line) continue;
+        if (isSectionHeading(line) || isRequirementHeading(line)) {
+            section = line.replace(/:$/, "").trim();
+            sectionLevel = headingLevel(section);
+            continue;
+        }
+
+        // Split on sentence ends followed by a capital letter or digit, keeping offsets
+        const bullet = rawLine.match(BULLET_PREFIX);
+        const bodyOffset = lineOffset + (bullet ? bullet[0].length : rawLine.length - rawLine.trimStart().length);
+        const body = jobDescriptionText.slice(bodyOffset, lineOffset + rawLine.trimEnd().length);
+        const boundary = /(?<=[.!?;])\s+(?=[A-Z0-9])/g;
+        let sentenceStart = 0;
+        let match;
+
+        const addSentence = sentenceEnd => {
+            const sentence = body.slice(sentenceStart, sentenceEnd);
+            if (!sentence.trim()) return;
+            for (const { start, end, cue } of splitClauses(sentence)) {
+                const text = sentence.slice(start, end).replace(/^[\s,;]+|[\s,;]+$/g, "");
+                if (!text) continue;
+                requirements.push({
+                    text,
+                    level: cue ? cue.level : sectionLevel || "required",
+                    cue: cue ? cue.cue : null,
+                    section,
+                    start: bodyOffset + sentenceStart + start,
+                    end: bodyOffset + sentenceStart + end
+                });
+            }
+        };
+
+        while ((match = boundary.exec(body)) !== null) {
+            addSentence(match.index);
+            sentenceStart = match.index + match[0].length;
+        }
+        addSentence(body.length);
+    }
+
+    return requirements;
+}
+
+/**
+ * Requirement level of each skill mentioned in a job description
+ *
+ * A skill mentioned in several requirements takes the most demanding level; a skill mentioned
+ * outside any requirement (e.g. in a heading) counts as required.
+ *
+ * @param {Object[]} requirements - Output of classifyRequirements
+ * @param {Object} skillMentions - Skill ID -> mentions `{ start, end }` in the same text
+ * @returns {Object} - Skill ID -> "required", "preferred" or "bonus"
+ */
+function getSkillRequirementLevels(requirements, skillMentions) {
+    const levels = {};
+
+    for (const [skill, mentions] of Object.entries(skillMentions)) {
+        const mentionLevels = mentions.map(mention => {
+            const requirement = requirements.find(entry => mention.start >= entry.start && mention.start < entry.end);
+            return requirement ? requirement.level : "required";
+        });
+        levels[skill] = REQUIREMENT_LEVELS.find(level => mentionLevels.includes(level));
+    }
+
+    return levels;
+}
+
+module.exports = {
+    classifyRequirements,
+    getSkillRequirementLevels,
+    REQUIREMENT_LEVELS
+};
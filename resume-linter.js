@@ -0,0 +1,302 @@
+const { parseEmploymentLine } = require("./ats-checker");
+const { segmentResume } = require("./section-segmenter");
+const { findDateRanges } = require("./date-parser");
+
+/**
+ * ATS PARSEABILITY LINTER
+ *
+ * Checks how well an ATS parser will be able to read a resume, independently of any job: the
+ * standard section headings it looks for, employment entries it can split into title, company
+ * and dates, consistent and readable dates, plain bullets, and text that is not locked in
+ * tables or side-by-side columns.
+ *
+ * Every finding has a severity ("error" when content is likely lost, "warning" when it is at
+ * risk, "info" for a suggestion), the line it was found on, and a suggested fix.
+ */
+
+const SEVERITIES = ["error", "warning", "info"];
+
+// Sections every ATS looks for, and how bad it is to go without
+const REQUIRED_SECTIONS = {
+    experience: { severity: "error", heading: "Experience" },
+    education: { severity: "warning", heading: "Education" },
+    skills: { severity: "warning", heading: "Skills" }
+};
+
+// Bullets every parser reads as bullets; other glyphs may come out as "?" or a stray character
+const STANDARD_BULLETS = ["-", "•", "*", "·"];
+const BULLET_GLYPH = /^\s*([▪◦●■□►▸▹➢➤➔→✓✔✗★☆♦◆❖❑⁃‣○o])\s+/u;
+
+// Lines longer than this are usually paragraphs a parser cannot split into fields
+const MAX_LINE_LENGTH = 200;
+
+// Side-by-side columns in plain text: runs of spaces or tabs between pieces of text
+const COLUMN_GAP = /\S(?: {4,}|\t+)\S/;
+const MIN_COLUMN_LINES = 3;
+
+// Table rows drawn with pipes or box-drawing characters
+const TABLE_ROW = /^\s*\|.*\|\s*$|[│┃┆┊╎║┼╋╬]/;
+
+// Date formats, most specific first; each date in an entry header is classified by the first that matches
+const DATE_FORMATS = [
+    { name: "Month YYYY", example: "January 2020", pattern: /\b(?:January|February|March|April|May|June|July|August|September|October|November|December),?\s+\d{4}\b/i },
+    { name: "Mon YYYY", example: "Jan 2020", pattern: /\b(?:Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sept?|Oct|Nov|Dec)\.?,?\s+\d{4}\b/i },
+    { name: "Mon 'YY", example: "Jan '20", pattern: /\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?\s*['’‘]\d{2}\b/i },
+    { name: "Season YYYY", example: "Summer 2020", pattern: /\b(?:Spring|Summer|Fall|Autumn|Winter)\s*,?\s*\d{4}\b/i },
+    { name: "Season 'YY", example: "Summer '20", pattern: /\b(?:Spring|Summer|Fall|Autumn|Winter)\s*,?\s*['’‘]\d{2}\b/i },
+    { name: "Qn YYYY", example: "Q1 2020", pattern: /\bQ[1-4]\s*,?\s*\d{4}\b/i },
+    { name: "Qn 'YY", example: "Q1 '20", pattern: /\bQ[1-4]\s*,?\s*['’‘]\d{2}\b/i },
+    { name: "MM/YYYY", example: "01/2020", pattern: /\b\d{1,2}\/\d{4}\b/ },
+    { name: "MM.YYYY", example: "01.2020", pattern: /\b\d{1,2}[.-]\d{4}\b/ },
+    { name: "YYYY-YY", example: "2019-20", pattern: /\b(?:19|20)\d{2}\s*[-–—]\s*(?:1[3-9]|[2-9]\d)\b(?![-\d])/ },
+    { name: "YYYY-MM", example: "2020-01", pattern: /\b\d{4}-\d{2}\b(?!-)/ },
+    { name: "YYYY", example: "2020", pattern: /\b(?:19|20)\d{2}\b/ }
+];
+const YEAR = /\b(?:19|20)\d{2}\b/g;
+const OPEN_ENDED = /\b(?:present|current|now|today|ongoing)\b/i;
+
+// Entry headers are short lines with a date range: two years, a year and "Present", or any range
+// the date parser reads, such as "Jan '20 - Mar '21"
+const MAX_ENTRY_LENGTH = 150;
+
+// Converter warnings about content parsers tend to lose, and how to fix each
+const EXTRACTION_FINDINGS = {
+    TABLE_CONTENT: { severity: "warning", fix: "Move the content out of the table into plain lines" },
+    MULTI_COLUMN_LAYOUT: { severity: "warning", fix: "Use a single-column layout" },
+    TEXT_BOX_CONTENT: { severity: "error", fix: "Move the text out of the text boxes into the body of the document" },
+    HEADER_FOOTER_CONTENT: { severity: "warning", fix: "Move contact details from the page header or footer into the body" },
+    TEXT_AS_IMAGE: { severity: "error", fix: "Export the resume with real text instead of an image or scan" },
+    UNMAPPED_CHARACTERS: { severity: "warning", fix: "Use a standard font such as Arial, Calibri or Times New Roman" },
+    TYPE3_FONT: { severity: "warning", fix: "Use a standard font such as Arial, Calibri or Times New Roman" },
+    UNEMBEDDED_FONT: { severity: "info", fix: "Embed fonts when exporting the PDF" }
+};
+
+// First characters of a line, for findings
+function excerpt(line) {
+    const text = line.trim();
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+// The section type each line belongs to
+function sectionOfLines(text, sections) {
+    const types = [];
+    let offset = 0;
+    for (const line of text.split("\n")) {
+        const section = sections.find(candidate => offset >= candidate.start && offset < candidate.end);
+        types.push(section ? section.type : null);
+        offset += line.length + 1;
+    }
+    return types;
+}
+
+// The format of the first date on a line, null when none of DATE_FORMATS matches
+function dateFormatOf(line) {
+    const found = DATE_FORMATS
+        .map(format => ({ format, index: line.search(format.pattern) }))
+        .filter(({ index }) => index !== -1);
+    return found.length > 0 ? found.reduce((first, candidate) => candidate.index < first.index ? candidate : first).format : null;
+}
+
+function isEntryHeader(line) {
+    const years = (line.match(YEAR) || []).length;
+    return line.trim().length <= MAX_ENTRY_LENGTH &&
+        (years >= 2 || (years === 1 && OPEN_ENDED.test(line)) || findDateRanges(line).length > 0);
+}
+
+function isBullet(line) {
+    const text = line.trim();
+    return STANDARD_BULLETS.some(bullet => text.startsWith(bullet)) || BULLET_GLYPH.test(text);
+}
+
+function checkSections(sections, findings) {
+    const types = new Set(sections.map(section => section.type));
+    for (const [type, { severity, heading }] of Object.entries(REQUIRED_SECTIONS)) {
+        if (types.has(type)) continue;
+        findings.push({
+            code: "MISSING_SECTION",
+            severity,
+            message: `No ${type} section found`,
+            location: null,
+            fix: `Add a section headed "${heading}" on its own line`
+        });
+    }
+
+    sections.filter(section => section.type === "other").forEach(section => {
+        findings.push({
+            code: "NON_STANDARD_HEADING",
+            severity: "info",
+            message: `"${section.heading}" is not a standard section heading, so an ATS may not know what the section holds`,
+            location: { offset: section.start },
+            fix: "Use a standard heading such as Summary, Experience, Projects, Education, Skills or Certifications"
+        });
+    });
+}
+
+// Entry headers of the experience section: the title, company and dates of each role
+function checkEmploymentEntries(lines, lineSections, findings) {
+    const entryFormats = [];
+
+    lines.forEach((line, index) => {
+        if (lineSections[index] !== "experience" || isBullet(line) || !isEntryHeader(line)) return;
+        const location = { line: index + 1, section: "experience" };
+        const format = dateFormatOf(line);
+        if (format) entryFormats.push({ format, line, location });
+
+        const parsed = parseEmploymentLine(line.trim());
+        if (!parsed) {
+            findings.push({
+                code: "UNRECOGNIZED_EMPLOYMENT_LINE",
+                severity: "warning",
+                message: `The title, company and dates of this role could not be told apart: "${excerpt(line)}"`,
+                location,
+                fix: 'Put each role on one line as "Title | Company | Jan 2020 - Present", "Title at Company (Jan 2020 - Present)" or "Title, Company, Jan 2020 - Present"'
+            });
+        } else if (!parsed.entry) {
+            findings.push({
+                code: "UNPARSED_DATE",
+                severity: "error",
+                message: `The dates of this role could not be interpreted, so it does not count towards experience: "${excerpt(line)}"`,
+                location,
+                fix: 'Give a month and year for both ends of the range, e.g. "Mar 2019 - Jun 2021" or "03/2019 - Present"'
+            });
+        }
+    });
+
+    // Dates written differently from the rest of the entries
+    const counts = {};
+    entryFormats.forEach(({ format }) => {
+        counts[format.name] = (counts[format.name] || 0) + 1;
+    });
+    if (Object.keys(counts).length <= 1) return;
+
+    // The most common format, the one used first when several are as common
+    const mostUsed = Math.max(...Object.values(counts));
+    const dominant = entryFormats.find(({ format }) => counts[format.name] === mostUsed).format;
+    entryFormats.filter(({ format }) => format !== dominant).forEach(({ format, line, location }) => {
+        findings.push({
+            code: "INCONSISTENT_DATE_FORMAT",
+            severity: "warning",
+            message: `Dates written as ${format.name} while the other roles use ${dominant.name}: "${excerpt(line)}"`,
+            location,
+            fix: `Write every date as ${dominant.name}, e.g. "${dominant.example}"`
+        });
+    });
+}
+
+function checkLines(lines, lineSections, findings) {
+    const glyphs = {};
+    const columnLines = [];
+    const tableLines = [];
+
+    lines.forEach((line, index) => {
+        const location = { line: index + 1, section: lineSections[index] };
+
+        const glyph = line.match(BULLET_GLYPH);
+        if (glyph) {
+            glyphs[glyph[1]] = glyphs[glyph[1]] || { count: 0, location, line };
+            glyphs[glyph[1]].count++;
+        }
+
+        if (line.trim().length > MAX_LINE_LENGTH) {
+            findings.push({
+                code: "LONG_LINE",
+                severity: "info",
+                message: `Line of ${line.trim().length} characters: "${excerpt(line)}"`,
+                location,
+                fix: "Split it into shorter bullets of one or two lines each"
+            });
+        }
+
+        if (TABLE_ROW.test(line)) tableLines.push({ line, location });
+        else if (COLUMN_GAP.test(line.trim())) columnLines.push({ line, location });
+    });
+
+    // One finding per glyph, at its first use
+    Object.entries(glyphs).forEach(([glyph, { count, location, line }]) => {
+        findings.push({
+            code: "NON_STANDARD_BULLET",
+            severity: "warning",
+            message: `${count} line(s) start with the bullet "${glyph}", which some ATS parsers drop or garble: "${excerpt(line)}"`,
+            location,
+            fix: 'Use plain "•" or "-" bullets'
+        });
+    });
+
+    if (tableLines.length > 0) {
+        findings.push({
+            code: "TABLE_CONTENT",
+            severity: "warning",
+            message: `${tableLines.length} line(s) are laid out as a table, whose cells many ATS parsers skip or merge: "${excerpt(tableLines[0].line)}"`,
+            location: tableLines[0].location,
+            fix: EXTRACTION_FINDINGS.TABLE_CONTENT.fix
+        });
+    }
+    if (columnLines.length >= MIN_COLUMN_LINES) {
+        findings.push({
+            code: "COLUMN_LAYOUT",
+            severity: "warning",
+            message: `${columnLines.length} line(s) hold side-by-side columns separated by spaces or tabs, which ATS parsers read across and mix up: "${excerpt(columnLines[0].line)}"`,
+            location: columnLines[0].location,
+            fix: EXTRACTION_FINDINGS.MULTI_COLUMN_LAYOUT.fix
+        });
+    }
+}
+
+// Findings from converting the document, e.g. content that was only found in a table
+function checkExtraction(extraction, findings) {
+    if (!extraction || !Array.isArray(extraction.warnings)) return;
+    extraction.warnings.forEach(warning => {
+        const known = EXTRACTION_FINDINGS[warning.code];
+        if (!known) return;
+        findings.push({
+            code: warning.code,
+            severity: known.severity,
+            message: warning.message,
+            location: warning.page ? { page: warning.page } : null,
+            fix: known.fix
+        });
+    });
+}
+
+/**
+ * Check how well an ATS will be able to parse a resume
+ *
+ * @param {string} resumeText - Resume text
+ * @param {Object} [options]
+ * @param {Object} [options.extraction] - `{ format, warnings }` from converting the resume document,
+ *   whose warnings about tables, columns, text boxes and fonts become findings
+ * @returns {Object} - `{ passed, counts, findings }` where `findings` are `{ code, severity, message,
+ *   location, fix }` sorted by severity and then position, `location` is `{ line, section }` (or
+ *   `{ page }` for document findings, null for the resume as a whole), `counts` is the number of
+ *   findings per severity and `passed` is true when there are no errors
+ */
+function lintResume(resumeText, options = {}) {
+    const sections = segmentResume(resumeText);
+    const lines = resumeText.split("\n");
+    const lineSections = sectionOfLines(resumeText, sections);
+    const findings = [];
+
+    checkSections(sections, findings);
+    checkEmploymentEntries(lines, lineSections, findings);
+    checkLines(lines, lineSections, findings);
+    checkExtraction(options.extraction, findings);
+
+    // Heading findings know their offset; turn it into a line like the others
+    findings.forEach(finding => {
+        if (finding.location && finding.location.offset !== undefined) {
+            const line = resumeText.slice(0, finding.location.offset).split("\n").length;
+            finding.location = { line, section: lineSections[line - 1] };
+        }
+    });
+
+    const position = finding => (finding.location && finding.location.line) || 0;
+    findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || position(a) - position(b));
+
+    const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, findings.filter(finding => finding.severity === severity).length]));
+    return { passed: counts.error === 0, counts, findings };
+}
+
+module.exports = {
+    lintResume,
+    SEVERITIES
+};
@@ -0,0 +1,248 @@
+const natural = require("natural");
+const { analyzeResume, prepareResume, scoreResume, getInputError, AnalysisError } = require("./ats-checker");
+const { analyzeBullet } = require("./impact-analyzer");
+const { matchSkills } = require("./skill-matcher");
+const { createGenerationProvider, generateText } = require("./generation");
+
+/**
+ * BULLET REWRITE ASSISTANT
+ *
+ * Optional: asks a local generation model (Ollama by default, see generation/index.js) to
+ * rewrite the resume's weakest bullets so they work in the job description's skills, but only
+ * skills the resume already gives evidence for. A skill the candidate does not list anywhere is
+ * never suggested, however much the job asks for it.
+ *
+ * The model is not trusted to follow that instruction. Every rewrite is checked before it is
+ * suggested: one that is not a bullet about the same work (too few words, no opening action
+ * verb, hardly a word of the original), names a skill absent from the resume or states a number
+ * absent from the original bullet is rejected with the reason. Numbers the candidate should fill in appear as
+ * "[X]" placeholders instead.
+ *
+ * Accepted rewrites are then re-scored: each one on its own, and all of them together, by
+ * analyzing the resume with the rewrites in place of the original bullets.
+ */
+
+const DEFAULT_MAX_SUGGESTIONS = 5;
+
+// Skills offered to the model for one bullet
+const MAX_TARGET_SKILLS = 8;
+
+// Low temperature: a rewrite should stay close to the facts of the original
+const TEMPERATURE = 0.2;
+
+const SYSTEM_PROMPT = [
+    "You rewrite resume bullet points so they are stronger and more specific, without adding anything untrue.",
+    "Rules:",
+    "- Keep every fact of the original bullet; do not add responsibilities, results, employers or tools it does not imply.",
+    "- You may only mention technologies from the list of skills the candidate has, and only where the original work plausibly involved them.",
+    "- Never invent numbers. Where a metric would help, write a placeholder such as [X]% or [N] users for the candidate to fill in.",
+    "- Open with a strong past-tense action verb.",
+    "- Answer with the rewritten bullet only: one line, no bullet character, no quotes, no explanation."
+].join("\n");
+
+// Numbers a rewrite may not introduce; "[X]" placeholders are fine
+const NUMBER = /\d+(?:[.,]\d+)*/g;
+
+// "[X]%", "[N] users": scored as if the candidate had filled in a number
+const PLACEHOLDER = /\[[A-Z]\]/g;
+
+// A rewrite shorter than this, in words, is not a bullet
+const MIN_REWRITE_WORDS = 3;
+
+// Share of the original bullet's content words a rewrite must keep to still describe the same work
+const MIN_WORD_OVERLAP = 0.25;
+
+// Past-tense openings that are action verbs without being in the impact analyzer's strong list
+const IRREGULAR_PAST_VERBS = new Set(["ran", "made", "took", "set", "oversaw", "brought", "held", "kept", "sold", "taught", "began", "gave", "put"]);
+
+const stopWords = new Set(natural.stopwords);
+
+function buildPrompt(bullet, role, targetSkills) {
+    return [
+        `Role: ${role || "unknown"}`,
+        `Original bullet: ${bullet}`,
+        `Skills the candidate has that the job description asks for: ${targetSkills.length > 0 ? targetSkills.join(", ") : "none"}`,
+        "Rewrite the bullet."
+    ].join("\n");
+}
+
+// The bullet out of the model's answer: first non-empty line, without quotes or a bullet character
+function cleanRewrite(output) {
+    const line = output.split("\n").map(text => text.trim()).find(Boolean) || "";
+    return line
+        .replace(/^(?:rewritten bullet|rewrite)\s*:\s*/i, "")
+        .replace(/^[-•*]\s*/, "")
+        .replace(/^["'“]|["'”]$/g, "")
+        .trim();
+}
+
+// Stems of the words that carry a bullet's meaning
+function contentStems(text) {
+    return new Set((text.toLowerCase().match(/[a-z][a-z'-]*/g) || [])
+        .filter(word => word.length > 2 && !stopWords.has(word))
+        .map(word => natural.PorterStemmer.stem(word)));
+}
+
+// Why a model's answer is not a rewrite of the bullet at all, or null when it is one
+function notARewrite(original, rewrite) {
+    const words = rewrite.replace(PLACEHOLDER, "").match(/[a-z]{2,}/gi) || [];
+    if (words.length < MIN_REWRITE_WORDS) return "The answer has no words to make a bullet of";
+
+    const verb = analyzeBullet(rewrite).verb;
+    const actionVerb = verb.strength === "strong" || (verb.strength === "neutral" && verb.verb && (/[a-z]ed$/.test(verb.verb) || IRREGULAR_PAST_VERBS.has(verb.verb)));
+    if (!actionVerb) return `Opens with ${verb.verb ? `"${verb.verb}"` : "no word"} instead of an action verb`;
+
+    const originalStems = contentStems(original);
+    const rewriteStems = contentStems(rewrite);
+    const kept = [...originalStems].filter(stem => rewriteStems.has(stem)).length;
+    if (originalStems.size > 0 && kept / originalStems.size < MIN_WORD_OVERLAP) return "Describes different work from the original bullet";
+
+    return null;
+}
+
+function skillName(taxonomy, id) {
+    const skill = taxonomy.skills.get(id);
+    return skill ? skill.name : id;
+}
+
+// Why a rewrite cannot be suggested, or null when it passes the guardrails
+function checkRewrite(original, rewrite, resume) {
+    if (!rewrite) return { code: "EMPTY_REWRITE", reason: "The model returned no rewrite" };
+    if (rewrite.toLowerCase() === original.toLowerCase()) return { code: "UNCHANGED", reason: "The rewrite is the same as the original" };
+
+    const notRewritten = notARewrite(original, rewrite);
+    if (notRewritten) return { code: "NOT_A_REWRITE", reason: notRewritten };
+
+    const candidateSkills = new Set([...resume.skills, ...Object.keys(resume.impliedSkills)]);
+    const invented = Object.keys(matchSkills(rewrite, resume.taxonomy, { aliases: resume.bertLike }))
+        .filter(skill => !candidateSkills.has(skill));
+    if (invented.length > 0) {
+        return {
+            code: "INVENTED_SKILL",
+            reason: `Names skills the resume gives no evidence for: ${invented.map(skill => skillName(resume.taxonomy, skill)).join(", ")}`
+        };
+    }
+
+    const originalNumbers = new Set(original.match(NUMBER) || []);
+    const newNumbers = (rewrite.match(NUMBER) || []).filter(number => !originalNumbers.has(number));
+    if (newNumbers.length > 0) {
+        return { code: "INVENTED_METRIC", reason: `States numbers the original bullet does not: ${newNumbers.join(", ")}` };
+    }
+
+    return null;
+}
+
+// Job description skills the resume has evidence for, those missing from every role's bullets first
+function getTargetSkills(report) {
+    const { matched, experience } = report.technicalSkills;
+    const withoutRole = matched.filter(skill => !experience[skill]);
+    const withRole = matched.filter(skill => experience[skill]);
+    return [...withoutRole, ...withRole];
+}
+
+// The resume with each bullet of `rewrites` ({ original, rewrite }) replaced
+function applyRewrites(resumeText, rewrites) {
+    return rewrites.reduce((text, { original, rewrite }) => {
+        const index = text.indexOf(original);
+        return index === -1 ? text : text.slice(0, index) + rewrite + text.slice(index + original.length);
+    }, resumeText);
+}
+
+function summarizeScore(report, baseline) {
+    return {
+        overallScore: report.overallScore,
+        delta: parseFloat((report.overallScore - baseline.overallScore).toFixed(2)),
+        scores: { ...report.scores }
+    };
+}
+
+/**
+ * Suggest rewrites of the resume's weakest bullets, and the score each would bring
+ *
+ * @param {string} resumeText - Resume text
+ * @param {string} jobDescriptionText - Job description text
+ * @param {Object} [options] - Any option of analyzeResume except blind screening, plus:
+ * @param {Object} [options.generation] - Generation provider configuration, see generation/index.js
+ * @param {number} [options.maxSuggestions] - Bullets to rewrite, weakest first (default 5)
+ * @param {Function} [options.onSuggestion] - Called as each bullet is done with
+ *   `{ index, total, suggestion }` or `{ index, total, rejected }`
+ * @returns {Promise<Object>} - `{ generation, baseline, projected, allowedSkills, suggestions,
+ *   rejected }`: `generation` names the provider and model, `baseline` is the current
+ *   `{ overallScore, scores }`, `allowedSkills` the job's skills the rewrites may use,
+ *   `suggestions` holds `{ jobTitle, company, original, rewrite, addedSkills, impactScore:
+ *   { before, after }, projected }` (`impactScore.after` with its placeholders filled in), `rejected` holds `{ jobTitle, company, original, rewrite,
+ *   code, reason }` for rewrites that failed the guardrails, and `projected` (null without
+ *   suggestions) is `{ overallScore, delta, scores }` with every suggestion applied
+ * @throws {AnalysisError|GenerationError} - When an input is empty or cannot be analyzed, blind
+ *   screening is requested, or the generation model cannot be reached
+ */
+async function suggestRewrites(resumeText, jobDescriptionText, options = {}) {
+    const { generation, maxSuggestions = DEFAULT_MAX_SUGGESTIONS, onSuggestion, ...analysisOptions } = options;
+    if (analysisOptions.blind) {
+        // Rewrites are for the candidate's own resume, which blind screening would hide from them
+        throw new AnalysisError("Rewrite suggestions cannot be combined with blind screening", "INVALID_INPUT");
+    }
+    if (!Number.isInteger(maxSuggestions) || maxSuggestions < 1) {
+        throw new AnalysisError(`maxSuggestions must be a positive integer, got ${maxSuggestions}`, "INVALID_INPUT");
+    }
+    const inputError = getInputError(resumeText, "Resume") || getInputError(jobDescriptionText, "Job Description");
+    if (inputError) throw new AnalysisError(inputError, "INVALID_INPUT");
+
+    const provider = createGenerationProvider(generation);
+    const resume = await prepareResume(resumeText, analysisOptions);
+    const baseline = await scoreResume(resume, jobDescriptionText, analysisOptions);
+
+    const targetSkills = getTargetSkills(baseline);
+    const bullets = baseline.impact.bulletsToStrengthen.slice(0, maxSuggestions);
+
+    const suggestions = [];
+    const rejected = [];
+    for (const [index, bullet] of bullets.entries()) {
+        const role = [bullet.jobTitle, bullet.company].filter(Boolean).join(" at ");
+        const bulletSkills = Object.keys(matchSkills(bullet.text, resume.taxonomy, { aliases: resume.bertLike }));
+        const offered = targetSkills.filter(skill => !bulletSkills.includes(skill)).slice(0, MAX_TARGET_SKILLS);
+
+        const output = await generateText(provider, buildPrompt(bullet.text, role, offered.map(skill => skillName(resume.taxonomy, skill))), {
+            system: SYSTEM_PROMPT,
+            temperature: TEMPERATURE
+        });
+        const rewrite = cleanRewrite(output);
+        const entry = { jobTitle: bullet.jobTitle, company: bullet.company, original: bullet.text, rewrite };
+
+        const problem = checkRewrite(bullet.text, rewrite, resume);
+        if (problem) {
+            rejected.push({ ...entry, ...problem });
+            if (typeof onSuggestion === "function") onSuggestion({ index, total: bullets.length, rejected: rejected[rejected.length - 1] });
+            continue;
+        }
+
+        const rewriteSkills = Object.keys(matchSkills(rewrite, resume.taxonomy, { aliases: resume.bertLike }));
+        const rescored = await analyzeResume(applyRewrites(resumeText, [entry]), jobDescriptionText, analysisOptions);
+        suggestions.push({
+            ...entry,
+            addedSkills: rewriteSkills.filter(skill => !bulletSkills.includes(skill)).map(skill => skillName(resume.taxonomy, skill)),
+            impactScore: { before: bullet.score, after: analyzeBullet(rewrite.replace(PLACEHOLDER, "1")).score },
+            projected: summarizeScore(rescored, baseline)
+        });
+        if (typeof onSuggestion === "function") onSuggestion({ index, total: bullets.length, suggestion: suggestions[suggestions.length - 1] });
+    }
+
+    let projected = null;
+    if (suggestions.length > 0) {
+        const rescored = await analyzeResume(applyRewrites(resumeText, suggestions), jobDescriptionText, analysisOptions);
+        projected = summarizeScore(rescored, baseline);
+    }
+
+    return {
+        generation: { provider: provider.name, model: provider.model, endpoint: provider.endpoint },
+        baseline: { overallScore: baseline.overallScore, scores: { ...baseline.scores } },
+        projected,
+        allowedSkills: targetSkills.map(skill => skillName(resume.taxonomy, skill)),
+        suggestions,
+        rejected
+    };
+}
+
+module.exports = {
+    suggestRewrites
+};
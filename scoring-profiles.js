@@ -0,0 +1,201 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const BUILT_IN_PROFILES = require("./data/scoring-profiles.json");
+
+/**
+ * SCORING PROFILES
+ *
+ * A scoring profile holds everything that decides how sub-scores become the overall score:
+ *
+ *   {
+ *     description,
+ *     weights: { semanticSimilarity, keywordMatch, technicalSkills, education, experience,
+ *                softSkills, positionRelevance },          -> must sum to 1
+ *     proficiencyMultipliers: { expert, intermediate, beginner, unknown },   -> 0..1
+ *     ratingThresholds: { strong, good, moderate },         -> overall score cut-offs, 0..100
+ *     requirementWeights: { required, preferred, bonus },    -> how much a JD skill counts, 0..1
+ *     recency: { curve, halfLifeYears, minimumWeight, staleAfterYears }
+ *                                                          -> how a skill's weight decays with time
+ *                                                             since it was last used
+ *   }
+ *
+ * `recency.curve` is "exponential" (the weight halves every `halfLifeYears`), "linear" (it loses
+ * half per `halfLifeYears`) or "none"; the weight never drops below `minimumWeight`, and skills
+ * unused for more than `staleAfterYears` are flagged as stale.
+ *
+ * Built-in profiles live in data/scoring-profiles.json. Additional profiles can be loaded from a
+ * JSON or YAML file mapping profile names to profiles; a profile may omit any section, which is
+ * then taken from the profile named in its `extends` key ("default" when not given).
+ */
+
+const DEFAULT_PROFILE = "default";
+
+const WEIGHT_KEYS = Object.keys(BUILT_IN_PROFILES[DEFAULT_PROFILE].weights);
+const PROFICIENCY_LEVELS = Object.keys(BUILT_IN_PROFILES[DEFAULT_PROFILE].proficiencyMultipliers);
+const RATING_LEVELS = ["strong", "good", "moderate"];
+const REQUIREMENT_LEVELS = Object.keys(BUILT_IN_PROFILES[DEFAULT_PROFILE].requirementWeights);
+const RECENCY_CURVES = ["exponential", "linear", "none"];
+const RECENCY_KEYS = ["halfLifeYears", "minimumWeight", "staleAfterYears"];
+const MAX_RECENCY_YEARS = 50;
+
+// Weights are decimals, so allow for rounding when checking that they sum to 1
+const WEIGHT_SUM_TOLERANCE = 1e-6;
+
+// Error raised for unknown, unreadable or invalid scoring profiles
+class ScoringProfileError extends Error {
+    constructor(message, code = "INVALID_PROFILE") {
+        super(message);
+        this.name = "ScoringProfileError";
+        this.code = code;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Check that a section has exactly the expected numeric keys within a range
+function validateSection(name, section, keys, min, max, sectionName) {
+    if (!isPlainObject(section)) {
+        throw new ScoringProfileError(`Profile "${name}": ${sectionName} must be an object`);
+    }
+
+    const unknown = Object.keys(section).filter(key => !keys.includes(key));
+    if (unknown.length > 0) {
+        throw new ScoringProfileError(`Profile "${name}": unknown ${sectionName} ${unknown.join(", ")}. Expected: ${keys.join(", ")}`);
+    }
+
+    for (const key of keys) {
+        const value = section[key];
+        if (typeof value !== "number" || !Number.isFinite(value) || value < min || value > max) {
+            throw new ScoringProfileError(`Profile "${name}": ${sectionName}.${key} must be a number between ${min} and ${max}`);
+        }
+    }
+}
+
+/**
+ * Validate a complete scoring profile
+ *
+ * @param {string} name - Profile name, used in error messages
+ * @param {Object} profile - The profile to check
+ * @throws {ScoringProfileError} - When a section is missing or out of range, or weights do not sum to 1
+ */
+function validateProfile(name, profile) {
+    validateSection(name, profile.weights, WEIGHT_KEYS, 0, 1, "weights");
+    const weightSum = WEIGHT_KEYS.reduce((sum, key) => sum + profile.weights[key], 0);
+    if (Math.abs(weightSum - 1) > WEIGHT_SUM_TOLERANCE) {
+        throw new ScoringProfileError(`Profile "${name}": weights must sum to 1 (got ${parseFloat(weightSum.toFixed(6))})`);
+    }
+
+    validateSection(name, profile.proficiencyMultipliers, PROFICIENCY_LEVELS, 0, 1, "proficiencyMultipliers");
+    validateSection(name, profile.ratingThresholds, RATING_LEVELS, 0, 100, "ratingThresholds");
+
+    const { strong, good, moderate } = profile.ratingThresholds;
+    if (!(strong >= good && good >= moderate)) {
+        throw new ScoringProfileError(`Profile "${name}": ratingThresholds must satisfy strong >= good >= moderate`);
+    }
+
+    validateSection(name, profile.requirementWeights, REQUIREMENT_LEVELS, 0, 1, "requirementWeights");
+    const { required, preferred, bonus } = profile.requirementWeights;
+    if (!(required > 0 && required >= preferred && preferred >= bonus)) {
+        throw new ScoringProfileError(`Profile "${name}": requirementWeights must satisfy required > 0 and required >= preferred >= bonus`);
+    }
+
+    if (!isPlainObject(profile.recency)) {
+        throw new ScoringProfileError(`Profile "${name}": recency must be an object`);
+    }
+    const { curve, ...recencyNumbers } = profile.recency;
+    if (!RECENCY_CURVES.includes(curve)) {
+        throw new ScoringProfileError(`Profile "${name}": recency.curve must be one of ${RECENCY_CURVES.join(", ")}`);
+    }
+    validateSection(name, recencyNumbers, RECENCY_KEYS, 0, MAX_RECENCY_YEARS, "recency");
+    if (!(recencyNumbers.halfLifeYears > 0 && recencyNumbers.minimumWeight <= 1)) {
+        throw new ScoringProfileError(`Profile "${name}": recency must satisfy halfLifeYears > 0 and minimumWeight <= 1`);
+    }
+}
+
+// Fill in omitted sections from the parent profile
+function resolveExtends(name, profiles, seen = []) {
+    const profile = profiles[name];
+    if (!isPlainObject(profile)) {
+        throw new ScoringProfileError(`Unknown scoring profile "${name}". Available profiles: ${Object.keys(profiles).join(", ")}`, "UNKNOWN_PROFILE");
+    }
+    if (name === DEFAULT_PROFILE && !profile.extends) return profile;
+    if (seen.includes(name)) {
+        throw new ScoringProfileError(`Profile "${name}" extends itself through ${seen.join(" -> ")}`);
+    }
+
+    const parent = resolveExtends(profile.extends || DEFAULT_PROFILE, profiles, [...seen, name]);
+    const { extends: _parentName, ...own } = profile;
+    return { ...parent, ...own };
+}
+
+/**
+ * Load profiles from a JSON or YAML file, merged over the built-in profiles
+ *
+ * @param {string} [filePath] - File mapping profile names to profiles; only built-ins when omitted
+ * @returns {Object} - Profiles by name
+ * @throws {ScoringProfileError} - When the file cannot be read or parsed
+ */
+function loadScoringProfiles(filePath) {
+    if (!filePath) return { ...BUILT_IN_PROFILES };
+
+    let parsed;
+    try {
+        const raw = fs.readFileSync(filePath, "utf8");
+        parsed = /\.ya?ml$/i.test(filePath) ? yaml.load(raw) : JSON.parse(raw);
+    } catch (error) {
+        throw new ScoringProfileError(`Could not load scoring profiles from ${filePath}: ${error.message}`);
+    }
+
+    if (!isPlainObject(parsed)) {
+        throw new ScoringProfileError(`Scoring profiles file ${filePath} must map profile names to profiles`);
+    }
+
+    return { ...BUILT_IN_PROFILES, ...parsed };
+}
+
+/**
+ * Resolve the scoring profile for a run
+ *
+ * @param {string|Object} [profile] - Profile name, or an inline profile object; "default" when omitted
+ * @param {Object} [options]
+ * @param {string} [options.profilesFile] - JSON/YAML file with additional profiles
+ * @returns {Object} - `{ name, source, description, weights, proficiencyMultipliers, ratingThresholds,
+ *   requirementWeights, recency }`
+ * @throws {ScoringProfileError} - When the profile is unknown or invalid
+ */
+function resolveScoringProfile(profile, options = {}) {
+    const profilesFile = options.profilesFile || process.env.ATS_PROFILES_FILE;
+    const profiles = loadScoringProfiles(profilesFile);
+
+    let name = profile || DEFAULT_PROFILE;
+    if (isPlainObject(profile)) {
+        name = profile.name || "custom";
+        profiles[name] = profile;
+    }
+
+    const resolved = resolveExtends(name, profiles);
+    validateProfile(name, resolved);
+
+    const builtIn = BUILT_IN_PROFILES[name] === profiles[name];
+    return {
+        name,
+        source: builtIn ? "built-in" : isPlainObject(profile) ? "inline" : path.resolve(profilesFile),
+        description: resolved.description || "",
+        weights: { ...resolved.weights },
+        proficiencyMultipliers: { ...resolved.proficiencyMultipliers },
+        ratingThresholds: { ...resolved.ratingThresholds },
+        requirementWeights: { ...resolved.requirementWeights },
+        recency: { ...resolved.recency }
+    };
+}
+
+module.exports = {
+    resolveScoringProfile,
+    loadScoringProfiles,
+    validateProfile,
+    ScoringProfileError,
+    DEFAULT_PROFILE
+};
@@ -0,0 +1,162 @@
+/**
+ * RESUME SECTION SEGMENTER
+ *
+ * Splits a resume into its sections (experience, education, skills, ...) so that every
+ * extractor reads the part of the resume it is about instead of guessing where a section ends.
+ * Headings are recognized by name in any case and with or without a colon ("Work Experience",
+ * "PROFESSIONAL BACKGROUND:", "## Projects"), and also when underlined with a row of dashes or
+ * equals signs. Unknown headings count only when they look like one: all caps with a colon,
+ * underlined, or a Markdown heading.
+ *
+ * A section runs from its heading to the next heading, blank lines included, so a work history
+ * with a blank line between roles stays in one piece.
+ */
+
+const BULLET_PREFIX = /^\s*(?:[-•·▪◦●■*►▸➢➤✓✔]|\d{1,2}[.)])\s+/;
+
+// A row of dashes, equals signs or underscores under a heading
+const UNDERLINE = /^\s*(?:-{3,}|={3,}|_{3,}|~{3,})\s*$/;
+
+// Longest heading, in words, that is still taken for one
+const MAX_HEADING_WORDS = 5;
+
+// Canonical section types and the heading names that introduce them, matched against the whole
+// heading after lowercasing, removing punctuation around it and writing "&" as "and"
+const SECTION_TYPES = {
+    contact: /^contact(?:\s+(?:information|info|details))?$|^personal\s+(?:details|information)$/,
+    summary: /^(?:(?:professional|career|executive)\s+)?(?:summary|profile)$|^(?:career\s+)?objective$|^about(?:\s+me)?$|^overview$|^summary\s+of\s+qualifications$/,
+    experience: /^(?:(?:work|professional|relevant|industry|employment|career)\s+)?experience$|^(?:work|employment|career|professional)\s+(?:history|background)$|^employment$|^positions?\s+held$/,
+    projects: /^(?:(?:personal|selected|key|academic|side|technical|notable)\s+)?projects$|^open\s+source(?:\s+contributions)?$/,
+    education: /^education(?:al\s+background)?$|^degrees?$|^education\s+and\s+training$|^academic\s+(?:background|qualifications|history)$|^academics$/,
+    skills: /^(?:(?:technical|core|key|professional|relevant)\s+)?(?:skills|competencies)(?:\s+and\s+(?:tools|technologies|expertise))?$|^technologies$|^tech(?:nical)?\s+stack$|^tools\s+and\s+technologies$|^(?:areas\s+of\s+)?expertise$/,
+    certifications: /^(?:(?:professional|licenses\s+and)\s+)?certifications?(?:\s+and\s+licenses)?$|^certificates$|^licenses$|^courses$|^training$/,
+    publications: /^(?:selected\s+)?publications$|^papers$|^research(?:\s+experience)?$/,
+    volunteer: /^volunteer(?:ing)?(?:\s+(?:experience|work))?$|^community\s+(?:involvement|service)$/,
+    awards: /^(?:awards|honors|achievements)(?:\s+and\s+(?:awards|honors|achievements))?$/,
+    languages: /^languages$/,
+    interests: /^(?:interests|hobbies)(?:\s+and\s+(?:interests|hobbies))?$/,
+    references: /^references$/
+};
+
+// Short lines that are either all caps or end with a colon, e.g. "WORK EXPERIENCE:" or "Skills"
+function isSectionHeading(line) {
+    const text = line.trim();
+    if (text.length === 0 || text.length > 40 || text.split(/\s+/).length > 4 || BULLET_PREFIX.test(text)) return false;
+    if (/:$/.test(text)) return true;
+
+    const letters = text.replace(/[^A-Za-z]/g, "");
+    return letters.length >= 3 && letters === letters.toUpperCase();
+}
+
+// Heading text without Markdown marks, decoration or a trailing colon: "## Skills:" -> "Skills"
+function headingText(line) {
+    return line.trim().replace(/^#{1,6}\s*/, "").replace(/^[*_=]+|[*_=]+$/g, "").replace(/:$/, "").trim();
+}
+
+/**
+ * The canonical section type of a heading
+ *
+ * @param {string} heading - Heading text, e.g. "Professional Background:"
+ * @returns {string|null} - A key of SECTION_TYPES, or null for an unknown heading
+ */
+function classifyHeading(heading) {
+    const name = headingText(heading).toLowerCase().replace(/&/g, " and ").replace(/[^a-z\s]/g, " ").replace(/\s+/g, " ").trim();
+    const type = Object.keys(SECTION_TYPES).find(key => SECTION_TYPES[key].test(name));
+    return type || null;
+}
+
+// The type of the heading on this line, "other" for an unknown heading, or null when it is not one
+function headingType(line, nextLine) {
+    const text = line.trim();
+    const words = headingText(text).split(/\s+/).filter(Boolean);
+    if (words.length === 0 || words.length > MAX_HEADING_WORDS || BULLET_PREFIX.test(text)) return null;
+
+    const type = classifyHeading(text);
+    if (type) return type;
+
+    // Unknown headings must look like headings, and never contain dates or figures
+    if (/\d/.test(text)) return null;
+    const underlined = nextLine !== undefined && UNDERLINE.test(nextLine);
+    const markdown = /^#{1,6}\s/.test(text);
+    const capsWithColon = /:$/.test(text) && isSectionHeading(text.replace(/:$/, ""));
+    return underlined || markdown || capsWithColon ? "other" : null;
+}
+
+/**
+ * Split a resume into sections
+ *
+ * The text before the first heading (usually the name and contact details) is returned as a
+ * section of type "header" with no heading.
+ *
+ * @param {string} text - Resume text
+ * @returns {Object[]} - `{ type, heading, start, contentStart, end, text }` in document order,
+ *   where `type` is a key of SECTION_TYPES, "header" or "other", `start` is the offset of the
+ *   heading line, `contentStart` the offset just after it (and its underline), `end` the offset
+ *   of the next heading and `text` the content between `contentStart` and `end`
+ */
+function segmentResume(text) {
+    const lines = text.split("\n");
+    const sections = [];
+    let current = { type: "header", heading: null, start: 0, contentStart: 0 };
+    let offset = 0;
+
+    for (let index = 0; index < lines.length; index++) {
+        const line = lines[index];
+        const type = line.trim() ? headingType(line, lines[index + 1]) : null;
+
+        if (!type) {
+            offset += line.length + 1;
+            continue;
+        }
+
+        sections.push({ ...current, end: offset });
+        const start = offset;
+        offset += line.length + 1;
+        // The underline belongs to the heading
+        if (lines[index + 1] !== undefined && UNDERLINE.test(lines[index + 1])) {
+            index++;
+            offset += lines[index].length + 1;
+        }
+        current = { type, heading: headingText(line), start, contentStart: Math.min(offset, text.length) };
+    }
+    sections.push({ ...current, end: text.length });
+
+    return sections
+        .map(section => ({ ...section, text: text.slice(section.contentStart, section.end) }))
+        .filter(section => section.type !== "header" || section.text.trim());
+}
+
+/**
+ * Text of every section of a type, joined in document order
+ *
+ * @param {Object[]} sections - Output of segmentResume
+ * @param {string} type - Section type, e.g. "experience"
+ * @returns {string} - The sections' text, or "" when the resume has none
+ */
+function getSectionText(sections, type) {
+    return sections.filter(section => section.type === type).map(section => section.text).join("\n");
+}
+
+/**
+ * Offsets of each section type, for reports
+ *
+ * @param {Object[]} sections - Output of segmentResume
+ * @returns {Object} - Section type -> `[{ heading, start, end }]`
+ */
+function getSectionMap(sections) {
+    const map = {};
+    for (const { type, heading, start, end } of sections) {
+        (map[type] = map[type] || []).push({ heading, start, end });
+    }
+    return map;
+}
+
+module.exports = {
+    segmentResume,
+    getSectionText,
+    getSectionMap,
+    classifyHeading,
+    isSectionHeading,
+    SECTION_TYPES,
+    BULLET_PREFIX
+};
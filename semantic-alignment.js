@@ -0,0 +1,203 @@
+const { embedTexts, createEmbeddingProvider, cosineSimilarity } = require("./embeddings");
+const { segmentResume, isSectionHeading, BULLET_PREFIX } = require("./section-segmenter");
+
+/**
+ * REQUIREMENT-TO-EVIDENCE ALIGNMENT
+ *
+ * Enterprise ATS systems do not embed a whole resume at once: a single vector dilutes the
+ * signal with contact details and boilerplate, and long resumes exceed the model's context
+ * window. Instead, the job description is split into individual requirements and the resume
+ * into evidence chunks (bullets, summary sentences, skill lines), every piece is embedded, and
+ * each requirement is matched with the chunk that supports it best.
+ *
+ * The semantic score is the average best-match similarity across requirements, and the
+ * alignment shows which requirements have no supporting evidence at all.
+ */
+
+// Minimum similarity for a chunk to count as evidence for a requirement. Offline TF-IDF vectors
+// only overlap on shared words, so their similarities run much lower than model embeddings.
+const SUPPORT_THRESHOLDS = {
+    model: 0.65,
+    degraded: 0.2
+};
+
+const CONTACT_PATTERN = /@|https?:\/\/|www\.|linkedin\.com|github\.com|\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}/i;
+const MIN_CHUNK_WORDS = 3;
+
+function wordCount(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Split a resume into evidence chunks
+ *
+ * Every bullet and every other line becomes a chunk, tagged with the heading of the section it
+ * appears in (see section-segmenter.js). Lines starting in lowercase continue the previous chunk (bullets wrapped across lines).
+ * Contact details and fragments shorter than three words are left out.
+ *
+ * @param {string} resumeText - Resume text
+ * @returns {Object[]} - `{ text, section }` chunks in document order
+ */
+function splitIntoEvidence(resumeText) {
+    const chunks = [];
+
+    for (const { heading: section, text } of segmentResume(resumeText)) {
+        let current = null;
+
+        text.split("\n").forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line) {
+                current = null;
+                return;
+            }
+
+            if (current && !BULLET_PREFIX.test(line) && /^[a-z]/.test(line)) {
+                current.text += ` ${line}`;
+                return;
+            }
+
+            current = { text: line.replace(BULLET_PREFIX, ""), section };
+            chunks.push(current);
+        });
+    }
+
+    return chunks.filter(chunk => wordCount(chunk.text) >= MIN_CHUNK_WORDS && !CONTACT_PATTERN.test(chunk.text));
+}
+
+/**
+ * Split a job description into individual requirements
+ *
+ * Each bullet or sentence becomes one requirement; headings and fragments shorter than three
+ * words are left out.
+ *
+ * @param {string} jobDescriptionText - Job description text
+ * @returns {string[]} - Requirements in document order
+ */
+function splitIntoRequirements(jobDescriptionText) {
+    const requirements = [];
+
+    jobDescriptionText.split("\n").forEach(rawLine => {
+        const line = rawLine.trim().replace(BULLET_PREFIX, "");
+        if (!line || isSectionHeading(line)) return;
+
+        // Split on sentence ends followed by a capital letter or digit ("5+ years ...")
+        line.split(/(?<=[.!?;])\s+(?=[A-Z0-9])/).forEach(sentence => {
+            const requirement = sentence.trim();
+            if (wordCount(requirement) >= MIN_CHUNK_WORDS) requirements.push(requirement);
+        });
+    });
+
+    return requirements;
+}
+
+// Round a similarity for reporting
+function roundSimilarity(value) {
+    return parseFloat(value.toFixed(3));
+}
+
+// Match each requirement with its best supporting evidence chunk
+function alignRequirements(requirements, requirementVectors, evidence, evidenceVectors, provider) {
+    const threshold = provider.degraded ? SUPPORT_THRESHOLDS.degraded : SUPPORT_THRESHOLDS.model;
+    const matrix = requirementVectors.map(requirementVector =>
+        evidenceVectors.map(evidenceVector => cosineSimilarity(requirementVector, evidenceVector))
+    );
+
+    const aligned = requirements.map((requirement, index) => {
+        const similarities = matrix[index];
+        const bestIndex = similarities.indexOf(Math.max(...similarities));
+        const similarity = similarities[bestIndex];
+        return {
+            requirement,
+            bestEvidence: similarity > 0 ? evidence[bestIndex] : null,
+            similarity: roundSimilarity(similarity),
+            supported: similarity >= threshold
+        };
+    });
+
+    const bestSimilarities = matrix.map(similarities => Math.max(0, ...similarities));
+    const averageSimilarity = bestSimilarities.reduce((sum, value) => sum + value, 0) / bestSimilarities.length;
+
+    return {
+        score: averageSimilarity * 100,
+        provider,
+        alignment: {
+            threshold,
+            evidence,
+            matrix: matrix.map(row => row.map(roundSimilarity)),
+            requirements: aligned,
+            unsupported: aligned.filter(entry => !entry.supported).map(entry => entry.requirement)
+        }
+    };
+}
+
+/**
+ * Embed a resume's evidence chunks once, to align them with any number of job descriptions
+ *
+ * @param {string} resumeText - Resume text
+ * @param {Object} [embeddingConfig] - Embedding provider configuration, see embeddings/index.js
+ * @returns {Promise<Object>} - `{ evidence, vectors, provider, embeddingConfig }` for alignWithEvidence
+ * @throws {EmbeddingError} - When embeddings cannot be fetched and the fallback is disabled
+ */
+async function embedEvidence(resumeText, embeddingConfig) {
+    // Texts without recognizable structure are compared as a whole
+    let evidence = splitIntoEvidence(resumeText);
+    if (evidence.length === 0) evidence = [{ text: resumeText.trim(), section: null }];
+
+    const { vectors, provider } = await embedTexts(evidence.map(chunk => chunk.text), embeddingConfig);
+    return { evidence, vectors, provider, embeddingConfig };
+}
+
+/**
+ * Compute the requirement-to-evidence alignment of a job description and embedded resume evidence
+ *
+ * Only the requirements are embedded. Requirement and evidence vectors must come from the same
+ * provider, and offline TF-IDF vectors also depend on the texts embedded together, so when the
+ * evidence was embedded offline, or the embedding server fails for the requirements, both are
+ * embedded offline again in one batch.
+ *
+ * @param {string} jobDescriptionText - Job description text
+ * @param {Object} embeddedEvidence - Output of embedEvidence
+ * @returns {Promise<Object>} - `{ score, provider, alignment }` where `score` is a percentage and
+ *   `alignment` is `{ threshold, evidence, matrix, requirements, unsupported }`
+ * @throws {EmbeddingError} - When embeddings cannot be fetched and the fallback is disabled
+ */
+async function alignWithEvidence(jobDescriptionText, embeddedEvidence) {
+    const { evidence, vectors: evidenceVectors } = embeddedEvidence;
+    let requirements = splitIntoRequirements(jobDescriptionText);
+    if (requirements.length === 0) requirements = [jobDescriptionText.trim()];
+
+    let provider = embeddedEvidence.provider;
+    if (!provider.degraded) {
+        const embedded = await embedTexts(requirements, embeddedEvidence.embeddingConfig);
+        if (!embedded.provider.degraded) {
+            provider = { ...embedded.provider, cacheHits: embedded.provider.cacheHits + embeddedEvidence.provider.cacheHits };
+            return alignRequirements(requirements, embedded.vectors, evidence, evidenceVectors, provider);
+        }
+        provider = embedded.provider;
+    }
+
+    const vectors = await createEmbeddingProvider({ provider: "local" }).embed([...requirements, ...evidence.map(chunk => chunk.text)]);
+    return alignRequirements(requirements, vectors.slice(0, requirements.length), evidence, vectors.slice(requirements.length), provider);
+}
+
+/**
+ * Compute the requirement-to-evidence alignment of a resume and a job description
+ *
+ * @param {string} resumeText - Resume text
+ * @param {string} jobDescriptionText - Job description text
+ * @param {Object} [embeddingConfig] - Embedding provider configuration, see embeddings/index.js
+ * @returns {Promise<Object>} - Same as alignWithEvidence
+ * @throws {EmbeddingError} - When embeddings cannot be fetched and the fallback is disabled
+ */
+async function analyzeSemanticAlignment(resumeText, jobDescriptionText, embeddingConfig) {
+    return alignWithEvidence(jobDescriptionText, await embedEvidence(resumeText, embeddingConfig));
+}
+
+module.exports = {
+    analyzeSemanticAlignment,
+    embedEvidence,
+    alignWithEvidence,
+    splitIntoEvidence,
+    splitIntoRequirements,
+    SUPPORT_THRESHOLDS
+};
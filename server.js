@@ -0,0 +1,347 @@
+const http = require("http");
+const {
+    analyzeResume,
+    parseResume,
+    parseJobDescription,
+    checkEmbeddingBackend,
+    getInputError,
+    AnalysisError
+} = require("./ats-checker");
+const { convertDocument, DocumentError } = require("./converters");
+const { resolveEmbeddingConfig } = require("./embeddings");
+const { resolveScoringProfile } = require("./scoring-profiles");
+const { getSkillsTaxonomy } = require("./skills-taxonomy");
+const { lintResume } = require("./resume-linter");
+const { suggestRewrites } = require("./rewrite-assistant");
+const { resolveGenerationConfig, GenerationError } = require("./generation");
+
+/**
+ * HTTP BACKEND SERVICE
+ *
+ * Exposes the ATS analysis as a JSON REST API:
+ *
+ *   POST /analyze                 { resume, jobDescription, mode?, profile?, relevantExperienceOnly?,
+ *                                   blind?, redactSchools? }        -> full analysis report
+ *   POST /parse/resume            { resume, mode? }                 -> structured resume extraction
+ *   POST /parse/job-description   { jobDescription, mode? }         -> structured JD extraction
+ *   POST /lint/resume             { resume }                        -> ATS parseability findings
+ *   POST /rewrite                 { resume, jobDescription, mode?, profile?, maxSuggestions? }
+ *                                                                   -> bullet rewrites with projected scores
+ *   GET  /health                                                    -> service and embedding backend status
+ *
+ * Instead of `resume` text, clients can upload a document as
+ * `resumeFile: { filename, data, format? }` where `data` is the base64-encoded file.
+ *
+ * Errors are returned as `{ error: { code, message } }` with a matching 4xx/5xx status.
+ * The embedding provider is configured with the ATS_EMBEDDING_* environment variables, and
+ * ATS_PROFILES_FILE adds scoring profiles that `profile` can name. ATS_SKILLS_FILE extends the
+ * skills taxonomy.
+ *
+ * /rewrite calls the generation model configured with the ATS_GENERATION_* environment variables.
+ *
+ * With `blind: true` the resume is redacted before it is scored and the report is anonymized.
+ * The redaction map is not part of the response: the client already holds the original resume.
+ */
+
+const DEFAULT_PORT = 3000;
+const MAX_BODY_BYTES = 10 * 1024 * 1024; // Enough for a base64-encoded PDF or DOCX resume; reject anything larger
+const ANALYSIS_MODES = ["bert", "basic"];
+
+// Error carrying the HTTP status and error code to send back to the client
+class HttpError extends Error {
+    constructor(statusCode, code, message, headers = {}) {
+        super(message);
+        this.statusCode = statusCode;
+        this.code = code;
+        this.headers = headers;
+    }
+}
+
+// HTTP status for each AnalysisError code
+const ANALYSIS_ERROR_STATUS = {
+    INVALID_INPUT: 400,
+    INVALID_PROFILE: 400,
+    UNKNOWN_PROFILE: 400,
+    EMBEDDINGS_UNAVAILABLE: 503
+};
+
+function sendJson(res, statusCode, body, headers = {}) {
+    const payload = JSON.stringify(body);
+    res.writeHead(statusCode, {
+        "Content-Type": "application/json; charset=utf-8",
+        "Content-Length": Buffer.byteLength(payload),
+        ...headers
+    });
+    res.end(payload);
+}
+
+function sendError(res, error) {
+    sendJson(res, error.statusCode, { error: { code: error.code, message: error.message } }, error.headers);
+}
+
+// Read and parse a JSON request body, enforcing content type and size limits
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const contentType = (req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+        if (contentType !== "application/json") {
+            reject(new HttpError(415, "UNSUPPORTED_MEDIA_TYPE", "Request body must be application/json"));
+            req.resume();
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        let tooLarge = false;
+
+        req.on("data", chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                tooLarge = true;
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on("end", () => {
+            if (tooLarge) {
+                reject(new HttpError(413, "PAYLOAD_TOO_LARGE", `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+                return;
+            }
+
+            let body;
+            try {
+                body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+            } catch (error) {
+                reject(new HttpError(400, "INVALID_JSON", `Request body is not valid JSON: ${error.message}`));
+                return;
+            }
+
+            if (!body || typeof body !== "object" || Array.isArray(body)) {
+                reject(new HttpError(400, "INVALID_JSON", "Request body must be a JSON object"));
+                return;
+            }
+
+            resolve(body);
+        });
+
+        req.on("error", reject);
+    });
+}
+
+// Validate a text field with the same rules the CLI applies through validateInput
+function requireText(body, field, label) {
+    const error = getInputError(body[field], label);
+    if (error) {
+        throw new HttpError(400, "INVALID_INPUT", `${error} (field "${field}")`);
+    }
+    return body[field];
+}
+
+// Resolve the resume text from either the `resume` field or an uploaded `resumeFile`
+async function readResume(body) {
+    if (body.resumeFile === undefined) {
+        return { text: requireText(body, "resume", "Resume"), extraction: undefined };
+    }
+
+    const file = body.resumeFile;
+    if (!file || typeof file !== "object" || typeof file.data !== "string" || file.data === "") {
+        throw new HttpError(400, "INVALID_INPUT", 'resumeFile must be an object with base64-encoded "data"');
+    }
+
+    let document;
+    try {
+        document = await convertDocument(Buffer.from(file.data, "base64"), {
+            filename: typeof file.filename === "string" ? file.filename : "",
+            format: file.format
+        });
+    } catch (error) {
+        if (!(error instanceof DocumentError)) throw error;
+        throw new HttpError(422, error.code, error.message);
+    }
+
+    const inputError = getInputError(document.text, "Resume");
+    if (inputError) {
+        const reasons = document.warnings.map(warning => warning.message).join("; ");
+        throw new HttpError(422, "INVALID_INPUT", reasons ? `${inputError} ${reasons}` : inputError);
+    }
+
+    return {
+        text: document.text,
+        extraction: { format: document.format, pageCount: document.pageCount, warnings: document.warnings }
+    };
+}
+
+function readMode(body) {
+    if (body.mode === undefined) return undefined;
+    if (!ANALYSIS_MODES.includes(body.mode)) {
+        throw new HttpError(400, "INVALID_INPUT", `Invalid mode "${body.mode}". Expected one of: ${ANALYSIS_MODES.join(", ")}`);
+    }
+    return body.mode;
+}
+
+// Scoring profile name, or an inline profile object
+function readProfile(body) {
+    if (body.profile === undefined) return undefined;
+    if (typeof body.profile !== "string" && (body.profile === null || typeof body.profile !== "object" || Array.isArray(body.profile))) {
+        throw new HttpError(400, "INVALID_PROFILE", "profile must be a profile name or a profile object");
+    }
+    return body.profile;
+}
+
+// Optional true/false flag
+function readBoolean(body, name) {
+    if (body[name] === undefined) return undefined;
+    if (typeof body[name] !== "boolean") {
+        throw new HttpError(400, "INVALID_INPUT", `${name} must be true or false`);
+    }
+    return body[name];
+}
+
+async function handleAnalyze(req) {
+    const body = await readJsonBody(req);
+    const resume = await readResume(body);
+    const jobDescription = requireText(body, "jobDescription", "Job Description");
+
+    return analyzeResume(resume.text, jobDescription, {
+        mode: readMode(body),
+        profile: readProfile(body),
+        relevantExperienceOnly: readBoolean(body, "relevantExperienceOnly"),
+        blind: readBoolean(body, "blind"),
+        redactSchools: readBoolean(body, "redactSchools"),
+        extraction: resume.extraction
+    });
+}
+
+async function handleParseResume(req) {
+    const body = await readJsonBody(req);
+    const resume = await readResume(body);
+
+    return parseResume(resume.text, { mode: readMode(body), extraction: resume.extraction });
+}
+
+async function handleParseJobDescription(req) {
+    const body = await readJsonBody(req);
+    return parseJobDescription(requireText(body, "jobDescription", "Job Description"), { mode: readMode(body) });
+}
+
+async function handleLintResume(req) {
+    const body = await readJsonBody(req);
+    const resume = await readResume(body);
+
+    return lintResume(resume.text, { extraction: resume.extraction });
+}
+
+async function handleRewrite(req) {
+    const body = await readJsonBody(req);
+    const resume = await readResume(body);
+    const jobDescription = requireText(body, "jobDescription", "Job Description");
+    if (body.maxSuggestions !== undefined && (!Number.isInteger(body.maxSuggestions) || body.maxSuggestions < 1)) {
+        throw new HttpError(400, "INVALID_INPUT", "maxSuggestions must be a positive integer");
+    }
+
+    return suggestRewrites(resume.text, jobDescription, {
+        mode: readMode(body),
+        profile: readProfile(body),
+        relevantExperienceOnly: readBoolean(body, "relevantExperienceOnly"),
+        maxSuggestions: body.maxSuggestions
+    });
+}
+
+async function handleHealth() {
+    const embedding = await checkEmbeddingBackend();
+
+    return {
+        // Parsing still works without embeddings, and /analyze falls back to offline vectors
+        status: embedding.reachable && embedding.modelAvailable && !embedding.degraded ? "ok" : "degraded",
+        embedding
+    };
+}
+
+// Route table: path -> { method: handler }
+const ROUTES = {
+    "/analyze": { POST: handleAnalyze },
+    "/parse/resume": { POST: handleParseResume },
+    "/parse/job-description": { POST: handleParseJobDescription },
+    "/lint/resume": { POST: handleLintResume },
+    "/rewrite": { POST: handleRewrite },
+    "/health": { GET: handleHealth }
+};
+
+// Path of a request URL; a URL that cannot be parsed, such as "//", is a client error
+function readPathname(url) {
+    try {
+        return new URL(url, "http://localhost").pathname;
+    } catch (error) {
+        throw new HttpError(400, "INVALID_URL", `Invalid request URL: ${url}`);
+    }
+}
+
+async function handleRequest(req, res) {
+    let pathname = req.url;
+
+    try {
+        pathname = readPathname(req.url);
+        const route = ROUTES[pathname.replace(/\/+$/, "") || "/"];
+        if (!route) {
+            throw new HttpError(404, "NOT_FOUND", `No route for ${pathname}`);
+        }
+
+        const handler = route[req.method];
+        if (!handler) {
+            throw new HttpError(405, "METHOD_NOT_ALLOWED", `${req.method} is not allowed on ${pathname}`, {
+                Allow: Object.keys(route).join(", ")
+            });
+        }
+
+        sendJson(res, 200, await handler(req));
+    } catch (error) {
+        if (error instanceof HttpError) {
+            sendError(res, error);
+        } else if (error instanceof AnalysisError) {
+            sendError(res, new HttpError(ANALYSIS_ERROR_STATUS[error.code] || 500, error.code, error.message));
+        } else if (error instanceof GenerationError) {
+            sendError(res, new HttpError(error.code === "GENERATION_UNAVAILABLE" ? 503 : 500, error.code, error.message));
+        } else {
+            console.error(`Error handling ${req.method} ${pathname}: ${error.stack || error.message}`);
+            sendError(res, new HttpError(500, "INTERNAL_ERROR", "Internal server error"));
+        }
+    }
+}
+
+// Create the HTTP server without starting it, so it can be embedded or tested
+function createServer() {
+    return http.createServer((req, res) => {
+        // handleRequest answers every error itself; this only catches a failure to send that answer
+        handleRequest(req, res).catch(error => {
+            console.error(`Error handling ${req.method} ${req.url}: ${error.stack || error.message}`);
+            if (res.headersSent) {
+                res.destroy();
+            } else {
+                sendError(res, new HttpError(500, "INTERNAL_ERROR", "Internal server error"));
+            }
+        });
+    });
+}
+
+if (require.main === module) {
+    // Fail fast on a misconfigured embedding or generation provider (ATS_EMBEDDING_* and
+    // ATS_GENERATION_* variables), profiles file or taxonomy
+    try {
+        resolveEmbeddingConfig();
+        resolveGenerationConfig();
+        resolveScoringProfile();
+        getSkillsTaxonomy();
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    const port = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+    const host = process.env.HOST || "0.0.0.0";
+
+    createServer().listen(port, host, () => {
+        console.log(`ATS checker API listening on http://${host}:${port}`);
+    });
+}
+
+module.exports = { createServer };
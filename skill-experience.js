@@ -0,0 +1,177 @@
+const { matchSkills } = require("./skill-matcher");
+const { getImpliedSkills } = require("./skills-taxonomy");
+const { classifyRequirements } = require("./requirement-classifier");
+
+/**
+ * PER-SKILL EXPERIENCE
+ *
+ * A skill named in the title or bullets of a role is taken to have been used for the whole of
+ * that role, so a resume listing Python under three jobs from 2016 to today has about ten years
+ * of Python, however the skills section phrases it. Roles that overlap are counted once, and a
+ * skill also earns the time of the narrower skills it covers (Lambda experience is AWS
+ * experience).
+ *
+ * On the job description side, "3+ years of Python" and "Python (5+ years)" set a minimum
+ * number of years for the skills in the same sentence.
+ *
+ * Skills also lose weight with time since they were last used, following the decay curve of the
+ * scoring profile's `recency` section: Flask used in 2012 and never since counts for less than
+ * Flask used in the current role. A skill with no dated role at all, such as one only named in a
+ * skills list, cannot be shown to be recent and gets the lowest weight, so dating a skill never
+ * scores lower than leaving it undated.
+ */
+
+// "3+ years", "5 yrs", "two years"
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const YEARS_PATTERN = new RegExp(`\\b(\\d{1,2}|${Object.keys(NUMBER_WORDS).join("|")})\\s*\\+?\\s*(?:or\\s+more\\s+)?(?:years?|yrs?)\\b`, "gi");
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+// Weight of a skill last used `age` years ago, before the profile's minimum is applied
+const DECAY_CURVES = {
+    // Halves every half-life
+    exponential: (age, halfLifeYears) => Math.pow(0.5, age / halfLifeYears),
+    // Loses half its weight per half-life, in a straight line
+    linear: (age, halfLifeYears) => 1 - 0.5 * age / halfLifeYears,
+    none: () => 1
+};
+
+function monthsBetween(startDate, endDate) {
+    return (endDate.getFullYear() - startDate.getFullYear()) * 12 + endDate.getMonth() - startDate.getMonth();
+}
+
+// Total months covered by a set of periods, counting overlaps once
+function unionMonths(periods) {
+    const sorted = [...periods].sort((a, b) => a.startDate - b.startDate);
+    let total = 0;
+    let coveredUntil = null;
+
+    for (const { startDate, endDate } of sorted) {
+        if (coveredUntil === null || startDate > coveredUntil) {
+            total += monthsBetween(startDate, endDate);
+            coveredUntil = endDate;
+        } else if (endDate > coveredUntil) {
+            total += monthsBetween(coveredUntil, endDate);
+            coveredUntil = endDate;
+        }
+    }
+    return total;
+}
+
+/**
+ * Months of experience with each skill named in the employment history
+ *
+ * @param {Object[]} employmentPeriods - `{ startDate, endDate, jobTitle, company, description }`
+ * @param {Object} taxonomy - Loaded skills taxonomy
+ * @returns {Object} - Skill ID -> `{ months, years, firstUsed, lastUsed, currentlyUsing, roles }`,
+ *   longest first, where `roles` are the `{ jobTitle, company }` the skill was used in,
+ *   `currentlyUsing` is set when one of them ends "Present" and `years` is rounded to one decimal
+ */
+function computeSkillExperience(employmentPeriods, taxonomy) {
+    const periodsBySkill = {};
+
+    for (const period of employmentPeriods) {
+        const roleText = `${period.jobTitle || ""}\n${period.description || ""}`;
+        const skills = Object.keys(matchSkills(roleText, taxonomy));
+        const implied = Object.keys(getImpliedSkills(taxonomy, skills));
+
+        for (const skill of [...skills, ...implied]) {
+            (periodsBySkill[skill] = periodsBySkill[skill] || []).push(period);
+        }
+    }
+
+    const experience = Object.entries(periodsBySkill).map(([skill, periods]) => {
+        const months = unionMonths(periods);
+        return [skill, {
+            months,
+            years: parseFloat((months / 12).toFixed(1)),
+            firstUsed: new Date(Math.min(...periods.map(period => period.startDate))),
+            lastUsed: new Date(Math.max(...periods.map(period => period.endDate))),
+            currentlyUsing: periods.some(period => period.current),
+            roles: periods.map(period => ({ jobTitle: period.jobTitle || null, company: period.company || null }))
+        }];
+    });
+
+    return Object.fromEntries(experience.sort((a, b) => b[1].months - a[1].months));
+}
+
+/**
+ * Minimum years a job description asks for per skill, e.g. "3+ years of Python"
+ *
+ * Each skill takes the number of years written closest to it in the same sentence; when
+ * several sentences ask for years of the same skill, the highest wins.
+ *
+ * @param {string} jobDescriptionText - Job description text
+ * @param {Object} skillMentions - Skill ID -> mentions `{ start, end }` in the same text
+ * @returns {Object} - Skill ID -> minimum years
+ */
+function extractSkillYearRequirements(jobDescriptionText, skillMentions) {
+    const requiredYears = {};
+
+    for (const requirement of classifyRequirements(jobDescriptionText)) {
+        const durations = [...requirement.text.matchAll(YEARS_PATTERN)].map(match => ({
+            years: NUMBER_WORDS[match[1].toLowerCase()] || parseInt(match[1], 10),
+            position: requirement.start + match.index
+        }));
+        if (durations.length === 0) continue;
+
+        for (const [skill, mentions] of Object.entries(skillMentions)) {
+            for (const mention of mentions) {
+                if (mention.start < requirement.start || mention.start >= requirement.end) continue;
+                const nearest = durations.reduce((best, duration) =>
+                    Math.abs(duration.position - mention.start) < Math.abs(best.position - mention.start) ? duration : best);
+                requiredYears[skill] = Math.max(requiredYears[skill] || 0, nearest.years);
+            }
+        }
+    }
+
+    return requiredYears;
+}
+
+/**
+ * How recently each skill was used, and the weight that gives it
+ *
+ * @param {Object} skillExperience - Output of computeSkillExperience
+ * @param {Object} recency - The scoring profile's `{ curve, halfLifeYears, minimumWeight, staleAfterYears }`
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference date, today by default
+ * @param {string[]} [options.undatedSkills] - Skills the resume has, of which those not in
+ *   `skillExperience` have no dated role
+ * @returns {Object} - Skill ID -> `{ lastUsed, yearsSinceUsed, currentlyUsing, dated, weight,
+ *   stale }`; skills in a current role have weight 1, `stale` marks skills unused for longer than
+ *   `staleAfterYears`, and skills with no dated role are not `dated`, have a null `lastUsed` and
+ *   `yearsSinceUsed` and take `minimumWeight` (1 with the "none" curve)
+ */
+function computeSkillRecency(skillExperience, recency, options = {}) {
+    const now = options.now || new Date();
+    const decay = DECAY_CURVES[recency.curve];
+
+    const dated = Object.entries(skillExperience).map(([skill, usage]) => {
+        const yearsSinceUsed = usage.currentlyUsing ? 0 : Math.max(0, (now - usage.lastUsed) / MS_PER_YEAR);
+        return [skill, {
+            lastUsed: usage.lastUsed,
+            yearsSinceUsed: parseFloat(yearsSinceUsed.toFixed(1)),
+            currentlyUsing: usage.currentlyUsing,
+            dated: true,
+            weight: parseFloat(Math.max(recency.minimumWeight, Math.min(1, decay(yearsSinceUsed, recency.halfLifeYears))).toFixed(3)),
+            stale: yearsSinceUsed > recency.staleAfterYears
+        }];
+    });
+    const undated = (options.undatedSkills || []).filter(skill => !skillExperience[skill]).map(skill => [skill, {
+        lastUsed: null,
+        yearsSinceUsed: null,
+        currentlyUsing: false,
+        dated: false,
+        weight: recency.curve === "none" ? 1 : recency.minimumWeight,
+        stale: false
+    }]);
+
+    return Object.fromEntries([...dated, ...undated]);
+}
+
+module.exports = {
+    computeSkillExperience,
+    computeSkillRecency,
+    extractSkillYearRequirements,
+    DECAY_CURVES
+};
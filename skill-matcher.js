@@ -0,0 +1,132 @@
+const { getSurfaceForms } = require("./skills-taxonomy");
+
+/**
+ * TOKEN-BOUNDARY SKILL MATCHER
+ *
+ * Finds where skills from the taxonomy are mentioned in a text. A spelling only matches as a
+ * whole token, so "java" does not match inside "javascript", "go" inside "google" or "rest"
+ * inside "interest":
+ *
+ * - A letter or digit on either side prevents a match, and so does a dot joining two tokens,
+ *   which keeps "js" from matching inside "next.js" while still matching "Next.js." at a
+ *   sentence end.
+ * - Spellings with symbols ("c++", "c#", ".net", "ci/cd") match literally, so ".net" does not
+ *   match inside "asp.net" and "c" is never mistaken for "c++".
+ * - Multi-word spellings match across any run of spaces, line breaks or hyphens
+ *   ("machine learning", "machine-learning").
+ * - A trailing version is part of the match: "Python 3.11", "python3", "React 18", "Angular 2+".
+ * - Skills marked `caseSensitive` in the taxonomy, whose names are also common words ("Go",
+ *   "R", "REST", "Swift"), only match their name as written, or their ID capitalized or in
+ *   upper case. Their aliases ("golang") still match in any case.
+ *
+ * - A few everyday phrases that open with a skill's name are not mentions of it: "Go to market",
+ *   "go-live".
+ *
+ * When matches of different skills overlap, the longest wins: "React Native" is not also a
+ * mention of React, and "GitHub Actions" is not also a mention of GitHub.
+ */
+
+const WORD_CHAR = "A-Za-z0-9";
+// "&" joins tokens too, so "R&D" and "AT&T" are not mentions of R or T
+const LEFT_BOUNDARY = `(?<![${WORD_CHAR}&])(?<![${WORD_CHAR}]\\.)`;
+const RIGHT_BOUNDARY = `(?![${WORD_CHAR}+#&])(?!\\.[${WORD_CHAR}])`;
+const VERSION = "(?:\\s?v?\\d+(?:\\.(?:\\d+|x))*\\+?)?";
+
+// Text right after a skill's match that makes it part of an everyday phrase instead
+const STOP_PHRASES = {
+    go: /^[\s-]+(?:to[\s-]+market|live|ahead)\b/i
+};
+
+// Compiled patterns by taxonomy, and by whether aliases are included
+const compiledPatterns = new WeakMap();
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Pattern source for one spelling: separators match any run of whitespace or hyphens
+function formPattern(form) {
+    return form.trim().split(/[\s-]+/).map(escapeRegExp).join("[\\s\\-]+");
+}
+
+function compileSkill(taxonomy, skill, includeAliases) {
+    const patterns = [];
+    const addPattern = (forms, flags) => {
+        if (forms.length === 0) return;
+        // Longer spellings first, so "react native" is tried before "react"
+        const alternatives = [...new Set(forms)].sort((a, b) => b.length - a.length).map(formPattern);
+        patterns.push(new RegExp(`${LEFT_BOUNDARY}(?:${alternatives.join("|")})${VERSION}${RIGHT_BOUNDARY}`, flags));
+    };
+
+    if (skill.caseSensitive) {
+        const capitalized = skill.id.charAt(0).toUpperCase() + skill.id.slice(1);
+        addPattern(includeAliases ? [skill.name, skill.name.toUpperCase(), capitalized, skill.id.toUpperCase()] : [capitalized, skill.id.toUpperCase()], "g");
+        if (includeAliases) addPattern(skill.aliases, "gi");
+    } else {
+        addPattern(includeAliases ? getSurfaceForms(taxonomy, skill.id) : [skill.id], "gi");
+    }
+
+    return { id: skill.id, patterns };
+}
+
+function getPatterns(taxonomy, includeAliases) {
+    let compiled = compiledPatterns.get(taxonomy);
+    if (!compiled) {
+        compiled = {};
+        compiledPatterns.set(taxonomy, compiled);
+    }
+
+    const key = includeAliases ? "aliases" : "ids";
+    if (!compiled[key]) {
+        compiled[key] = [...taxonomy.skills.values()].map(skill => compileSkill(taxonomy, skill, includeAliases));
+    }
+    return compiled[key];
+}
+
+// Drop hits contained in a longer hit, keeping the first of identical spans
+function removeOverlappedHits(hits) {
+    const sorted = [...hits].sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+    const kept = [];
+    let coveredUntil = -1;
+
+    for (const hit of sorted) {
+        if (hit.end <= coveredUntil) continue;
+        kept.push(hit);
+        coveredUntil = Math.max(coveredUntil, hit.end);
+    }
+    return kept;
+}
+
+/**
+ * Find every skill mentioned in a text
+ *
+ * @param {string} text - Resume or job description text
+ * @param {Object} taxonomy - Loaded skills taxonomy, see skills-taxonomy.js
+ * @param {Object} [options]
+ * @param {boolean} [options.aliases=true] - Also match aliases and display names, not only IDs
+ * @returns {Object} - Skill ID -> hits `{ start, end, text }` in text order, with skills in
+ *   taxonomy order; `start` and `end` are character offsets into `text`
+ */
+function matchSkills(text, taxonomy, options = {}) {
+    const includeAliases = options.aliases !== false;
+    const hits = [];
+
+    for (const { id, patterns } of getPatterns(taxonomy, includeAliases)) {
+        for (const pattern of patterns) {
+            for (const match of text.matchAll(pattern)) {
+                if (STOP_PHRASES[id] && STOP_PHRASES[id].test(text.slice(match.index + match[0].length))) continue;
+                hits.push({ skill: id, start: match.index, end: match.index + match[0].length, text: match[0] });
+            }
+        }
+    }
+
+    const bySkill = {};
+    for (const { skill, ...hit } of removeOverlappedHits(hits)) {
+        (bySkill[skill] = bySkill[skill] || []).push(hit);
+    }
+
+    // Report skills in taxonomy order so results are stable across texts
+    return Object.fromEntries([...taxonomy.skills.keys()].filter(id => bySkill[id]).map(id => [id, bySkill[id]]));
+}
+
+module.exports = { matchSkills };
@@ -0,0 +1,223 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+/**
+ * SKILLS TAXONOMY
+ *
+ * Technical skills are identified by canonical IDs defined in data/skills-taxonomy.json:
+ *
+ *   { "id": "kubernetes", "name": "Kubernetes", "category": "cloud", "aliases": ["k8s", "kube"] }
+ *   { "id": "lambda", "name": "AWS Lambda", "category": "cloud", "parent": "aws" }
+ *
+ * Every spelling of a skill (its ID, display name and aliases) resolves to the same ID, ignoring
+ * case, spaces, dots, hyphens and underscores ("Next.js", "NextJS", "next js") and a trailing
+ * version ("Python 3.11", "React 18", "Angular 2+"). A `parent` says the skill is part of a
+ * broader one, so experience with ECS also counts as AWS experience. Skills whose names are also
+ * common words ("Go", "REST", "Spring") are marked `caseSensitive`, see skill-matcher.js.
+ *
+ * Teams can add internal tools or aliases in a JSON or YAML file with the same layout, passed as
+ * `skillsFile` or via ATS_SKILLS_FILE. Entries with a new ID are added; entries with an existing
+ * ID add aliases to it and may override its name, category or parent.
+ */
+
+const BUILT_IN_TAXONOMY_PATH = path.join(__dirname, "data", "skills-taxonomy.json");
+
+// Trailing version of a skill mention: "3", "3.11", "v18", "2+", "5.x"
+const VERSION_SUFFIX = /^(.*?[a-z+#])\s*v?\d+(?:\.(?:\d+|x))*\+?$/i;
+
+// Loaded taxonomies by file, reused while the file is unchanged
+const loadedTaxonomies = new Map();
+
+// Error raised for unreadable or inconsistent taxonomy files
+class SkillsTaxonomyError extends Error {
+    constructor(message, code = "INVALID_TAXONOMY") {
+        super(message);
+        this.name = "SkillsTaxonomyError";
+        this.code = code;
+    }
+}
+
+// Lookup key of a skill spelling: lowercase, without separators
+function normalizeSkillKey(term) {
+    return String(term).toLowerCase().trim().replace(/[\s._-]+/g, "");
+}
+
+function readTaxonomyFile(filePath) {
+    let parsed;
+    try {
+        const raw = fs.readFileSync(filePath, "utf8");
+        parsed = /\.ya?ml$/i.test(filePath) ? yaml.load(raw) : JSON.parse(raw);
+    } catch (error) {
+        throw new SkillsTaxonomyError(`Could not load skills taxonomy from ${filePath}: ${error.message}`);
+    }
+
+    if (!parsed || typeof parsed !== "object" || !Array.isArray(parsed.skills)) {
+        throw new SkillsTaxonomyError(`Skills taxonomy ${filePath} must contain a "skills" list`);
+    }
+    return parsed;
+}
+
+// Add or extend the skills of one taxonomy file
+function mergeSkills(skills, categories, definition, source) {
+    Object.assign(categories, definition.categories || {});
+
+    definition.skills.forEach((entry, index) => {
+        if (!entry || typeof entry.id !== "string" || !entry.id.trim()) {
+            throw new SkillsTaxonomyError(`${source}: skill #${index + 1} needs a string "id"`);
+        }
+        if (entry.aliases !== undefined && (!Array.isArray(entry.aliases) || !entry.aliases.every(alias => typeof alias === "string"))) {
+            throw new SkillsTaxonomyError(`${source}: aliases of "${entry.id}" must be a list of strings`);
+        }
+
+        const id = entry.id.trim().toLowerCase();
+        const existing = skills.get(id);
+        skills.set(id, {
+            id,
+            name: entry.name || (existing ? existing.name : entry.id),
+            category: entry.category || (existing ? existing.category : null),
+            parent: entry.parent !== undefined ? entry.parent && entry.parent.toLowerCase() : (existing ? existing.parent : null),
+            caseSensitive: entry.caseSensitive !== undefined ? entry.caseSensitive === true : Boolean(existing && existing.caseSensitive),
+            aliases: [...new Set([...(existing ? existing.aliases : []), ...(entry.aliases || []).map(alias => alias.toLowerCase())])]
+        });
+    });
+}
+
+// Check categories and parents, and build the spelling index
+function buildIndex(skills, categories) {
+    const index = new Map();
+
+    for (const skill of skills.values()) {
+        if (!skill.category || !categories[skill.category]) {
+            throw new SkillsTaxonomyError(`Skill "${skill.id}" has unknown category "${skill.category}". Known categories: ${Object.keys(categories).join(", ")}`);
+        }
+        if (skill.parent && !skills.has(skill.parent)) {
+            throw new SkillsTaxonomyError(`Skill "${skill.id}" has unknown parent "${skill.parent}"`);
+        }
+
+        const seen = [skill.id];
+        for (let parent = skill.parent; parent; parent = skills.get(parent).parent) {
+            if (seen.includes(parent)) {
+                throw new SkillsTaxonomyError(`Skill "${skill.id}" is its own ancestor through ${seen.join(" -> ")}`);
+            }
+            seen.push(parent);
+        }
+
+        for (const form of [skill.id, skill.name, ...skill.aliases]) {
+            const key = normalizeSkillKey(form);
+            const owner = index.get(key);
+            if (owner && owner !== skill.id) {
+                throw new SkillsTaxonomyError(`"${form}" is used by both "${owner}" and "${skill.id}"`);
+            }
+            index.set(key, skill.id);
+        }
+    }
+
+    return index;
+}
+
+/**
+ * Load the built-in taxonomy, extended with a custom file
+ *
+ * @param {string} [filePath] - JSON/YAML file with additional skills; built-ins only when omitted
+ * @returns {Object} - `{ categories, skills, index }` where `skills` maps IDs to
+ *   `{ id, name, category, parent, caseSensitive, aliases }` and `index` maps lookup keys to IDs
+ * @throws {SkillsTaxonomyError} - When a file cannot be read or the merged taxonomy is inconsistent
+ */
+function loadSkillsTaxonomy(filePath) {
+    const skills = new Map();
+    const categories = {};
+
+    mergeSkills(skills, categories, readTaxonomyFile(BUILT_IN_TAXONOMY_PATH), BUILT_IN_TAXONOMY_PATH);
+    if (filePath) mergeSkills(skills, categories, readTaxonomyFile(filePath), filePath);
+
+    return { categories, skills, index: buildIndex(skills, categories) };
+}
+
+/**
+ * Taxonomy for an analysis, reusing an already loaded one while its file is unchanged
+ *
+ * @param {Object} [options]
+ * @param {string} [options.skillsFile] - Custom taxonomy file; ATS_SKILLS_FILE by default
+ * @returns {Object} - The loaded taxonomy, see loadSkillsTaxonomy
+ * @throws {SkillsTaxonomyError} - When the file cannot be read or is inconsistent
+ */
+function getSkillsTaxonomy(options = {}) {
+    const skillsFile = options.skillsFile || process.env.ATS_SKILLS_FILE;
+    const cacheKey = skillsFile ? path.resolve(skillsFile) : "";
+
+    let modified = 0;
+    if (skillsFile) {
+        try {
+            modified = fs.statSync(skillsFile).mtimeMs;
+        } catch (error) {
+            throw new SkillsTaxonomyError(`Could not load skills taxonomy from ${skillsFile}: ${error.message}`);
+        }
+    }
+
+    const cached = loadedTaxonomies.get(cacheKey);
+    if (cached && cached.modified === modified) return cached.taxonomy;
+
+    const taxonomy = loadSkillsTaxonomy(skillsFile);
+    loadedTaxonomies.set(cacheKey, { modified, taxonomy });
+    return taxonomy;
+}
+
+/**
+ * Canonical ID of a skill spelling, e.g. "K8s" -> "kubernetes", "Python 3.11" -> "python"
+ *
+ * @returns {string|null} - The skill ID, or null when the term is not a known skill
+ */
+function resolveSkill(taxonomy, term) {
+    const key = normalizeSkillKey(term);
+    if (taxonomy.index.has(key)) return taxonomy.index.get(key);
+
+    // Only strip a version when what remains is a skill, so "web3" and "s3" stay intact
+    const unversioned = String(term).trim().match(VERSION_SUFFIX);
+    return unversioned ? taxonomy.index.get(normalizeSkillKey(unversioned[1])) || null : null;
+}
+
+// Every lowercase spelling of a skill: its ID, display name and aliases
+function getSurfaceForms(taxonomy, id) {
+    const skill = taxonomy.skills.get(id);
+    if (!skill) return [id];
+    return [...new Set([skill.id, skill.name.toLowerCase(), ...skill.aliases])];
+}
+
+// Parent, grandparent, ... of a skill
+function getAncestors(taxonomy, id) {
+    const ancestors = [];
+    for (let skill = taxonomy.skills.get(id); skill && skill.parent; skill = taxonomy.skills.get(skill.parent)) {
+        ancestors.push(skill.parent);
+    }
+    return ancestors;
+}
+
+/**
+ * Broader skills implied by a set of skills and not already in it
+ *
+ * @param {Object} taxonomy - The loaded taxonomy
+ * @param {string[]} ids - Skill IDs, e.g. those found in a resume
+ * @returns {Object} - Implied skill ID -> IDs of the skills implying it, e.g. `{ aws: ["lambda", "ecs"] }`
+ */
+function getImpliedSkills(taxonomy, ids) {
+    const implied = {};
+    for (const id of ids) {
+        for (const ancestor of getAncestors(taxonomy, id)) {
+            if (ids.includes(ancestor)) continue;
+            implied[ancestor] = [...(implied[ancestor] || []), id];
+        }
+    }
+    return implied;
+}
+
+module.exports = {
+    getSkillsTaxonomy,
+    loadSkillsTaxonomy,
+    resolveSkill,
+    getSurfaceForms,
+    getAncestors,
+    getImpliedSkills,
+    normalizeSkillKey,
+    SkillsTaxonomyError
+};
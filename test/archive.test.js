@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const AdmZip = require("adm-zip");
+
+const { readArchiveEntry, readArchiveText } = require("../converters/archive");
+const { convertDocument } = require("../converters");
+
+// A zip of one deflated entry whose local and central headers declare `declaredSize` bytes
+function archiveDeclaring(name, content, declaredSize) {
+    const zip = new AdmZip();
+    zip.addFile(name, content);
+    const buffer = zip.toBuffer();
+    buffer.writeUInt32LE(declaredSize, 22);
+    buffer.writeUInt32LE(declaredSize, buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+    return buffer;
+}
+
+test("entries are read within the limit", () => {
+    const zip = new AdmZip(archiveDeclaring("notes.txt", Buffer.from("hello ".repeat(100)), 600));
+    assert.strictEqual(readArchiveText(zip, "notes.txt"), "hello ".repeat(100));
+    assert.strictEqual(readArchiveText(zip, "missing.txt"), null);
+});
+
+test("entries declaring more than the limit are refused before inflating", () => {
+    const zip = new AdmZip(archiveDeclaring("big.txt", Buffer.from("a".repeat(2000)), 2000));
+    assert.throws(() => readArchiveEntry(zip.getEntry("big.txt"), 1000), { code: "DOCUMENT_TOO_LARGE" });
+});
+
+test("entries understating their size are refused once they expand beyond the limit", () => {
+    const zip = new AdmZip(archiveDeclaring("bomb.txt", Buffer.alloc(4 * 1024 * 1024, "a"), 100));
+    assert.throws(() => readArchiveEntry(zip.getEntry("bomb.txt"), 1024 * 1024), { code: "DOCUMENT_TOO_LARGE" });
+});
+
+test("a DOCX whose document part understates its size is refused as too large", async () => {
+    const buffer = archiveDeclaring("word/document.xml", Buffer.alloc(30 * 1024 * 1024, " "), 100);
+    await assert.rejects(convertDocument(buffer, { format: "docx" }), { code: "DOCUMENT_TOO_LARGE" });
+});
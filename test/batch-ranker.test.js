@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { formatLeaderboardCsv, csvField, CSV_SCORE_COLUMNS } = require("../batch-ranker");
+
+function candidate(fields) {
+    return {
+        rank: 1,
+        file: "jane.pdf",
+        name: "Jane Doe",
+        overallScore: 72.5,
+        rating: "Good",
+        scores: Object.fromEntries(Object.keys(CSV_SCORE_COLUMNS).map(key => [key, 50])),
+        mustHaveCoverage: { matched: 2, total: 3, percentage: 66.67 },
+        topMissingSkills: ["kafka"],
+        ...fields
+    };
+}
+
+test("applicant-controlled cells that start like a formula are neutralized", () => {
+    const csv = formatLeaderboardCsv({
+        ranked: [candidate({ file: "=HYPERLINK(\"http://x\").pdf", name: "@SUM(A1)" })],
+        failed: [{ file: "+cmd.docx", message: "-unreadable" }]
+    });
+    const cells = csv.split("\n").slice(1).join("\n");
+    assert.doesNotMatch(cells, /(?:^|,)"?[=+\-@]/m);
+    assert.match(csv, /"'=HYPERLINK\(""http:\/\/x""\)\.pdf"/);
+    assert.match(csv, /,'@SUM\(A1\),/);
+    assert.match(csv, /,'\+cmd\.docx,/);
+});
+
+test("numbers, including negative ones, are written as numbers", () => {
+    assert.strictEqual(csvField(-1.5), "-1.5");
+    assert.strictEqual(csvField(72.5), "72.5");
+    assert.strictEqual(csvField("a, b"), "\"a, b\"");
+    assert.strictEqual(csvField(null), "");
+});
@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { parseDate, parseDateRange, findDateRanges } = require("../date-parser");
+
+const NOW = new Date(2024, 5);
+
+// "2020-03" for March 2020, in local time like the parser's dates
+function month(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+}
+
+function span(text) {
+    const range = parseDateRange(text, { now: NOW });
+    return range && { start: month(range.startDate), end: month(range.endDate), current: range.current, single: range.single };
+}
+
+test("month ranges run from the start month to the end month", () => {
+    assert.deepStrictEqual(span("Jan 2020 - Mar 2021"), { start: "2020-01", end: "2021-03", current: false, single: false });
+    assert.deepStrictEqual(span("Mar - Jun 2021"), { start: "2021-03", end: "2021-06", current: false, single: false });
+    assert.deepStrictEqual(span("Nov - Feb 2021"), { start: "2020-11", end: "2021-02", current: false, single: false });
+});
+
+test("year, season and quarter dates span every month they can mean", () => {
+    assert.deepStrictEqual(span("2018 – 2021"), { start: "2018-01", end: "2021-12", current: false, single: false });
+    assert.deepStrictEqual(span("Fall '19 - Spring '21"), { start: "2019-09", end: "2021-05", current: false, single: false });
+    assert.deepStrictEqual(span("Q3 '20 - Q1 '21"), { start: "2020-07", end: "2021-03", current: false, single: false });
+
+    const range = parseDateRange("2018 - Summer 2021", { now: NOW });
+    assert.deepStrictEqual(range.precision, { start: "year", end: "season" });
+    assert.deepStrictEqual(range.uncertaintyMonths, { start: 11, end: 2 });
+});
+
+test("ranges ending in Present, opened with since or left open after a dash are still running", () => {
+    assert.deepStrictEqual(span("Jan '20 – Present"), { start: "2020-01", end: "2024-06", current: true, single: false });
+    assert.deepStrictEqual(span("since March 2020"), { start: "2020-03", end: "2024-06", current: true, single: false });
+    assert.deepStrictEqual(span("Mar 2020 -"), { start: "2020-03", end: "2024-06", current: true, single: false });
+    assert.deepStrictEqual(span("Developer | Foo | Mar 2020 – | Remote"), { start: "2020-03", end: "2024-06", current: true, single: false });
+});
+
+test("a year followed by two digits that cannot be a month is a range of years", () => {
+    assert.deepStrictEqual(span("2019-20"), { start: "2019-01", end: "2020-12", current: false, single: false });
+    assert.deepStrictEqual(span("2015–16"), { start: "2015-01", end: "2016-12", current: false, single: false });
+    assert.deepStrictEqual(span("2012-13"), { start: "2012-01", end: "2013-12", current: false, single: false });
+});
+
+test("a year followed by two digits that can be a month is an ISO month", () => {
+    assert.deepStrictEqual(span("2008-09"), { start: "2008-09", end: "2008-09", current: false, single: true });
+    assert.deepStrictEqual(span("2011-12"), { start: "2011-12", end: "2011-12", current: false, single: true });
+    assert.deepStrictEqual(span("2020-03"), { start: "2020-03", end: "2020-03", current: false, single: true });
+    assert.deepStrictEqual(span("2010-11 - 2012-03"), { start: "2010-11", end: "2012-03", current: false, single: false });
+});
+
+test("ISO months open ranges with since or a trailing dash", () => {
+    assert.deepStrictEqual(span("since 2008-09"), { start: "2008-09", end: "2024-06", current: true, single: false });
+    assert.deepStrictEqual(span("2008-09 -"), { start: "2008-09", end: "2024-06", current: true, single: false });
+    assert.deepStrictEqual(span("Engineer | Foo | 2008-09 – | Remote"), { start: "2008-09", end: "2024-06", current: true, single: false });
+});
+
+test("single dates stand for one role", () => {
+    assert.deepStrictEqual(span("Intern | Hooli | Summer 2016"), { start: "2016-06", end: "2016-08", current: false, single: true });
+    assert.deepStrictEqual(span("Mar 2020 - Acme"), { start: "2020-03", end: "2020-03", current: false, single: true });
+});
+
+test("zip codes, phone numbers and percentages are not dates", () => {
+    assert.strictEqual(parseDateRange("San Francisco, CA 94107", { now: NOW }), null);
+    assert.strictEqual(parseDateRange("Call 555-2019", { now: NOW }), null);
+    assert.deepStrictEqual(findDateRanges("Grew revenue 2019 - 20% year over year", { now: NOW }), []);
+});
+
+test("ranges are found in the order they appear", () => {
+    const ranges = findDateRanges("Engineer, 2019 - Present\nDeveloper, Jan 2016 - Dec 2018", { now: NOW });
+    assert.deepStrictEqual(ranges.map(range => range.text), ["2019 - Present", "Jan 2016 - Dec 2018"]);
+});
+
+test("parseDate reads one date with its precision", () => {
+    const date = parseDate("Q3 2020", { now: NOW });
+    assert.strictEqual(date.precision, "quarter");
+    assert.strictEqual(month(date.startDate), "2020-07");
+    assert.strictEqual(month(date.endDate), "2020-09");
+    assert.strictEqual(parseDate("Present", { now: NOW }).current, true);
+    assert.strictEqual(parseDate("next week", { now: NOW }), null);
+});
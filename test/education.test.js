@@ -0,0 +1,29 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { extractEducationRecords, extractEducationRequirement } = require("../education");
+
+test("a required degree keeps its level when a higher one is only preferred", () => {
+    const requirement = extractEducationRequirement("Master's degree in Computer Science required, PhD preferred.");
+    assert.strictEqual(requirement.minimumLevel, "master");
+    assert.strictEqual(requirement.preferredLevel, "doctorate");
+    assert.strictEqual(requirement.requirementLevel, "required");
+});
+
+test("a degree that is only preferred is a preferred requirement", () => {
+    const requirement = extractEducationRequirement("A Bachelor's degree in Computer Science is preferred.");
+    assert.strictEqual(requirement.requirementLevel, "preferred");
+});
+
+test("an institution after a comma is never taken for the field of study", () => {
+    const [record] = extractEducationRecords("EDUCATION\nAssociate of Science, Foothill College, 2014\n");
+    assert.strictEqual(record.level, "associate");
+    assert.strictEqual(record.field, null);
+    assert.strictEqual(record.institution, "Foothill College");
+});
+
+test("a field of study after the degree is read", () => {
+    const [record] = extractEducationRecords("EDUCATION\nBachelor of Science in Computer Science, Stanford University, 2016\n");
+    assert.strictEqual(record.field, "Computer Science");
+    assert.strictEqual(record.graduationYear, 2016);
+});
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { openEmbeddingCache, getCacheStats, clearCache } = require("../embeddings/cache");
+
+const PROVIDER = { name: "ollama", model: "nomic-embed-text" };
+
+// 8 bytes per value, so each entry of this vector takes 800 bytes
+const VECTOR = Array.from({ length: 100 }, (_, index) => index / 100);
+
+async function withCacheDir(run) {
+    const cacheDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "ats-cache-"));
+    try {
+        await run(cacheDir);
+    } finally {
+        await fs.promises.rm(cacheDir, { recursive: true, force: true });
+    }
+}
+
+// Number of files stat-ed while `run` runs
+async function countStats(run) {
+    const stat = fs.promises.stat;
+    let calls = 0;
+    fs.promises.stat = (...args) => {
+        calls++;
+        return stat(...args);
+    };
+    try {
+        await run();
+    } finally {
+        fs.promises.stat = stat;
+    }
+    return calls;
+}
+
+test("cached vectors are read back", () => withCacheDir(async cacheDir => {
+    const cache = openEmbeddingCache(PROVIDER, { cacheDir });
+    await cache.set("hello", VECTOR);
+    assert.deepStrictEqual(await cache.get("hello"), VECTOR);
+    assert.strictEqual(await cache.get("missing"), null);
+}));
+
+test("clearing removes cache entries and leaves other files alone", () => withCacheDir(async cacheDir => {
+    const cache = openEmbeddingCache(PROVIDER, { cacheDir });
+    await cache.set("hello", VECTOR);
+
+    const foreign = path.join(cacheDir, "notes", "ab");
+    await fs.promises.mkdir(foreign, { recursive: true });
+    await fs.promises.writeFile(path.join(foreign, "notes.bin"), "keep");
+    await fs.promises.writeFile(path.join(cacheDir, "notes", "README"), "keep");
+
+    const stats = await getCacheStats({ cacheDir });
+    assert.strictEqual(stats.totalEntries, 1);
+    assert.deepStrictEqual(stats.namespaces.map(namespace => namespace.provider), ["ollama"]);
+
+    assert.deepStrictEqual(await clearCache({ cacheDir }), { removedEntries: 1, freedBytes: 800 });
+    assert.strictEqual(await fs.promises.readFile(path.join(foreign, "notes.bin"), "utf8"), "keep");
+    assert.strictEqual(await fs.promises.readFile(path.join(cacheDir, "notes", "README"), "utf8"), "keep");
+    assert.strictEqual(fs.existsSync(path.join(cacheDir, "ollama__nomic-embed-text")), false);
+}));
+
+test("eviction lists the cache once and again only when writes may have passed the limit", () => withCacheDir(async cacheDir => {
+    const cache = openEmbeddingCache(PROVIDER, { cacheDir, cacheMaxBytes: 3000 });
+    for (const text of ["a", "b"]) await cache.set(text, VECTOR);
+
+    assert.ok(await countStats(() => cache.evict()) > 0);
+
+    await cache.set("c", VECTOR);
+    const reopened = openEmbeddingCache(PROVIDER, { cacheDir, cacheMaxBytes: 3000 });
+    assert.strictEqual(await countStats(() => reopened.evict()), 0);
+
+    await reopened.set("d", VECTOR);
+    let removed;
+    assert.ok(await countStats(async () => { removed = await reopened.evict(); }) > 0);
+    assert.strictEqual(removed, 1);
+    assert.strictEqual((await getCacheStats({ cacheDir })).totalEntries, 3);
+}));
@@ -0,0 +1,21 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { redactResume } = require("../redaction");
+
+test("birth years and ages written in prose are redacted", () => {
+    const { text } = redactResume("Jane Doe\n\nSUMMARY\nBorn in 1985, 39 years old. Aged 39, and based in Lisbon.\n");
+    assert.doesNotMatch(text, /1985|39/);
+    assert.match(text, /based in Lisbon/);
+});
+
+test("years of experience are not taken for ages", () => {
+    const { text } = redactResume("Jane Doe\n\nSUMMARY\nEngineer with 5+ years of Python and 10 years in fintech.\n");
+    assert.match(text, /5\+ years of Python and 10 years in fintech/);
+});
+
+test("labeled personal details are redacted", () => {
+    const { text, counts } = redactResume("Jane Doe\nDate of birth: 12/03/1985\nNationality: Portuguese\n");
+    assert.doesNotMatch(text, /1985|Portuguese/);
+    assert.strictEqual(counts.personal, 2);
+});
@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { classifyRequirements, getSkillRequirementLevels } = require("../requirement-classifier");
+const { getSkillsTaxonomy } = require("../skills-taxonomy");
+const { matchSkills } = require("../skill-matcher");
+
+const taxonomy = getSkillsTaxonomy();
+
+function skillLevels(text) {
+    return getSkillRequirementLevels(classifyRequirements(text), matchSkills(text, taxonomy));
+}
+
+test("each clause of a sentence takes its own cue", () => {
+    assert.deepStrictEqual(skillLevels("Python is required, Go is a plus."), { python: "required", go: "bonus" });
+    assert.deepStrictEqual(skillLevels("You must know Docker; Kubernetes is preferred."), { docker: "required", kubernetes: "preferred" });
+});
+
+test("clauses without a cue join the clause whose cue describes them", () => {
+    assert.deepStrictEqual(skillLevels("Python, Go and Rust are a plus."), { python: "bonus", go: "bonus", rust: "bonus" });
+    assert.deepStrictEqual(skillLevels("Experience with Java is required, along with Spring."), { java: "required", spring: "required" });
+});
+
+test("sentences without cues take the level of their section", () => {
+    const text = "Requirements\n- Python\n\nNice to have\n- Kafka\n";
+    assert.deepStrictEqual(skillLevels(text), { python: "required", kafka: "bonus" });
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { lintResume } = require("../resume-linter");
+
+const SECTIONS = "\nEDUCATION\nBSc Computer Science, State University, 2016\n\nSKILLS\nJavaScript, Python\n";
+
+function codes(resumeText) {
+    return lintResume(resumeText).findings.map(finding => finding.code);
+}
+
+test("entries written with quarters and seasons with short years do not throw", () => {
+    const resume = "EXPERIENCE\nDeveloper | Foo | Q3 '20 - Q1 '21\nIntern | Bar | Fall '19 - Spring '21\n" + SECTIONS;
+    assert.doesNotThrow(() => lintResume(resume));
+});
+
+test("short-year quarters and seasons are named in date format warnings", () => {
+    const resume = "EXPERIENCE\nEngineer | Baz | Jan 2018 - Mar 2019\nDeveloper | Foo | Q3 '20 - Q1 '21\nIntern | Bar | Fall '19 - Spring '21\nAnalyst | Qux | Apr 2015 - Dec 2017\n" + SECTIONS;
+    const messages = lintResume(resume).findings
+        .filter(finding => finding.code === "INCONSISTENT_DATE_FORMAT")
+        .map(finding => finding.message);
+    assert.strictEqual(messages.length, 2);
+    assert.match(messages[0], /Qn 'YY while the other roles use Mon YYYY/);
+    assert.match(messages[1], /Season 'YY while the other roles use Mon YYYY/);
+});
+
+test("entries written the same way raise no date format warning", () => {
+    const resume = "EXPERIENCE\nDeveloper | Foo | Q3 '20 - Q1 '21\nAnalyst | Bar | Q1 '18 - Q2 '20\n" + SECTIONS;
+    assert.ok(!codes(resume).includes("INCONSISTENT_DATE_FORMAT"));
+});
+
+test("a resume without standard sections reports them missing", () => {
+    const found = codes("Jane Doe\nSoftware engineer\n");
+    assert.ok(found.includes("MISSING_SECTION"));
+});
+
+function formatWarnings(resumeText) {
+    return lintResume(resumeText).findings.filter(finding => finding.code === "INCONSISTENT_DATE_FORMAT").map(finding => finding.message);
+}
+
+test("year ranges with a short end year are named as such, not as ISO months", () => {
+    const messages = formatWarnings("EXPERIENCE\nEngineer | Foo | Jan 2015 – 2016\nAnalyst at Bar (2015-16)\n" + SECTIONS);
+    assert.strictEqual(messages.length, 1);
+    assert.match(messages[0], /written as YYYY-YY while the other roles use Mon YYYY/);
+    assert.doesNotMatch(messages[0], /YYYY-MM/);
+});
+
+test("years followed by a month are still ISO months", () => {
+    const resume = "EXPERIENCE\nEngineer | Foo | 2020-03 - 2021-06\nAnalyst | Bar | 2008-09 - 2011-12\n" + SECTIONS;
+    assert.deepStrictEqual(formatWarnings(resume), []);
+});
+
+test("when formats are used as often, the one used first is the one to follow", () => {
+    const messages = formatWarnings("EXPERIENCE\nEngineer | Foo | 03/2019 - 06/2021\nAnalyst | Bar | Jan 2016 - Feb 2019\n" + SECTIONS);
+    assert.strictEqual(messages.length, 1);
+    assert.match(messages[0], /written as Mon YYYY while the other roles use MM\/YYYY/);
+});
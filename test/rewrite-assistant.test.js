@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { suggestRewrites } = require("../rewrite-assistant");
+const { startGenerationStub } = require("../generation/stub");
+
+const RESUME = `Jane Doe
+
+EXPERIENCE
+Software Engineer | Acme | Jan 2020 - Present
+- Worked on the billing service and fixed bugs in Python
+- Responsible for the deployment scripts of the data team
+
+EDUCATION
+BSc Computer Science, State University, 2019
+
+SKILLS
+Python, PostgreSQL, Docker
+`;
+
+const JOB = "We are hiring a backend engineer with Python, PostgreSQL and Docker experience to build billing services.";
+
+const ANALYSIS = { embedding: { provider: "local", cache: false } };
+
+async function rewriteWith(answer) {
+    const stub = await startGenerationStub(answer);
+    try {
+        return await suggestRewrites(RESUME, JOB, { ...ANALYSIS, generation: { provider: "ollama", endpoint: stub.endpoint } });
+    } finally {
+        await stub.close();
+    }
+}
+
+test("answers that are not bullets are rejected and never re-scored", async () => {
+    const result = await rewriteWith("[]");
+    assert.strictEqual(result.suggestions.length, 0);
+    assert.strictEqual(result.projected, null);
+    assert.ok(result.rejected.length > 0);
+    result.rejected.forEach(rejected => assert.strictEqual(rejected.code, "NOT_A_REWRITE"));
+});
+
+test("rewrites without an opening action verb are rejected", async () => {
+    const result = await rewriteWith(original => `The ${original.toLowerCase()}`);
+    assert.strictEqual(result.suggestions.length, 0);
+    result.rejected.forEach(rejected => {
+        assert.strictEqual(rejected.code, "NOT_A_REWRITE");
+        assert.match(rejected.reason, /action verb/);
+    });
+});
+
+test("rewrites about different work are rejected", async () => {
+    const result = await rewriteWith("Organized the annual company picnic and holiday party");
+    assert.strictEqual(result.suggestions.length, 0);
+    result.rejected.forEach(rejected => {
+        assert.strictEqual(rejected.code, "NOT_A_REWRITE");
+        assert.match(rejected.reason, /different work/);
+    });
+});
+
+test("rewrites naming skills the resume lacks or new numbers are rejected", async () => {
+    const skill = await rewriteWith(original => `Built ${original.toLowerCase()} with Rust`);
+    assert.ok(skill.rejected.length > 0);
+    skill.rejected.forEach(rejected => assert.strictEqual(rejected.code, "INVENTED_SKILL"));
+
+    const metric = await rewriteWith(original => `Improved ${original.toLowerCase()}, cutting costs by 40%`);
+    assert.ok(metric.rejected.length > 0);
+    metric.rejected.forEach(rejected => assert.strictEqual(rejected.code, "INVENTED_METRIC"));
+});
+
+test("rewrites of the same work with placeholders are suggested and re-scored", async () => {
+    const result = await rewriteWith(original => `Delivered ${original.replace(/^(?:worked on|responsible for)\s+/i, "")}, cutting release time by [X]%`);
+    assert.strictEqual(result.rejected.length, 0);
+    assert.ok(result.suggestions.length > 0);
+    result.suggestions.forEach(suggestion => {
+        assert.ok(suggestion.impactScore.after > suggestion.impactScore.before);
+        assert.strictEqual(typeof suggestion.projected.overallScore, "number");
+    });
+    assert.notStrictEqual(result.projected, null);
+});
@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { resolveScoringProfile } = require("../scoring-profiles");
+
+const ROOT = path.join(__dirname, "..");
+
+test("a broken profiles file does not stop the checker from loading", () => {
+    const profilesFile = path.join(os.tmpdir(), `ats-profiles-${process.pid}.json`);
+    fs.writeFileSync(profilesFile, "{ not json");
+    try {
+        const env = { ...process.env, ATS_PROFILES_FILE: profilesFile };
+        const loaded = execFileSync(process.execPath, ["-e", "console.log(Object.keys(require('./ats-checker').SCORE_WEIGHTS).length > 0)"], { cwd: ROOT, env, encoding: "utf8" });
+        assert.strictEqual(loaded.trim(), "true");
+
+        const help = execFileSync(process.execPath, ["cli.js", "--help"], { cwd: ROOT, env, encoding: "utf8" });
+        assert.match(help, /--resume/);
+
+        assert.throws(() => resolveScoringProfile(undefined, { profilesFile }), { name: "ScoringProfileError" });
+    } finally {
+        fs.rmSync(profilesFile, { force: true });
+    }
+});
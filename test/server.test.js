@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+
+const { createServer } = require("../server");
+
+function request(port, path) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: "127.0.0.1", port, path, method: "GET" }, res => {
+            let body = "";
+            res.on("data", chunk => { body += chunk; });
+            res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+        });
+        req.on("error", reject);
+        req.setTimeout(5000, () => req.destroy(new Error(`No answer to GET ${path}`)));
+        req.end();
+    });
+}
+
+test("unparseable request URLs are answered with 400 and the server keeps running", async () => {
+    const server = createServer();
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address();
+    try {
+        const invalid = await request(port, "//");
+        assert.strictEqual(invalid.status, 400);
+        assert.strictEqual(invalid.body.error.code, "INVALID_URL");
+
+        const unknown = await request(port, "/nope");
+        assert.strictEqual(unknown.status, 404);
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+});
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { computeSkillRecency } = require("../skill-experience");
+const { analyzeResume } = require("../ats-checker");
+
+const RECENCY = { curve: "exponential", halfLifeYears: 4, minimumWeight: 0.4, staleAfterYears: 5 };
+const NOW = new Date(2024, 0);
+
+const EXPERIENCE = {
+    flask: { lastUsed: new Date(2014, 11), currentlyUsing: false },
+    docker: { lastUsed: NOW, currentlyUsing: true },
+    python: { lastUsed: new Date(2020, 0), currentlyUsing: false }
+};
+
+test("a skill last used years ago decays and is stale even when a skills list names it", () => {
+    const recency = computeSkillRecency(EXPERIENCE, RECENCY, { now: NOW, undatedSkills: ["flask", "docker", "python"] });
+    assert.strictEqual(recency.flask.weight, 0.4);
+    assert.strictEqual(recency.flask.stale, true);
+    assert.strictEqual(recency.flask.dated, true);
+    assert.strictEqual(recency.docker.weight, 1);
+    assert.ok(recency.python.weight > 0.4 && recency.python.weight < 1);
+    assert.strictEqual(recency.python.stale, false);
+});
+
+test("a skill with no dated role gets the minimum weight and is not stale", () => {
+    const recency = computeSkillRecency(EXPERIENCE, RECENCY, { now: NOW, undatedSkills: ["kafka"] });
+    assert.deepStrictEqual(recency.kafka, { lastUsed: null, yearsSinceUsed: null, currentlyUsing: false, dated: false, weight: 0.4, stale: false });
+
+    const ignored = computeSkillRecency(EXPERIENCE, { ...RECENCY, curve: "none" }, { now: NOW, undatedSkills: ["kafka"] });
+    assert.strictEqual(ignored.kafka.weight, 1);
+});
+
+const JOB = "We need a backend engineer with Flask and Docker.";
+
+function resume(oldRoleBullet) {
+    return `Jane Doe
+
+SUMMARY
+Backend engineer.
+
+EXPERIENCE
+Backend Engineer | Acme | Jan 2020 - Present
+- Built container platforms with Docker
+
+Developer | Initech | Jan 2010 - Dec 2012
+- ${oldRoleBullet}
+
+SKILLS
+Flask, Docker
+`;
+}
+
+const OPTIONS = { embedding: { provider: "local", cache: false } };
+
+test("a skill listed in the skills list but last used in an old role scores as old", async () => {
+    const report = await analyzeResume(resume("Built web services with Flask"), JOB, OPTIONS);
+    const flask = report.technicalSkills.recency.flask;
+    assert.strictEqual(flask.dated, true);
+    assert.strictEqual(flask.weight, 0.4);
+    assert.strictEqual(flask.stale, true);
+    assert.ok(report.technicalSkills.staleSkills.includes("flask"));
+});
+
+test("dating a skill in an old role never scores lower than leaving it undated", async () => {
+    const dated = await analyzeResume(resume("Built web services with Flask"), JOB, OPTIONS);
+    const undated = await analyzeResume(resume("Built web services"), JOB, OPTIONS);
+    assert.strictEqual(undated.technicalSkills.recency.flask.dated, false);
+    assert.ok(dated.scores.technicalSkills >= undated.scores.technicalSkills);
+});
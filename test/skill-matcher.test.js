@@ -0,0 +1,24 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { getSkillsTaxonomy } = require("../skills-taxonomy");
+const { matchSkills } = require("../skill-matcher");
+
+const taxonomy = getSkillsTaxonomy();
+
+function skillsIn(text) {
+    return Object.keys(matchSkills(text, taxonomy));
+}
+
+test("Next.js is matched however it is spelled, and not as JavaScript", () => {
+    for (const text of ["Built apps in Next.js", "Built apps in nextjs", "Built apps in next js"]) {
+        assert.deepStrictEqual(skillsIn(text), ["next.js"], text);
+    }
+});
+
+test("Go is matched as a language but not in go to market, go live or go ahead", () => {
+    assert.deepStrictEqual(skillsIn("Wrote services in Go"), ["go"]);
+    assert.deepStrictEqual(skillsIn("Owned the go to market plan"), []);
+    assert.deepStrictEqual(skillsIn("Go-to-market strategy for the launch"), []);
+    assert.deepStrictEqual(skillsIn("Helped the product go live"), []);
+});